@@ -0,0 +1,67 @@
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+
+export const APP_RUNNING_POLICIES = ['refuse', 'warn', 'defer'];
+
+// 企业微信主进程在不同版本下的可执行文件名
+export const WECOM_PROCESS_NAMES = ['企业微信', 'WeCom', 'WeWorkMac'];
+
+function defaultRunCommand(command, args) {
+  const result = spawnSync(command, args, {
+    encoding: 'utf-8',
+    stdio: 'pipe',
+  });
+  return {
+    status: Number(result.status || 0),
+    stdout: String(result.stdout || ''),
+    stderr: String(result.stderr || ''),
+    error: result.error || null,
+  };
+}
+
+export function normalizeAppRunningPolicy(rawValue, fallback = 'refuse') {
+  const value = String(rawValue || '')
+    .trim()
+    .toLowerCase();
+  return APP_RUNNING_POLICIES.includes(value) ? value : fallback;
+}
+
+export function parseProcessList(stdout, processNames = WECOM_PROCESS_NAMES) {
+  const names = new Set(processNames);
+  const matched = [];
+  for (const line of String(stdout || '').split('\n')) {
+    // ps -o pid=,comm= 每行为 "<pid> <可执行文件路径>"，路径里可能带空格
+    const row = line.trim().match(/^(\d+)\s+(.+)$/);
+    if (!row) {
+      continue;
+    }
+    const command = row[2].trim();
+    const name = path.basename(command);
+    if (names.has(name)) {
+      matched.push({ pid: Number(row[1]), name, command });
+    }
+  }
+  return matched;
+}
+
+export function detectRunningApp({
+  runCommand = defaultRunCommand,
+  platform = process.platform,
+  processNames = WECOM_PROCESS_NAMES,
+} = {}) {
+  if (platform === 'win32') {
+    return { supported: false, running: false, processes: [], error: null };
+  }
+  const result = runCommand('ps', ['-axo', 'pid=,comm=']);
+  if (result.error || result.status !== 0) {
+    const reason = result.error?.message || result.stderr || `ps 退出码 ${result.status}`;
+    return { supported: true, running: false, processes: [], error: String(reason).trim() };
+  }
+  const processes = parseProcessList(result.stdout, processNames);
+  return { supported: true, running: processes.length > 0, processes, error: null };
+}
+
+export function describeRunningApp(detection) {
+  const pids = (detection?.processes || []).map((item) => item.pid);
+  return pids.length > 0 ? `企业微信正在运行（pid ${pids.join(', ')}）` : '企业微信未在运行';
+}
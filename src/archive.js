@@ -0,0 +1,437 @@
+import { promises as fs, createReadStream, createWriteStream } from 'node:fs';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import zlib from 'node:zlib';
+import { ensureDir, readJson, writeJson } from './utils.js';
+
+export const ARCHIVE_FILE_NAME = 'archive.tar.gz';
+export const ARCHIVE_MANIFEST_NAME = 'manifest.json';
+
+const BLOCK_SIZE = 512;
+const USTAR_MAX_SIZE = 0o77777777777;
+const TAR_TYPES = {
+  FILE: '0',
+  SYMLINK: '2',
+  DIRECTORY: '5',
+  PAX: 'x',
+  PAX_GLOBAL: 'g',
+};
+
+function paddingLength(size) {
+  return (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+}
+
+function writeOctal(block, value, offset, length) {
+  block.write(
+    `${Math.max(0, Math.floor(value))
+      .toString(8)
+      .padStart(length - 1, '0')}\0`,
+    offset,
+    length,
+    'ascii'
+  );
+}
+
+function buildHeaderBlock({ name, mode, size, mtimeMs, type, linkname = '' }) {
+  const block = Buffer.alloc(BLOCK_SIZE);
+  block.write(name, 0, 100, 'utf-8');
+  writeOctal(block, mode & 0o7777, 100, 8);
+  writeOctal(block, 0, 108, 8);
+  writeOctal(block, 0, 116, 8);
+  writeOctal(block, size, 124, 12);
+  writeOctal(block, mtimeMs / 1000, 136, 12);
+  block.fill(0x20, 148, 156);
+  block.write(type, 156, 1, 'ascii');
+  block.write(linkname, 157, 100, 'utf-8');
+  block.write('ustar\u000000', 257, 8, 'ascii');
+  let checksum = 0;
+  for (const byte of block) {
+    checksum += byte;
+  }
+  block.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return block;
+}
+
+function paxRecord(key, value) {
+  // 记录长度字段包含自身的位数，位数进位时需要再算一次
+  const base = Buffer.byteLength(` ${key}=${value}\n`);
+  let length = base + String(base).length;
+  if (String(length).length !== String(base).length) {
+    length = base + String(length).length;
+  }
+  return `${length} ${key}=${value}\n`;
+}
+
+function buildHeaderBlocks(entry) {
+  const records = [];
+  if (Buffer.byteLength(entry.name) > 100) {
+    records.push(paxRecord('path', entry.name));
+  }
+  if (Buffer.byteLength(entry.linkname || '') > 100) {
+    records.push(paxRecord('linkpath', entry.linkname));
+  }
+  if (entry.size > USTAR_MAX_SIZE) {
+    records.push(paxRecord('size', String(entry.size)));
+  }
+  if (records.length === 0) {
+    return [buildHeaderBlock(entry)];
+  }
+  const body = Buffer.from(records.join(''), 'utf-8');
+  return [
+    buildHeaderBlock({
+      name: 'PaxHeader',
+      mode: 0o644,
+      size: body.length,
+      mtimeMs: entry.mtimeMs,
+      type: TAR_TYPES.PAX,
+    }),
+    body,
+    Buffer.alloc(paddingLength(body.length)),
+    buildHeaderBlock({ ...entry, size: entry.size > USTAR_MAX_SIZE ? 0 : entry.size }),
+  ];
+}
+
+async function* tarEntryChunks(sourcePath, entryName, stats, counter) {
+  const base = { mode: stats.mode, mtimeMs: stats.mtimeMs, size: 0 };
+  if (stats.isSymbolicLink()) {
+    const linkname = await fs.readlink(sourcePath);
+    yield* buildHeaderBlocks({ ...base, name: entryName, type: TAR_TYPES.SYMLINK, linkname });
+    return;
+  }
+  if (stats.isDirectory()) {
+    yield* buildHeaderBlocks({ ...base, name: `${entryName}/`, type: TAR_TYPES.DIRECTORY });
+    const names = (await fs.readdir(sourcePath)).sort();
+    for (const name of names) {
+      const childPath = path.join(sourcePath, name);
+      yield* tarEntryChunks(childPath, `${entryName}/${name}`, await fs.lstat(childPath), counter);
+    }
+    return;
+  }
+  if (!stats.isFile()) {
+    throw new Error(`归档不支持的文件类型: ${sourcePath}`);
+  }
+
+  yield* buildHeaderBlocks({ ...base, name: entryName, type: TAR_TYPES.FILE, size: stats.size });
+  let readBytes = 0;
+  for await (const chunk of createReadStream(sourcePath)) {
+    readBytes += chunk.length;
+    if (readBytes > stats.size) {
+      throw new Error(`归档过程中源文件发生变化: ${sourcePath}`);
+    }
+    yield chunk;
+  }
+  if (readBytes !== stats.size) {
+    throw new Error(`归档过程中源文件发生变化: ${sourcePath}`);
+  }
+  if (paddingLength(stats.size) > 0) {
+    yield Buffer.alloc(paddingLength(stats.size));
+  }
+  counter.fileCount += 1;
+  counter.sourceBytes += stats.size;
+}
+
+async function fileSize(filePath) {
+  const stat = await fs.stat(filePath).catch(() => null);
+  return stat?.isFile() ? stat.size : 0;
+}
+
+async function syncFile(filePath) {
+  const handle = await fs.open(filePath, 'r+');
+  try {
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+async function appendGzipMember(archivePath, chunks) {
+  await pipeline(Readable.from(chunks), zlib.createGzip(), createWriteStream(archivePath, { flags: 'a' }));
+  await syncFile(archivePath);
+}
+
+export function createBatchArchive(batchRoot, batchId) {
+  return {
+    batchId,
+    archivePath: path.join(batchRoot, ARCHIVE_FILE_NAME),
+    manifestPath: path.join(batchRoot, ARCHIVE_MANIFEST_NAME),
+    createdAt: Date.now(),
+    entries: [],
+  };
+}
+
+export async function loadBatchArchive(batchRoot, batchId) {
+  const archive = createBatchArchive(batchRoot, batchId);
+  const manifest = await readJson(archive.manifestPath, null);
+  if (manifest && Array.isArray(manifest.entries)) {
+    archive.createdAt = Number(manifest.createdAt || archive.createdAt);
+    archive.entries = manifest.entries.filter((entry) => entry && entry.entryName);
+  }
+  // 续做中断的批次时，丢弃清单之后未完整写入的 gzip 成员与结尾块
+  const lastEntry = archive.entries[archive.entries.length - 1];
+  const validLength = lastEntry ? Number(lastEntry.offset) + Number(lastEntry.length) : 0;
+  if ((await fileSize(archive.archivePath)) > validLength) {
+    await fs.truncate(archive.archivePath, validLength);
+  }
+  return archive;
+}
+
+async function writeArchiveManifest(archive, finalized = false) {
+  await writeJson(archive.manifestPath, {
+    version: 1,
+    batchId: archive.batchId,
+    archive: ARCHIVE_FILE_NAME,
+    createdAt: archive.createdAt,
+    finalized,
+    entries: archive.entries,
+  });
+}
+
+export async function appendBatchArchiveEntry(archive, { entryName, sourcePath }) {
+  await ensureDir(path.dirname(archive.archivePath));
+  const offset = await fileSize(archive.archivePath);
+  const counter = { fileCount: 0, sourceBytes: 0 };
+  try {
+    // 每个目标写成独立的 gzip 成员：恢复时只需解压该字节区间，失败时截断即可回滚
+    await appendGzipMember(
+      archive.archivePath,
+      tarEntryChunks(sourcePath, entryName, await fs.lstat(sourcePath), counter)
+    );
+  } catch (error) {
+    await fs.truncate(archive.archivePath, offset).catch(() => {});
+    throw error;
+  }
+  const entry = {
+    entryName,
+    sourcePath,
+    offset,
+    length: (await fileSize(archive.archivePath)) - offset,
+    fileCount: counter.fileCount,
+    sourceBytes: counter.sourceBytes,
+    archivedAt: Date.now(),
+  };
+  archive.entries.push(entry);
+  await writeArchiveManifest(archive);
+  return entry;
+}
+
+export async function finalizeBatchArchive(archive) {
+  if (archive.entries.length === 0) {
+    return;
+  }
+  // 结尾追加两个全零块，使整个文件可被标准 tar 工具直接解压
+  await appendGzipMember(archive.archivePath, [Buffer.alloc(BLOCK_SIZE * 2)]);
+  await writeArchiveManifest(archive, true);
+}
+
+function readString(block, offset, length) {
+  const end = block.indexOf(0, offset);
+  return block.toString('utf-8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+function readOctal(block, offset, length) {
+  const text = readString(block, offset, length).trim();
+  return text ? Number.parseInt(text, 8) : 0;
+}
+
+function parseHeaderBlock(block) {
+  let checksum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i += 1) {
+    checksum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  if (checksum !== readOctal(block, 148, 8)) {
+    throw new Error('归档条目头校验失败');
+  }
+  const name = readString(block, 0, 100);
+  const prefix = readString(block, 257, 5) === 'ustar' ? readString(block, 345, 155) : '';
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    mode: readOctal(block, 100, 8),
+    size: readOctal(block, 124, 12),
+    mtimeMs: readOctal(block, 136, 12) * 1000,
+    type: String.fromCharCode(block[156] || 0x30),
+    linkname: readString(block, 157, 100),
+  };
+}
+
+function parsePaxRecords(body) {
+  const overrides = {};
+  let index = 0;
+  while (index < body.length) {
+    const space = body.indexOf(0x20, index);
+    const length = space < 0 ? NaN : Number.parseInt(body.toString('ascii', index, space), 10);
+    if (!Number.isFinite(length) || length <= 0) {
+      break;
+    }
+    // 长度以字节计，记录形如 "<len> key=value\n"
+    const record = body.toString('utf-8', space + 1, index + length - 1);
+    const separator = record.indexOf('=');
+    const key = record.slice(0, separator);
+    const value = record.slice(separator + 1);
+    if (key === 'path') overrides.name = value;
+    if (key === 'linkpath') overrides.linkname = value;
+    if (key === 'size') overrides.size = Number(value);
+    index += length;
+  }
+  return overrides;
+}
+
+async function readTarEntries(source, onEntry) {
+  let pending = Buffer.alloc(0);
+  let current = null;
+  let pax = null;
+  let ended = false;
+  for await (const chunk of source) {
+    pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+    while (!ended) {
+      if (current) {
+        if (current.remaining > 0) {
+          if (pending.length === 0) {
+            break;
+          }
+          const part = pending.subarray(0, Math.min(current.remaining, pending.length));
+          pending = pending.subarray(part.length);
+          current.remaining -= part.length;
+          await current.write(part);
+          continue;
+        }
+        if (pending.length < current.padding) {
+          break;
+        }
+        pending = pending.subarray(current.padding);
+        await current.end();
+        current = null;
+        continue;
+      }
+      if (pending.length < BLOCK_SIZE) {
+        break;
+      }
+      const block = pending.subarray(0, BLOCK_SIZE);
+      pending = pending.subarray(BLOCK_SIZE);
+      if (block.every((byte) => byte === 0)) {
+        ended = true;
+        break;
+      }
+      const header = parseHeaderBlock(block);
+      if (header.type === TAR_TYPES.PAX || header.type === TAR_TYPES.PAX_GLOBAL) {
+        const parts = [];
+        current = {
+          remaining: header.size,
+          padding: paddingLength(header.size),
+          write: async (part) => parts.push(part),
+          end: async () => {
+            if (header.type === TAR_TYPES.PAX) {
+              pax = parsePaxRecords(Buffer.concat(parts));
+            }
+          },
+        };
+        continue;
+      }
+      const entry = pax ? { ...header, ...pax } : header;
+      pax = null;
+      const sink = (await onEntry(entry)) || {};
+      current = {
+        remaining: entry.size,
+        padding: paddingLength(entry.size),
+        write: sink.write || (async () => {}),
+        end: sink.end || (async () => {}),
+      };
+    }
+  }
+  if (current) {
+    throw new Error('归档数据不完整');
+  }
+}
+
+function resolveArchiveEntryPath(stagingPath, entryName, name) {
+  const normalized = name.replace(/\/+$/, '');
+  if (normalized === entryName) {
+    return stagingPath;
+  }
+  if (!normalized.startsWith(`${entryName}/`)) {
+    throw new Error(`归档条目不属于目标: ${name}`);
+  }
+  const segments = normalized.slice(entryName.length + 1).split('/');
+  if (segments.some((segment) => !segment || segment === '.' || segment === '..')) {
+    throw new Error(`归档条目路径非法: ${name}`);
+  }
+  const outputPath = path.join(stagingPath, ...segments);
+  const rel = path.relative(stagingPath, outputPath);
+  if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) {
+    throw new Error(`归档条目越界: ${name}`);
+  }
+  return outputPath;
+}
+
+export async function extractArchiveEntry({ archivePath, entryName, offset, length, destPath }) {
+  const start = Number(offset);
+  const byteLength = Number(length);
+  if (
+    !entryName ||
+    !Number.isInteger(start) ||
+    start < 0 ||
+    !Number.isInteger(byteLength) ||
+    byteLength <= 0
+  ) {
+    throw new Error(`归档条目记录无效: ${entryName || '-'}`);
+  }
+  const stagingPath = `${destPath}.extracting-${Date.now()}`;
+  const deferredLinks = [];
+  const deferredTimes = [];
+  let openHandle = null;
+  let rootSeen = false;
+
+  try {
+    await ensureDir(path.dirname(destPath));
+    await pipeline(
+      createReadStream(archivePath, { start, end: start + byteLength - 1 }),
+      zlib.createGunzip(),
+      (source) =>
+        readTarEntries(source, async (entry) => {
+          const outputPath = resolveArchiveEntryPath(stagingPath, entryName, entry.name);
+          rootSeen = rootSeen || outputPath === stagingPath;
+          if (entry.type === TAR_TYPES.DIRECTORY) {
+            await fs.mkdir(outputPath, { recursive: true });
+            deferredTimes.push(entry);
+            entry.outputPath = outputPath;
+            return null;
+          }
+          if (entry.type === TAR_TYPES.SYMLINK) {
+            // 符号链接最后创建，避免后续条目经由链接写到目标目录之外
+            deferredLinks.push({ outputPath, linkname: entry.linkname });
+            return null;
+          }
+          if (entry.type !== TAR_TYPES.FILE) {
+            throw new Error(`归档条目类型不支持: ${entry.name}`);
+          }
+          await ensureDir(path.dirname(outputPath));
+          openHandle = await fs.open(outputPath, 'wx', entry.mode & 0o777 || 0o644);
+          return {
+            write: async (part) => {
+              await openHandle.write(part);
+            },
+            end: async () => {
+              await openHandle.close();
+              openHandle = null;
+              await fs.utimes(outputPath, new Date(), new Date(entry.mtimeMs));
+            },
+          };
+        })
+    );
+    if (!rootSeen) {
+      throw new Error(`归档中未找到条目: ${entryName}`);
+    }
+    for (const link of deferredLinks) {
+      await ensureDir(path.dirname(link.outputPath));
+      await fs.symlink(link.linkname, link.outputPath);
+    }
+    for (const entry of deferredTimes.reverse()) {
+      await fs.utimes(entry.outputPath, new Date(), new Date(entry.mtimeMs));
+    }
+    await fs.rename(stagingPath, destPath);
+  } catch (error) {
+    await openHandle?.close().catch(() => {});
+    await fs.rm(stagingPath, { recursive: true, force: true }).catch(() => {});
+    throw error;
+  }
+}
@@ -0,0 +1,97 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { appendJsonLine, ensureDir, readJsonLines } from './utils.js';
+
+export const JOURNAL_FILE_SUFFIX = '.journal.jsonl';
+
+export function batchJournalPath(journalRoot, batchId) {
+  return path.join(journalRoot, `${batchId}${JOURNAL_FILE_SUFFIX}`);
+}
+
+function createJournalWriter(journalPath) {
+  return {
+    journalPath,
+    intent: (index, fields) =>
+      appendJsonLine(journalPath, { type: 'intent', index, time: Date.now(), ...fields }),
+    done: (index, status) => appendJsonLine(journalPath, { type: 'done', index, status, time: Date.now() }),
+    finish: () => fs.rm(journalPath, { force: true }),
+  };
+}
+
+export async function createBatchJournal(journalRoot, header) {
+  await ensureDir(journalRoot);
+  const journalPath = batchJournalPath(journalRoot, header.batchId);
+  // 先写入完整目标清单，进程中断后可据此续做或回滚整批
+  await appendJsonLine(journalPath, { type: 'begin', time: Date.now(), ...header });
+  return createJournalWriter(journalPath);
+}
+
+export function reopenBatchJournal(journal) {
+  return createJournalWriter(journal.journalPath);
+}
+
+export async function readBatchJournal(journalPath) {
+  const rows = await readJsonLines(journalPath);
+  const header = rows.find((row) => row?.type === 'begin' && row.batchId);
+  if (!header) {
+    return null;
+  }
+  const intents = new Map();
+  const done = new Map();
+  let lastActivityAt = Number(header.time || 0);
+  for (const row of rows) {
+    if (!Number.isInteger(row?.index)) {
+      continue;
+    }
+    if (row.type === 'intent') {
+      intents.set(row.index, row);
+    } else if (row.type === 'done') {
+      done.set(row.index, row.status || 'unknown');
+    }
+    lastActivityAt = Math.max(lastActivityAt, Number(row.time || 0));
+  }
+  const targets = Array.isArray(header.targets) ? header.targets : [];
+  return {
+    journalPath,
+    header,
+    targets,
+    intents,
+    done,
+    // 只有 intent 没有 done 的条目是中断时正在处理的目标
+    pending: [...intents.values()].filter((row) => !done.has(row.index)),
+    lastActivityAt,
+  };
+}
+
+export async function loadBatchJournal(journalRoot, batchId) {
+  return readBatchJournal(batchJournalPath(journalRoot, batchId));
+}
+
+export function summarizeBatchJournal(journal) {
+  return {
+    batchId: journal.header.batchId,
+    journalPath: journal.journalPath,
+    startedAt: Number(journal.header.time || 0),
+    lastActivityAt: journal.lastActivityAt,
+    deleteMode: journal.header.deleteMode || null,
+    scope: journal.header.scope || null,
+    triggerSource: journal.header.triggerSource || null,
+    totalTargets: journal.targets.length,
+    doneCount: journal.done.size,
+    pendingCount: journal.pending.length,
+    remainingCount: Math.max(0, journal.targets.length - journal.done.size),
+    pendingPaths: journal.pending.map((row) => row.sourcePath),
+  };
+}
+
+export async function listUnfinishedJournals(journalRoot) {
+  const names = await fs.readdir(journalRoot).catch(() => []);
+  const journals = [];
+  for (const name of names.filter((item) => item.endsWith(JOURNAL_FILE_SUFFIX)).sort()) {
+    const journal = await readBatchJournal(path.join(journalRoot, name));
+    if (journal) {
+      journals.push(summarizeBatchJournal(journal));
+    }
+  }
+  return journals.sort((a, b) => b.startedAt - a.startedAt);
+}
@@ -0,0 +1,131 @@
+import { CLEANUP_GOAL_CATEGORY_PRIORITY } from './constants.js';
+import { compareMonthKey, monthKeyFromTime } from './utils.js';
+
+const CATEGORY_PRIORITY = new Map(CLEANUP_GOAL_CATEGORY_PRIORITY.map((key, index) => [key, index]));
+
+export function cleanupTargetAgeMonth(target = {}) {
+  // 非年月目录没有月份信息，按修改时间归入对应月份参与排序
+  return target.monthKey || monthKeyFromTime(target.mtimeMs);
+}
+
+function categoryPriority(categoryKey) {
+  return CATEGORY_PRIORITY.has(categoryKey) ? CATEGORY_PRIORITY.get(categoryKey) : CATEGORY_PRIORITY.size;
+}
+
+function compareGoalCandidates(a, b) {
+  return (
+    compareMonthKey(a.ageMonth, b.ageMonth) ||
+    categoryPriority(a.target.categoryKey) - categoryPriority(b.target.categoryKey) ||
+    Number(b.target.sizeBytes || 0) - Number(a.target.sizeBytes || 0) ||
+    String(a.target.path || '').localeCompare(String(b.target.path || ''))
+  );
+}
+
+function buildAccountQueues(targets) {
+  const queues = new Map();
+  for (const target of targets) {
+    const accountId = String(target?.accountId || '');
+    if (!queues.has(accountId)) {
+      queues.set(accountId, { accountId, selectedBytes: 0, items: [] });
+    }
+    queues.get(accountId).items.push({ target, ageMonth: cleanupTargetAgeMonth(target) });
+  }
+  for (const queue of queues.values()) {
+    queue.items.sort(compareGoalCandidates);
+  }
+  return [...queues.values()];
+}
+
+function compareQueueHeads(a, b) {
+  // 全局按最旧优先；同一月份时优先选择已分配字节最少的账号，避免单个账号被清空
+  return (
+    compareMonthKey(a.items[0].ageMonth, b.items[0].ageMonth) ||
+    a.selectedBytes - b.selectedBytes ||
+    a.accountId.localeCompare(b.accountId)
+  );
+}
+
+function pickNextQueue(queues) {
+  let best = null;
+  for (const queue of queues) {
+    if (queue.items.length > 0 && (!best || compareQueueHeads(queue, best) < 0)) {
+      best = queue;
+    }
+  }
+  return best;
+}
+
+function summarizeGoalCutoffs(candidates, selectedSet) {
+  const groups = new Map();
+  for (const { target, ageMonth } of candidates) {
+    const key = `${target.accountId}\u0000${target.categoryKey}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        accountId: target.accountId || '',
+        accountShortId: target.accountShortId || '',
+        userName: target.userName || '',
+        categoryKey: target.categoryKey || '',
+        categoryLabel: target.categoryLabel || target.categoryKey || '',
+        cutoffMonth: null,
+        targetCount: 0,
+        bytes: 0,
+        rows: [],
+      });
+    }
+    const group = groups.get(key);
+    group.rows.push({ ageMonth, selected: selectedSet.has(target) });
+    if (selectedSet.has(target)) {
+      group.targetCount += 1;
+      group.bytes += Number(target.sizeBytes || 0);
+      if (!group.cutoffMonth || compareMonthKey(ageMonth, group.cutoffMonth) > 0) {
+        group.cutoffMonth = ageMonth;
+      }
+    }
+  }
+  return [...groups.values()]
+    .filter((group) => group.targetCount > 0)
+    .map(({ rows, ...group }) => ({
+      ...group,
+      // 截止月份内仍有未选中的目标，说明该月只清理了一部分
+      partialMonth: rows.some(
+        (row) => !row.selected && compareMonthKey(row.ageMonth, group.cutoffMonth) <= 0
+      ),
+    }))
+    .sort(
+      (a, b) =>
+        String(a.accountId).localeCompare(String(b.accountId)) ||
+        categoryPriority(a.categoryKey) - categoryPriority(b.categoryKey)
+    );
+}
+
+export function selectCleanupTargetsForGoal(targets = [], goalBytes = 0) {
+  const candidates = (Array.isArray(targets) ? targets : []).filter(Boolean);
+  const queues = buildAccountQueues(candidates);
+  const allCandidates = queues.flatMap((queue) => queue.items);
+  const availableBytes = candidates.reduce((total, item) => total + Number(item.sizeBytes || 0), 0);
+  const selected = [];
+  let selectedBytes = 0;
+  while (selectedBytes < goalBytes) {
+    const queue = pickNextQueue(queues);
+    if (!queue) {
+      break;
+    }
+    const { target } = queue.items.shift();
+    const sizeBytes = Number(target.sizeBytes || 0);
+    selected.push(target);
+    selectedBytes += sizeBytes;
+    queue.selectedBytes += sizeBytes;
+  }
+  const selectedSet = new Set(selected);
+  return {
+    goalBytes,
+    availableBytes,
+    selectedBytes,
+    reachable: availableBytes >= goalBytes,
+    shortfallBytes: Math.max(0, goalBytes - selectedBytes),
+    candidateCount: candidates.length,
+    selectedCount: selected.length,
+    cutoffs: summarizeGoalCutoffs(allCandidates, selectedSet),
+    selected,
+  };
+}
@@ -1,9 +1,37 @@
 import { promises as fs } from 'node:fs';
 import path from 'node:path';
 import crypto from 'node:crypto';
-import { DELETE_MODES } from './constants.js';
-import { appendJsonLine, ensureDir, pathExists } from './utils.js';
-import { classifyErrorType, ERROR_TYPES } from './error-taxonomy.js';
+import { DEFAULT_CROSS_DEVICE_CONCURRENCY, DELETE_MODES, MAX_CLEANUP_CONCURRENCY } from './constants.js';
+import {
+  appendJsonLine,
+  computeBytesPerSecond,
+  createLimiter,
+  ensureDir,
+  mapLimit,
+  pathExists,
+  readJsonLines,
+} from './utils.js';
+import {
+  buildCancelledIndexRow,
+  cancelReasonMessage,
+  classifyErrorType,
+  ERROR_TYPES,
+} from './error-taxonomy.js';
+import {
+  appendBatchArchiveEntry,
+  createBatchArchive,
+  finalizeBatchArchive,
+  loadBatchArchive,
+} from './archive.js';
+import {
+  listOffloadedEntries,
+  offloadTarget,
+  resolveOffloadPath,
+  returnOffloadedEntries,
+} from './offload.js';
+import { describeSnapshotMismatch, snapshotPathTree, verifiedMovePath } from './verified-move.js';
+import { createBatchJournal, reopenBatchJournal } from './batch-journal.js';
+import { listRestorableBatches, restoreBatch } from './restore.js';
 
 function generateBatchId() {
   const date = new Date();
@@ -17,21 +45,6 @@ function generateBatchId() {
   return `${y}${m}${d}-${hh}${mm}${ss}-${rand}`;
 }
 
-async function movePath(src, dest) {
-  await ensureDir(path.dirname(dest));
-  try {
-    await fs.rename(src, dest);
-    return;
-  } catch (error) {
-    if (error?.code !== 'EXDEV') {
-      throw error;
-    }
-  }
-
-  await fs.cp(src, dest, { recursive: true, force: true });
-  await fs.rm(src, { recursive: true, force: true });
-}
-
 async function removePath(targetPath) {
   await fs.rm(targetPath, { recursive: true, force: true });
 }
@@ -103,11 +116,19 @@ function pushTopPathSample(samples, sample, limit = 20) {
   }
 }
 
+function cleanupTargetExtensionKey(target = {}) {
+  if (target.isDirectory !== false) {
+    return '(目录)';
+  }
+  return path.extname(String(target.path || '')).toLowerCase() || '(无扩展名)';
+}
+
 function createCleanupBreakdownTracker(topPathLimit = 20) {
   return {
     byCategory: new Map(),
     byMonth: new Map(),
     byRoot: new Map(),
+    byExtension: new Map(),
     status: {
       success: { count: 0, bytes: 0 },
       skipped: { count: 0, bytes: 0 },
@@ -159,6 +180,12 @@ function updateCleanupBreakdown(tracker, target, statusKey, statusLabel) {
   }
   applyBreakdownStatus(tracker.byRoot.get(rootKey), statusKey, bytes);
 
+  const extension = cleanupTargetExtensionKey(target);
+  if (!tracker.byExtension.has(extension)) {
+    tracker.byExtension.set(extension, createBreakdownRow({ extension }));
+  }
+  applyBreakdownStatus(tracker.byExtension.get(extension), statusKey, bytes);
+
   pushTopPathSample(
     tracker.topPaths,
     {
@@ -209,6 +236,7 @@ function finalizeCleanupBreakdown(tracker) {
     byCategory: sortBreakdownRowsByBytes([...tracker.byCategory.values()]),
     byMonth: sortMonthBreakdownRows([...tracker.byMonth.values()]),
     byRoot: sortBreakdownRowsByBytes([...tracker.byRoot.values()]),
+    byExtension: sortBreakdownRowsByBytes([...tracker.byExtension.values()]),
     topPaths: [...tracker.topPaths],
   };
 }
@@ -371,6 +399,231 @@ async function validateCleanupTargetPath(targetPath, validationState) {
   return 'source_outside_allowed_root';
 }
 
+export async function findPathsOutsideAllowedRoots(targetPaths = [], allowedRoots = []) {
+  const validationState = await buildCleanupValidationState(allowedRoots);
+  const violations = [];
+  for (const targetPath of targetPaths) {
+    const reason = await validateCleanupTargetPath(targetPath, validationState);
+    if (reason) {
+      violations.push({ path: targetPath, reason });
+    }
+  }
+  return violations;
+}
+
+function archiveIndexFields(archived) {
+  if (!archived) {
+    return {};
+  }
+  return {
+    archiveEntry: archived.entryName,
+    archiveOffset: archived.offset,
+    archiveLength: archived.length,
+  };
+}
+
+function offloadIndexFields(offloadRoot, offloadPath, offloaded) {
+  if (!offloadPath) {
+    return {};
+  }
+  return {
+    offloadRoot,
+    offloadPath,
+    ...(offloaded
+      ? {
+          offloadFileCount: offloaded.fileCount,
+          offloadDigest: offloaded.digest,
+          moveMethod: offloaded.method,
+        }
+      : {}),
+  };
+}
+
+async function removeMovingLeftovers(destPath) {
+  const dirPath = path.dirname(destPath);
+  const prefix = `${path.basename(destPath)}.moving-`;
+  for (const name of await fs.readdir(dirPath).catch(() => [])) {
+    if (name.startsWith(prefix)) {
+      await removePath(path.join(dirPath, name));
+    }
+  }
+}
+
+async function settleJournalIntent(intent, { batchArchive, targetPath, validationState }) {
+  // 判断中断时正在处理的目标是否已完整落盘；确认落盘才补删未删完的源路径，否则清掉半成品以便重做
+  if (path.resolve(String(intent.sourcePath || '')) !== path.resolve(String(targetPath || ''))) {
+    // 日志意图与批次目标对不上时不信任日志，不删除任何路径，按未落盘重新处理
+    return { stored: false };
+  }
+  // 补删源路径前与正常清理一样校验允许根目录；校验不通过时不删除，交由后续流程按无效路径跳过
+  const removeSource = async () => {
+    if (!(await pathExists(intent.sourcePath))) {
+      return true;
+    }
+    if (await validateCleanupTargetPath(intent.sourcePath, validationState)) {
+      return false;
+    }
+    await removePath(intent.sourcePath);
+    return true;
+  };
+  if (intent.op === 'delete') {
+    return { stored: !(await pathExists(intent.sourcePath)) };
+  }
+  if (intent.op === 'archive') {
+    const archived = batchArchive?.entries.find((entry) => entry.entryName === intent.entryName) || null;
+    if (!archived || !(await removeSource())) {
+      return { stored: false };
+    }
+    return { stored: true, archived };
+  }
+  await removeMovingLeftovers(intent.destPath);
+  // 目标位置在写意图前已存在（如外移镜像目录来自未取回的旧批次）时，它不是本批次的产物
+  if (intent.destExisted === true || !(await pathExists(intent.destPath))) {
+    return { stored: false };
+  }
+  const hash = intent.op === 'offload';
+  const destSnapshot = await snapshotPathTree(intent.destPath, { hash });
+  if (await pathExists(intent.sourcePath)) {
+    const sourceSnapshot = await snapshotPathTree(intent.sourcePath, { hash });
+    if (describeSnapshotMismatch(sourceSnapshot, destSnapshot) || !(await removeSource())) {
+      return { stored: false };
+    }
+  }
+  return {
+    stored: true,
+    moved: { method: 'resumed' },
+    offloaded: hash ? { ...destSnapshot, method: 'resumed' } : null,
+  };
+}
+
+async function resolveJournalIntent(
+  target,
+  { deleteMode, destName, recyclePath, offloadPath, batchArchive }
+) {
+  if (deleteMode === DELETE_MODES.DIRECT) {
+    return { op: 'delete', sourcePath: target.path };
+  }
+  if (offloadPath) {
+    return {
+      op: 'offload',
+      sourcePath: target.path,
+      destPath: offloadPath,
+      destExisted: await pathExists(offloadPath),
+    };
+  }
+  if (batchArchive) {
+    return {
+      op: 'archive',
+      sourcePath: target.path,
+      destPath: batchArchive.archivePath,
+      entryName: destName,
+    };
+  }
+  return {
+    op: 'move',
+    sourcePath: target.path,
+    destPath: recyclePath,
+    destExisted: await pathExists(recyclePath),
+  };
+}
+
+function normalizeSkipDecision(decision) {
+  // shouldSkip 可返回状态字符串，或携带 errorType / pinId 的对象以区分跳过原因
+  if (typeof decision === 'string' && decision) {
+    return { status: decision, errorType: ERROR_TYPES.POLICY_SKIPPED, pinId: null };
+  }
+  if (decision && typeof decision === 'object' && decision.status) {
+    return {
+      status: String(decision.status),
+      errorType: decision.errorType || ERROR_TYPES.POLICY_SKIPPED,
+      pinId: decision.pinId || null,
+    };
+  }
+  return null;
+}
+
+const ATOMIC_DELETE_MODES = new Set([DELETE_MODES.RECYCLE, DELETE_MODES.SERVICE_RECYCLE]);
+
+function normalizeConcurrency(value) {
+  const parsed = Math.floor(Number(value));
+  return Number.isFinite(parsed) ? Math.min(MAX_CLEANUP_CONCURRENCY, Math.max(1, parsed)) : 1;
+}
+
+async function nearestExistingStat(targetPath) {
+  let current = path.resolve(targetPath);
+  while (true) {
+    const stat = await fs.stat(current).catch(() => null);
+    if (stat) {
+      return stat;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+async function isCrossDeviceMove(sourcePath, destPath) {
+  const [sourceStat, destStat] = await Promise.all([
+    fs.lstat(sourcePath).catch(() => null),
+    nearestExistingStat(path.dirname(destPath)),
+  ]);
+  return Boolean(sourceStat && destStat && sourceStat.dev !== destStat.dev);
+}
+
+function appendCleanupRollbackRow(indexPath, { scope, batchId, deleteMode, summary, reason }) {
+  return appendJsonLine(indexPath, {
+    action: 'cleanup_rollback',
+    time: Date.now(),
+    scope: scope || 'cleanup_monthly',
+    batchId,
+    deleteMode,
+    reason,
+    status: summary.status,
+    restoredCount: summary.restoredCount,
+    skippedCount: summary.skippedCount,
+    failedCount: summary.failedCount,
+    restoredBytes: summary.restoredBytes,
+    unrecoverableCount: summary.unrecoverableCount,
+    error_type: summary.failedCount > 0 ? classifyErrorType(summary.errors[0]?.message || '') : null,
+  });
+}
+
+async function rollbackAtomicEntries({
+  entries,
+  batchId,
+  scope,
+  deleteMode,
+  indexPath,
+  allowedRoots,
+  recycleRoots,
+  verifyHash,
+}) {
+  const restored =
+    entries.length > 0
+      ? await restoreBatch({
+          batch: { batchId, entries },
+          indexPath,
+          extraProfileRoots: allowedRoots,
+          extraGovernanceRoots: allowedRoots,
+          recycleRoots,
+          verifyHash,
+        })
+      : { successCount: 0, skipCount: 0, failCount: 0, restoredBytes: 0, errors: [] };
+  const summary = {
+    status: restored.failCount > 0 || restored.skipCount > 0 ? 'partial_rolled_back' : 'rolled_back',
+    restoredCount: restored.successCount,
+    skippedCount: restored.skipCount,
+    failedCount: restored.failCount,
+    restoredBytes: restored.restoredBytes,
+    unrecoverableCount: 0,
+    errors: restored.errors,
+  };
+  await appendCleanupRollbackRow(indexPath, { scope, batchId, deleteMode, summary, reason: 'atomic' });
+  return summary;
+}
+
 export async function executeCleanup({
   targets,
   recycleRoot,
@@ -383,19 +636,61 @@ export async function executeCleanup({
   deleteMode = DELETE_MODES.RECYCLE,
   recycleScope = 'manual',
   triggerSource = 'interactive',
+  offloadRoot = null,
+  verifyHash = false,
+  onMoveProgress,
+  resolveRecycleRoot,
+  journalRoot = null,
+  resumeJournal = null,
+  atomic = false,
+  concurrency = 1,
+  crossDeviceConcurrency = DEFAULT_CROSS_DEVICE_CONCURRENCY,
+  signal,
 }) {
-  const batchId = generateBatchId();
-  const normalizedDeleteMode =
-    deleteMode === DELETE_MODES.DIRECT
-      ? DELETE_MODES.DIRECT
-      : deleteMode === DELETE_MODES.SERVICE_RECYCLE
-        ? DELETE_MODES.SERVICE_RECYCLE
-        : DELETE_MODES.RECYCLE;
-  const recoverable = normalizedDeleteMode !== DELETE_MODES.DIRECT;
+  const startedAt = Date.now();
+  const batchId = resumeJournal?.header.batchId || generateBatchId();
+  const normalizedDeleteMode = [
+    DELETE_MODES.DIRECT,
+    DELETE_MODES.SERVICE_RECYCLE,
+    DELETE_MODES.ARCHIVE,
+    DELETE_MODES.OFFLOAD,
+  ].includes(deleteMode)
+    ? deleteMode
+    : DELETE_MODES.RECYCLE;
+  if (normalizedDeleteMode === DELETE_MODES.OFFLOAD && !offloadRoot) {
+    throw new Error('offload delete mode requires offloadRoot');
+  }
+  if (atomic && !ATOMIC_DELETE_MODES.has(normalizedDeleteMode)) {
+    throw new Error('atomic cleanup requires a recycle delete mode');
+  }
+  // 外移目录不进入回收区，通过 offload-return 取回，因此不计为可按批次恢复
+  const recoverable =
+    normalizedDeleteMode !== DELETE_MODES.DIRECT && normalizedDeleteMode !== DELETE_MODES.OFFLOAD;
   const batchRoot = !dryRun && recoverable ? path.join(recycleRoot, batchId) : null;
   if (batchRoot) {
     await ensureDir(batchRoot);
   }
+  // 归档模式下整批目标写入同一个压缩包，索引以 archiveEntry 区分各目标
+  const batchArchive =
+    batchRoot && normalizedDeleteMode === DELETE_MODES.ARCHIVE
+      ? resumeJournal
+        ? await loadBatchArchive(batchRoot, batchId)
+        : createBatchArchive(batchRoot, batchId)
+      : null;
+  // 目标与默认回收区不在同一卷时，批次目录建在目标所在卷的回收目录下，避免跨卷复制
+  const batchRootsByRecycleRoot = new Map(batchRoot ? [[path.resolve(recycleRoot), batchRoot]] : []);
+  const resolveTargetBatchRoot = async (targetPath) => {
+    if (typeof resolveRecycleRoot !== 'function') {
+      return batchRoot;
+    }
+    const targetRecycleRoot = path.resolve((await resolveRecycleRoot(targetPath)) || recycleRoot);
+    if (!batchRootsByRecycleRoot.has(targetRecycleRoot)) {
+      const volumeBatchRoot = path.join(targetRecycleRoot, batchId);
+      await ensureDir(volumeBatchRoot);
+      batchRootsByRecycleRoot.set(targetRecycleRoot, volumeBatchRoot);
+    }
+    return batchRootsByRecycleRoot.get(targetRecycleRoot);
+  };
 
   const summary = {
     batchId,
@@ -408,226 +703,504 @@ export async function executeCleanup({
     skippedCount: 0,
     failedCount: 0,
     reclaimedBytes: 0,
+    skippedTargets: [],
     errors: [],
   };
+  if (normalizedDeleteMode === DELETE_MODES.ARCHIVE) {
+    summary.archivePath = null;
+    summary.archivedBytes = 0;
+  }
+  if (normalizedDeleteMode === DELETE_MODES.OFFLOAD) {
+    summary.offloadRoot = path.resolve(offloadRoot);
+  }
+  if (resumeJournal) {
+    summary.resumedDoneCount = resumeJournal.done.size;
+  }
   const validationState = await buildCleanupValidationState(allowedRoots);
   const breakdownTracker = createCleanupBreakdownTracker();
+  // 真实执行时先写日志再动文件，进程被杀后可续做或回滚
+  const journal =
+    dryRun || !journalRoot
+      ? null
+      : resumeJournal
+        ? reopenBatchJournal(resumeJournal)
+        : await createBatchJournal(journalRoot, {
+            batchId,
+            deleteMode: normalizedDeleteMode,
+            scope,
+            recycleScope,
+            triggerSource,
+            recycleRoot: path.resolve(recycleRoot),
+            offloadRoot: summary.offloadRoot || null,
+            allowedRoots: validationState.allowedRootsRaw,
+            targets,
+          });
 
   const total = targets.length;
+  // 原子模式记录本批次已移入回收区的条目，任一目标失败时据此整批放回
+  const atomicEntries = atomic && !dryRun ? [] : null;
+  // 归档模式整批写入同一个压缩流，只能逐个目标追加
+  const workerCount = batchArchive ? 1 : normalizeConcurrency(concurrency);
+  const runCrossDevice = createLimiter(Math.min(workerCount, normalizeConcurrency(crossDeviceConcurrency)));
+  summary.concurrency = workerCount;
+  summary.crossDeviceCount = 0;
 
-  for (let i = 0; i < total; i += 1) {
-    const target = targets[i];
-    if (typeof onProgress === 'function') {
-      onProgress(i + 1, total);
-    }
+  const indexRow = (target, fields) => ({
+    action: 'cleanup',
+    time: Date.now(),
+    scope,
+    batchId,
+    sourcePath: target.path,
+    recyclePath: null,
+    accountId: target.accountId,
+    accountShortId: target.accountShortId,
+    userName: target.userName,
+    corpName: target.corpName,
+    categoryKey: target.categoryKey,
+    categoryLabel: target.categoryLabel,
+    monthKey: target.monthKey,
+    sizeBytes: target.sizeBytes,
+    targetKey: target.targetKey || null,
+    tier: target.tier || null,
+    containerPath: target.containerPath || null,
+    ...fields,
+    deleteMode: normalizedDeleteMode,
+    recycleScope: recoverable ? recycleScope : null,
+    triggerSource,
+    recoverable,
+  });
+  const skippedOutcome = (target, status, fields, skipped = {}) => ({
+    kind: 'skipped',
+    status,
+    skipped: { path: target.path, reason: status, ...skipped },
+    row: indexRow(target, { status, ...fields, dryRun: Boolean(dryRun) }),
+  });
+
+  // 处理阶段可并发执行，只返回结果；索引、统计与日志 done 行统一按目标顺序提交
+  const processTarget = async (target, i) => {
+    const pendingIntent = resumeJournal?.intents.get(i) || null;
+    const settled = pendingIntent
+      ? await settleJournalIntent(pendingIntent, { batchArchive, targetPath: target.path, validationState })
+      : null;
+    const alreadyStored = Boolean(settled?.stored);
 
     let skipByPolicy = null;
-    if (typeof shouldSkip === 'function') {
-      skipByPolicy = await shouldSkip(target);
+    if (!alreadyStored && typeof shouldSkip === 'function') {
+      skipByPolicy = normalizeSkipDecision(await shouldSkip(target));
     }
-    if (typeof skipByPolicy === 'string' && skipByPolicy) {
-      summary.skippedCount += 1;
-      updateCleanupBreakdown(breakdownTracker, target, 'skipped', skipByPolicy);
-      await appendJsonLine(indexPath, {
-        action: 'cleanup',
-        time: Date.now(),
-        scope,
-        batchId,
-        sourcePath: target.path,
-        recyclePath: null,
-        accountId: target.accountId,
-        accountShortId: target.accountShortId,
-        userName: target.userName,
-        corpName: target.corpName,
-        categoryKey: target.categoryKey,
-        categoryLabel: target.categoryLabel,
-        monthKey: target.monthKey,
-        sizeBytes: target.sizeBytes,
-        targetKey: target.targetKey || null,
-        tier: target.tier || null,
-        status: skipByPolicy,
-        error_type: ERROR_TYPES.POLICY_SKIPPED,
-        dryRun: Boolean(dryRun),
-        deleteMode: normalizedDeleteMode,
-        recycleScope: recoverable ? recycleScope : null,
-        triggerSource,
-        recoverable,
-      });
-      continue;
+    if (skipByPolicy) {
+      const pinned = skipByPolicy.pinId ? { pinId: skipByPolicy.pinId } : {};
+      return skippedOutcome(
+        target,
+        skipByPolicy.status,
+        { error_type: skipByPolicy.errorType, ...pinned },
+        pinned
+      );
     }
 
-    const exists = await pathExists(target.path);
+    const exists = alreadyStored || (await pathExists(target.path));
     if (!exists) {
-      summary.skippedCount += 1;
-      updateCleanupBreakdown(breakdownTracker, target, 'skipped', 'skipped_missing_source');
-      await appendJsonLine(indexPath, {
-        action: 'cleanup',
-        time: Date.now(),
-        scope,
-        batchId,
-        sourcePath: target.path,
-        recyclePath: null,
-        accountId: target.accountId,
-        accountShortId: target.accountShortId,
-        userName: target.userName,
-        corpName: target.corpName,
-        categoryKey: target.categoryKey,
-        categoryLabel: target.categoryLabel,
-        monthKey: target.monthKey,
-        sizeBytes: target.sizeBytes,
-        targetKey: target.targetKey || null,
-        tier: target.tier || null,
-        status: 'skipped_missing_source',
-        error_type: ERROR_TYPES.PATH_NOT_FOUND,
-        dryRun: Boolean(dryRun),
-        deleteMode: normalizedDeleteMode,
-        recycleScope: recoverable ? recycleScope : null,
-        triggerSource,
-        recoverable,
-      });
-      continue;
+      return skippedOutcome(target, 'skipped_missing_source', { error_type: ERROR_TYPES.PATH_NOT_FOUND });
     }
 
-    const invalidPathReason = await validateCleanupTargetPath(target.path, validationState);
+    const invalidPathReason = alreadyStored
+      ? null
+      : await validateCleanupTargetPath(target.path, validationState);
     if (invalidPathReason) {
-      summary.skippedCount += 1;
-      updateCleanupBreakdown(breakdownTracker, target, 'skipped', 'skipped_invalid_path');
-      await appendJsonLine(indexPath, {
-        action: 'cleanup',
-        time: Date.now(),
-        scope,
-        batchId,
-        sourcePath: target.path,
-        recyclePath: null,
-        accountId: target.accountId,
-        accountShortId: target.accountShortId,
-        userName: target.userName,
-        corpName: target.corpName,
-        categoryKey: target.categoryKey,
-        categoryLabel: target.categoryLabel,
-        monthKey: target.monthKey,
-        sizeBytes: target.sizeBytes,
-        targetKey: target.targetKey || null,
-        tier: target.tier || null,
-        status: 'skipped_invalid_path',
+      return skippedOutcome(target, 'skipped_invalid_path', {
         error_type: ERROR_TYPES.PATH_VALIDATION_FAILED,
         invalid_reason: invalidPathReason,
         allowed_roots: validationState.allowedRootsRaw,
-        dryRun: Boolean(dryRun),
-        deleteMode: normalizedDeleteMode,
-        recycleScope: recoverable ? recycleScope : null,
-        triggerSource,
-        recoverable,
       });
-      continue;
     }
 
     if (dryRun) {
-      summary.successCount += 1;
-      summary.reclaimedBytes += target.sizeBytes;
-      updateCleanupBreakdown(breakdownTracker, target, 'dryRun', 'dry_run');
-      await appendJsonLine(indexPath, {
-        action: 'cleanup',
-        time: Date.now(),
-        scope,
-        batchId,
-        sourcePath: target.path,
-        recyclePath: null,
-        accountId: target.accountId,
-        accountShortId: target.accountShortId,
-        userName: target.userName,
-        corpName: target.corpName,
-        categoryKey: target.categoryKey,
-        categoryLabel: target.categoryLabel,
-        monthKey: target.monthKey,
-        sizeBytes: target.sizeBytes,
-        targetKey: target.targetKey || null,
-        tier: target.tier || null,
-        status: 'dry_run',
-        dryRun: true,
-        deleteMode: normalizedDeleteMode,
-        recycleScope: recoverable ? recycleScope : null,
-        triggerSource,
-        recoverable,
-      });
-      continue;
+      return { kind: 'dry_run', row: indexRow(target, { status: 'dry_run', dryRun: true }) };
     }
 
     const destName = `${String(i + 1).padStart(4, '0')}_${escapePathForName(target.path)}`;
-    const recyclePath = batchRoot ? path.join(batchRoot, destName) : null;
+    const recyclePath = batchArchive
+      ? batchArchive.archivePath
+      : pendingIntent?.op === 'move'
+        ? pendingIntent.destPath
+        : batchRoot
+          ? path.join(await resolveTargetBatchRoot(target.path), destName)
+          : null;
+    const offloadPath =
+      normalizedDeleteMode === DELETE_MODES.OFFLOAD ? resolveOffloadPath(offloadRoot, target.path) : null;
+    let archived = null;
+    let offloaded = null;
+    let moved = null;
+    let crossDevice = false;
 
     try {
-      if (normalizedDeleteMode === DELETE_MODES.DIRECT) {
+      if (journal && !alreadyStored) {
+        await journal.intent(
+          i,
+          await resolveJournalIntent(target, {
+            deleteMode: normalizedDeleteMode,
+            destName,
+            recyclePath,
+            offloadPath,
+            batchArchive,
+          })
+        );
+      }
+      if (alreadyStored) {
+        archived = settled.archived || null;
+        offloaded = settled.offloaded || null;
+        moved = offloaded || normalizedDeleteMode === DELETE_MODES.DIRECT ? null : settled.moved || null;
+      } else if (normalizedDeleteMode === DELETE_MODES.DIRECT) {
+        await removePath(target.path);
+      } else if (offloadPath) {
+        crossDevice = await isCrossDeviceMove(target.path, offloadPath);
+        const offload = () => offloadTarget(target.path, offloadRoot);
+        offloaded = crossDevice ? await runCrossDevice(offload) : await offload();
+      } else if (batchArchive) {
+        archived = await appendBatchArchiveEntry(batchArchive, {
+          entryName: destName,
+          sourcePath: target.path,
+        });
         await removePath(target.path);
       } else {
-        await movePath(target.path, recyclePath);
+        // 跨卷移动需要整目录复制，单独限流，避免与同卷改名争抢磁盘带宽
+        crossDevice = await isCrossDeviceMove(target.path, recyclePath);
+        const move = () =>
+          verifiedMovePath(target.path, recyclePath, {
+            hash: verifyHash,
+            onProgress:
+              typeof onMoveProgress === 'function' ? (progress) => onMoveProgress(target, progress) : null,
+          });
+        moved = crossDevice ? await runCrossDevice(move) : await move();
       }
+      return {
+        kind: 'success',
+        archived,
+        crossDevice,
+        row: indexRow(target, {
+          recyclePath,
+          ...archiveIndexFields(archived),
+          ...offloadIndexFields(summary.offloadRoot, offloadPath, offloaded),
+          ...(moved ? { moveMethod: moved.method } : {}),
+          status: 'success',
+          dryRun: false,
+        }),
+      };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      return {
+        kind: 'failed',
+        error: { path: target.path, message },
+        row: indexRow(target, {
+          recyclePath,
+          ...archiveIndexFields(archived),
+          ...offloadIndexFields(summary.offloadRoot, offloadPath, offloaded),
+          status: 'failed',
+          error_type: classifyErrorType(message),
+          dryRun: false,
+          error: message,
+        }),
+      };
+    }
+  };
+
+  const commitOutcome = async (target, i, outcome) => {
+    if (outcome.kind === 'skipped') {
+      summary.skippedCount += 1;
+      summary.skippedTargets.push(outcome.skipped);
+      updateCleanupBreakdown(breakdownTracker, target, 'skipped', outcome.status);
+    } else if (outcome.kind === 'dry_run') {
       summary.successCount += 1;
       summary.reclaimedBytes += target.sizeBytes;
+      updateCleanupBreakdown(breakdownTracker, target, 'dryRun', 'dry_run');
+    } else if (outcome.kind === 'success') {
+      summary.successCount += 1;
+      summary.reclaimedBytes += target.sizeBytes;
+      if (outcome.archived) {
+        summary.archivePath = batchArchive.archivePath;
+        summary.archivedBytes += outcome.archived.length;
+      }
+      if (outcome.crossDevice) {
+        summary.crossDeviceCount += 1;
+      }
       updateCleanupBreakdown(breakdownTracker, target, 'success', 'success');
+    } else {
+      summary.failedCount += 1;
+      summary.errors.push(outcome.error);
+      updateCleanupBreakdown(breakdownTracker, target, 'failed', 'failed');
+    }
+    await appendJsonLine(indexPath, outcome.row);
+    if (outcome.kind === 'success') {
+      atomicEntries?.push(outcome.row);
+    }
+    if (outcome.kind !== 'dry_run') {
+      await journal?.done(i, outcome.kind === 'skipped' ? outcome.status : outcome.kind);
+    }
+    if (outcome.kind === 'failed' && atomicEntries && !summary.atomicRollback) {
+      summary.atomicRollback = { trigger: outcome.error };
+    }
+  };
 
-      const now = Date.now();
-      await appendJsonLine(indexPath, {
-        action: 'cleanup',
-        time: now,
-        scope,
+  const outcomes = new Array(total);
+  let nextCommitIndex = 0;
+  let commitChain = Promise.resolve();
+  const flushCommits = async () => {
+    while (nextCommitIndex < total && outcomes[nextCommitIndex] !== undefined) {
+      const i = nextCommitIndex;
+      nextCommitIndex += 1;
+      if (outcomes[i]) {
+        await commitOutcome(targets[i], i, outcomes[i]);
+      }
+    }
+  };
+  let startedCount = 0;
+
+  await mapLimit(targets, workerCount, async (target, i) => {
+    // 原子模式下出现失败或收到取消后不再开始新的目标，已在处理中的目标照常提交
+    if (summary.atomicRollback || signal?.aborted) {
+      outcomes[i] = null;
+    } else {
+      startedCount += 1;
+      if (typeof onProgress === 'function') {
+        onProgress(i + 1, total);
+      }
+      outcomes[i] = resumeJournal?.done.has(i) ? null : await processTarget(target, i);
+    }
+    commitChain = commitChain.then(flushCommits);
+    await commitChain;
+  });
+  const cancelled = Boolean(signal?.aborted) && startedCount < total;
+  if (cancelled && atomicEntries && !summary.atomicRollback) {
+    // 原子模式保证整批要么全部完成要么全部放回，取消时同样整批回滚
+    summary.atomicRollback = { trigger: { path: null, message: cancelReasonMessage(signal) } };
+  }
+  if (summary.atomicRollback) {
+    summary.atomicRollback.abortedCount = total - startedCount;
+  }
+
+  if (batchArchive) {
+    await finalizeBatchArchive(batchArchive);
+  }
+  if (summary.atomicRollback) {
+    Object.assign(
+      summary.atomicRollback,
+      await rollbackAtomicEntries({
+        entries: atomicEntries,
         batchId,
-        sourcePath: target.path,
-        recyclePath,
-        accountId: target.accountId,
-        accountShortId: target.accountShortId,
-        userName: target.userName,
-        corpName: target.corpName,
-        categoryKey: target.categoryKey,
-        categoryLabel: target.categoryLabel,
-        monthKey: target.monthKey,
-        sizeBytes: target.sizeBytes,
-        targetKey: target.targetKey || null,
-        tier: target.tier || null,
-        status: 'success',
-        dryRun: false,
+        scope,
         deleteMode: normalizedDeleteMode,
-        recycleScope: recoverable ? recycleScope : null,
-        triggerSource,
-        recoverable,
-      });
-    } catch (error) {
-      summary.failedCount += 1;
-      const message = error instanceof Error ? error.message : String(error);
-      summary.errors.push({
-        path: target.path,
-        message,
-      });
-      updateCleanupBreakdown(breakdownTracker, target, 'failed', 'failed');
-      await appendJsonLine(indexPath, {
-        action: 'cleanup',
-        time: Date.now(),
+        indexPath,
+        allowedRoots: validationState.allowedRootsRaw,
+        recycleRoots: [...batchRootsByRecycleRoot.keys()],
+        verifyHash,
+      })
+    );
+    summary.reclaimedBytes = Math.max(0, summary.reclaimedBytes - summary.atomicRollback.restoredBytes);
+    await Promise.all([...batchRootsByRecycleRoot.values()].map((root) => fs.rmdir(root).catch(() => {})));
+  }
+  if (cancelled) {
+    summary.status = 'cancelled';
+    summary.cancelledRemainingCount = total - startedCount;
+    await appendJsonLine(
+      indexPath,
+      buildCancelledIndexRow({
+        operation: 'cleanup',
         scope,
         batchId,
-        sourcePath: target.path,
-        recyclePath,
-        accountId: target.accountId,
-        accountShortId: target.accountShortId,
-        userName: target.userName,
-        corpName: target.corpName,
-        categoryKey: target.categoryKey,
-        categoryLabel: target.categoryLabel,
-        monthKey: target.monthKey,
-        sizeBytes: target.sizeBytes,
-        targetKey: target.targetKey || null,
-        tier: target.tier || null,
-        status: 'failed',
-        error_type: classifyErrorType(message),
-        dryRun: false,
-        error: message,
-        deleteMode: normalizedDeleteMode,
-        recycleScope: recoverable ? recycleScope : null,
-        triggerSource,
-        recoverable,
+        processedCount: startedCount,
+        remainingCount: summary.cancelledRemainingCount,
+        dryRun,
+      })
+    );
+  }
+  // 非原子模式取消时保留批次日志，之后可用 recover resume 续做剩余目标
+  if (!cancelled || summary.atomicRollback) {
+    await journal?.finish();
+  }
+  summary.breakdown = finalizeCleanupBreakdown(breakdownTracker);
+  summary.elapsedMs = Date.now() - startedAt;
+  summary.bytesPerSecond = dryRun ? null : computeBytesPerSecond(summary.reclaimedBytes, summary.elapsedMs);
+  return summary;
+}
+
+export async function resumeCleanupBatch({
+  journal,
+  indexPath,
+  allowedRoots = [],
+  shouldSkip,
+  onProgress,
+  verifyHash = false,
+  onMoveProgress,
+  resolveRecycleRoot,
+  signal,
+}) {
+  const { header } = journal;
+  return executeCleanup({
+    targets: journal.targets,
+    recycleRoot: header.recycleRoot,
+    indexPath,
+    dryRun: false,
+    allowedRoots,
+    scope: header.scope || 'cleanup_monthly',
+    shouldSkip,
+    onProgress,
+    deleteMode: header.deleteMode,
+    recycleScope: header.recycleScope || 'manual',
+    triggerSource: header.triggerSource || 'cli',
+    offloadRoot: header.offloadRoot || null,
+    verifyHash,
+    onMoveProgress,
+    resolveRecycleRoot,
+    journalRoot: path.dirname(journal.journalPath),
+    resumeJournal: journal,
+    signal,
+  });
+}
+
+function journalTargetEntry(header, target) {
+  return {
+    batchId: header.batchId,
+    scope: header.scope || 'cleanup_monthly',
+    sourcePath: target.path,
+    accountId: target.accountId,
+    accountShortId: target.accountShortId,
+    userName: target.userName,
+    corpName: target.corpName,
+    categoryKey: target.categoryKey,
+    categoryLabel: target.categoryLabel,
+    monthKey: target.monthKey,
+    sizeBytes: target.sizeBytes,
+    targetKey: target.targetKey || null,
+    tier: target.tier || null,
+    containerPath: target.containerPath || null,
+    deleteMode: header.deleteMode,
+  };
+}
+
+export async function rollbackCleanupBatch({
+  journal,
+  indexPath,
+  dryRun = false,
+  restoreOptions = {},
+  offloadAllowedRoots = [],
+  onProgress,
+}) {
+  const { header } = journal;
+  const batchId = header.batchId;
+  const deleteMode = header.deleteMode;
+  const batchArchive =
+    deleteMode === DELETE_MODES.ARCHIVE && !dryRun
+      ? await loadBatchArchive(path.join(header.recycleRoot, batchId), batchId)
+      : null;
+  const summary = {
+    batchId,
+    dryRun: Boolean(dryRun),
+    deleteMode,
+    status: dryRun ? 'dry_run' : 'rolled_back',
+    restoredCount: 0,
+    skippedCount: 0,
+    failedCount: 0,
+    restoredBytes: 0,
+    unrecoverableCount: 0,
+    pendingCount: journal.pending.length,
+    errors: [],
+  };
+
+  // 中断时已完整落盘但尚未写索引的目标，按日志补出恢复条目一并放回
+  const pendingEntries = [];
+  const validationState = await buildCleanupValidationState(header.allowedRoots || []);
+  for (const intent of dryRun ? [] : journal.pending) {
+    const target = journal.targets[intent.index];
+    if (!target) {
+      continue;
+    }
+    const settled = await settleJournalIntent(intent, {
+      batchArchive,
+      targetPath: target.path,
+      validationState,
+    });
+    if (!settled.stored) {
+      continue;
+    }
+    if (intent.op === 'delete') {
+      summary.unrecoverableCount += 1;
+      continue;
+    }
+    const entry = journalTargetEntry(header, target);
+    if (intent.op === 'offload') {
+      pendingEntries.push({ ...entry, offloadRoot: header.offloadRoot, offloadPath: intent.destPath });
+    } else if (intent.op === 'archive') {
+      const archived = settled.archived;
+      if (archived) {
+        pendingEntries.push({
+          ...entry,
+          recyclePath: intent.destPath,
+          ...archiveIndexFields(archived),
+        });
+      }
+    } else {
+      pendingEntries.push({ ...entry, recyclePath: intent.destPath });
+    }
+  }
+
+  const indexedRows = (await readJsonLines(indexPath)).filter(
+    (row) =>
+      row?.action === 'cleanup' && row.batchId === batchId && row.status === 'success' && row.dryRun !== true
+  );
+  summary.unrecoverableCount += indexedRows.filter((row) => row.deleteMode === DELETE_MODES.DIRECT).length;
+
+  if (deleteMode === DELETE_MODES.OFFLOAD) {
+    const entries = [
+      ...(await listOffloadedEntries(indexPath)).filter((entry) => entry.batchId === batchId),
+      ...pendingEntries,
+    ];
+    const returned = await returnOffloadedEntries({
+      entries,
+      indexPath,
+      dryRun,
+      allowedRoots: offloadAllowedRoots,
+      onProgress,
+    });
+    summary.restoredCount = returned.successCount;
+    summary.skippedCount = returned.skippedCount;
+    summary.failedCount = returned.failedCount;
+    summary.restoredBytes = returned.returnedBytes;
+    summary.errors = returned.errors;
+  } else if (deleteMode !== DELETE_MODES.DIRECT) {
+    const batches = await listRestorableBatches(indexPath, { recycleRoots: restoreOptions.recycleRoots });
+    const entries = [
+      ...(batches.find((batch) => batch.batchId === batchId)?.entries || []),
+      ...pendingEntries,
+    ];
+    if (entries.length > 0) {
+      const restored = await restoreBatch({
+        ...restoreOptions,
+        batch: { batchId, entries },
+        indexPath,
+        dryRun,
+        onProgress,
       });
+      summary.restoredCount = restored.successCount;
+      summary.skippedCount = restored.skipCount;
+      summary.failedCount = restored.failCount;
+      summary.restoredBytes = restored.restoredBytes;
+      summary.errors = restored.errors;
     }
   }
 
-  summary.breakdown = finalizeCleanupBreakdown(breakdownTracker);
+  if (dryRun) {
+    return summary;
+  }
+  if (summary.failedCount > 0 || summary.skippedCount > 0) {
+    summary.status = 'partial_rolled_back';
+  }
+  await appendCleanupRollbackRow(indexPath, {
+    scope: header.scope,
+    batchId,
+    deleteMode,
+    summary,
+    reason: 'journal',
+  });
+  await fs.rm(journal.journalPath, { force: true });
   return summary;
 }
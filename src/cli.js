@@ -27,12 +27,28 @@ import {
   scanSpaceGovernanceTargets,
   detectExternalStorageRoots,
 } from './scanner.js';
-import { executeCleanup } from './cleanup.js';
+import {
+  executeCleanup,
+  findPathsOutsideAllowedRoots,
+  resumeCleanupBatch,
+  rollbackCleanupBatch,
+} from './cleanup.js';
+import { listUnfinishedJournals, loadBatchJournal, summarizeBatchJournal } from './batch-journal.js';
 import { listRestorableBatches, restoreBatch } from './restore.js';
+import { createVolumeRecycleResolver, listVolumeRecycleRoots } from './recycle-roots.js';
 import { printAnalysisSummary } from './analysis.js';
 import { runDoctor } from './doctor.js';
 import { acquireLock, breakLock, LockHeldError } from './lock.js';
-import { classifyErrorType, errorTypeToLabel } from './error-taxonomy.js';
+import { describeRunningApp, detectRunningApp, normalizeAppRunningPolicy } from './app-process.js';
+import {
+  classifyErrorType,
+  ERROR_TYPES,
+  errorTypeToLabel,
+  isTaskCancelled,
+  TaskCancelledError,
+} from './error-taxonomy.js';
+import { addPin, findMatchingPin, loadPins, PIN_SKIP_STATUS, removePin } from './pins.js';
+import { listOffloadedEntries, returnOffloadedEntries } from './offload.js';
 import {
   collectRecycleStats,
   deleteRecycleCandidates,
@@ -44,6 +60,7 @@ import {
   SERVICE_LOGIN_TRIGGER,
   SERVICE_LOW_SPACE_TRIGGER,
   SERVICE_MANUAL_TRIGGER,
+  SERVICE_RETAIN_OFF,
   SERVICE_SCHEDULE_TRIGGER,
   computeNextTriggerAt,
   defaultServiceConfig,
@@ -55,6 +72,7 @@ import {
   normalizeTriggerTimes,
   queryServiceStatus,
   readFilesystemUsage,
+  resolveServiceRetentionRule,
   saveServiceConfig,
   saveServiceState,
   uninstallServiceLaunchAgents,
@@ -75,9 +93,11 @@ import { inspectSkillBinding, installSkill, skillBindingStatusLabel } from './sk
 import {
   TASK_PROTOCOL_VERSION,
   attachTaskProtocolData,
+  buildRunTaskCard,
   buildTaskPhaseEntry,
   buildSkippedTaskPhase,
   buildUserFacingSummary,
+  describeCleanupFileFilter,
   withRunTaskResult,
 } from './task-protocol.js';
 import { loadLatestTask, saveLatestTask } from './task-state.js';
@@ -89,17 +109,55 @@ import {
   renderV2Usage,
 } from './controller-command.js';
 import {
+  PLAN_BUNDLE_KIND,
+  aggregatePlanBundleSummaries,
+  buildCleanupFrozenTargets,
   buildCleanupSelectionSignature,
   buildFrozenPlanLegacyArgv,
+  buildGovernanceFrozenTargets,
   buildGovernanceSelectionSignature,
+  buildPlanExportDocument,
+  buildPlanTargetFilter,
+  buildRunPhaseComparison,
+  buildVerifyDeltaReport,
+  classifyExecutedTargets,
+  collectPlanReferencedPaths,
+  diffFrozenPlanTargets,
+  editPlanTargetRules,
+  evaluatePlanDrift,
+  filterPlanRecords,
+  isPlanExpired,
+  normalizePlanTargetRules,
+  parsePlanBundleFailurePolicy,
+  parsePlanDriftPolicy,
+  rebuildImportedPlanArgv,
+  resolveRunBatchIds,
+  splitPlanTargets,
+  summarizePlanRecord,
+  summarizeRunRecord,
+  summarizeVerifyDelta,
+  verifyPlanExportDocument,
 } from './controller-plan.js';
+import {
+  controllerEventTime,
+  filterControllerEvents,
+  followControllerEvents,
+  parseControllerEventTime,
+  readControllerEventLog,
+} from './controller-events.js';
+import { normalizeStateGcPolicy, runControllerStateGc } from './controller-gc.js';
 import {
   appendControllerEvent,
   defaultControllerStatePaths,
+  discardPlanRecord,
+  isValidRecordId,
+  listPlanRecords,
+  listRunRecords,
   loadPlanRecord,
   loadRunRecord,
   savePlanRecord,
   saveRunRecord,
+  updatePlanRecord,
   updateRunRecord,
 } from './controller-state.js';
 import {
@@ -109,15 +167,22 @@ import {
   formatLocalDate,
   inferDataRootFromProfilesRoot,
   monthByDaysBefore,
+  monthKeyFromTime,
   normalizeMonthKey,
   padToWidth,
+  parseAgeCutoffTime,
+  parseRelativeAge,
   pathExists,
   printProgress,
   printSection,
+  readJson,
   renderTable,
   sleep,
+  sortMonthKeys,
   trimToWidth,
+  writeJson,
 } from './utils.js';
+import { selectCleanupTargetsForGoal } from './cleanup-goal.js';
 
 class PromptAbortError extends Error {
   constructor() {
@@ -140,6 +205,9 @@ class UsageError extends CliArgError {
   }
 }
 
+// 与 shell 对 SIGINT 终止进程的约定一致
+const CANCELLED_EXIT_CODE = 130;
+
 function isPromptAbort(error) {
   if (!error) {
     return false;
@@ -199,6 +267,7 @@ const INTERACTIVE_MODE_ALIASES = new Map([
 const OUTPUT_JSON = 'json';
 const OUTPUT_AGENT_JSON = 'agent-json';
 const OUTPUT_TEXT = 'text';
+const OUTPUT_NDJSON = 'ndjson';
 const RUN_TASK_PREVIEW = 'preview';
 const RUN_TASK_EXECUTE = 'execute';
 const RUN_TASK_PREVIEW_EXECUTE_VERIFY = 'preview-execute-verify';
@@ -870,6 +939,21 @@ function recycleThresholdBytes(config) {
   return Math.max(1, Number(policy.sizeThresholdGB || 20)) * 1024 * 1024 * 1024;
 }
 
+async function printUnfinishedJournalHint(config) {
+  const journals = await listUnfinishedJournals(config.journalsRoot);
+  if (journals.length === 0) {
+    return;
+  }
+  printGuideBlock('发现中断的清理批次', [
+    ...journals.slice(0, 5).map((journal) => ({
+      label: journal.batchId,
+      value: `${formatLocalDate(journal.startedAt)}｜已完成 ${journal.doneCount}/${journal.totalTargets} 项`,
+    })),
+    { label: '续做', value: 'wecom-cleaner recover resume <batch-id> --ack RESUME' },
+    { label: '回滚', value: 'wecom-cleaner recover rollback <batch-id> --ack ROLLBACK' },
+  ]);
+}
+
 async function printRecyclePressureHint(config) {
   const policy = normalizeRecycleRetention(config.recycleRetention);
   if (!policy.enabled) {
@@ -879,6 +963,7 @@ async function printRecyclePressureHint(config) {
   const stats = await collectRecycleStats({
     indexPath: config.indexPath,
     recycleRoot: config.recycleRoot,
+    extraRecycleRoots: await listVolumeRecycleRoots(config.recycleRootsPath, config.recycleRoot),
   });
   const threshold = recycleThresholdBytes(config);
   if (stats.totalBytes <= threshold) {
@@ -2021,6 +2106,10 @@ function isDestructiveAction(action) {
   return DESTRUCTIVE_ACTIONS.has(action);
 }
 
+function isCancelledResult(result) {
+  return result?.summary?.status === 'cancelled';
+}
+
 function shouldAttachScanDebug(cliArgs) {
   return normalizeScanDebugLevel(cliArgs?.scanDebug) !== SCAN_DEBUG_OFF;
 }
@@ -2128,7 +2217,11 @@ function printCliUsage(appMeta) {
     '  --output json|text|agent-json',
     '  --dry-run true|false',
     '  --yes',
-    '  --delete-mode direct|recycle|service_recycle',
+    '  --delete-mode direct|recycle|service_recycle|archive|offload',
+    '  --offload-root <path>',
+    '  --atomic',
+    '  --concurrency N',
+    '  --when-app-running refuse|warn|defer',
     '  --direct-delete-ack DIRECT_DELETE',
     '  --recycle-scope manual|service|all',
     '  --run-task preview|execute|preview-execute-verify',
@@ -2144,6 +2237,7 @@ function printCliUsage(appMeta) {
     '  --skill-sync-method npm|github-script',
     '  --skill-sync-ref x.y.z',
     '  --service-retain-days <days>',
+    '  --service-retain images=90,videos=14,voices=off',
     '  --service-delete-mode service_recycle|direct',
     '  --service-direct-delete-ack SERVICE_DIRECT_DELETE',
     '  --service-recycle-retention-days <days>',
@@ -2216,6 +2310,12 @@ function normalizeDeleteMode(rawValue, fallback = DELETE_MODES.RECYCLE) {
   if (value === DELETE_MODES.RECYCLE) {
     return DELETE_MODES.RECYCLE;
   }
+  if (value === DELETE_MODES.ARCHIVE) {
+    return DELETE_MODES.ARCHIVE;
+  }
+  if (value === DELETE_MODES.OFFLOAD) {
+    return DELETE_MODES.OFFLOAD;
+  }
   return fallback;
 }
 
@@ -2227,17 +2327,65 @@ function deleteModeLabel(deleteMode) {
   if (normalized === DELETE_MODES.SERVICE_RECYCLE) {
     return '移动到服务回收站';
   }
+  if (normalized === DELETE_MODES.ARCHIVE) {
+    return '压缩归档到回收区（可恢复）';
+  }
+  if (normalized === DELETE_MODES.OFFLOAD) {
+    return '外移到其他磁盘（可取回）';
+  }
   return '移动到回收区（可恢复）';
 }
 
 function deleteModeRecoverable(deleteMode) {
-  return normalizeDeleteMode(deleteMode, DELETE_MODES.RECYCLE) !== DELETE_MODES.DIRECT;
+  const normalized = normalizeDeleteMode(deleteMode, DELETE_MODES.RECYCLE);
+  return normalized !== DELETE_MODES.DIRECT && normalized !== DELETE_MODES.OFFLOAD;
+}
+
+function deleteModeRecoveryNote(deleteMode) {
+  const normalized = normalizeDeleteMode(deleteMode, DELETE_MODES.RECYCLE);
+  if (normalized === DELETE_MODES.OFFLOAD) {
+    return '可通过 recover offload-return 取回';
+  }
+  return deleteModeRecoverable(normalized) ? '可按批次恢复' : '直接删除后不可恢复';
+}
+
+function pathsOverlap(a, b) {
+  const rel = path.relative(path.resolve(a), path.resolve(b));
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+function resolveOffloadRootForMode(config, deleteMode, allowedRoots = []) {
+  if (normalizeDeleteMode(deleteMode, DELETE_MODES.RECYCLE) !== DELETE_MODES.OFFLOAD) {
+    return null;
+  }
+  if (!config.offloadRoot) {
+    throw new UsageError('删除方式 offload 需要通过 --offload-root 指定外移根目录。');
+  }
+  const offloadRoot = path.resolve(config.offloadRoot);
+  // 外移根目录与清理范围互相包含时，外移结果会被再次扫描或覆盖源目录
+  const overlapped = allowedRoots
+    .filter(Boolean)
+    .find((rootPath) => pathsOverlap(rootPath, offloadRoot) || pathsOverlap(offloadRoot, rootPath));
+  if (overlapped) {
+    throw new UsageError(`外移根目录不能与清理范围重叠：${offloadRoot}（清理范围 ${overlapped}）`);
+  }
+  return offloadRoot;
 }
 
 function resolveNonInteractiveDeleteMode(cliArgs, fallback = DELETE_MODES.RECYCLE) {
   return normalizeDeleteMode(cliArgs.deleteMode, fallback);
 }
 
+function assertAtomicDeleteMode(cliArgs, deleteMode) {
+  if (cliArgs.atomic !== true) {
+    return;
+  }
+  const normalized = normalizeDeleteMode(deleteMode, DELETE_MODES.RECYCLE);
+  if (normalized !== DELETE_MODES.RECYCLE && normalized !== DELETE_MODES.SERVICE_RECYCLE) {
+    throw new UsageError(`参数 --atomic 仅适用于回收区删除方式，当前为 ${normalized}。`);
+  }
+}
+
 function assertDirectDeleteAck(deleteMode, ackValue, expectedValue = 'DIRECT_DELETE') {
   if (normalizeDeleteMode(deleteMode, DELETE_MODES.RECYCLE) !== DELETE_MODES.DIRECT) {
     return;
@@ -2247,6 +2395,84 @@ function assertDirectDeleteAck(deleteMode, ackValue, expectedValue = 'DIRECT_DEL
   }
 }
 
+// 企业微信运行时删除 Caches、cefcache 等目录可能导致图片损坏或闪退，真实执行前按策略拦截
+function checkRunningAppGate(policy, warnings) {
+  const detection = detectRunningApp();
+  if (detection.error) {
+    warnings.push(`无法确认企业微信是否在运行：${detection.error}`);
+    return null;
+  }
+  if (!detection.running) {
+    return null;
+  }
+  const message = describeRunningApp(detection);
+  if (policy === 'warn') {
+    warnings.push(`${message}，已按 --when-app-running warn 继续执行，企业微信可能出现图片异常或闪退。`);
+    return null;
+  }
+  return { policy, message, processIds: detection.processes.map((item) => item.pid) };
+}
+
+function buildRunningAppResult(action, gate, { warnings = [], summary = {}, deferNote = '' } = {}) {
+  const refused = gate.policy === 'refuse';
+  return {
+    ok: !refused,
+    action,
+    dryRun: false,
+    summary: {
+      ...summary,
+      status: 'skipped_app_running',
+      appRunningPolicy: gate.policy,
+      appProcessIds: gate.processIds,
+    },
+    warnings: refused ? warnings : uniqueStrings([...warnings, `${gate.message}，已推迟执行，${deferNote}`]),
+    errors: refused
+      ? [
+          {
+            code: 'E_APP_RUNNING',
+            message: `${gate.message}，已拒绝执行。请先退出企业微信，或改用 --when-app-running warn|defer。`,
+            path: null,
+          },
+        ]
+      : [],
+    data: {},
+  };
+}
+
+async function confirmRunningAppInteractive(context) {
+  const detection = detectRunningApp();
+  if (detection.error) {
+    printGuideBlock('运行检测', [{ label: '提示', value: `无法确认企业微信是否在运行：${detection.error}` }]);
+    return true;
+  }
+  if (!detection.running) {
+    return true;
+  }
+  const message = describeRunningApp(detection);
+  const policy = normalizeAppRunningPolicy(context.whenAppRunning, 'warn');
+  if (policy !== 'warn') {
+    console.log(`${message}，已按 --when-app-running ${policy} 取消本次执行，请退出企业微信后重试。`);
+    return false;
+  }
+  const proceed = await askConfirm({
+    message: `${message}，继续清理可能导致图片异常或闪退，是否仍然继续？`,
+    default: false,
+  });
+  if (!proceed) {
+    console.log('已取消执行，请退出企业微信后重试。');
+  }
+  return proceed;
+}
+
+function printCrossDeviceMoveProgress(targetPath, progress) {
+  // 跨卷移动需要复制大目录，按文件数刷新同一行进度，完成后换行回到外层进度
+  printProgress(
+    `跨卷复制 ${trimToWidth(path.basename(String(targetPath || '')), 24)} ${formatBytes(progress.copiedBytes)}/${formatBytes(progress.totalBytes)}`,
+    progress.copiedFiles,
+    progress.totalFiles
+  );
+}
+
 function normalizeRecycleScope(rawValue) {
   const value = String(rawValue || 'manual')
     .trim()
@@ -2295,6 +2521,26 @@ function resolveCategoryKeys(rawValues, mode, config) {
   return normalized;
 }
 
+function resolveOlderThanCutoffMonth(olderThan, now = Date.now()) {
+  const age = parseRelativeAge(olderThan);
+  if (!age) {
+    return null;
+  }
+  const nowDate = new Date(now);
+  if (age.unit === 'm') {
+    return monthKeyFromTime(
+      new Date(nowDate.getFullYear(), nowDate.getMonth() - age.amount - 1, 1).getTime()
+    );
+  }
+  // 只纳入整月都早于边界的月份：边界所在月份的月末若尚未过期，则截止到上一个月
+  const boundary = new Date(now - age.amount * 24 * 3600 * 1000);
+  const boundaryMonth = monthKeyFromTime(boundary.getTime());
+  if (serviceMonthExpiredByDays(boundaryMonth, age.amount, now)) {
+    return boundaryMonth;
+  }
+  return monthKeyFromTime(new Date(boundary.getFullYear(), boundary.getMonth() - 1, 1).getTime());
+}
+
 function resolveMonthFilters(cliArgs, availableMonths) {
   const normalizedMonths = uniqueStrings(availableMonths);
   if (normalizedMonths.length === 0) {
@@ -2322,6 +2568,16 @@ function resolveMonthFilters(cliArgs, availableMonths) {
     return normalizedMonths.filter((month) => compareMonthKey(month, cutoff) <= 0);
   }
 
+  if (cliArgs.olderThan) {
+    const cutoff = resolveOlderThanCutoffMonth(cliArgs.olderThan);
+    return normalizedMonths.filter((month) => compareMonthKey(month, cutoff) <= 0);
+  }
+
+  // 保留最近 N 个月需按账号与类别分别计算、文件级筛选按文件时间判断，这里先放开全部月份，扫描后再筛选
+  if (cliArgs.reclaimGoal || cliArgs.keepLatestMonths || cliArgs.fileOlderThan) {
+    return normalizedMonths;
+  }
+
   const autoCutoff = monthByDaysBefore(730);
   return normalizedMonths.filter((month) => compareMonthKey(month, autoCutoff) <= 0);
 }
@@ -2473,13 +2729,85 @@ function resolveGovernanceTierFilters(rawValue = []) {
   return new Set(values);
 }
 
+function buildPinnedShouldSkip(pins, fallback = null) {
+  return (target) => {
+    const pin = findMatchingPin(pins, target);
+    if (pin) {
+      return { status: PIN_SKIP_STATUS, errorType: ERROR_TYPES.PINNED, pinId: pin.pinId };
+    }
+    return typeof fallback === 'function' ? fallback(target) : null;
+  };
+}
+
+function countPinnedSkips(result) {
+  return (result?.skippedTargets || []).filter((item) => item.reason === PIN_SKIP_STATUS).length;
+}
+
+function formatCleanupThroughputRow(payload) {
+  const summary = payload.summary || {};
+  if (payload.dryRun || !summary.elapsedMs) {
+    return null;
+  }
+  const crossDeviceNote =
+    summary.crossDeviceCount > 0 ? `，其中跨卷移动 ${formatCount(summary.crossDeviceCount)} 项` : '';
+  return {
+    label: '执行吞吐',
+    value: summary.bytesPerSecond ? `${formatBytesSafe(summary.bytesPerSecond)}/s` : '-',
+    note: `耗时 ${formatDuration(summary.elapsedMs)}，并发 ${formatCount(summary.concurrency)}${crossDeviceNote}`,
+  };
+}
+
+function formatCancelledRow(payload) {
+  const summary = payload.summary || {};
+  if (summary.status !== 'cancelled') {
+    return null;
+  }
+  let note = '';
+  if (summary.atomicRollback) {
+    note = '已按 --atomic 放回本批次已处理目标';
+  } else if (!payload.dryRun && payload.action !== MODES.RESTORE) {
+    note = '批次日志已保留，可通过 recover resume 续做';
+  }
+  return {
+    label: '已取消',
+    value: `剩余 ${formatCount(summary.cancelledRemainingCount)} 项未处理`,
+    note,
+  };
+}
+
+function summarizeAtomicRollback(rollback) {
+  return {
+    status: rollback.status,
+    triggerPath: rollback.trigger?.path || null,
+    triggerMessage: rollback.trigger?.message || null,
+    abortedCount: Number(rollback.abortedCount || 0),
+    restoredCount: Number(rollback.restoredCount || 0),
+    skippedCount: Number(rollback.skippedCount || 0),
+    failedCount: Number(rollback.failedCount || 0),
+    restoredBytes: Number(rollback.restoredBytes || 0),
+  };
+}
+
 function responseSummaryFromCleanupResult(result, extra = {}) {
   return {
     batchId: result.batchId,
     successCount: result.successCount,
     skippedCount: result.skippedCount,
+    pinnedSkippedCount: countPinnedSkips(result),
     failedCount: result.failedCount,
     reclaimedBytes: result.reclaimedBytes,
+    ...(result.deleteMode === DELETE_MODES.ARCHIVE
+      ? { archivePath: result.archivePath || null, archivedBytes: Number(result.archivedBytes || 0) }
+      : {}),
+    ...(result.deleteMode === DELETE_MODES.OFFLOAD ? { offloadRoot: result.offloadRoot || null } : {}),
+    ...(result.atomicRollback ? { atomicRollback: summarizeAtomicRollback(result.atomicRollback) } : {}),
+    ...(result.status === 'cancelled'
+      ? { status: 'cancelled', cancelledRemainingCount: Number(result.cancelledRemainingCount || 0) }
+      : {}),
+    concurrency: Number(result.concurrency || 1),
+    crossDeviceCount: Number(result.crossDeviceCount || 0),
+    elapsedMs: Number(result.elapsedMs || 0),
+    bytesPerSecond: result.bytesPerSecond ?? null,
     ...extra,
   };
 }
@@ -2547,9 +2875,39 @@ function buildActionScopeNotes(action, result) {
     if (summary.cutoffMonth) {
       notes.push(`时间筛选使用“截至 ${summary.cutoffMonth}（含）”。`);
     }
+    if (summary.olderThan) {
+      notes.push(`按“早于 ${summary.olderThan}”换算为绝对月份，只纳入整月都早于该时间的月份。`);
+    }
+    if (summary.keepLatestMonths) {
+      notes.push(`按账号与类别分别保留最近 ${summary.keepLatestMonths} 个月，其余月份纳入清理。`);
+    }
+    if (summary.fileAgeCutoffAt) {
+      notes.push(
+        `文件级筛选：仅处理${fileAgeBasisLabel(summary.fileAgeBasis)}早于 ${formatLocalDate(summary.fileAgeCutoffAt)} 的文件，目录本身保留。`
+      );
+    }
+    const fileFilterText = describeCleanupFileFilter(summary);
+    if (fileFilterText) {
+      notes.push(`按文件筛选：${fileFilterText}，目录本身保留。`);
+    }
+    if (summary.reclaimGoalBytes) {
+      notes.push(
+        summary.reclaimGoalReachable
+          ? '按释放目标最旧优先选择目标，仅纳入达成目标所需的部分。'
+          : '候选目标总量不足以达成释放目标，已纳入全部候选目标。'
+      );
+    }
     if (summary.deleteMode === DELETE_MODES.DIRECT) {
       notes.push('本次为直接删除模式，不会进入回收区，也无法按批次恢复。');
     }
+    if (summary.deleteMode === DELETE_MODES.ARCHIVE) {
+      notes.push('本次为压缩归档模式：目标压缩写入回收批次的 archive.tar.gz 后删除源目录，可按批次恢复。');
+    }
+    if (summary.deleteMode === DELETE_MODES.OFFLOAD) {
+      notes.push(
+        '本次为外移模式：目标校验后移动到外移根目录的镜像路径，可通过 recover offload-return 取回。'
+      );
+    }
     if (summary.noTarget) {
       notes.push('当前筛选命中为 0，已按安全策略跳过真实删除。');
     }
@@ -2567,11 +2925,20 @@ function buildActionScopeNotes(action, result) {
   if (action === MODES.SPACE_GOVERNANCE && summary.deleteMode === DELETE_MODES.DIRECT) {
     notes.push('本次治理为直接删除模式，不会进入回收区。');
   }
+  if (action === MODES.SPACE_GOVERNANCE && summary.deleteMode === DELETE_MODES.ARCHIVE) {
+    notes.push('本次治理为压缩归档模式，目标压缩后保存在回收区，可按批次恢复。');
+  }
+  if (action === MODES.SPACE_GOVERNANCE && summary.deleteMode === DELETE_MODES.OFFLOAD) {
+    notes.push('本次治理为外移模式，目标移动到外移根目录，可通过 recover offload-return 取回。');
+  }
 
   if (action === MODES.RESTORE) {
     if (result?.dryRun) {
       notes.push('本次为恢复预演，不会写回任何原路径。');
     }
+    if (Number(summary.batchCount || 0) > 1) {
+      notes.push(`本次合并恢复 ${formatCount(summary.batchCount)} 个批次，结果汇总为一张任务卡。`);
+    }
   }
 
   if (action === MODES.SYNC_SKILLS) {
@@ -2744,8 +3111,11 @@ function serviceMonthExpiredByDays(monthKey, retainDays, now = Date.now()) {
 }
 
 function filterServiceExpiredTargets(targets, serviceConfig, now = Date.now()) {
-  const retainDays = Math.max(1, Number(serviceConfig.retainDays || 30));
   return (Array.isArray(targets) ? targets : []).filter((target) => {
+    const { retainDays } = resolveServiceRetentionRule(serviceConfig, target.categoryKey);
+    if (retainDays === null) {
+      return false;
+    }
     if (target.monthKey) {
       return serviceMonthExpiredByDays(target.monthKey, retainDays, now);
     }
@@ -2757,6 +3127,70 @@ function filterServiceExpiredTargets(targets, serviceConfig, now = Date.now()) {
   });
 }
 
+function resolveServiceCategoryKeys(serviceConfig, config) {
+  return Array.isArray(serviceConfig.categories) && serviceConfig.categories.length > 0
+    ? resolveCategoryKeys(serviceConfig.categories, MODES.CLEANUP_MONTHLY, config)
+    : categoryDefaultSelection(config);
+}
+
+function buildServiceCategoryRules(serviceConfig, categoryKeys) {
+  return categoryKeys.map((categoryKey) => ({
+    categoryKey,
+    categoryLabel: categoryLabelFromKey(categoryKey),
+    ...resolveServiceRetentionRule(serviceConfig, categoryKey),
+  }));
+}
+
+// 同一保留天数的类别合并为一条规则，off 规则排在最后
+function groupServiceExpiryByRule(categoryRules, expiredTargets) {
+  const groups = new Map();
+  const ruleByCategory = new Map();
+  for (const rule of categoryRules) {
+    const ruleKey = rule.retainDays === null ? SERVICE_RETAIN_OFF : `${rule.retainDays}d`;
+    if (!groups.has(ruleKey)) {
+      groups.set(ruleKey, {
+        ruleKey,
+        retainDays: rule.retainDays,
+        categoryKeys: [],
+        categoryLabels: [],
+        targetCount: 0,
+        sizeBytes: 0,
+      });
+    }
+    const group = groups.get(ruleKey);
+    group.categoryKeys.push(rule.categoryKey);
+    group.categoryLabels.push(rule.categoryLabel);
+    ruleByCategory.set(rule.categoryKey, group);
+  }
+  for (const target of expiredTargets) {
+    const group = ruleByCategory.get(target.categoryKey);
+    if (group) {
+      group.targetCount += 1;
+      group.sizeBytes += Number(target.sizeBytes || 0);
+    }
+  }
+  return [...groups.values()].sort(
+    (a, b) => (a.retainDays ?? Number.POSITIVE_INFINITY) - (b.retainDays ?? Number.POSITIVE_INFINITY)
+  );
+}
+
+function serviceRetentionRuleText(retainDays) {
+  return retainDays === null ? '不自动清理' : `${formatCount(retainDays)} 天`;
+}
+
+function formatServiceCategoryRetention(categoryRetention) {
+  const entries = Object.entries(categoryRetention || {});
+  if (entries.length === 0) {
+    return '未设置（全部按保留天数）';
+  }
+  return entries
+    .map(
+      ([categoryKey, days]) =>
+        `${categoryLabelFromKey(categoryKey)} ${serviceRetentionRuleText(days === SERVICE_RETAIN_OFF ? null : days)}`
+    )
+    .join('、');
+}
+
 function serviceRecyclePolicy(serviceConfig) {
   return normalizeRecycleRetention({
     enabled: true,
@@ -2777,6 +3211,15 @@ function serviceDeleteModeLabel(deleteMode) {
 }
 
 function resolveServiceConfigFromCli(context, cliArgs, existingConfig = defaultServiceConfig()) {
+  const knownCategoryKeys = new Set(CACHE_CATEGORIES.map((item) => item.key));
+  const unknownRetentionKeys = Object.keys(cliArgs.serviceCategoryRetention || {}).filter(
+    (key) => !knownCategoryKeys.has(key)
+  );
+  if (unknownRetentionKeys.length > 0) {
+    throw new UsageError(
+      `参数 --service-retain 包含未知类别: ${unknownRetentionKeys.join(', ')}（可选：${[...knownCategoryKeys].join(', ')}）`
+    );
+  }
   const nextConfig = normalizeServiceConfig({
     ...existingConfig,
     enabled: true,
@@ -2798,6 +3241,8 @@ function resolveServiceConfigFromCli(context, cliArgs, existingConfig = defaultS
         : existingConfig.externalRootsSource,
     retainDays:
       typeof cliArgs.serviceRetainDays === 'number' ? cliArgs.serviceRetainDays : existingConfig.retainDays,
+    // 传入 --service-retain 时整表替换，避免残留旧的类别规则
+    categoryRetention: cliArgs.serviceCategoryRetention || existingConfig.categoryRetention,
     deleteMode:
       typeof cliArgs.serviceDeleteMode === 'string' ? cliArgs.serviceDeleteMode : existingConfig.deleteMode,
     directDeleteApproved:
@@ -2857,13 +3302,15 @@ function resolveServiceConfigFromCli(context, cliArgs, existingConfig = defaultS
 function mergeRecycleResults(scopeResults, dryRun) {
   const results = Array.isArray(scopeResults) ? scopeResults : [];
   const aggregate = {
-    status: results.every((item) => item.status === 'skipped_no_candidate')
-      ? 'skipped_no_candidate'
-      : results.some((item) => item.failBatches > 0)
-        ? 'partial_failed'
-        : dryRun
-          ? 'dry_run'
-          : 'success',
+    status: results.some((item) => item.status === 'cancelled')
+      ? 'cancelled'
+      : results.every((item) => item.status === 'skipped_no_candidate')
+        ? 'skipped_no_candidate'
+        : results.some((item) => item.failBatches > 0)
+          ? 'partial_failed'
+          : dryRun
+            ? 'dry_run'
+            : 'success',
     candidateCount: 0,
     selectedByAge: 0,
     selectedBySize: 0,
@@ -2901,6 +3348,25 @@ const ACTION_DISPLAY_NAMES = new Map([
   [MODES.SERVICE_UNINSTALL, '卸载自动服务'],
   [MODES.SERVICE_STATUS, '自动服务状态'],
   [MODES.SERVICE_RUN, '执行自动服务任务'],
+  ['plan_list', '计划列表'],
+  ['plan_show', '计划详情'],
+  ['plan_diff', '计划对比'],
+  ['plan_discard', '丢弃计划'],
+  ['plan_edit', '编辑计划'],
+  ['plan_export', '导出计划'],
+  ['plan_import', '导入计划'],
+  ['runs_list', '运行记录列表'],
+  ['runs_show', '运行记录详情'],
+  ['events_tail', '事件日志（最近）'],
+  ['events_query', '事件日志查询'],
+  ['bundle', '组合计划'],
+  ['state_gc', '状态目录清理'],
+  ['pins_list', '固定条目列表'],
+  ['pins_add', '添加固定条目'],
+  ['pins_remove', '移除固定条目'],
+  ['offload_return', '取回外移目录'],
+  ['batch_resume', '续做中断批次'],
+  ['batch_rollback', '回滚中断批次'],
 ]);
 
 const CONFLICT_STRATEGY_DISPLAY = new Map([
@@ -3105,6 +3571,72 @@ function printScopeNotes(payload) {
   );
 }
 
+function printReclaimGoalText(reclaimGoal) {
+  printTextRows('释放目标', [
+    { label: '目标', value: formatBytesSafe(reclaimGoal.goalBytes) },
+    {
+      label: '可达成',
+      value: reclaimGoal.reachable ? '是' : '否',
+      note: `候选目标合计 ${formatBytesSafe(reclaimGoal.availableBytes)}`,
+    },
+    {
+      label: '已选中',
+      value: `${formatCount(reclaimGoal.selectedCount)} / ${formatCount(reclaimGoal.candidateCount)} 项，${formatBytesSafe(reclaimGoal.selectedBytes)}`,
+    },
+    { label: '缺口', value: formatBytesSafe(reclaimGoal.shortfallBytes) },
+  ]);
+  printTopRows(
+    '截止月份（按账号/类别）',
+    reclaimGoal.cutoffs,
+    (row) =>
+      `${row.userName || row.accountShortId || row.accountId}｜${row.categoryLabel}｜截至 ${row.cutoffMonth}${row.partialMonth ? '（该月部分）' : ''}｜${formatCount(row.targetCount)} 项/${formatBytesSafe(row.bytes)}`,
+    20
+  );
+}
+
+function fileAgeBasisLabel(basis) {
+  return basis === 'atime' ? '最后访问时间' : '修改时间';
+}
+
+function printFileAgeText(fileAge) {
+  printTextRows('文件级筛选', [
+    {
+      label: '判断依据',
+      value: fileAgeBasisLabel(fileAge.basis),
+      note: `早于 ${formatLocalDate(fileAge.cutoffTime)}（${fileAge.olderThan}）`,
+    },
+    { label: '扫描文件', value: `${formatCount(fileAge.scannedFileCount)} 个` },
+    { label: '命中文件', value: `${formatCount(fileAge.matchedFileCount)} 个` },
+    {
+      label: '保留文件',
+      value: `${formatCount(fileAge.keptFileCount)} 个`,
+      note: `较新文件 ${formatBytesSafe(fileAge.keptBytes)} 不处理`,
+    },
+  ]);
+}
+
+function printFileFilterText(fileFilter) {
+  printTextRows('扩展名/大小筛选', [
+    { label: '扫描文件', value: `${formatCount(fileFilter.scannedFileCount)} 个` },
+    { label: '命中文件', value: `${formatCount(fileFilter.matchedFileCount)} 个` },
+    {
+      label: '排除文件',
+      value: `${formatCount(fileFilter.excludedByExtCount + fileFilter.excludedBySizeCount)} 个`,
+      note: `扩展名 ${formatCount(fileFilter.excludedByExtCount)} 个、大小 ${formatCount(fileFilter.excludedBySizeCount)} 个，合计 ${formatBytesSafe(fileFilter.excludedBytes)}`,
+    },
+  ]);
+}
+
+function printKeepLatestMonthsText(monthSelection) {
+  printTopRows(
+    `保留最近 ${monthSelection.keepLatestMonths} 个月（按账号/类别）`,
+    monthSelection.scopes,
+    (row) =>
+      `${row.userName || row.accountShortId || row.accountId}｜${row.categoryLabel}｜保留 ${row.keptMonths.join(',') || '-'}｜${row.cutoffMonth ? `清理至 ${row.cutoffMonth}（${formatCount(row.months.length)} 个月）` : '无可清理月份'}`,
+    20
+  );
+}
+
 function printCleanupTextResult(payload) {
   const summary = payload.summary || {};
   const data = payload.data || {};
@@ -3114,27 +3646,29 @@ function printCleanupTextResult(payload) {
   let conclusion = '任务完成。';
   if (summary.noTarget) {
     conclusion = '当前范围未发现可清理目录，已按安全策略结束（未执行真实删除）。';
+  } else if (isCancelledResult(payload)) {
+    conclusion = '清理已中断取消，已处理的目标保留结果，剩余目标未执行。';
   } else if (payload.dryRun) {
     conclusion = '已完成预演，本次未执行真实删除。';
   } else if (summary.failedCount > 0) {
     conclusion = '已执行真实清理，但存在失败项，建议查看错误明细。';
   } else if (summary.deleteMode === DELETE_MODES.DIRECT) {
     conclusion = '已执行真实清理，命中目录已直接删除且无法恢复。';
+  } else if (summary.deleteMode === DELETE_MODES.ARCHIVE) {
+    conclusion = '已执行真实清理，命中目录已压缩归档到回收区并删除源目录。';
+  } else if (summary.deleteMode === DELETE_MODES.OFFLOAD) {
+    conclusion = '已执行真实清理，命中目录已校验后外移到外移根目录。';
   } else {
     conclusion = '已执行真实清理，命中目录已移动到回收区。';
   }
 
   printTextRows('任务结论', [
     { label: '动作', value: actionDisplayName(payload.action) },
-    { label: '结果', value: payload.ok ? '成功' : '部分失败' },
+    { label: '结果', value: payload.ok ? '成功' : isCancelledResult(payload) ? '已取消' : '部分失败' },
     {
       label: '执行方式',
       value: payload.dryRun ? '预演（dry-run）' : deleteModeLabel(summary.deleteMode),
-      note: payload.dryRun
-        ? '不会删除数据，仅预估结果'
-        : deleteModeRecoverable(summary.deleteMode)
-          ? '可按批次恢复'
-          : '直接删除后不可恢复',
+      note: payload.dryRun ? '不会删除数据，仅预估结果' : deleteModeRecoveryNote(summary.deleteMode),
     },
     { label: '结论', value: conclusion },
   ]);
@@ -3158,6 +3692,18 @@ function printCleanupTextResult(payload) {
     },
   ]);
   printScopeNotes(payload);
+  if (data.monthSelection?.keepLatestMonths) {
+    printKeepLatestMonthsText(data.monthSelection);
+  }
+  if (data.fileAge) {
+    printFileAgeText(data.fileAge);
+  }
+  if (data.fileFilter) {
+    printFileFilterText(data.fileFilter);
+  }
+  if (data.reclaimGoal) {
+    printReclaimGoalText(data.reclaimGoal);
+  }
 
   printTextRows('结果统计', [
     { label: '命中目录', value: `${formatCount(summary.matchedTargets)} 项`, note: '本次范围内可处理目标数' },
@@ -3167,15 +3713,37 @@ function printCleanupTextResult(payload) {
       value: formatBytesSafe(summary.reclaimedBytes),
       note: payload.dryRun
         ? '若执行真实清理，理论可回收空间'
-        : deleteModeRecoverable(summary.deleteMode)
-          ? '已移动到回收区的体积'
-          : '已直接删除并释放的体积',
+        : summary.deleteMode === DELETE_MODES.ARCHIVE
+          ? '源目录已删除，回收区仅保留压缩归档'
+          : summary.deleteMode === DELETE_MODES.OFFLOAD
+            ? '已移动到外移根目录的体积'
+            : deleteModeRecoverable(summary.deleteMode)
+              ? '已移动到回收区的体积'
+              : '已直接删除并释放的体积',
     },
     { label: '成功', value: `${formatCount(summary.successCount)} 项` },
-    { label: '跳过', value: `${formatCount(summary.skippedCount)} 项` },
+    {
+      label: '跳过',
+      value: `${formatCount(summary.skippedCount)} 项`,
+      note:
+        summary.pinnedSkippedCount > 0 ? `其中固定保护 ${formatCount(summary.pinnedSkippedCount)} 项` : '',
+    },
     { label: '失败', value: `${formatCount(summary.failedCount)} 项` },
+    formatCancelledRow(payload),
     { label: '回收批次', value: summary.batchId || '-' },
+    formatCleanupThroughputRow(payload),
+    summary.archivePath
+      ? {
+          label: '归档文件',
+          value: summary.archivePath,
+          note: `压缩后 ${formatBytesSafe(summary.archivedBytes)}`,
+        }
+      : null,
+    summary.offloadRoot
+      ? { label: '外移根目录', value: summary.offloadRoot, note: '可通过 recover offload-return 按月份取回' }
+      : null,
   ]);
+  printAtomicRollbackText(summary.atomicRollback);
 
   printTopRows(
     '分类统计（按命中范围）',
@@ -3212,6 +3780,14 @@ function printCleanupTextResult(payload) {
       (row) => formatExecutedBreakdownLine(row, row.monthKey || '非月份目录'),
       10
     );
+    if (data.fileFilter || data.fileAge) {
+      printTopRows(
+        payload.dryRun ? '预演分布（按扩展名）' : '执行分布（按扩展名）',
+        executed.byExtension,
+        (row) => formatExecutedBreakdownLine(row, row.extension),
+        10
+      );
+    }
   }
 
   printRuntimeAndRisk(payload);
@@ -3283,19 +3859,25 @@ function printSpaceGovernanceTextResult(payload) {
   let conclusion = '治理扫描完成。';
   if (summary.matchedTargets === 0) {
     conclusion = '当前范围未发现可治理目录。';
+  } else if (isCancelledResult(payload)) {
+    conclusion = '治理已中断取消，已处理的目标保留结果，剩余目标未执行。';
   } else if (payload.dryRun) {
     conclusion = '已完成治理预演，尚未执行真实清理。';
   } else if (summary.failedCount > 0) {
     conclusion = '治理已执行，但存在失败项，请查看错误明细。';
   } else if (summary.deleteMode === DELETE_MODES.DIRECT) {
     conclusion = '治理已执行，目标目录已直接删除且不可恢复。';
+  } else if (summary.deleteMode === DELETE_MODES.ARCHIVE) {
+    conclusion = '治理已执行，目标目录已压缩归档到回收区。';
+  } else if (summary.deleteMode === DELETE_MODES.OFFLOAD) {
+    conclusion = '治理已执行，目标目录已校验后外移到外移根目录。';
   } else {
     conclusion = '治理已执行，目标目录已移动到回收区。';
   }
 
   printTextRows('任务结论', [
     { label: '动作', value: actionDisplayName(payload.action) },
-    { label: '结果', value: payload.ok ? '成功' : '部分失败' },
+    { label: '结果', value: payload.ok ? '成功' : isCancelledResult(payload) ? '已取消' : '部分失败' },
     {
       label: '执行方式',
       value: payload.dryRun ? '预演（dry-run）' : deleteModeLabel(summary.deleteMode),
@@ -3326,15 +3908,37 @@ function printSpaceGovernanceTextResult(payload) {
       value: formatBytesSafe(summary.reclaimedBytes),
       note: payload.dryRun
         ? '若执行真实治理，理论可回收空间'
-        : deleteModeRecoverable(summary.deleteMode)
-          ? '已移动到回收区的体积'
-          : '已直接删除并释放的体积',
+        : summary.deleteMode === DELETE_MODES.ARCHIVE
+          ? '源目录已删除，回收区仅保留压缩归档'
+          : summary.deleteMode === DELETE_MODES.OFFLOAD
+            ? '已移动到外移根目录的体积'
+            : deleteModeRecoverable(summary.deleteMode)
+              ? '已移动到回收区的体积'
+              : '已直接删除并释放的体积',
     },
     { label: '成功', value: `${formatCount(summary.successCount)} 项` },
-    { label: '跳过', value: `${formatCount(summary.skippedCount)} 项` },
+    {
+      label: '跳过',
+      value: `${formatCount(summary.skippedCount)} 项`,
+      note:
+        summary.pinnedSkippedCount > 0 ? `其中固定保护 ${formatCount(summary.pinnedSkippedCount)} 项` : '',
+    },
     { label: '失败', value: `${formatCount(summary.failedCount)} 项` },
+    formatCancelledRow(payload),
     { label: '回收批次', value: summary.batchId || '-' },
+    formatCleanupThroughputRow(payload),
+    summary.archivePath
+      ? {
+          label: '归档文件',
+          value: summary.archivePath,
+          note: `压缩后 ${formatBytesSafe(summary.archivedBytes)}`,
+        }
+      : null,
+    summary.offloadRoot
+      ? { label: '外移根目录', value: summary.offloadRoot, note: '可通过 recover offload-return 按月份取回' }
+      : null,
   ]);
+  printAtomicRollbackText(summary.atomicRollback);
 
   printTopRows(
     '分级统计（按命中范围）',
@@ -3379,7 +3983,9 @@ function printRestoreTextResult(payload) {
     CONFLICT_STRATEGY_DISPLAY.get(summary.conflictStrategy) || summary.conflictStrategy || '-';
 
   let conclusion = '恢复任务完成。';
-  if (payload.dryRun) {
+  if (isCancelledResult(payload)) {
+    conclusion = '恢复已中断取消，剩余条目仍在回收区，可再次按批次恢复。';
+  } else if (payload.dryRun) {
     conclusion = '已完成恢复预演，尚未写回原路径。';
   } else if (summary.failedCount > 0) {
     conclusion = '恢复已执行，但存在失败项，请按错误明细复核。';
@@ -3407,6 +4013,7 @@ function printRestoreTextResult(payload) {
     { label: '成功恢复', value: `${formatCount(summary.successCount)} 项` },
     { label: '跳过', value: `${formatCount(summary.skippedCount)} 项` },
     { label: '失败', value: `${formatCount(summary.failedCount)} 项` },
+    formatCancelledRow(payload),
     {
       label: payload.dryRun ? '预计恢复体积' : '实际恢复体积',
       value: formatBytesSafe(summary.restoredBytes),
@@ -3744,6 +4351,13 @@ function printServiceStatusTextResult(payload) {
     { label: '触发源', value: serviceTriggerLabel(summary.lastTriggerSource) },
     { label: '服务回收站可用空间', value: formatBytesSafe(summary.serviceRecycleAvailableBytes) },
   ]);
+  printTopRows(
+    '保留规则（按类别）',
+    payload.data?.categoryRules,
+    (rule) =>
+      `${rule.categoryLabel || rule.categoryKey}：${serviceRetentionRuleText(rule.retainDays)}${rule.source === 'default' ? '（默认）' : ''}`,
+    20
+  );
   printRuntimeAndRisk(payload);
 }
 
@@ -3757,6 +4371,7 @@ function printServiceInstallTextResult(payload) {
   printTextRows('服务配置', [
     { label: '删除方式', value: serviceDeleteModeLabel(summary.deleteMode) },
     { label: '保留天数', value: `${formatCount(summary.retainDays)} 天` },
+    { label: '类别规则', value: formatServiceCategoryRetention(summary.categoryRetention) },
     { label: '触发时间', value: serviceTriggerTimesText(summary.triggerTimes) },
     { label: '下一次定时', value: summary.nextRunAt ? formatLocalDate(summary.nextRunAt) : '-' },
   ]);
@@ -3789,9 +4404,13 @@ function printServiceRunTextResult(payload) {
       value:
         summary.status === 'skipped_cooldown'
           ? '本次处于冷却窗口，自动服务已跳过执行。'
-          : summary.matchedTargets > 0
-            ? '自动服务已按策略处理到期缓存。'
-            : '当前未发现超过保留天数的缓存目录。',
+          : summary.status === 'skipped_app_running'
+            ? payload.ok
+              ? '企业微信正在运行，自动服务已推迟到下一次触发。'
+              : '企业微信正在运行，已拒绝执行自动服务。'
+            : summary.matchedTargets > 0
+              ? '自动服务已按策略处理到期缓存。'
+              : '当前未发现超过保留天数的缓存目录。',
     },
   ]);
   printTextRows('处理范围', [
@@ -3799,6 +4418,9 @@ function printServiceRunTextResult(payload) {
     { label: '命中目录', value: `${formatCount(summary.matchedTargets)} 项` },
     { label: '命中体积', value: formatBytesSafe(summary.matchedBytes) },
     { label: '释放体积', value: formatBytesSafe(summary.reclaimedBytes) },
+    summary.pinnedSkippedCount > 0
+      ? { label: '固定保护跳过', value: `${formatCount(summary.pinnedSkippedCount)} 项` }
+      : null,
     {
       label: '服务回收站治理',
       value: `${formatCount(summary.serviceRecycleDeletedBatches)} 批 / ${formatBytesSafe(summary.serviceRecycleDeletedBytes)}`,
@@ -3809,12 +4431,25 @@ function printServiceRunTextResult(payload) {
         ? `${formatCount(summary.lowSpaceDeletedBatches)} 批 / ${formatBytesSafe(summary.lowSpaceDeletedBytes)}`
         : '未触发',
     },
+    {
+      label: '状态目录清理',
+      value: summary.stateGcEnabled
+        ? `${formatCount(summary.stateGcRemovedRecords)} 条记录 / ${formatBytesSafe(summary.stateGcReclaimedBytes)}`
+        : '未启用',
+    },
     {
       label: '下一次定时',
       value: summary.nextRunAt ? formatLocalDate(summary.nextRunAt) : '-',
     },
   ]);
   printScopeNotes(payload);
+  printTopRows(
+    '到期统计（按保留规则）',
+    payload.data?.report?.expiredByRule,
+    (row) =>
+      `${serviceRetentionRuleText(row.retainDays)}（${row.categoryLabels.join('、')}）：${formatCount(row.targetCount)} 项，${formatBytesSafe(row.sizeBytes)}`,
+    10
+  );
   printTopRows(
     '分类统计（按到期范围）',
     matched.categoryStats,
@@ -3840,50 +4475,603 @@ function printServiceRunTextResult(payload) {
   printRuntimeAndRisk(payload);
 }
 
-function printGenericTextResult(payload) {
+function formatPlanRowLine(row) {
+  const createdText = row?.createdAt ? formatLocalDate(row.createdAt) : '-';
+  const statusText = row?.applied
+    ? `已执行 ${formatCount(row.runCount)} 次`
+    : row?.expired
+      ? '已过期'
+      : '待执行';
+  return `${row?.planId || '-'}｜${actionDisplayName(row?.action)}｜${createdText}｜${statusText}｜命中 ${formatCount(row?.matchedTargets)} 项/${formatBytesSafe(row?.matchedBytes)}`;
+}
+
+function formatFrozenTargetLine(row) {
+  const label = row?.monthKey || row?.targetKey || row?.categoryKey || '-';
+  return `${trimToWidth(row?.path || '-', 72)}｜${label}｜${formatBytesSafe(row?.sizeBytes)}`;
+}
+
+function printPlanListTextResult(payload) {
+  const summary = payload.summary || {};
+  const filters = payload.data?.filters || {};
   printTextRows('任务结论', [
     { label: '动作', value: actionDisplayName(payload.action) },
-    { label: '结果', value: payload.ok ? '成功' : '失败' },
+    { label: '命中计划', value: `${formatCount(summary.matchedPlans)} / ${formatCount(summary.totalPlans)}` },
+    { label: '已执行', value: formatCount(summary.appliedPlans) },
+    { label: '待执行', value: formatCount(summary.pendingPlans) },
   ]);
-  const summaryRows = Object.entries(payload.summary || {}).map(([key, value]) => ({
-    label: key,
-    value: typeof value === 'object' ? JSON.stringify(value) : value,
-  }));
-  printTextRows('结果统计', summaryRows);
+  printTextRows('筛选条件', [
+    { label: '类型', value: filters.kind || '全部' },
+    { label: '状态', value: filters.status || 'all' },
+    { label: '最小天数', value: filters.minAgeDays ? `${formatCount(filters.minAgeDays)} 天` : '-' },
+    { label: '最大天数', value: filters.maxAgeDays ? `${formatCount(filters.maxAgeDays)} 天` : '-' },
+  ]);
+  printTopRows('计划列表', payload.data?.plans, formatPlanRowLine, 30);
   printRuntimeAndRisk(payload);
 }
 
-function printTaskPhasesText(payload) {
-  const phases = Array.isArray(payload?.data?.taskPhases) ? payload.data.taskPhases : [];
-  if (phases.length === 0) {
-    return;
+function printPlanFrozenScopeText(summary, plan) {
+  printTextRows('冻结范围', [
+    { label: '命中目标', value: `${formatCount(summary.matchedTargets)} 项` },
+    { label: '命中大小', value: formatBytesSafe(summary.matchedBytes) },
+    {
+      label: '冻结清单',
+      value:
+        summary.frozenTargetCount === null
+          ? '旧版本计划未记录'
+          : `${formatCount(summary.frozenTargetCount)} 项`,
+    },
+    { label: '已排除', value: `${formatCount(summary.excludedTargetCount)} 项` },
+    { label: '选择签名', value: summary.selectionSignature || '-' },
+    { label: '执行参数', value: (plan.baseLegacyArgv || []).join(' ') || '-' },
+  ]);
+  printTopRows('冻结目标', plan.previewTargets, formatFrozenTargetLine, 12);
+}
+
+function printPlanShowTextResult(payload) {
+  const summary = payload.summary || {};
+  const plan = payload.data?.plan || {};
+  printTextRows('任务结论', [
+    { label: '动作', value: actionDisplayName(payload.action) },
+    { label: '计划', value: summary.planId || '-' },
+    { label: '计划类型', value: actionDisplayName(summary.action) },
+    { label: '创建时间', value: summary.createdAt ? formatLocalDate(summary.createdAt) : '-' },
+    { label: '状态', value: summary.applied ? `已执行 ${formatCount(summary.runCount)} 次` : '待执行' },
+    {
+      label: '有效期至',
+      value: summary.expiresAt
+        ? `${formatLocalDate(summary.expiresAt)}${summary.expired ? '（已过期）' : ''}`
+        : '不过期',
+    },
+  ]);
+  if (Array.isArray(plan.steps)) {
+    printTextRows(
+      '组合步骤',
+      plan.steps.map((step) => ({
+        label: bundleStepPhaseName(step),
+        value: actionDisplayName(step.action),
+        note: `命中 ${formatCount(step.previewSummary?.matchedTargets)} 项｜${(step.baseLegacyArgv || []).join(' ') || '-'}`,
+      }))
+    );
+  } else {
+    printPlanFrozenScopeText(summary, plan);
   }
-  printTextRows(
-    '任务流程',
-    phases.map((phase) => {
-      const summaryText =
-        phase.status === 'completed'
-          ? `命中 ${formatCount(phase?.stats?.matchedTargets)} 项，成功 ${formatCount(phase?.stats?.successCount)} 项，失败 ${formatCount(phase?.stats?.failedCount)} 项，释放 ${formatBytesSafe(phase?.stats?.reclaimedBytes)}`
-          : `已跳过（${phase.reason || '无'}）`;
-      return {
-        label: phase.name,
-        value: `${phase.status}${phase.ok === false ? '（失败）' : ''}`,
-        note: summaryText,
-      };
-    })
+  printTopRows(
+    '执行记录',
+    payload.data?.runs,
+    (run) =>
+      `${run.runId}｜${run.createdAt ? formatLocalDate(run.createdAt) : '-'}｜批次 ${run.batchId || '-'}｜释放 ${formatBytesSafe(run.reclaimedBytes)}｜失败 ${formatCount(run.failedCount)} 项`,
+    10
   );
-  const taskCard = payload?.data?.taskCard;
-  if (taskCard && typeof taskCard === 'object') {
-    printTextRows('流程结论', [
-      { label: '模式', value: taskCard.mode || '-' },
-      { label: '决策', value: taskCard.decision || '-' },
-      { label: '结论', value: taskCard.conclusion || '-' },
-    ]);
-  }
+  printRuntimeAndRisk(payload);
+}
+
+function printPlanDiffTextResult(payload) {
+  const summary = payload.summary || {};
+  const diff = payload.data?.diff || {};
+  printTextRows('任务结论', [
+    { label: '动作', value: actionDisplayName(payload.action) },
+    { label: '基准计划', value: summary.basePlanId || '-' },
+    { label: '对比计划', value: summary.otherPlanId || '-' },
+    { label: '签名一致', value: formatYesNo(summary.signatureMatched) },
+    { label: '可逐项比较', value: formatYesNo(summary.comparable) },
+  ]);
+  printTextRows('差异统计', [
+    {
+      label: '新增目标',
+      value: `${formatCount(summary.addedCount)} 项/${formatBytesSafe(summary.addedBytes)}`,
+    },
+    {
+      label: '移除目标',
+      value: `${formatCount(summary.removedCount)} 项/${formatBytesSafe(summary.removedBytes)}`,
+    },
+    { label: '大小变化', value: `${formatCount(summary.changedCount)} 项` },
+    { label: '未变化', value: `${formatCount(summary.unchangedCount)} 项` },
+  ]);
+  printTopRows('新增目标', diff.added, formatFrozenTargetLine, 10);
+  printTopRows('移除目标', diff.removed, formatFrozenTargetLine, 10);
+  printTopRows(
+    '大小变化',
+    diff.changed,
+    (row) =>
+      `${trimToWidth(row.path || '-', 72)}｜${formatBytesSafe(row.beforeBytes)} -> ${formatBytesSafe(row.afterBytes)}`,
+    10
+  );
+  printRuntimeAndRisk(payload);
+}
+
+function printPlanDiscardTextResult(payload) {
+  const summary = payload.summary || {};
+  printTextRows('任务结论', [
+    { label: '动作', value: actionDisplayName(payload.action) },
+    { label: '计划', value: summary.planId || '-' },
+    { label: '结论', value: summary.discarded ? '计划已丢弃，不会再被 apply 使用。' : '计划未变更。' },
+  ]);
+  printRuntimeAndRisk(payload);
+}
+
+function printPlanBundleTextResult(payload) {
+  const summary = payload.summary || {};
+  printTextRows('任务结论', [
+    { label: '动作', value: actionDisplayName(payload.action) },
+    { label: '结论', value: payload.data?.taskCard?.conclusion || (payload.ok ? '成功' : '失败') },
+    { label: '计划', value: summary.planId || '-' },
+    { label: '运行记录', value: summary.runId || '-' },
+    { label: '失败策略', value: PLAN_BUNDLE_FAILURE_POLICY_TEXT[summary.onFailure] || '-' },
+    {
+      label: '步骤',
+      value: `共 ${formatCount(summary.stepCount)} 步`,
+      note: `完成 ${formatCount(summary.completedSteps ?? summary.verifiedSteps)}，失败 ${formatCount(summary.failedSteps)}，跳过 ${formatCount(summary.skippedSteps)}`,
+    },
+  ]);
+  printTextRows('结果统计', [
+    { label: '命中目标', value: `${formatCount(summary.matchedTargets)} 项` },
+    { label: '命中大小', value: formatBytesSafe(summary.matchedBytes) },
+    { label: '释放空间', value: formatBytesSafe(summary.reclaimedBytes) },
+    { label: '回收批次', value: (summary.batchIds || []).join('，') || '-' },
+  ]);
+  printRuntimeAndRisk(payload);
+}
+
+function printPlanEditTextResult(payload) {
+  const summary = payload.summary || {};
+  const rules = payload.data?.rules || {};
+  printTextRows('任务结论', [
+    { label: '动作', value: actionDisplayName(payload.action) },
+    { label: '计划', value: summary.planId || '-' },
+    {
+      label: '执行范围',
+      value: `${formatCount(summary.keptTargetCount)} / ${formatCount(summary.frozenTargetCount)} 项（${formatBytesSafe(summary.keptBytes)}）`,
+    },
+    { label: '已排除', value: `${formatCount(summary.excludedTargetCount)} 项` },
+    { label: '新选择签名', value: summary.selectionSignature || '-' },
+  ]);
+  printTextRows('规则', [
+    { label: '排除', value: (rules.exclude || []).join('，') || '-' },
+    { label: '保留', value: (rules.include || []).join('，') || '-' },
+  ]);
+  printTopRows('已排除目标', payload.data?.excludedTargets, formatFrozenTargetLine, 20);
+  printRuntimeAndRisk(payload);
+}
+
+function printPlanExportTextResult(payload) {
+  const summary = payload.summary || {};
+  printTextRows('任务结论', [
+    { label: '动作', value: actionDisplayName(payload.action) },
+    { label: '计划', value: summary.planId || '-' },
+    { label: '导出文件', value: summary.file || '-' },
+    { label: '冻结目标', value: `${formatCount(summary.targetCount)} 项` },
+    { label: '有效期至', value: summary.expiresAt ? formatLocalDate(summary.expiresAt) : '不过期' },
+    { label: '封印', value: summary.seal || '-' },
+  ]);
+  printRuntimeAndRisk(payload);
+}
+
+function printPlanImportTextResult(payload) {
+  const summary = payload.summary || {};
+  printTextRows('任务结论', [
+    { label: '动作', value: actionDisplayName(payload.action) },
+    { label: '计划', value: summary.planId || '-' },
+    { label: '计划类型', value: actionDisplayName(summary.action) },
+    { label: '冻结目标', value: `${formatCount(summary.targetCount)} 项` },
+    { label: '封印校验', value: '通过' },
+    { label: '路径校验', value: `${formatCount(summary.checkedPathCount)} 个路径均位于本机允许根目录内` },
+    {
+      label: '结论',
+      value: summary.alreadyImported ? '本机已存在相同计划，未重复写入。' : '已导入，可直接 apply。',
+    },
+  ]);
+  printRuntimeAndRisk(payload);
+}
+
+const RUN_BATCH_STATUS_LABELS = new Map([
+  ['recoverable', '可恢复'],
+  ['direct_deleted', '直接删除（不可恢复）'],
+  ['offloaded', '已外移（recover offload-return 取回）'],
+  ['unavailable', '已恢复或已清理'],
+]);
+
+const RUN_PHASE_METRIC_LABELS = new Map([
+  ['matchedTargets', '命中目标'],
+  ['matchedBytes', '命中大小'],
+  ['reclaimedBytes', '释放空间'],
+  ['successCount', '成功'],
+  ['skippedCount', '跳过'],
+  ['failedCount', '失败'],
+]);
+
+function formatRunBatchText(batches = []) {
+  if (!Array.isArray(batches) || batches.length === 0) {
+    return '无批次';
+  }
+  return batches
+    .map((batch) => `${batch.batchId}（${RUN_BATCH_STATUS_LABELS.get(batch.status) || batch.status}）`)
+    .join('，');
+}
+
+function formatRunPhaseMetric(metric, value) {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  return metric.endsWith('Bytes') ? formatBytesSafe(value) : formatCount(value);
+}
+
+function printRunsListTextResult(payload) {
+  const summary = payload.summary || {};
+  printTextRows('任务结论', [
+    { label: '动作', value: actionDisplayName(payload.action) },
+    { label: '命中记录', value: `${formatCount(summary.matchedRuns)} / ${formatCount(summary.totalRuns)}` },
+    { label: '已复核', value: formatCount(summary.verifiedRuns) },
+    { label: '累计释放', value: formatBytesSafe(summary.reclaimedBytes) },
+    { label: '可恢复批次', value: formatCount(summary.recoverableBatches) },
+  ]);
+  printTopRows(
+    '运行记录',
+    payload.data?.runs,
+    (row) =>
+      `${row.runId}｜${actionDisplayName(row.action)}｜${row.createdAt ? formatLocalDate(row.createdAt) : '-'}｜释放 ${formatBytesSafe(row.reclaimedBytes)}｜${formatRunBatchText(row.batches)}`,
+    30
+  );
+  printRuntimeAndRisk(payload);
+}
+
+function printRunsShowTextResult(payload) {
+  const summary = payload.summary || {};
+  const phaseRows = payload.data?.phases?.rows || [];
+  printTextRows('任务结论', [
+    { label: '动作', value: actionDisplayName(payload.action) },
+    { label: '运行记录', value: summary.runId || '-' },
+    { label: '计划', value: summary.planId || '-' },
+    { label: '计划类型', value: actionDisplayName(summary.action) },
+    { label: '执行时间', value: summary.createdAt ? formatLocalDate(summary.createdAt) : '-' },
+    { label: '复核时间', value: summary.verifiedAt ? formatLocalDate(summary.verifiedAt) : '未复核' },
+    { label: '删除方式', value: summary.deleteMode ? deleteModeLabel(summary.deleteMode) : '-' },
+  ]);
+  printTextRows(
+    '阶段对比（预检 ｜ 执行 ｜ 复核）',
+    phaseRows.map((row) => ({
+      label: RUN_PHASE_METRIC_LABELS.get(row.metric) || row.metric,
+      value: ['preflight', 'execute', 'verify']
+        .map((phase) => formatRunPhaseMetric(row.metric, row[phase]))
+        .join(' ｜ '),
+    }))
+  );
+  printTopRows(
+    '回收批次',
+    payload.data?.batches,
+    (batch) =>
+      `${batch.batchId}｜${RUN_BATCH_STATUS_LABELS.get(batch.status) || batch.status}｜${formatCount(batch.entryCount)} 项/${formatBytesSafe(batch.totalBytes)}`,
+    10,
+    '本次运行未产生回收批次'
+  );
+  printRuntimeAndRisk(payload);
+}
+
+const STATE_GC_REASON_TEXT = new Map([
+  ['max_age', '超过保留天数'],
+  ['max_count', '超过保留数量'],
+]);
+
+function formatPinScope(pin = {}) {
+  const parts = [
+    pin.accountId ? `账号 ${pin.accountId}` : '',
+    pin.categoryKey ? `类别 ${categoryLabelFromKey(pin.categoryKey)}` : '',
+    pin.monthKey ? `月份 ${pin.monthKey}` : '',
+    pin.path ? `路径 ${pin.path}` : '',
+  ].filter(Boolean);
+  return parts.join('｜') || '-';
+}
+
+function printOffloadReturnTextResult(payload) {
+  const summary = payload.summary || {};
+  const data = payload.data || {};
+  let conclusion = '已取回外移目录。';
+  if (summary.entryCount === 0) {
+    conclusion = '没有符合条件的外移目录。';
+  } else if (payload.dryRun) {
+    conclusion = '已完成取回预演，未移动任何目录；确认后追加 --ack OFFLOAD_RETURN 执行。';
+  } else if (summary.failedCount > 0) {
+    conclusion = '取回已执行，但存在失败项，外移副本保持原状，请查看错误明细。';
+  }
+  printTextRows('任务结论', [
+    { label: '动作', value: actionDisplayName(payload.action) },
+    { label: '结果', value: payload.ok ? '成功' : isCancelledResult(payload) ? '已取消' : '部分失败' },
+    { label: '结论', value: conclusion },
+  ]);
+  printTextRows('结果统计', [
+    { label: '外移记录', value: `${formatCount(summary.entryCount)} 项` },
+    { label: '涉及月份', value: (summary.months || []).join('、') || '-' },
+    {
+      label: payload.dryRun ? '预计取回' : '已取回',
+      value: formatBytesSafe(summary.returnedBytes),
+    },
+    { label: '成功', value: `${formatCount(summary.successCount)} 项` },
+    { label: '跳过', value: `${formatCount(summary.skippedCount)} 项`, note: '原路径已存在或外移副本缺失' },
+    { label: '失败', value: `${formatCount(summary.failedCount)} 项` },
+  ]);
+  printTopRows(
+    '外移目录',
+    data.entries,
+    (entry) =>
+      `${entry.monthKey || '非月份目录'}｜${entry.categoryLabel || entry.categoryKey || '-'}｜${formatBytesSafe(entry.sizeBytes)}｜${entry.offloadPath}`,
+    20
+  );
+  printRuntimeAndRisk(payload);
+}
+
+const ATOMIC_ROLLBACK_STATUS_TEXT = {
+  rolled_back: '已整批回滚',
+  partial_rolled_back: '部分回滚',
+};
+
+function printAtomicRollbackText(rollback) {
+  if (!rollback || typeof rollback !== 'object') {
+    return;
+  }
+  printTextRows('原子回滚', [
+    {
+      label: '状态',
+      value: ATOMIC_ROLLBACK_STATUS_TEXT[rollback.status] || rollback.status || '-',
+      note: '--atomic：任一目标失败即停止并放回本批次已移动目标',
+    },
+    { label: '失败目标', value: rollback.triggerPath || '-', note: rollback.triggerMessage || '' },
+    { label: '未处理', value: `${formatCount(rollback.abortedCount)} 项`, note: '失败后不再处理的后续目标' },
+    {
+      label: '已放回',
+      value: `${formatCount(rollback.restoredCount)} 项`,
+      note: formatBytesSafe(rollback.restoredBytes),
+    },
+    {
+      label: '未能放回',
+      value: `${formatCount(Number(rollback.skippedCount || 0) + Number(rollback.failedCount || 0))} 项`,
+      note: rollback.status === 'rolled_back' ? '' : '仍在回收区，可通过 recover restore 按批次恢复',
+    },
+  ]);
+}
+
+function printBatchJournalTextResult(payload) {
+  const summary = payload.summary || {};
+  const rollback = payload.action === 'batch_rollback';
+  const ack = rollback ? 'ROLLBACK' : 'RESUME';
+  let conclusion = rollback
+    ? '已回滚中断批次，已移动的目标放回原位置。'
+    : '已续做中断批次，剩余目标按原删除方式处理完毕。';
+  if (payload.dryRun) {
+    conclusion = `已读取中断日志，未移动任何目录；确认后追加 --ack ${ack} 执行。`;
+  } else if (summary.failedCount > 0) {
+    conclusion = rollback
+      ? '回滚已执行，但存在失败项，请查看错误明细后通过 recover restore 继续处理。'
+      : '续做已执行，但存在失败项，请查看错误明细。';
+  }
+  printTextRows('任务结论', [
+    { label: '动作', value: actionDisplayName(payload.action) },
+    { label: '批次', value: summary.batchId || '-' },
+    { label: '结果', value: payload.ok ? '成功' : isCancelledResult(payload) ? '已取消' : '部分失败' },
+    { label: '结论', value: conclusion },
+  ]);
+  printTextRows('中断日志', [
+    { label: '删除方式', value: deleteModeLabel(summary.deleteMode) },
+    { label: '开始时间', value: summary.startedAt ? formatLocalDate(summary.startedAt) : '-' },
+    { label: '目标总数', value: `${formatCount(summary.totalTargets)} 项` },
+    { label: '中断前完成', value: `${formatCount(summary.doneCount)} 项` },
+    { label: '中断时处理中', value: `${formatCount(summary.pendingCount)} 项` },
+  ]);
+  if (!payload.dryRun || rollback) {
+    printTextRows('结果统计', [
+      { label: rollback ? '放回' : '完成', value: `${formatCount(summary.successCount)} 项` },
+      { label: rollback ? '放回容量' : '释放容量', value: formatBytesSafe(summary.bytes) },
+      { label: '跳过', value: `${formatCount(summary.skippedCount)} 项` },
+      { label: '失败', value: `${formatCount(summary.failedCount)} 项` },
+      formatCancelledRow(payload),
+      ...(rollback
+        ? [
+            {
+              label: '无法回滚',
+              value: `${formatCount(summary.unrecoverableCount)} 项`,
+              note: '直接删除的目标',
+            },
+          ]
+        : []),
+    ]);
+  }
+  printTopRows('处理中目标', payload.data?.pendingPaths, (item) => item, 10);
+  printRuntimeAndRisk(payload);
+}
+
+function printPinsTextResult(payload) {
+  const summary = payload.summary || {};
+  const data = payload.data || {};
+  const conclusion =
+    payload.action === 'pins_add'
+      ? summary.created
+        ? `已添加固定条目 ${summary.pinId}，后续清理、空间治理与自动服务都会跳过匹配目标。`
+        : `相同范围的固定条目已存在：${summary.pinId}。`
+      : payload.action === 'pins_remove'
+        ? `已移除固定条目 ${summary.pinId}。`
+        : summary.pinCount > 0
+          ? '以下目标受固定保护，不会被任何删除入口处理。'
+          : '当前没有固定条目。';
+  printTextRows('任务结论', [
+    { label: '动作', value: actionDisplayName(payload.action) },
+    { label: '结论', value: conclusion },
+    { label: '固定条目', value: `${formatCount(summary.pinCount)} 条` },
+    { label: '存储位置', value: summary.pinsPath || '-' },
+  ]);
+  const rows = payload.action === 'pins_list' ? data.pins : data.pin ? [data.pin] : [];
+  printTopRows(
+    '固定条目',
+    rows,
+    (pin) =>
+      `${pin.pinId}｜${formatPinScope(pin)}｜${pin.createdAt ? formatLocalDate(pin.createdAt) : '-'}${pin.note ? `｜${pin.note}` : ''}`,
+    50
+  );
+  printRuntimeAndRisk(payload);
+}
+
+function printStateGcTextResult(payload) {
+  const summary = payload.summary || {};
+  const data = payload.data || {};
+  const removedCount = Number(summary.removedRuns || 0) + Number(summary.removedPlans || 0);
+  printTextRows('任务结论', [
+    { label: '动作', value: actionDisplayName(payload.action) },
+    { label: '执行方式', value: payload.dryRun ? '预演（dry-run）' : '真实清理' },
+    {
+      label: '结论',
+      value:
+        removedCount > 0 || summary.rotatedEvents || Number(summary.removedArchives || 0) > 0
+          ? payload.dryRun
+            ? '已完成预演，未实际删除状态文件；追加 --ack GC 执行。'
+            : '已按保留规则清理状态目录。'
+          : '当前没有需要清理的状态文件。',
+    },
+    { label: payload.dryRun ? '预计释放' : '已释放', value: formatBytesSafe(summary.reclaimedBytes) },
+  ]);
+  printTextRows('处理范围', [
+    { label: '运行记录', value: `${formatCount(summary.removedRuns)} 条` },
+    { label: '计划', value: `${formatCount(summary.removedPlans)} 个` },
+    { label: '被运行引用而保留', value: `${formatCount(summary.keptReferencedPlans)} 个` },
+    {
+      label: '事件日志',
+      value: summary.rotatedEvents
+        ? `${formatBytesSafe(summary.eventsBytes)} → 压缩归档 ${formatBytesSafe(data.eventsRotation?.compressedBytes)}`
+        : `${formatBytesSafe(summary.eventsBytes)}（未达轮转阈值）`,
+    },
+    { label: '过期事件归档', value: `${formatCount(summary.removedArchives)} 个` },
+    { label: '最近任务快照', value: summary.removedLatestTask ? '已过期，清理' : '保留' },
+  ]);
+  printTopRows(
+    '清理明细',
+    [
+      ...(data.removedRuns || []).map((row) => ({ ...row, id: row.runId, type: '运行记录' })),
+      ...(data.removedPlans || []).map((row) => ({ ...row, id: row.planId, type: '计划' })),
+    ],
+    (row) =>
+      `${row.type}｜${row.id}｜${row.createdAt ? formatLocalDate(row.createdAt) : '-'}｜${STATE_GC_REASON_TEXT.get(row.reason) || row.reason}｜${formatBytesSafe(row.bytes)}`,
+    20,
+    '无过期计划或运行记录'
+  );
+  printRuntimeAndRisk(payload);
+}
+
+function printGenericTextResult(payload) {
+  printTextRows('任务结论', [
+    { label: '动作', value: actionDisplayName(payload.action) },
+    { label: '结果', value: payload.ok ? '成功' : '失败' },
+  ]);
+  const summaryRows = Object.entries(payload.summary || {}).map(([key, value]) => ({
+    label: key,
+    value: typeof value === 'object' ? JSON.stringify(value) : value,
+  }));
+  printTextRows('结果统计', summaryRows);
+  printRuntimeAndRisk(payload);
+}
+
+function printTaskPhasesText(payload) {
+  const phases = Array.isArray(payload?.data?.taskPhases) ? payload.data.taskPhases : [];
+  if (phases.length === 0) {
+    return;
+  }
+  printTextRows(
+    '任务流程',
+    phases.map((phase) => {
+      const summaryText =
+        phase.status === 'completed'
+          ? `命中 ${formatCount(phase?.stats?.matchedTargets)} 项，成功 ${formatCount(phase?.stats?.successCount)} 项，失败 ${formatCount(phase?.stats?.failedCount)} 项，释放 ${formatBytesSafe(phase?.stats?.reclaimedBytes)}，耗时 ${formatDuration(phase.durationMs)}${phase?.stats?.bytesPerSecond ? `（${formatBytesSafe(phase.stats.bytesPerSecond)}/s）` : ''}`
+          : `已跳过（${phase.reason || '无'}）`;
+      return {
+        label: phase.name,
+        value: `${phase.status}${isCancelledResult(phase) ? '（已取消）' : phase.ok === false ? '（失败）' : ''}`,
+        note: summaryText,
+      };
+    })
+  );
+  const taskCard = payload?.data?.taskCard;
+  if (taskCard && typeof taskCard === 'object') {
+    printTextRows('流程结论', [
+      { label: '模式', value: taskCard.mode || '-' },
+      { label: '决策', value: taskCard.decision || '-' },
+      { label: '结论', value: taskCard.conclusion || '-' },
+    ]);
+  }
+  printVerifyDeltaText(payload.data?.verifyDelta);
+}
+
+const VERIFY_DELTA_GROUP_TEXT = {
+  gone: '按预期消失',
+  reappeared: '重新出现',
+  failed: '执行失败',
+  new: '新增目标',
+};
+
+function formatVerifyDeltaDimension(rows) {
+  const list = Array.isArray(rows) ? rows : [];
+  const text = list
+    .slice(0, 3)
+    .map((row) => `${row.key} ${formatCount(row.count)} 项/${formatBytesSafe(row.bytes)}`)
+    .join('、');
+  return list.length > 3 ? `${text} 等 ${list.length} 组` : text || '-';
+}
+
+function printVerifyDeltaText(delta) {
+  if (!delta || typeof delta !== 'object') {
+    return;
+  }
+  const groups = Object.keys(VERIFY_DELTA_GROUP_TEXT);
+  printTextRows(
+    '复核差异',
+    groups.map((name) => ({
+      label: VERIFY_DELTA_GROUP_TEXT[name],
+      value: `${formatCount(delta[name]?.count)} 项（${formatBytesSafe(delta[name]?.bytes)}）`,
+      note:
+        Number(delta[name]?.count || 0) > 0
+          ? `分类 ${formatVerifyDeltaDimension(delta[name].byCategory)}；月份 ${formatVerifyDeltaDimension(delta[name].byMonth)}`
+          : '',
+    }))
+  );
+  for (const name of groups.filter((item) => item !== 'gone')) {
+    if (Number(delta[name]?.count || 0) > 0) {
+      printTopRows(`${VERIFY_DELTA_GROUP_TEXT[name]}的目标`, delta[name].targets, formatFrozenTargetLine, 10);
+    }
+  }
 }
 
 function printNonInteractiveTextResult(payload) {
   printTaskPhasesText(payload);
+  if (payload.summary?.cancelledDuringScan) {
+    printTextRows('任务结论', [
+      { label: '动作', value: actionDisplayName(payload.action) },
+      { label: '结论', value: '扫描阶段已取消，未改动任何文件。' },
+    ]);
+    return;
+  }
+  if (payload.summary?.status === 'skipped_app_running' && payload.action !== MODES.SERVICE_RUN) {
+    printTextRows('任务结论', [
+      { label: '动作', value: actionDisplayName(payload.action) },
+      { label: '结果', value: payload.ok ? '已推迟' : '已拒绝' },
+      { label: '企业微信进程', value: (payload.summary.appProcessIds || []).join(', ') || '-' },
+      { label: '结论', value: '企业微信正在运行，本次未改动任何文件。' },
+    ]);
+    return;
+  }
   if (payload.action === MODES.CLEANUP_MONTHLY) {
     printCleanupTextResult(payload);
     return;
@@ -3936,27 +5124,187 @@ function printNonInteractiveTextResult(payload) {
     printServiceRunTextResult(payload);
     return;
   }
-  printGenericTextResult(payload);
-}
-
-function emitNonInteractivePayload(payload, outputMode) {
-  if (outputMode === OUTPUT_TEXT) {
-    printNonInteractiveTextResult(payload);
+  if (payload.action === 'plan_list') {
+    printPlanListTextResult(payload);
     return;
   }
-  console.log(JSON.stringify(payload, null, 2));
-}
-
-async function runCleanupModeNonInteractive(context, cliArgs, warnings = []) {
-  const { config, aliases, nativeCorePath } = context;
-  const accounts = await discoverAccounts(config.rootDir, aliases);
-  const accountResolved = resolveAccountSelection(accounts, cliArgs.accounts);
-  warnings.push(...accountResolved.warnings);
-
-  const detectedExternalStorage = await detectExternalStorageRoots({
-    configuredRoots: config.externalStorageRoots,
-    profilesRoot: config.rootDir,
-    autoDetect: config.externalStorageAutoDetect !== false,
+  if (payload.action === 'plan_show') {
+    printPlanShowTextResult(payload);
+    return;
+  }
+  if (payload.action === 'plan_diff') {
+    printPlanDiffTextResult(payload);
+    return;
+  }
+  if (payload.action === 'plan_discard') {
+    printPlanDiscardTextResult(payload);
+    return;
+  }
+  if (payload.action === 'plan_edit') {
+    printPlanEditTextResult(payload);
+    return;
+  }
+  if (payload.action === 'bundle') {
+    printPlanBundleTextResult(payload);
+    return;
+  }
+  if (payload.action === 'plan_export') {
+    printPlanExportTextResult(payload);
+    return;
+  }
+  if (payload.action === 'plan_import') {
+    printPlanImportTextResult(payload);
+    return;
+  }
+  if (payload.action === 'runs_list') {
+    printRunsListTextResult(payload);
+    return;
+  }
+  if (payload.action === 'state_gc') {
+    printStateGcTextResult(payload);
+    return;
+  }
+  if (payload.action === 'pins_list' || payload.action === 'pins_add' || payload.action === 'pins_remove') {
+    printPinsTextResult(payload);
+    return;
+  }
+  if (payload.action === 'batch_resume' || payload.action === 'batch_rollback') {
+    printBatchJournalTextResult(payload);
+    return;
+  }
+  if (payload.action === 'offload_return') {
+    printOffloadReturnTextResult(payload);
+    return;
+  }
+  if (payload.action === 'runs_show') {
+    printRunsShowTextResult(payload);
+    return;
+  }
+  printGenericTextResult(payload);
+}
+
+function emitNonInteractivePayload(payload, outputMode) {
+  if (outputMode === OUTPUT_TEXT) {
+    printNonInteractiveTextResult(payload);
+    return;
+  }
+  console.log(JSON.stringify(payload, null, 2));
+}
+
+function buildReclaimGoalReport(goalSelection) {
+  const { selected, ...report } = goalSelection;
+  return report;
+}
+
+function summarizeReclaimGoal(reclaimGoal) {
+  if (!reclaimGoal) {
+    return {};
+  }
+  return {
+    reclaimGoalBytes: reclaimGoal.goalBytes,
+    reclaimGoalReachable: reclaimGoal.reachable,
+    reclaimGoalAvailableBytes: reclaimGoal.availableBytes,
+    reclaimGoalShortfallBytes: reclaimGoal.shortfallBytes,
+  };
+}
+
+function selectKeepLatestMonthTargets(targets, keepLatestMonths) {
+  const scopes = new Map();
+  for (const target of targets) {
+    if (!target?.monthKey) {
+      continue;
+    }
+    const key = `${target.accountId}\u0000${target.categoryKey}`;
+    if (!scopes.has(key)) {
+      scopes.set(key, { target, months: new Set() });
+    }
+    scopes.get(key).months.add(target.monthKey);
+  }
+
+  const keptByScope = new Map();
+  const rows = [];
+  for (const [key, { target, months }] of scopes.entries()) {
+    const ordered = sortMonthKeys([...months], 'desc');
+    const kept = ordered.slice(0, keepLatestMonths);
+    const cleanupMonths = sortMonthKeys(ordered.slice(keepLatestMonths));
+    keptByScope.set(key, new Set(kept));
+    rows.push({
+      accountId: target.accountId || '',
+      accountShortId: target.accountShortId || '',
+      userName: target.userName || '',
+      categoryKey: target.categoryKey || '',
+      categoryLabel: target.categoryLabel || target.categoryKey || '',
+      keptMonths: sortMonthKeys(kept),
+      months: cleanupMonths,
+      cutoffMonth: cleanupMonths[cleanupMonths.length - 1] || null,
+    });
+  }
+
+  rows.sort(
+    (a, b) =>
+      String(a.accountId).localeCompare(String(b.accountId)) ||
+      String(a.categoryKey).localeCompare(String(b.categoryKey))
+  );
+  return {
+    // 非年月目录没有月份可比较，保持与 --cutoff-month 相同的处理方式
+    targets: targets.filter(
+      (target) =>
+        !target?.monthKey ||
+        !keptByScope.get(`${target.accountId}\u0000${target.categoryKey}`)?.has(target.monthKey)
+    ),
+    scopes: rows,
+  };
+}
+
+function resolveCleanupFileFilter(cliArgs) {
+  const filter = {
+    includeExt: cliArgs.includeExt || [],
+    excludeExt: cliArgs.excludeExt || [],
+    minSizeBytes: cliArgs.minFileSize ?? null,
+    maxSizeBytes: cliArgs.maxFileSize ?? null,
+  };
+  const active =
+    filter.includeExt.length > 0 ||
+    filter.excludeExt.length > 0 ||
+    filter.minSizeBytes !== null ||
+    filter.maxSizeBytes !== null;
+  return active ? filter : null;
+}
+
+function resolveCleanupFileAge(cliArgs) {
+  if (!cliArgs.fileOlderThan) {
+    return null;
+  }
+  return {
+    olderThan: cliArgs.fileOlderThan,
+    basis: cliArgs.fileAgeBasis || 'mtime',
+    cutoffTime: parseAgeCutoffTime(cliArgs.fileOlderThan),
+  };
+}
+
+function buildMonthSelectionReport(cliArgs, selectedMonths, keepLatestSelection) {
+  if (!cliArgs.olderThan && !cliArgs.keepLatestMonths) {
+    return null;
+  }
+  return {
+    olderThan: cliArgs.olderThan || null,
+    keepLatestMonths: cliArgs.keepLatestMonths || null,
+    cutoffMonth: cliArgs.olderThan ? resolveOlderThanCutoffMonth(cliArgs.olderThan) : null,
+    months: selectedMonths,
+    scopes: keepLatestSelection ? keepLatestSelection.scopes : [],
+  };
+}
+
+async function runCleanupModeNonInteractive(context, cliArgs, warnings = []) {
+  const { config, aliases, nativeCorePath } = context;
+  const accounts = await discoverAccounts(config.rootDir, aliases);
+  const accountResolved = resolveAccountSelection(accounts, cliArgs.accounts);
+  warnings.push(...accountResolved.warnings);
+
+  const detectedExternalStorage = await detectExternalStorageRoots({
+    configuredRoots: config.externalStorageRoots,
+    profilesRoot: config.rootDir,
+    autoDetect: config.externalStorageAutoDetect !== false,
     returnMeta: true,
   });
   const externalResolved = resolveExternalStorageForAction(detectedExternalStorage, cliArgs, {
@@ -3972,18 +5320,36 @@ async function runCleanupModeNonInteractive(context, cliArgs, warnings = []) {
     externalResolved.roots
   );
   const monthFilters = resolveMonthFilters(cliArgs, availableMonths);
-  const includeNonMonthDirs = Boolean(cliArgs.includeNonMonthDirs);
+  const fileAge = resolveCleanupFileAge(cliArgs);
+  const fileFilter = resolveCleanupFileFilter(cliArgs);
+  // 文件级筛选只处理足够旧的文件，非月份目录默认一并纳入（可显式传 false 关闭）
+  const includeNonMonthDirs =
+    typeof cliArgs.includeNonMonthDirs === 'boolean' ? cliArgs.includeNonMonthDirs : Boolean(fileAge);
   const dryRun = resolveDestructiveDryRun(cliArgs);
   const deleteMode = resolveNonInteractiveDeleteMode(cliArgs, DELETE_MODES.RECYCLE);
+  assertAtomicDeleteMode(cliArgs, deleteMode);
   if (!dryRun) {
     assertDirectDeleteAck(deleteMode, cliArgs.directDeleteAck);
   }
+  const offloadRoot = resolveOffloadRootForMode(config, deleteMode, [
+    config.rootDir,
+    ...externalResolved.roots,
+  ]);
   const cleanupScopeSummary = {
     accountCount: accountResolved.selectedAccountIds.length,
     monthCount: monthFilters.length,
     categoryCount: categoryKeys.length,
     externalRootCount: externalResolved.roots.length,
-    cutoffMonth: cliArgs.cutoffMonth || null,
+    cutoffMonth:
+      cliArgs.cutoffMonth || (cliArgs.olderThan ? resolveOlderThanCutoffMonth(cliArgs.olderThan) : null),
+    olderThan: cliArgs.olderThan || null,
+    keepLatestMonths: cliArgs.keepLatestMonths || null,
+    fileAgeBasis: fileAge ? fileAge.basis : null,
+    fileAgeCutoffAt: fileAge ? fileAge.cutoffTime : null,
+    includeExt: fileFilter ? fileFilter.includeExt : [],
+    excludeExt: fileFilter ? fileFilter.excludeExt : [],
+    minFileSizeBytes: fileFilter ? fileFilter.minSizeBytes : null,
+    maxFileSizeBytes: fileFilter ? fileFilter.maxSizeBytes : null,
     explicitMonthCount: Array.isArray(cliArgs.months) ? cliArgs.months.length : 0,
     deleteMode,
     recoverable: deleteModeRecoverable(deleteMode),
@@ -3997,17 +5363,45 @@ async function runCleanupModeNonInteractive(context, cliArgs, warnings = []) {
     includeNonMonthDirs,
     externalStorageRoots: externalResolved.roots,
     nativeCorePath,
+    fileAge,
+    fileFilter,
+    signal: context.signal,
   });
   context.lastRunEngineUsed = scan.engineUsed;
   if (scan.nativeFallbackReason) {
     warnings.push(scan.nativeFallbackReason);
   }
 
-  const targets = scan.targets || [];
+  const keepLatestSelection = cliArgs.keepLatestMonths
+    ? selectKeepLatestMonthTargets(scan.targets || [], cliArgs.keepLatestMonths)
+    : null;
+  const scopedTargets = applyScopedTargetFilter(
+    keepLatestSelection ? keepLatestSelection.targets : scan.targets || [],
+    context.targetFilter
+  );
+  const goalSelection = cliArgs.reclaimGoal
+    ? selectCleanupTargetsForGoal(scopedTargets, cliArgs.reclaimGoal)
+    : null;
+  const targets = goalSelection ? goalSelection.selected : scopedTargets;
+  const selectedMonths =
+    goalSelection || keepLatestSelection
+      ? sortMonthKeys(targets.map((item) => item.monthKey).filter(Boolean))
+      : monthFilters;
+  const reclaimGoal = goalSelection ? buildReclaimGoalReport(goalSelection) : null;
+  const monthSelection = buildMonthSelectionReport(cliArgs, selectedMonths, keepLatestSelection);
+  if (reclaimGoal && !reclaimGoal.reachable) {
+    warnings.push(
+      `候选目标合计 ${formatBytes(reclaimGoal.availableBytes)}，不足以达成释放目标 ${formatBytes(reclaimGoal.goalBytes)}，已选中全部 ${reclaimGoal.selectedCount} 项候选目标。`
+    );
+  }
+  Object.assign(cleanupScopeSummary, summarizeReclaimGoal(reclaimGoal), {
+    monthCount: selectedMonths.length,
+  });
   const matchedBytes = targets.reduce((total, item) => total + Number(item?.sizeBytes || 0), 0);
   const matchedReport = buildCleanupTargetReport(targets, { topPathLimit: 20 });
   const controllerData = {
     selectionSignature: buildCleanupSelectionSignature(targets),
+    targets: buildCleanupFrozenTargets(targets),
   };
   const scanDebugSummary = {
     action: MODES.CLEANUP_MONTHLY,
@@ -4060,10 +5454,14 @@ async function runCleanupModeNonInteractive(context, cliArgs, warnings = []) {
       errors: [],
       data: {
         selectedAccounts: accountResolved.selectedAccountIds,
-        selectedMonths: monthFilters,
+        selectedMonths,
         selectedCategories: categoryKeys,
         selectedExternalRoots: externalResolved.roots,
         deleteMode,
+        reclaimGoal,
+        monthSelection,
+        fileAge: scan.fileAge || null,
+        fileFilter: scan.fileFilter || null,
         engineUsed: scan.engineUsed || 'node',
         controller: controllerData,
         report: {
@@ -4078,15 +5476,27 @@ async function runCleanupModeNonInteractive(context, cliArgs, warnings = []) {
   const result = await executeCleanup({
     targets,
     recycleRoot: config.recycleRoot,
+    resolveRecycleRoot: createVolumeRecycleResolver({
+      recycleRoot: config.recycleRoot,
+      registryPath: config.recycleRootsPath,
+    }),
+    journalRoot: config.journalsRoot,
     indexPath: config.indexPath,
+    verifyHash: config.verifyMoveHash === true,
     dryRun,
     allowedRoots: [config.rootDir, ...externalResolved.roots],
+    shouldSkip: buildPinnedShouldSkip(await loadPins(config.pinsPath)),
     deleteMode,
+    offloadRoot,
+    atomic: cliArgs.atomic === true,
+    concurrency: cliArgs.concurrency || 1,
+    crossDeviceConcurrency: config.crossDeviceConcurrency,
     recycleScope: 'manual',
     triggerSource: 'cli',
+    signal: context.signal,
   });
   return {
-    ok: result.failedCount === 0,
+    ok: result.failedCount === 0 && result.status !== 'cancelled',
     action: MODES.CLEANUP_MONTHLY,
     dryRun,
     summary: responseSummaryFromCleanupResult(result, {
@@ -4104,13 +5514,17 @@ async function runCleanupModeNonInteractive(context, cliArgs, warnings = []) {
     errors: result.errors.map((item) => toStructuredError(item)),
     data: {
       selectedAccounts: accountResolved.selectedAccountIds,
-      selectedMonths: monthFilters,
+      selectedMonths,
       selectedCategories: categoryKeys,
       selectedExternalRoots: externalResolved.roots,
       includeNonMonthDirs,
       deleteMode,
+      reclaimGoal,
+      monthSelection,
+      fileAge: scan.fileAge || null,
+      fileFilter: scan.fileFilter || null,
       engineUsed: scan.engineUsed || 'node',
-      controller: controllerData,
+      controller: { ...controllerData, skippedTargets: result.skippedTargets || [] },
       report: {
         matched: matchedReport,
         executed: result.breakdown || null,
@@ -4228,6 +5642,7 @@ async function runSpaceGovernanceModeNonInteractive(context, cliArgs, warnings =
     externalStorageRoots: externalResolved.roots,
     nativeCorePath,
     autoSuggest: config.spaceGovernance?.autoSuggest,
+    signal: context.signal,
   });
   context.lastRunEngineUsed = scan.engineUsed;
   if (scan.nativeFallbackReason) {
@@ -4258,9 +5673,11 @@ async function runSpaceGovernanceModeNonInteractive(context, cliArgs, warnings =
   if (cliArgs.suggestedOnly === true) {
     selectedTargets = selectedTargets.filter((item) => item.suggested);
   }
+  selectedTargets = applyScopedTargetFilter(selectedTargets, context.targetFilter);
   const allowRecentActive = cliArgs.allowRecentActive === true;
   const dryRun = resolveDestructiveDryRun(cliArgs);
   const deleteMode = resolveNonInteractiveDeleteMode(cliArgs, DELETE_MODES.RECYCLE);
+  assertAtomicDeleteMode(cliArgs, deleteMode);
   if (!dryRun) {
     assertDirectDeleteAck(deleteMode, cliArgs.directDeleteAck);
   }
@@ -4268,6 +5685,7 @@ async function runSpaceGovernanceModeNonInteractive(context, cliArgs, warnings =
   const matchedReport = buildGovernanceTargetReport(selectedTargets, { topPathLimit: 20 });
   const controllerData = {
     selectionSignature: buildGovernanceSelectionSignature(selectedTargets),
+    targets: buildGovernanceFrozenTargets(selectedTargets),
   };
   const scanDebugSummary = {
     action: MODES.SPACE_GOVERNANCE,
@@ -4301,6 +5719,7 @@ async function runSpaceGovernanceModeNonInteractive(context, cliArgs, warnings =
   const governanceAllowedRoots = governanceRoot
     ? [governanceRoot, ...externalResolved.roots]
     : [config.rootDir, ...externalResolved.roots];
+  const offloadRoot = resolveOffloadRootForMode(config, deleteMode, governanceAllowedRoots);
 
   if (selectedTargets.length === 0) {
     return {
@@ -4380,11 +5799,17 @@ async function runSpaceGovernanceModeNonInteractive(context, cliArgs, warnings =
   const result = await executeCleanup({
     targets: selectedTargets,
     recycleRoot: config.recycleRoot,
+    resolveRecycleRoot: createVolumeRecycleResolver({
+      recycleRoot: config.recycleRoot,
+      registryPath: config.recycleRootsPath,
+    }),
+    journalRoot: config.journalsRoot,
     indexPath: config.indexPath,
+    verifyHash: config.verifyMoveHash === true,
     dryRun,
     allowedRoots: governanceAllowedRoots,
     scope: MODES.SPACE_GOVERNANCE,
-    shouldSkip: (target) => {
+    shouldSkip: buildPinnedShouldSkip(await loadPins(config.pinsPath), (target) => {
       if (!target.deletable) {
         return 'skipped_policy_protected';
       }
@@ -4392,14 +5817,19 @@ async function runSpaceGovernanceModeNonInteractive(context, cliArgs, warnings =
         return 'skipped_recently_active';
       }
       return null;
-    },
+    }),
     deleteMode,
+    offloadRoot,
+    atomic: cliArgs.atomic === true,
+    concurrency: cliArgs.concurrency || 1,
+    crossDeviceConcurrency: config.crossDeviceConcurrency,
     recycleScope: 'manual',
     triggerSource: 'cli',
+    signal: context.signal,
   });
 
   return {
-    ok: result.failedCount === 0,
+    ok: result.failedCount === 0 && result.status !== 'cancelled',
     action: MODES.SPACE_GOVERNANCE,
     dryRun,
     summary: responseSummaryFromCleanupResult(result, {
@@ -4420,7 +5850,7 @@ async function runSpaceGovernanceModeNonInteractive(context, cliArgs, warnings =
       selectedTargetIds: selectedTargets.map((item) => item.id),
       deleteMode,
       engineUsed: scan.engineUsed || 'node',
-      controller: controllerData,
+      controller: { ...controllerData, skippedTargets: result.skippedTargets || [] },
       report: {
         observed: observedReport,
         matched: matchedReport,
@@ -4431,6 +5861,17 @@ async function runSpaceGovernanceModeNonInteractive(context, cliArgs, warnings =
   };
 }
 
+function mergeRestoreBatches(batches) {
+  const list = Array.isArray(batches) ? batches : [];
+  return {
+    batchId: list.map((item) => item.batchId).join(','),
+    firstTime: Math.min(...list.map((item) => Number(item.firstTime || Date.now()))),
+    entries: list.flatMap((item) => item.entries || []),
+    totalBytes: list.reduce((sum, item) => sum + Number(item.totalBytes || 0), 0),
+    recycleScope: list[0]?.recycleScope || 'manual',
+  };
+}
+
 async function runRestoreModeNonInteractive(context, cliArgs, warnings = []) {
   const { config } = context;
   if (!cliArgs.restoreBatchId) {
@@ -4454,16 +5895,27 @@ async function runRestoreModeNonInteractive(context, cliArgs, warnings = []) {
     ? [...externalResolved.roots]
     : [config.rootDir, ...externalResolved.roots];
 
-  const recycleRoots = [config.recycleRoot, config.serviceRecycleRoot];
+  const recycleRoots = await resolveAllRecycleRoots(config);
   const batches = await listRestorableBatches(config.indexPath, { recycleRoots });
-  const batch = batches.find((item) => item.batchId === cliArgs.restoreBatchId);
-  if (!batch) {
-    throw new UsageError(`未找到可恢复批次: ${cliArgs.restoreBatchId}`);
+  const requestedBatchIds =
+    Array.isArray(cliArgs.restoreBatchIds) && cliArgs.restoreBatchIds.length > 0
+      ? cliArgs.restoreBatchIds
+      : [cliArgs.restoreBatchId];
+  const batchById = new Map(batches.map((item) => [item.batchId, item]));
+  const selectedBatches = requestedBatchIds.map((batchId) => batchById.get(batchId)).filter(Boolean);
+  if (selectedBatches.length === 0) {
+    throw new UsageError(`未找到可恢复批次: ${requestedBatchIds.join(',')}`);
+  }
+  const missingBatchIds = requestedBatchIds.filter((batchId) => !batchById.has(batchId));
+  if (missingBatchIds.length > 0) {
+    warnings.push(`以下批次已无可恢复条目，已跳过：${missingBatchIds.join(', ')}`);
   }
+  const batch = selectedBatches.length === 1 ? selectedBatches[0] : mergeRestoreBatches(selectedBatches);
 
   const result = await restoreBatch({
     batch,
     indexPath: config.indexPath,
+    verifyHash: config.verifyMoveHash === true,
     dryRun,
     profileRoot: config.rootDir,
     extraProfileRoots: externalResolved.roots,
@@ -4471,6 +5923,7 @@ async function runRestoreModeNonInteractive(context, cliArgs, warnings = []) {
     governanceRoot,
     extraGovernanceRoots: governanceAllowRoots,
     onConflict: async () => ({ action: conflictStrategy, applyToAll: true }),
+    signal: context.signal,
   });
   const matchedReport = buildRestoreBatchTargetReport(batch.entries, { topPathLimit: 20 });
   const scanDebugSummary = {
@@ -4494,11 +5947,17 @@ async function runRestoreModeNonInteractive(context, cliArgs, warnings = []) {
   };
 
   return {
-    ok: result.failCount === 0,
+    ok: result.failCount === 0 && result.status !== 'cancelled',
     action: MODES.RESTORE,
     dryRun,
     summary: {
+      ...(result.status === 'cancelled'
+        ? { status: 'cancelled', cancelledRemainingCount: result.cancelledRemainingCount }
+        : {}),
       batchId: result.batchId,
+      batchIds: selectedBatches.map((item) => item.batchId),
+      batchCount: selectedBatches.length,
+      missingBatchIds,
       successCount: result.successCount,
       skippedCount: result.skipCount,
       failedCount: result.failCount,
@@ -4532,8 +5991,13 @@ async function runRecycleMaintainModeNonInteractive(context, cliArgs, warnings =
   const selectedScopes =
     recycleScope === 'all' ? ['manual', 'service'] : recycleScope === 'service' ? ['service'] : ['manual'];
   const scopeResults = [];
+  let cancelledBeforeScope = false;
 
   for (const scopeKey of selectedScopes) {
+    if (context.signal?.aborted) {
+      cancelledBeforeScope = true;
+      break;
+    }
     const basePolicy =
       scopeKey === 'service'
         ? serviceRecyclePolicy(serviceConfig)
@@ -4556,8 +6020,10 @@ async function runRecycleMaintainModeNonInteractive(context, cliArgs, warnings =
     const result = await maintainRecycleBin({
       indexPath: config.indexPath,
       recycleRoot,
+      extraRecycleRoots: await listVolumeRecycleRoots(config.recycleRootsPath, recycleRoot),
       policy,
       dryRun,
+      signal: context.signal,
     });
     scopeResults.push({
       scope: scopeKey,
@@ -4577,6 +6043,9 @@ async function runRecycleMaintainModeNonInteractive(context, cliArgs, warnings =
     await saveConfig(config);
   }
   const aggregate = mergeRecycleResults(scopeResults, dryRun);
+  if (cancelledBeforeScope) {
+    aggregate.status = 'cancelled';
+  }
   const scanDebugSummary = {
     action: MODES.RECYCLE_MAINTAIN,
     dryRun,
@@ -4616,7 +6085,7 @@ async function runRecycleMaintainModeNonInteractive(context, cliArgs, warnings =
         };
 
   return {
-    ok: aggregate.failedBatches === 0,
+    ok: aggregate.failedBatches === 0 && aggregate.status !== 'cancelled',
     action: MODES.RECYCLE_MAINTAIN,
     dryRun,
     summary: {
@@ -4661,6 +6130,10 @@ async function runServiceStatusModeNonInteractive(context, _cliArgs, warnings =
     serviceStatePath: context.config.serviceStatePath,
   });
   const filesystemUsage = readFilesystemUsage(context.config.serviceRecycleRoot);
+  const categoryRules = buildServiceCategoryRules(
+    status.config,
+    resolveServiceCategoryKeys(status.config, context.config)
+  );
   return {
     ok: true,
     action: MODES.SERVICE_STATUS,
@@ -4672,6 +6145,7 @@ async function runServiceStatusModeNonInteractive(context, _cliArgs, warnings =
       nextRunAt: status.nextTriggerAt,
       deleteMode: status.config.deleteMode,
       retainDays: status.config.retainDays,
+      categoryRetention: status.config.categoryRetention,
       triggerTimes: status.config.triggerTimes,
       lastRunAt: status.state.lastRunAt || 0,
       lastStatus: status.state.lastStatus || 'never',
@@ -4683,6 +6157,7 @@ async function runServiceStatusModeNonInteractive(context, _cliArgs, warnings =
     errors: [],
     data: {
       service: status,
+      categoryRules,
       filesystemUsage,
     },
   };
@@ -4716,6 +6191,7 @@ async function runServiceInstallModeNonInteractive(context, cliArgs, warnings =
       scheduleLoaded: Boolean(status.schedule.loaded),
       deleteMode: nextConfig.deleteMode,
       retainDays: nextConfig.retainDays,
+      categoryRetention: nextConfig.categoryRetention,
       triggerTimes: nextConfig.triggerTimes,
       nextRunAt: status.nextTriggerAt,
     },
@@ -4811,6 +6287,43 @@ async function runServiceRunModeNonInteractive(context, cliArgs, warnings = [])
     };
   }
 
+  const appGate = dryRun
+    ? null
+    : checkRunningAppGate(normalizeAppRunningPolicy(cliArgs.whenAppRunning, 'defer'), warnings);
+  if (appGate) {
+    // 不更新 lastRunAt，下一次触发不受冷却窗口限制，会重新检测后执行
+    const skippedState = {
+      ...serviceState,
+      lastStatus: 'skipped_app_running',
+      lastTriggerSource: triggerSource,
+      lastMessage: `${appGate.message}，本次自动服务未执行。`,
+      lastWarnings: uniqueStrings(warnings),
+    };
+    await saveServiceState(config.serviceStatePath, skippedState);
+    const result = buildRunningAppResult(MODES.SERVICE_RUN, appGate, {
+      warnings,
+      deferNote: '下一次触发时重试。',
+      summary: {
+        triggerSource,
+        deleteMode: serviceConfig.deleteMode,
+        matchedTargets: 0,
+        reclaimedBytes: 0,
+        deletedBatches: 0,
+        deletedBytes: 0,
+        lowSpaceTriggered: false,
+        lowSpaceDeletedBytes: 0,
+        nextRunAt: computeNextTriggerAt(serviceConfig.triggerTimes, now),
+      },
+    });
+    return {
+      ...result,
+      data: {
+        serviceConfig,
+        serviceState: skippedState,
+      },
+    };
+  }
+
   const accounts = await discoverAccounts(config.rootDir, aliases);
   const accountResolved = resolveAccountSelection(accounts, serviceConfig.accounts);
   warnings.push(...accountResolved.warnings);
@@ -4830,10 +6343,8 @@ async function runServiceRunModeNonInteractive(context, cliArgs, warnings = [])
   );
   warnings.push(...externalResolved.warnings);
 
-  const categoryKeys =
-    Array.isArray(serviceConfig.categories) && serviceConfig.categories.length > 0
-      ? resolveCategoryKeys(serviceConfig.categories, MODES.CLEANUP_MONTHLY, config)
-      : categoryDefaultSelection(config);
+  const categoryKeys = resolveServiceCategoryKeys(serviceConfig, config);
+  const categoryRules = buildServiceCategoryRules(serviceConfig, categoryKeys);
 
   const scan = await collectCleanupTargets({
     accounts,
@@ -4843,6 +6354,7 @@ async function runServiceRunModeNonInteractive(context, cliArgs, warnings = [])
     includeNonMonthDirs: Boolean(serviceConfig.includeNonMonthDirs),
     externalStorageRoots: externalResolved.roots,
     nativeCorePath,
+    signal: context.signal,
   });
   context.lastRunEngineUsed = scan.engineUsed;
   if (scan.nativeFallbackReason) {
@@ -4857,12 +6369,20 @@ async function runServiceRunModeNonInteractive(context, cliArgs, warnings = [])
       ? await executeCleanup({
           targets: expiredTargets,
           recycleRoot: config.serviceRecycleRoot,
+          resolveRecycleRoot: createVolumeRecycleResolver({
+            recycleRoot: config.serviceRecycleRoot,
+            registryPath: config.recycleRootsPath,
+          }),
+          journalRoot: config.journalsRoot,
           indexPath: config.indexPath,
+          verifyHash: config.verifyMoveHash === true,
           dryRun,
           allowedRoots: [config.rootDir, ...externalResolved.roots],
+          shouldSkip: buildPinnedShouldSkip(await loadPins(config.pinsPath)),
           deleteMode,
           recycleScope: 'service',
           triggerSource,
+          signal: context.signal,
         })
       : {
           batchId: null,
@@ -4883,10 +6403,21 @@ async function runServiceRunModeNonInteractive(context, cliArgs, warnings = [])
   const recycleMaintainResult = await maintainRecycleBin({
     indexPath: config.indexPath,
     recycleRoot: config.serviceRecycleRoot,
+    extraRecycleRoots: await listVolumeRecycleRoots(config.recycleRootsPath, config.serviceRecycleRoot),
     policy: recyclePolicy,
     dryRun,
+    signal: context.signal,
   });
 
+  const stateGcResult = config.stateGc?.enabled
+    ? await runControllerStateGc({
+        paths: controllerPathsFromConfig(config),
+        latestTaskPath: config.latestTaskPath,
+        policy: config.stateGc,
+        dryRun,
+      })
+    : null;
+
   const filesystemUsage = readFilesystemUsage(config.serviceRecycleRoot);
   const lowSpaceThresholdBytes = filesystemUsage
     ? filesystemLowSpaceTargetBytes(filesystemUsage, serviceConfig)
@@ -4899,6 +6430,7 @@ async function runServiceRunModeNonInteractive(context, cliArgs, warnings = [])
   let emergencyResult = null;
 
   if (lowSpaceTriggered) {
+    // 低空间应急只释放默认回收区所在卷，其他卷上的回收目录不计入
     const beforeEmergency = await collectRecycleStats({
       indexPath: config.indexPath,
       recycleRoot: config.serviceRecycleRoot,
@@ -4924,6 +6456,7 @@ async function runServiceRunModeNonInteractive(context, cliArgs, warnings = [])
         recycleRoot: config.serviceRecycleRoot,
         candidates: emergencyCandidates,
         dryRun,
+        signal: context.signal,
       });
       lowSpaceDeletedBytes = Number(emergencyResult.deletedBytes || 0);
       lowSpaceDeletedBatches = Number(emergencyResult.deletedBatches || 0);
@@ -4956,16 +6489,17 @@ async function runServiceRunModeNonInteractive(context, cliArgs, warnings = [])
   }
 
   const nextRunAt = computeNextTriggerAt(serviceConfig.triggerTimes, now);
+  const cancelled = Boolean(context.signal?.aborted);
+  const partialFailed =
+    cleanupResult.failedCount > 0 ||
+    recycleMaintainResult.failBatches > 0 ||
+    Number(emergencyResult?.failBatches || 0) > 0 ||
+    Number(stateGcResult?.errors.length || 0) > 0;
   const nextState = {
     ...serviceState,
     lastRunAt: now,
     lastCompletedAt: Date.now(),
-    lastStatus:
-      cleanupResult.failedCount > 0 ||
-      recycleMaintainResult.failBatches > 0 ||
-      Number(emergencyResult?.failBatches || 0) > 0
-        ? 'partial_failed'
-        : 'success',
+    lastStatus: cancelled ? 'cancelled' : partialFailed ? 'partial_failed' : 'success',
     lastTriggerSource: triggerSource,
     lastMessage: expiredTargets.length > 0 ? '服务清理已执行。' : '本次无到期缓存目录。',
     lastDeletedMode: deleteMode,
@@ -4981,10 +6515,7 @@ async function runServiceRunModeNonInteractive(context, cliArgs, warnings = [])
   }
 
   return {
-    ok:
-      cleanupResult.failedCount === 0 &&
-      recycleMaintainResult.failBatches === 0 &&
-      Number(emergencyResult?.failBatches || 0) === 0,
+    ok: !cancelled && !partialFailed,
     action: MODES.SERVICE_RUN,
     dryRun,
     summary: {
@@ -4993,11 +6524,13 @@ async function runServiceRunModeNonInteractive(context, cliArgs, warnings = [])
       deleteMode,
       recoverable: deleteModeRecoverable(deleteMode),
       retainDays: serviceConfig.retainDays,
+      categoryRetention: serviceConfig.categoryRetention,
       matchedTargets: expiredTargets.length,
       matchedBytes: matchedReport.totalBytes,
       reclaimedBytes: cleanupResult.reclaimedBytes,
       successCount: cleanupResult.successCount,
       skippedCount: cleanupResult.skippedCount,
+      pinnedSkippedCount: countPinnedSkips(cleanupResult),
       failedCount: cleanupResult.failedCount,
       batchId: cleanupResult.batchId,
       serviceRecycleDeletedBatches: recycleMaintainResult.deletedBatches,
@@ -5005,6 +6538,11 @@ async function runServiceRunModeNonInteractive(context, cliArgs, warnings = [])
       lowSpaceTriggered,
       lowSpaceDeletedBatches,
       lowSpaceDeletedBytes,
+      stateGcEnabled: Boolean(stateGcResult),
+      stateGcRemovedRecords: stateGcResult
+        ? stateGcResult.removedRuns.length + stateGcResult.removedPlans.length
+        : 0,
+      stateGcReclaimedBytes: Number(stateGcResult?.reclaimedBytes || 0),
       nextRunAt,
     },
     warnings,
@@ -5020,6 +6558,7 @@ async function runServiceRunModeNonInteractive(context, cliArgs, warnings = [])
         message: item.message || 'unknown_error',
         batchId: item.batchId || null,
       })) || []),
+      ...(stateGcResult?.errors || []),
     ],
     data: {
       selectedAccounts: accountResolved.selectedAccountIds,
@@ -5027,11 +6566,14 @@ async function runServiceRunModeNonInteractive(context, cliArgs, warnings = [])
       selectedExternalRoots: externalResolved.roots,
       serviceConfig,
       filesystemUsage,
+      categoryRules,
       report: {
         matched: matchedReport,
+        expiredByRule: groupServiceExpiryByRule(categoryRules, expiredTargets),
         executed: cleanupResult.breakdown || null,
         serviceRecycle: recycleMaintainResult,
         emergencyRecycle: emergencyResult,
+        stateGc: stateGcResult,
       },
     },
   };
@@ -5813,11 +7355,20 @@ async function runNonInteractiveTask(action, context, cliArgs) {
       ? { ...cliArgs, dryRun: false, yes: true, runTask: null }
       : { ...cliArgs, runTask: null };
     const execute = await execPhase('execute', executeArgs);
-    return withRunTaskResult(execute.result, action, runTaskMode, 'execute_only', [execute.phase]);
+    const decision = isCancelledResult(execute.result) ? 'cancelled' : 'execute_only';
+    return withRunTaskResult(execute.result, action, runTaskMode, decision, [execute.phase]);
   }
 
   const previewArgs = { ...cliArgs, dryRun: true, yes: false, runTask: null };
   const preview = await execPhase('preview', previewArgs);
+  if (isCancelledResult(preview.result)) {
+    const phases = [
+      preview.phase,
+      buildSkippedTaskPhase('execute', 'cancelled'),
+      buildSkippedTaskPhase('verify', 'cancelled'),
+    ];
+    return withRunTaskResult(preview.result, action, runTaskMode, 'cancelled', phases);
+  }
   if (!preview.result.ok) {
     const phases = [
       preview.phase,
@@ -5838,7 +7389,27 @@ async function runNonInteractiveTask(action, context, cliArgs) {
 
   const executeArgs = { ...cliArgs, dryRun: false, yes: true, runTask: null };
   const execute = await execPhase('execute', executeArgs);
-  const verify = await execPhase('verify', previewArgs);
+  if (isCancelledResult(execute.result)) {
+    // 取消后剩余目标未执行，复核结果没有意义
+    const phases = [preview.phase, execute.phase, buildSkippedTaskPhase('verify', 'cancelled')];
+    return withRunTaskResult(execute.result, action, runTaskMode, 'cancelled', phases);
+  }
+  let verify;
+  try {
+    verify = await execPhase('verify', previewArgs);
+  } catch (error) {
+    if (!isTaskCancelled(error)) {
+      throw error;
+    }
+    // 执行阶段已改动文件，复核扫描被取消时保留执行结果，只把复核记为跳过
+    const phases = [preview.phase, execute.phase, buildSkippedTaskPhase('verify', 'cancelled')];
+    const cancelledResult = {
+      ...execute.result,
+      ok: false,
+      summary: { ...(execute.result.summary || {}), status: 'cancelled' },
+    };
+    return withRunTaskResult(cancelledResult, action, runTaskMode, 'cancelled', phases);
+  }
   return withRunTaskResult(execute.result, action, runTaskMode, 'executed_and_verified', [
     preview.phase,
     execute.phase,
@@ -5976,6 +7547,10 @@ async function runCleanupMode(context) {
         choices: [
           { name: '直接删除（默认，不可恢复）', value: DELETE_MODES.DIRECT },
           { name: '移动到回收区（可恢复）', value: DELETE_MODES.RECYCLE },
+          { name: '压缩归档到回收区（可恢复，节省空间）', value: DELETE_MODES.ARCHIVE },
+          ...(config.offloadRoot
+            ? [{ name: `外移到 ${config.offloadRoot}（可取回）`, value: DELETE_MODES.OFFLOAD }]
+            : []),
           { name: '← 返回上一步', value: PROMPT_BACK },
         ],
       });
@@ -6096,6 +7671,9 @@ async function runCleanupMode(context) {
     }
     executeDryRun = false;
   }
+  if (!executeDryRun && !(await confirmRunningAppInteractive(context))) {
+    return;
+  }
 
   const confirmToken = deleteMode === DELETE_MODES.DIRECT ? 'DIRECT_DELETE' : 'DELETE';
   const confirmText = await askInput({
@@ -6115,13 +7693,25 @@ async function runCleanupMode(context) {
   const result = await executeCleanup({
     targets,
     recycleRoot: config.recycleRoot,
+    resolveRecycleRoot: createVolumeRecycleResolver({
+      recycleRoot: config.recycleRoot,
+      registryPath: config.recycleRootsPath,
+    }),
+    journalRoot: config.journalsRoot,
     indexPath: config.indexPath,
+    verifyHash: config.verifyMoveHash === true,
     dryRun: executeDryRun,
     allowedRoots: [config.rootDir, ...selectedExternalStorageRoots],
+    shouldSkip: buildPinnedShouldSkip(await loadPins(config.pinsPath)),
     deleteMode,
+    offloadRoot: resolveOffloadRootForMode(config, deleteMode, [
+      config.rootDir,
+      ...selectedExternalStorageRoots,
+    ]),
     recycleScope: 'manual',
     triggerSource: 'interactive',
     onProgress: (current, total) => printProgress('移动目录', current, total),
+    onMoveProgress: (target, progress) => printCrossDeviceMoveProgress(target.path, progress),
   });
 
   printSection('删除结果');
@@ -6437,6 +8027,10 @@ async function runSpaceGovernanceMode(context) {
     choices: [
       { name: '直接删除（默认，不可恢复）', value: DELETE_MODES.DIRECT },
       { name: '移动到回收区（可恢复）', value: DELETE_MODES.RECYCLE },
+      { name: '压缩归档到回收区（可恢复，节省空间）', value: DELETE_MODES.ARCHIVE },
+      ...(config.offloadRoot
+        ? [{ name: `外移到 ${config.offloadRoot}（可取回）`, value: DELETE_MODES.OFFLOAD }]
+        : []),
     ],
   });
   const dryRun = await askConfirm({
@@ -6445,6 +8039,9 @@ async function runSpaceGovernanceMode(context) {
   });
 
   if (!dryRun) {
+    if (!(await confirmRunningAppInteractive(context))) {
+      return;
+    }
     const executeConfirm = await askConfirm({
       message: `即将处理 ${selectedTargets.length} 项，是否继续？`,
       default: false,
@@ -6491,11 +8088,17 @@ async function runSpaceGovernanceMode(context) {
   const result = await executeCleanup({
     targets: selectedTargets,
     recycleRoot: config.recycleRoot,
+    resolveRecycleRoot: createVolumeRecycleResolver({
+      recycleRoot: config.recycleRoot,
+      registryPath: config.recycleRootsPath,
+    }),
+    journalRoot: config.journalsRoot,
     indexPath: config.indexPath,
+    verifyHash: config.verifyMoveHash === true,
     dryRun,
     allowedRoots: governanceAllowedRoots,
     scope: MODES.SPACE_GOVERNANCE,
-    shouldSkip: (target) => {
+    shouldSkip: buildPinnedShouldSkip(await loadPins(config.pinsPath), (target) => {
       if (!target.deletable) {
         return 'skipped_policy_protected';
       }
@@ -6503,11 +8106,13 @@ async function runSpaceGovernanceMode(context) {
         return 'skipped_recently_active';
       }
       return null;
-    },
+    }),
     deleteMode,
+    offloadRoot: resolveOffloadRootForMode(config, deleteMode, governanceAllowedRoots),
     recycleScope: 'manual',
     triggerSource: 'interactive',
     onProgress: (current, total) => printProgress('治理目录', current, total),
+    onMoveProgress: (target, progress) => printCrossDeviceMoveProgress(target.path, progress),
   });
 
   printSection('治理结果');
@@ -6627,7 +8232,7 @@ async function runRestoreMode(context) {
     ? [...externalStorageRoots]
     : [config.rootDir, ...externalStorageRoots];
 
-  const recycleRoots = [config.recycleRoot, config.serviceRecycleRoot];
+  const recycleRoots = await resolveAllRecycleRoots(config);
   const batches = await listRestorableBatches(config.indexPath, { recycleRoots });
   if (batches.length === 0) {
     console.log('\n暂无可恢复批次。');
@@ -6703,7 +8308,9 @@ async function runRestoreMode(context) {
     const result = await restoreBatch({
       batch,
       indexPath: config.indexPath,
+      verifyHash: config.verifyMoveHash === true,
       onProgress: (current, total) => printProgress('恢复目录', current, total),
+      onMoveProgress: (entry, progress) => printCrossDeviceMoveProgress(entry.sourcePath, progress),
       onConflict: askConflictResolution,
       dryRun,
       profileRoot: config.rootDir,
@@ -7008,6 +8615,49 @@ function resolveControllerSelectionSignature(payload) {
   return typeof signature === 'string' && signature.trim() ? signature.trim() : null;
 }
 
+function resolveControllerFrozenTargets(payload) {
+  const targets = payload?.data?.controller?.targets;
+  return Array.isArray(targets) ? targets : null;
+}
+
+function resolveControllerExecutedTargets(payload) {
+  const targets = resolveControllerFrozenTargets(payload);
+  if (!targets) {
+    return null;
+  }
+  const skippedTargets = payload?.data?.controller?.skippedTargets;
+  return classifyExecutedTargets(targets, {
+    failedPaths: (Array.isArray(payload.errors) ? payload.errors : []).map((item) => item?.path),
+    skippedPaths: (Array.isArray(skippedTargets) ? skippedTargets : [])
+      .filter((item) => item?.reason !== 'skipped_missing_source')
+      .map((item) => item?.path),
+  });
+}
+
+function resolveVerifyDelta(executedTargets, verifyPayloads) {
+  if (!Array.isArray(executedTargets)) {
+    return null;
+  }
+  const currentTargets = verifyPayloads.flatMap((payload) => resolveControllerFrozenTargets(payload) || []);
+  return buildVerifyDeltaReport(executedTargets, currentTargets);
+}
+
+function collectVerifyDeltaWarnings(delta) {
+  if (!delta) {
+    return ['运行记录未保存执行目标清单（旧版本运行记录），无法生成复核差异报告。'];
+  }
+  const warnings = [];
+  if (delta.reappeared.count > 0) {
+    warnings.push(
+      `复核发现 ${delta.reappeared.count} 项已清理目标重新出现（${formatBytesSafe(delta.reappeared.bytes)}），可能已被企业微信重新下载。`
+    );
+  }
+  if (delta.failed.count > 0) {
+    warnings.push(`执行阶段有 ${delta.failed.count} 项目标失败，详见 data.verifyDelta.failed。`);
+  }
+  return warnings;
+}
+
 function assertControllerPlanStable(planRecord, payload) {
   const expected =
     typeof planRecord?.previewSelectionSignature === 'string' ? planRecord.previewSelectionSignature : '';
@@ -7021,6 +8671,66 @@ function assertControllerPlanStable(planRecord, payload) {
   throw new UsageError('计划已漂移：当前匹配范围与 plan 阶段不一致，请重新执行 plan。');
 }
 
+const PLAN_DRIFT_REASON_TEXT = {
+  strict: '当前匹配范围与 plan 阶段不一致',
+  targets_grown: '存在体积增长的目标，shrink-only 不允许多删',
+  tolerance_exceeded: '漂移比例超出容忍阈值',
+};
+
+function resolveApplyPlanDrift(planRecord, payload, policy) {
+  const frozenTargets = Array.isArray(planRecord?.previewTargets)
+    ? splitPlanTargets(planRecord.previewTargets, planRecord.targetRules).kept
+    : null;
+  const currentTargets = resolveControllerFrozenTargets(payload);
+  if (!frozenTargets || !currentTargets) {
+    if (policy.mode !== 'strict') {
+      throw new UsageError('该计划缺少冻结目标清单，仅支持 --drift strict，请重新执行 plan。');
+    }
+    assertControllerPlanStable(planRecord, payload);
+    return null;
+  }
+  const drift = evaluatePlanDrift(frozenTargets, currentTargets, policy);
+  if (!drift.allowed) {
+    throw new UsageError(
+      `计划已漂移：${PLAN_DRIFT_REASON_TEXT[drift.reason] || drift.reason}` +
+        `（减少 ${drift.droppedTargets.length} 项，新增 ${drift.addedTargets.length} 项，` +
+        `变化 ${drift.changedTargets.length} 项，漂移 ${drift.driftPct}%），请重新执行 plan 或调整 --drift。`
+    );
+  }
+  return drift;
+}
+
+function formatPlanDriftPolicy(policy) {
+  return policy.mode === 'tolerance' ? `tolerance=${policy.tolerancePct}` : policy.mode;
+}
+
+function summarizePlanDrift(drift) {
+  if (!drift) {
+    return null;
+  }
+  return {
+    policy: formatPlanDriftPolicy(drift.policy),
+    drifted: drift.drifted,
+    frozenTargetCount: drift.frozenTargetCount,
+    currentTargetCount: drift.currentTargetCount,
+    keptTargetCount: drift.keptTargetCount,
+    droppedTargetCount: drift.droppedTargets.length,
+    addedTargetCount: drift.addedTargets.length,
+    changedTargetCount: drift.changedTargets.length,
+    driftBytes: drift.driftBytes,
+    driftPct: drift.driftPct,
+  };
+}
+
+function applyScopedTargetFilter(targets, targetFilter) {
+  return typeof targetFilter === 'function' ? targets.filter((item) => targetFilter(item)) : targets;
+}
+
+function buildTargetKeyFilter(targetKeys) {
+  const keySet = new Set(targetKeys);
+  return (item) => keySet.has(String(item?.path || item?.id || ''));
+}
+
 async function buildScopedExecutionContext(context, legacyArgv, options = {}) {
   const cliArgs = parseCliArgs(legacyArgv);
   const action = resolveActionFromCli(cliArgs, true);
@@ -7038,11 +8748,14 @@ async function buildScopedExecutionContext(context, legacyArgv, options = {}) {
   return { cliArgs, action, scopedConfig, scopedAliases, scopedContext };
 }
 
-async function executeLegacyArgvPayload(context, legacyArgv) {
+async function executeLegacyArgvPayload(context, legacyArgv, options = {}) {
   const { cliArgs, action, scopedConfig, scopedContext } = await buildScopedExecutionContext(
     context,
     legacyArgv
   );
+  if (typeof options.targetFilter === 'function') {
+    scopedContext.targetFilter = options.targetFilter;
+  }
   const startedAt = Date.now();
   let result = await runNonInteractiveTask(action, scopedContext, cliArgs);
   result = attachTaskProtocolData(action, result, {
@@ -7091,24 +8804,941 @@ async function buildSkillsStatusPayload(context, cliArgs) {
     warnings: collectSkillBindingWarnings(binding),
     errors: [],
     data: {
-      skills,
-    },
-    meta: {
-      app: APP_NAME,
-      package: PACKAGE_NAME,
-      version: context.appMeta?.version || '0.0.0',
-      timestamp: Date.now(),
-      durationMs: Date.now() - startedAt,
-      output: outputMode,
-      protocol: outputMode === OUTPUT_AGENT_JSON ? `agent-json-v${TASK_PROTOCOL_VERSION}` : 'json-v1',
-      engine: context.lastRunEngineUsed || (context.nativeCorePath ? 'zig_ready' : 'node'),
+      skills,
+    },
+    meta: {
+      app: APP_NAME,
+      package: PACKAGE_NAME,
+      version: context.appMeta?.version || '0.0.0',
+      timestamp: Date.now(),
+      durationMs: Date.now() - startedAt,
+      output: outputMode,
+      protocol: outputMode === OUTPUT_AGENT_JSON ? `agent-json-v${TASK_PROTOCOL_VERSION}` : 'json-v1',
+      engine: context.lastRunEngineUsed || (context.nativeCorePath ? 'zig_ready' : 'node'),
+    },
+  });
+  await saveLatestTaskForContext(context, context.config.latestTaskPath, payload);
+  return { payload, outputMode };
+}
+
+async function buildControllerStatePayload(context, cliArgs, action, result) {
+  const outputMode = normalizeActionOutputMode(cliArgs);
+  const payload = attachTaskProtocolData(action, {
+    ok: result.ok !== false,
+    action,
+    dryRun: result.dryRun ?? null,
+    summary: result.summary || {},
+    warnings: Array.isArray(result.warnings) ? result.warnings : [],
+    errors: Array.isArray(result.errors) ? result.errors : [],
+    data: result.data || {},
+    meta: {
+      app: APP_NAME,
+      package: PACKAGE_NAME,
+      version: context.appMeta?.version || '0.0.0',
+      timestamp: Date.now(),
+      durationMs: 0,
+      output: outputMode,
+      protocol: outputMode === OUTPUT_AGENT_JSON ? `agent-json-v${TASK_PROTOCOL_VERSION}` : 'json-v1',
+      engine: context.lastRunEngineUsed || (context.nativeCorePath ? 'zig_ready' : 'node'),
+    },
+  });
+  await saveLatestTaskForContext(context, context.config.latestTaskPath, payload);
+  return { payload, cliArgs, action };
+}
+
+function resolveNonNegativeIntFlag(flag, rawValue) {
+  const text = String(rawValue || '').trim();
+  if (!text) {
+    return 0;
+  }
+  const num = Number.parseInt(text, 10);
+  if (!/^\d+$/.test(text) || !Number.isFinite(num)) {
+    throw new UsageError(`参数 ${flag} 的值必须是 >= 0 的整数: ${rawValue}`);
+  }
+  return num;
+}
+
+function resolvePlanTtlHours(rawValue, fallback) {
+  return String(rawValue || '').trim()
+    ? resolveNonNegativeIntFlag('--ttl-hours', rawValue)
+    : Number(fallback || 0);
+}
+
+function resolvePlanListFilters(rawFilters = {}) {
+  const status = String(rawFilters.status || 'all')
+    .trim()
+    .toLowerCase();
+  if (!['all', 'applied', 'pending'].includes(status)) {
+    throw new UsageError(`参数 --status 的值无效: ${rawFilters.status}`);
+  }
+  const filters = {
+    kind: String(rawFilters.kind || '').trim(),
+    status,
+    minAgeDays: resolveNonNegativeIntFlag('--min-age-days', rawFilters.minAgeDays),
+    maxAgeDays: resolveNonNegativeIntFlag('--max-age-days', rawFilters.maxAgeDays),
+  };
+  if (filters.maxAgeDays > 0 && filters.minAgeDays > filters.maxAgeDays) {
+    throw new UsageError('参数 --min-age-days 不能大于 --max-age-days');
+  }
+  return filters;
+}
+
+async function inspectRunExclusions(runRecord) {
+  const rows = Array.isArray(runRecord?.excludedTargets) ? runRecord.excludedTargets : [];
+  const out = [];
+  for (const row of rows) {
+    out.push({ ...row, stillPresent: row?.path ? await pathExists(row.path) : false });
+  }
+  return out;
+}
+
+const PLAN_IMPORT_REJECT_REASONS = {
+  invalid_format: '文件格式无效',
+  unsupported_version: '文件版本不受支持',
+  seal_mismatch: 'SHA-256 封印不匹配',
+  signature_mismatch: '目标清单与选择签名不一致',
+  invalid_plan_id: '计划 ID 无效',
+  unsupported_kind: '计划类型不支持导入',
+  unsupported_argv: '执行参数包含不允许导入的参数',
+};
+
+async function resolveLocalPlanAllowedRoots(context, cliArgs) {
+  const { config } = context;
+  const detectedExternalStorage = await detectExternalStorageRoots({
+    configuredRoots: config.externalStorageRoots,
+    profilesRoot: config.rootDir,
+    autoDetect: config.externalStorageAutoDetect !== false,
+    returnMeta: true,
+  });
+  const externalResolved = resolveExternalStorageForAction(detectedExternalStorage, cliArgs, {
+    defaultSources: ['all'],
+  });
+  const governanceRoot = inferDataRootFromProfilesRoot(config.rootDir);
+  return uniqueStrings([config.rootDir, governanceRoot, ...externalResolved.roots]);
+}
+
+async function loadPlanRecordOrThrow(paths, planId) {
+  const planRecord = await loadPlanRecord(paths, planId);
+  if (!planRecord) {
+    throw new UsageError(`未找到计划: ${planId}`);
+  }
+  return planRecord;
+}
+
+async function loadRunRecordOrThrow(paths, runId) {
+  const runRecord = await loadRunRecord(paths, runId);
+  if (!runRecord) {
+    throw new UsageError(`未找到运行记录: ${runId}`);
+  }
+  return runRecord;
+}
+
+const RUN_SCOPE_INHERITED_FLAGS = ['--root', '--external-roots', '--external-storage-auto-detect'];
+
+function withRunScopeArgv(argv, runRecord) {
+  const stepArgvList = (Array.isArray(runRecord?.steps) ? runRecord.steps : []).map(
+    (step) => step?.baseLegacyArgv
+  );
+  const baseArgvList = [runRecord?.baseLegacyArgv, ...stepArgvList].filter(Array.isArray);
+  const out = [...argv];
+  for (const flag of RUN_SCOPE_INHERITED_FLAGS) {
+    const baseArgv = baseArgvList.find((item) => {
+      const idx = item.indexOf(flag);
+      return idx >= 0 && idx + 1 < item.length;
+    });
+    if (!out.includes(flag) && baseArgv) {
+      out.push(flag, baseArgv[baseArgv.indexOf(flag) + 1]);
+    }
+  }
+  return out;
+}
+
+async function resolveAllRecycleRoots(config) {
+  return [
+    config.recycleRoot,
+    config.serviceRecycleRoot,
+    ...(await listVolumeRecycleRoots(config.recycleRootsPath, config.recycleRoot)),
+    ...(await listVolumeRecycleRoots(config.recycleRootsPath, config.serviceRecycleRoot)),
+  ];
+}
+
+async function resolveRunBatchLinks(config, runs) {
+  const batchIds = runs.flatMap((run) => resolveRunBatchIds(run));
+  const recycleRoots = await resolveAllRecycleRoots(config);
+  const batches = batchIds.length > 0 ? await listRestorableBatches(config.indexPath, { recycleRoots }) : [];
+  const batchMap = new Map(batches.map((batch) => [batch.batchId, batch]));
+  return (run) => {
+    const deleteMode = run?.deleteMode || run?.executeSummary?.deleteMode || null;
+    return resolveRunBatchIds(run).map((batchId) => {
+      const batch = batchMap.get(batchId);
+      let status = 'unavailable';
+      if (batch) {
+        status = 'recoverable';
+      } else if (deleteMode === DELETE_MODES.DIRECT) {
+        status = 'direct_deleted';
+      } else if (deleteMode === DELETE_MODES.OFFLOAD) {
+        status = 'offloaded';
+      }
+      return {
+        batchId,
+        status,
+        recycleScope: batch?.recycleScope || null,
+        entryCount: batch ? batch.entries.length : 0,
+        totalBytes: Number(batch?.totalBytes || 0),
+      };
+    });
+  };
+}
+
+function resolvePlanReclaimGoal(payload) {
+  const reclaimGoal = payload?.data?.reclaimGoal;
+  if (!reclaimGoal) {
+    return null;
+  }
+  return {
+    goalBytes: reclaimGoal.goalBytes,
+    selectedBytes: reclaimGoal.selectedBytes,
+    reachable: reclaimGoal.reachable,
+  };
+}
+
+function resolvePlanMonthSelection(payload) {
+  const monthSelection = payload?.data?.monthSelection;
+  if (!monthSelection) {
+    return null;
+  }
+  return {
+    olderThan: monthSelection.olderThan,
+    keepLatestMonths: monthSelection.keepLatestMonths,
+    cutoffMonth: monthSelection.cutoffMonth,
+    months: monthSelection.months,
+    scopes: monthSelection.scopes.map(({ accountId, categoryKey, months }) => ({
+      accountId,
+      categoryKey,
+      months,
+    })),
+  };
+}
+
+function resolvePlanScopeTargetKeys(record) {
+  // 目标空间模式与按账号/类别保留最近月份时只冻结了部分目标，
+  // apply / verify 必须限定在冻结清单内，而不是按合并后的月份整月重扫
+  const partialMonths = record?.reclaimGoal || record?.monthSelection?.keepLatestMonths;
+  if (!partialMonths || !Array.isArray(record.previewTargets)) {
+    return null;
+  }
+  return record.previewTargets.map((row) => String(row?.path || row?.id || ''));
+}
+
+function buildPlanScopeFilter(targetRules, scopeTargetKeys) {
+  const ruleFilter = buildPlanTargetFilter(targetRules);
+  if (!Array.isArray(scopeTargetKeys)) {
+    return ruleFilter;
+  }
+  const inScope = buildTargetKeyFilter(scopeTargetKeys);
+  return (item) => inScope(item) && ruleFilter(item);
+}
+
+async function executeFrozenPlanStep(context, step, driftPolicy) {
+  const preflightArgv = withRunTaskModeArgv(step.baseLegacyArgv || [], 'preview', {
+    allowMissingTargets: true,
+  });
+  const targetRules = normalizePlanTargetRules(step.targetRules);
+  const scopeTargetKeys = resolvePlanScopeTargetKeys(step);
+  const ruleFilter = buildPlanScopeFilter(targetRules, scopeTargetKeys);
+  const excludedTargets = splitPlanTargets(step.previewTargets || [], targetRules).excluded;
+  const preflight = await executeLegacyArgvPayload(context, preflightArgv, { targetFilter: ruleFilter });
+  const drift =
+    step.action === MODES.RECYCLE_MAINTAIN
+      ? null
+      : resolveApplyPlanDrift(step, preflight.payload, driftPolicy);
+  const executeArgv = withRunTaskModeArgv(step.baseLegacyArgv || [], 'execute');
+  const execution = await executeLegacyArgvPayload(context, executeArgv, {
+    targetFilter: drift ? buildTargetKeyFilter(drift.keptTargetKeys) : ruleFilter,
+  });
+  if (drift?.drifted) {
+    execution.payload.warnings = [
+      ...(execution.payload.warnings || []),
+      `计划已漂移但在 ${summarizePlanDrift(drift).policy} 策略内：仅执行冻结目标与当前目标的交集（${drift.keptTargetCount} 项），` +
+        `跳过已消失 ${drift.droppedTargets.length} 项、计划外新增 ${drift.addedTargets.length} 项。`,
+    ];
+  }
+  return {
+    preflightArgv,
+    preflight,
+    executeArgv,
+    execution,
+    drift,
+    targetRules,
+    excludedTargets,
+    scopeTargetKeys,
+  };
+}
+
+const PLAN_BUNDLE_FAILURE_POLICY_TEXT = {
+  stop: '失败即停止',
+  continue: '失败后继续',
+};
+
+function bundleStepPhaseName(step) {
+  return `step${step.index}:${step.step}`;
+}
+
+function withBundleStepPhase(phase, step) {
+  return { ...phase, stepIndex: step.index, step: step.step, action: step.action };
+}
+
+function tagBundleStepErrors(errors, phaseName) {
+  return (Array.isArray(errors) ? errors : []).map((item) =>
+    item && typeof item === 'object'
+      ? { ...item, step: phaseName }
+      : { message: String(item), step: phaseName }
+  );
+}
+
+function resolveBundleStepCounts(steps = []) {
+  return {
+    stepCount: steps.length,
+    completedSteps: steps.filter((item) => item.status === 'completed').length,
+    failedSteps: steps.filter((item) => item.status === 'failed').length,
+    skippedSteps: steps.filter((item) => item.status === 'skipped').length,
+  };
+}
+
+async function planBundleSteps(context, cliArgs, paths, controllerSpec) {
+  const onFailure = parsePlanBundleFailurePolicy(controllerSpec.onFailure);
+  if (!onFailure) {
+    throw new UsageError(`参数 --on-failure 的值无效: ${controllerSpec.onFailure}`);
+  }
+  if (controllerSpec.steps.length === 0) {
+    throw new UsageError('plan bundle 需要至少提供一个 --step。');
+  }
+  const invalidStep = controllerSpec.steps.find((item) => !item.legacyArgv);
+  if (invalidStep) {
+    throw new UsageError(
+      `无法识别的组合计划步骤: ${invalidStep.step || '-'}（可选 monthly-cleanup / space-governance / recycle）`
+    );
+  }
+  const ttlHours = resolvePlanTtlHours(controllerSpec.ttlHours, context.config.planTtlHours);
+  const phases = [];
+  const steps = [];
+  const warnings = [];
+  const errors = [];
+  for (const [offset, item] of controllerSpec.steps.entries()) {
+    const startedAt = Date.now();
+    const execution = await executeLegacyArgvPayload(context, item.legacyArgv);
+    const step = {
+      index: offset + 1,
+      step: item.step,
+      action: execution.action,
+      baseLegacyArgv: buildFrozenPlanLegacyArgv(execution.action, item.legacyArgv, execution.payload),
+      previewLegacyArgv: item.legacyArgv,
+      previewSummary: execution.payload.summary,
+      previewSelectionSignature: resolveControllerSelectionSignature(execution.payload),
+      previewTargets: resolveControllerFrozenTargets(execution.payload),
+      reclaimGoal: resolvePlanReclaimGoal(execution.payload),
+      monthSelection: resolvePlanMonthSelection(execution.payload),
+    };
+    const phaseName = bundleStepPhaseName(step);
+    phases.push(
+      withBundleStepPhase(
+        buildTaskPhaseEntry(step.action, phaseName, execution.payload, Date.now() - startedAt),
+        step
+      )
+    );
+    warnings.push(...(execution.payload.warnings || []).map((message) => `[${phaseName}] ${message}`));
+    errors.push(...tagBundleStepErrors(execution.payload.errors, phaseName));
+    steps.push(step);
+  }
+  const createdAt = Date.now();
+  const planRecord = await savePlanRecord(paths, {
+    kind: PLAN_BUNDLE_KIND,
+    action: 'bundle',
+    createdAt,
+    ttlHours,
+    expiresAt: ttlHours > 0 ? createdAt + ttlHours * 3600 * 1000 : null,
+    onFailure,
+    steps,
+    previewSummary: aggregatePlanBundleSummaries(phases.map((phase) => phase.stats)),
+  });
+  const summary = {
+    planId: planRecord.planId,
+    planExpiresAt: planRecord.expiresAt,
+    onFailure,
+    runTaskMode: 'preview',
+    taskDecision: 'bundle_preview',
+    stepCount: steps.length,
+    completedSteps: steps.length,
+    failedSteps: phases.filter((phase) => !phase.ok).length,
+    skippedSteps: 0,
+    ...planRecord.previewSummary,
+  };
+  return buildControllerStatePayload(context, cliArgs, 'bundle', {
+    ok: phases.every((phase) => phase.ok),
+    dryRun: true,
+    summary,
+    warnings: uniqueStrings(warnings),
+    errors,
+    data: {
+      plan: {
+        planId: planRecord.planId,
+        kind: planRecord.kind,
+        action: planRecord.action,
+      },
+      steps: steps.map((step) => ({ index: step.index, step: step.step, action: step.action })),
+      taskPhases: phases,
+      taskCard: buildRunTaskCard('bundle', 'preview', 'bundle_preview', phases, { summary }),
+    },
+  });
+}
+
+// 回收区维护只处理回收区里的批次，不会碰到企业微信正在使用的目录
+function planTouchesAppData(planRecord) {
+  const steps = planRecord.kind === PLAN_BUNDLE_KIND ? planRecord.steps || [] : [planRecord];
+  return steps.some((step) => step.action !== MODES.RECYCLE_MAINTAIN);
+}
+
+async function buildRunningAppApplyPayload(context, cliArgs, planRecord, gate, warnings) {
+  const action = planRecord.kind === PLAN_BUNDLE_KIND ? 'bundle' : planRecord.action;
+  const result = buildRunningAppResult(action, gate, {
+    warnings,
+    deferNote: '计划保持待执行，退出企业微信后可重新 apply。',
+    summary: { planId: planRecord.planId },
+  });
+  const phases = [buildSkippedTaskPhase('execute', 'app_running')];
+  return buildControllerStatePayload(context, cliArgs, action, {
+    ...result,
+    data: {
+      taskPhases: phases,
+      taskCard: buildRunTaskCard(action, 'execute', 'skipped_app_running', phases, result),
+    },
+  });
+}
+
+async function applyPlanBundle(context, cliArgs, paths, planRecord, driftPolicy, preflightWarnings = []) {
+  const onFailure = planRecord.onFailure === 'continue' ? 'continue' : 'stop';
+  const phases = [];
+  const steps = [];
+  const warnings = [...preflightWarnings];
+  const errors = [];
+  for (const step of Array.isArray(planRecord.steps) ? planRecord.steps : []) {
+    const phaseName = bundleStepPhaseName(step);
+    const stepBase = { index: step.index, step: step.step, action: step.action };
+    if (context.signal?.aborted) {
+      phases.push(withBundleStepPhase(buildSkippedTaskPhase(phaseName, 'cancelled'), step));
+      steps.push({ ...stepBase, status: 'skipped' });
+      continue;
+    }
+    if (onFailure === 'stop' && steps.some((item) => item.status === 'failed')) {
+      phases.push(withBundleStepPhase(buildSkippedTaskPhase(phaseName, 'previous_step_failed'), step));
+      steps.push({ ...stepBase, status: 'skipped' });
+      continue;
+    }
+    const startedAt = Date.now();
+    let applied = null;
+    let stepError = null;
+    try {
+      applied = await executeFrozenPlanStep(context, step, driftPolicy);
+    } catch (error) {
+      stepError = {
+        code: isTaskCancelled(error) ? 'E_CANCELLED' : 'E_BUNDLE_STEP_FAILED',
+        message: error instanceof Error ? error.message : String(error),
+        path: null,
+      };
+    }
+    const result = applied
+      ? applied.execution.payload
+      : { ok: false, summary: {}, warnings: [], errors: [stepError] };
+    const phase = withBundleStepPhase(
+      buildTaskPhaseEntry(step.action, phaseName, result, Date.now() - startedAt),
+      step
+    );
+    phases.push(phase);
+    warnings.push(...(result.warnings || []).map((message) => `[${phaseName}] ${message}`));
+    errors.push(...tagBundleStepErrors(result.errors, phaseName));
+    steps.push({
+      ...stepBase,
+      status: result.ok ? 'completed' : 'failed',
+      error: stepError?.message || null,
+      baseLegacyArgv: step.baseLegacyArgv || [],
+      preflightLegacyArgv: applied?.preflightArgv || null,
+      preflightSummary: applied?.preflight.payload.summary || null,
+      executeLegacyArgv: applied?.executeArgv || null,
+      executeSummary: applied ? result.summary : null,
+      executeStats: phase.stats,
+      executeSelectionSignature: applied ? resolveControllerSelectionSignature(result) : null,
+      executeTargets: applied ? resolveControllerExecutedTargets(result) : null,
+      deleteMode: result.summary?.deleteMode || null,
+      batchIds: result.summary?.batchId ? [result.summary.batchId] : [],
+      drift: summarizePlanDrift(applied?.drift || null),
+      targetRules: applied?.targetRules || normalizePlanTargetRules(step.targetRules),
+      excludedTargets: applied?.excludedTargets || [],
+      scopeTargetKeys: resolvePlanScopeTargetKeys(step),
+    });
+  }
+  const deleteModes = uniqueStrings(steps.map((item) => item.deleteMode));
+  const runRecord = await saveRunRecord(paths, {
+    kind: planRecord.kind,
+    action: planRecord.action,
+    planId: planRecord.planId,
+    createdAt: Date.now(),
+    onFailure,
+    steps,
+    preflightSummary: aggregatePlanBundleSummaries(steps.map((item) => item.preflightSummary)),
+    executeSummary: aggregatePlanBundleSummaries(steps.map((item) => item.executeStats)),
+    deleteMode: deleteModes.length === 1 ? deleteModes[0] : null,
+    batchIds: steps.flatMap((item) => item.batchIds || []),
+  });
+  const counts = resolveBundleStepCounts(steps);
+  const cancelled = Boolean(context.signal?.aborted);
+  let taskDecision = 'bundle_executed';
+  if (cancelled) {
+    taskDecision = 'cancelled';
+  } else if (counts.failedSteps > 0) {
+    taskDecision = counts.skippedSteps > 0 ? 'bundle_stopped' : 'bundle_partial_failed';
+  }
+  const summary = {
+    ...(cancelled ? { status: 'cancelled' } : {}),
+    planId: planRecord.planId,
+    runId: runRecord.runId,
+    onFailure,
+    runTaskMode: 'execute',
+    taskDecision,
+    driftPolicy: formatPlanDriftPolicy(driftPolicy),
+    ...counts,
+    ...runRecord.executeSummary,
+    batchIds: runRecord.batchIds,
+  };
+  return buildControllerStatePayload(context, cliArgs, 'bundle', {
+    ok: counts.failedSteps === 0 && !cancelled,
+    dryRun: false,
+    summary,
+    warnings: uniqueStrings(warnings),
+    errors,
+    data: {
+      run: {
+        runId: runRecord.runId,
+        planId: runRecord.planId,
+        kind: runRecord.kind,
+      },
+      steps: steps.map((item) => ({
+        index: item.index,
+        step: item.step,
+        action: item.action,
+        status: item.status,
+        error: item.error || null,
+        batchIds: item.batchIds || [],
+        drift: item.drift || null,
+      })),
+      taskPhases: phases,
+      taskCard: buildRunTaskCard('bundle', 'execute', taskDecision, phases, { summary }),
+    },
+  });
+}
+
+async function verifyPlanBundleRun(context, cliArgs, paths, runRecord) {
+  const phases = [];
+  const steps = [];
+  const warnings = [];
+  const errors = [];
+  const verified = [];
+  for (const step of Array.isArray(runRecord.steps) ? runRecord.steps : []) {
+    const phaseName = bundleStepPhaseName(step);
+    if (step.status !== 'completed' || step.action === MODES.RECYCLE_MAINTAIN) {
+      const reason = step.status !== 'completed' ? 'step_not_executed' : 'not_verifiable';
+      phases.push(withBundleStepPhase(buildSkippedTaskPhase(phaseName, reason), step));
+      steps.push(step);
+      continue;
+    }
+    const verifyArgv = withRunTaskModeArgv(step.baseLegacyArgv || [], 'preview', {
+      allowMissingTargets: true,
+    });
+    const startedAt = Date.now();
+    const verification = await executeLegacyArgvPayload(context, verifyArgv, {
+      targetFilter: buildPlanScopeFilter(normalizePlanTargetRules(step.targetRules), step.scopeTargetKeys),
+    });
+    const phase = withBundleStepPhase(
+      buildTaskPhaseEntry(step.action, phaseName, verification.payload, Date.now() - startedAt),
+      step
+    );
+    phases.push(phase);
+    warnings.push(...(verification.payload.warnings || []).map((message) => `[${phaseName}] ${message}`));
+    errors.push(...tagBundleStepErrors(verification.payload.errors, phaseName));
+    verified.push({ step, payload: verification.payload });
+    steps.push({
+      ...step,
+      verifyLegacyArgv: verifyArgv,
+      verifySummary: verification.payload.summary,
+      verifySelectionSignature: resolveControllerSelectionSignature(verification.payload),
+    });
+  }
+  const verifySummary = aggregatePlanBundleSummaries(
+    phases.filter((phase) => phase.status === 'completed').map((phase) => phase.stats)
+  );
+  const verifyDelta = resolveVerifyDelta(
+    verified.every((item) => Array.isArray(item.step.executeTargets))
+      ? verified.flatMap((item) => item.step.executeTargets)
+      : null,
+    verified.map((item) => item.payload)
+  );
+  warnings.push(...collectVerifyDeltaWarnings(verifyDelta));
+  await updateRunRecord(paths, runRecord.runId, {
+    verifiedAt: Date.now(),
+    steps,
+    verifySummary,
+    verifyDelta,
+  });
+  const summary = {
+    runId: runRecord.runId,
+    planId: runRecord.planId || null,
+    runTaskMode: 'preview',
+    taskDecision: 'bundle_verified',
+    stepCount: steps.length,
+    verifiedSteps: phases.filter((phase) => phase.status === 'completed').length,
+    ...verifySummary,
+    ...summarizeVerifyDelta(verifyDelta),
+  };
+  return buildControllerStatePayload(context, cliArgs, 'bundle', {
+    ok: phases.every((phase) => phase.ok),
+    dryRun: true,
+    summary,
+    warnings: uniqueStrings(warnings),
+    errors,
+    data: {
+      run: {
+        runId: runRecord.runId,
+        planId: runRecord.planId || null,
+        kind: runRecord.kind,
+      },
+      verifyDelta,
+      taskPhases: phases,
+      taskCard: buildRunTaskCard('bundle', 'preview', 'bundle_verified', phases, { summary }),
+    },
+  });
+}
+
+const EVENTS_TAIL_DEFAULT_LINES = 20;
+const STATE_GC_ACK = 'GC';
+
+const PIN_CATEGORY_KEYS = new Set([
+  ...CACHE_CATEGORIES.map((item) => item.key),
+  ...SPACE_GOVERNANCE_TARGETS.map((item) => item.key),
+]);
+
+function resolvePinInput(rawPin = {}) {
+  const monthText = String(rawPin.monthKey || '').trim();
+  const monthKey = monthText ? normalizeMonthKey(monthText) : null;
+  if (monthText && !monthKey) {
+    throw new UsageError(`参数 --month 格式无效：${monthText}，应为 YYYY-MM`);
+  }
+  const categoryKey = String(rawPin.categoryKey || '').trim();
+  if (categoryKey && !PIN_CATEGORY_KEYS.has(categoryKey)) {
+    throw new UsageError(`参数 --category 无效：${categoryKey}`);
+  }
+  const pin = {
+    path: String(rawPin.path || '').trim(),
+    accountId: String(rawPin.accountId || '').trim(),
+    monthKey,
+    categoryKey,
+    note: String(rawPin.note || '').trim(),
+  };
+  if (!pin.path && !pin.accountId && !pin.monthKey && !pin.categoryKey) {
+    throw new UsageError('pins add 至少需要 --path、--account、--month、--category 之一。');
+  }
+  return pin;
+}
+const OFFLOAD_RETURN_ACK = 'OFFLOAD_RETURN';
+const BATCH_RESUME_ACK = 'RESUME';
+const BATCH_ROLLBACK_ACK = 'ROLLBACK';
+
+function resolveOffloadReturnMonths(rawMonths = []) {
+  return rawMonths.map((text) => {
+    const monthKey = normalizeMonthKey(text);
+    if (!monthKey) {
+      throw new UsageError(`参数 --months 格式无效：${text}，应为 YYYY-MM`);
+    }
+    return monthKey;
+  });
+}
+
+async function resolveRecoverAllowedRoots(config) {
+  // 取回、续做与回滚只允许操作企业微信数据目录与文件存储目录，与清理时的允许范围一致
+  const detected = await detectExternalStorageRoots({
+    configuredRoots: config.externalStorageRoots,
+    profilesRoot: config.rootDir,
+    autoDetect: config.externalStorageAutoDetect !== false,
+  });
+  return [config.rootDir, inferDataRootFromProfilesRoot(config.rootDir), ...detected];
+}
+
+async function runBatchJournalCommand(controllerSpec, context, cliArgs, paths) {
+  const { config } = context;
+  const rollback = controllerSpec.kind === 'batch_rollback';
+  const journal = await loadBatchJournal(config.journalsRoot, controllerSpec.batchId);
+  if (!journal) {
+    throw new UsageError(
+      `未找到批次 ${controllerSpec.batchId} 的中断日志，可通过 inspect doctor 查看未完成批次。`
+    );
+  }
+  const dryRun = controllerSpec.ack !== (rollback ? BATCH_ROLLBACK_ACK : BATCH_RESUME_ACK);
+  const journalSummary = summarizeBatchJournal(journal);
+  const allowedRoots = await resolveRecoverAllowedRoots(config);
+  let result = null;
+
+  if (rollback) {
+    const externalRoots = allowedRoots.slice(2);
+    result = await rollbackCleanupBatch({
+      journal,
+      indexPath: config.indexPath,
+      dryRun,
+      restoreOptions: {
+        profileRoot: config.rootDir,
+        extraProfileRoots: externalRoots,
+        recycleRoots: await resolveAllRecycleRoots(config),
+        governanceRoot: allowedRoots[1],
+        extraGovernanceRoots: externalRoots,
+        verifyHash: config.verifyMoveHash === true,
+      },
+      offloadAllowedRoots: allowedRoots,
+    });
+  } else if (!dryRun) {
+    // 续做只处理仍位于当前允许根目录内的原始范围，配置变更后移除的根目录不会再被清理
+    const journalRoots = (journal.header.allowedRoots || []).filter((rootPath) =>
+      allowedRoots.some((allowedRoot) => pathsOverlap(allowedRoot, rootPath))
+    );
+    result = await resumeCleanupBatch({
+      journal,
+      indexPath: config.indexPath,
+      allowedRoots: journalRoots,
+      shouldSkip: buildPinnedShouldSkip(await loadPins(config.pinsPath)),
+      verifyHash: config.verifyMoveHash === true,
+      resolveRecycleRoot: createVolumeRecycleResolver({
+        recycleRoot: journal.header.recycleRoot,
+        registryPath: config.recycleRootsPath,
+      }),
+      signal: context.signal,
+    });
+  }
+  const cancelled = result?.status === 'cancelled';
+
+  if (!dryRun) {
+    await appendControllerEvent(paths.eventsPath, {
+      type: rollback ? 'batch_rolled_back' : 'batch_resumed',
+      batchId: journalSummary.batchId,
+      status: rollback
+        ? result.status
+        : cancelled
+          ? 'cancelled'
+          : result.failedCount > 0
+            ? 'partial_failed'
+            : 'completed',
+      time: Date.now(),
+    });
+  }
+
+  const summary = {
+    ...journalSummary,
+    mode: rollback ? 'rollback' : 'resume',
+    successCount: rollback ? Number(result.restoredCount || 0) : Number(result?.successCount || 0),
+    skippedCount: Number(result?.skippedCount || 0),
+    failedCount: Number(result?.failedCount || 0),
+    bytes: rollback ? Number(result.restoredBytes || 0) : Number(result?.reclaimedBytes || 0),
+    unrecoverableCount: rollback ? Number(result.unrecoverableCount || 0) : 0,
+    rollbackStatus: rollback ? result.status : null,
+    ...(cancelled ? { status: 'cancelled', cancelledRemainingCount: result.cancelledRemainingCount } : {}),
+  };
+  return buildControllerStatePayload(context, cliArgs, controllerSpec.kind, {
+    ok: summary.failedCount === 0 && !cancelled,
+    dryRun,
+    summary,
+    warnings:
+      summary.unrecoverableCount > 0
+        ? [`有 ${summary.unrecoverableCount} 个目标已被直接删除，无法回滚。`]
+        : [],
+    errors: (result?.errors || []).map((item) => toStructuredError(item)),
+    data: {
+      pendingPaths: journalSummary.pendingPaths,
+      skippedTargets: result?.skippedTargets || [],
     },
   });
-  await saveLatestTaskForContext(context, context.config.latestTaskPath, payload);
-  return { payload, outputMode };
+}
+
+const STATE_GC_INT_FLAGS = [
+  ['planMaxAgeDays', '--plan-max-age-days'],
+  ['runMaxAgeDays', '--run-max-age-days'],
+  ['maxPlans', '--max-plans'],
+  ['maxRuns', '--max-runs'],
+  ['eventsMaxMB', '--events-max-mb'],
+  ['eventsKeepArchives', '--events-keep-archives'],
+  ['latestTaskMaxAgeDays', '--latest-task-max-age-days'],
+];
+
+function resolveStateGcPolicy(rawPolicy = {}, configPolicy = {}) {
+  const overrides = {};
+  for (const [key, flag] of STATE_GC_INT_FLAGS) {
+    if (String(rawPolicy[key] || '').trim()) {
+      overrides[key] = resolveNonNegativeIntFlag(flag, rawPolicy[key]);
+    }
+  }
+  const keepText = String(rawPolicy.keepReferencedPlans || '')
+    .trim()
+    .toLowerCase();
+  if (keepText) {
+    if (!['true', 'false'].includes(keepText)) {
+      throw new UsageError(`参数 --keep-referenced-plans 的值无效: ${rawPolicy.keepReferencedPlans}`);
+    }
+    overrides.keepReferencedPlans = keepText === 'true';
+  }
+  return normalizeStateGcPolicy(overrides, configPolicy);
+}
+
+function buildStateGcSummary(gcResult) {
+  return {
+    reclaimedBytes: gcResult.reclaimedBytes,
+    removedRuns: gcResult.removedRuns.length,
+    removedPlans: gcResult.removedPlans.length,
+    keptReferencedPlans: gcResult.keptReferencedPlans.length,
+    eventsBytes: gcResult.eventsBytes,
+    rotatedEvents: Boolean(gcResult.eventsRotation),
+    removedArchives: gcResult.removedArchives.length,
+    removedLatestTask: Boolean(gcResult.removedLatestTask),
+  };
+}
+
+function resolveEventsOutputMode(cliArgs) {
+  if (
+    cliArgs.output === OUTPUT_TEXT ||
+    cliArgs.output === OUTPUT_AGENT_JSON ||
+    cliArgs.output === OUTPUT_JSON
+  ) {
+    return cliArgs.output;
+  }
+  return OUTPUT_NDJSON;
+}
+
+function resolveEventFilters(rawFilters = {}) {
+  const resolveTime = (flag, rawValue) => {
+    const value = parseControllerEventTime(rawValue);
+    if (Number.isNaN(value)) {
+      throw new UsageError(`参数 ${flag} 的值无效: ${rawValue}（支持 ISO 时间、毫秒时间戳或 30m/24h/7d）`);
+    }
+    return value;
+  };
+  const filters = {
+    types: rawFilters.types || [],
+    since: resolveTime('--since', rawFilters.since),
+    until: resolveTime('--until', rawFilters.until),
+    planId: String(rawFilters.planId || '').trim(),
+    runId: String(rawFilters.runId || '').trim(),
+    limit: resolveNonNegativeIntFlag('--limit', rawFilters.limit),
+  };
+  if (filters.since && filters.until && filters.since > filters.until) {
+    throw new UsageError('参数 --since 不能晚于 --until');
+  }
+  return filters;
+}
+
+function formatControllerEventLine(event) {
+  const time = controllerEventTimeText(event);
+  const parts = [time, event.type || '-'];
+  if (event.planId) {
+    parts.push(`计划 ${event.planId}`);
+  }
+  if (event.runId) {
+    parts.push(`运行 ${event.runId}`);
+  }
+  parts.push([event.kind, event.action].filter(Boolean).join('/') || '-');
+  return parts.join('｜');
+}
+
+function controllerEventTimeText(event) {
+  const ts = controllerEventTime(event);
+  if (!ts) {
+    return '-';
+  }
+  return `${formatLocalDate(ts)}:${String(new Date(ts).getSeconds()).padStart(2, '0')}`;
+}
+
+function writeControllerEvent(event, outputMode) {
+  process.stdout.write(
+    `${outputMode === OUTPUT_TEXT ? formatControllerEventLine(event) : JSON.stringify(event)}\n`
+  );
+}
+
+async function runEventsCommand(controllerSpec, context, cliArgs) {
+  const paths = controllerPathsFromConfig(context.config);
+  const outputMode = resolveEventsOutputMode(cliArgs);
+  const filters = resolveEventFilters(controllerSpec.filters);
+  const lines = String(controllerSpec.lines || '').trim()
+    ? resolveNonNegativeIntFlag('-n', controllerSpec.lines)
+    : EVENTS_TAIL_DEFAULT_LINES;
+  if (controllerSpec.follow && outputMode !== OUTPUT_TEXT && outputMode !== OUTPUT_NDJSON) {
+    throw new UsageError('events tail -f 仅支持 --output text 或 --output ndjson。');
+  }
+  const log = await readControllerEventLog(paths.eventsPath);
+  const matched = filterControllerEvents(log.events, filters);
+  let shown = matched;
+  if (controllerSpec.kind === 'events_tail') {
+    shown = lines > 0 ? matched.slice(-lines) : [];
+  } else if (filters.limit > 0) {
+    shown = matched.slice(0, filters.limit);
+  }
+
+  if (outputMode !== OUTPUT_TEXT && outputMode !== OUTPUT_NDJSON) {
+    const { payload } = await buildControllerStatePayload(context, cliArgs, controllerSpec.kind, {
+      summary: {
+        totalEvents: log.events.length,
+        matchedEvents: matched.length,
+        returnedEvents: shown.length,
+        eventsPath: paths.eventsPath,
+      },
+      data: {
+        filters,
+        events: shown,
+      },
+    });
+    emitNonInteractivePayload(payload, outputMode);
+    return;
+  }
+  for (const event of shown) {
+    writeControllerEvent(event, outputMode);
+  }
+  if (!controllerSpec.follow) {
+    if (outputMode === OUTPUT_TEXT && shown.length === 0) {
+      console.log('无匹配事件');
+    }
+    return;
+  }
+  const abortController = new AbortController();
+  const stop = () => abortController.abort();
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  try {
+    await followControllerEvents(paths.eventsPath, {
+      offset: log.offset,
+      signal: abortController.signal,
+      onEvent: (event) => {
+        if (filterControllerEvents([event], filters).length > 0) {
+          writeControllerEvent(event, outputMode);
+        }
+      },
+    });
+  } finally {
+    process.off('SIGINT', stop);
+    process.off('SIGTERM', stop);
+  }
+}
+
+function assertControllerRecordIds(controllerSpec) {
+  for (const recordId of [controllerSpec.planId, controllerSpec.otherPlanId, controllerSpec.runId]) {
+    if (recordId && !isValidRecordId(recordId)) {
+      throw new UsageError(`记录 ID 无效: ${recordId}（只能包含小写字母、数字、- 与 _）`);
+    }
+  }
 }
 
 async function runControllerCommand(controllerSpec, context, cliArgs) {
+  assertControllerRecordIds(controllerSpec);
   const paths = controllerPathsFromConfig(context.config);
   if (controllerSpec.kind === 'inspect_footprint') {
     const {
@@ -7195,22 +9825,30 @@ async function runControllerCommand(controllerSpec, context, cliArgs) {
   }
 
   if (controllerSpec.kind === 'plan') {
+    const ttlHours = resolvePlanTtlHours(controllerSpec.ttlHours, context.config.planTtlHours);
     const previewArgv = controllerSpec.legacyArgv;
     const execution = await executeLegacyArgvPayload(context, previewArgv);
     const baseArgv = buildFrozenPlanLegacyArgv(execution.action, previewArgv, execution.payload);
+    const createdAt = Date.now();
     const planRecord = await savePlanRecord(paths, {
       kind: controllerSpec.controllerKind,
       action: execution.action,
-      createdAt: Date.now(),
+      createdAt,
+      ttlHours,
+      expiresAt: ttlHours > 0 ? createdAt + ttlHours * 3600 * 1000 : null,
       baseLegacyArgv: baseArgv,
       previewLegacyArgv: previewArgv,
       previewSummary: execution.payload.summary,
       previewTaskCard: execution.payload.data?.taskCard || {},
       previewSelectionSignature: resolveControllerSelectionSignature(execution.payload),
+      previewTargets: resolveControllerFrozenTargets(execution.payload),
+      reclaimGoal: resolvePlanReclaimGoal(execution.payload),
+      monthSelection: resolvePlanMonthSelection(execution.payload),
     });
     execution.payload.summary = {
       ...(execution.payload.summary || {}),
       planId: planRecord.planId,
+      planExpiresAt: planRecord.expiresAt,
     };
     execution.payload.data = {
       ...(execution.payload.data || {}),
@@ -7224,21 +9862,47 @@ async function runControllerCommand(controllerSpec, context, cliArgs) {
     return execution;
   }
 
+  if (controllerSpec.kind === 'plan_bundle') {
+    return planBundleSteps(context, cliArgs, paths, controllerSpec);
+  }
+
   if (controllerSpec.kind === 'apply') {
     if (controllerSpec.ack !== 'APPLY') {
       throw new ConfirmationRequiredError('执行 apply 需要提供 --ack APPLY。');
     }
+    const driftPolicy = parsePlanDriftPolicy(controllerSpec.drift);
+    if (!driftPolicy) {
+      throw new UsageError(`参数 --drift 的值无效: ${controllerSpec.drift}`);
+    }
     const planRecord = await loadPlanRecord(paths, controllerSpec.planId);
     if (!planRecord) {
       throw new UsageError(`未找到计划: ${controllerSpec.planId}`);
     }
-    const preflightArgv = withRunTaskModeArgv(planRecord.baseLegacyArgv || [], 'preview', {
-      allowMissingTargets: true,
-    });
-    const preflight = await executeLegacyArgvPayload(context, preflightArgv);
-    assertControllerPlanStable(planRecord, preflight.payload);
-    const executeArgv = withRunTaskModeArgv(planRecord.baseLegacyArgv || [], 'execute');
-    const execution = await executeLegacyArgvPayload(context, executeArgv);
+    if (isPlanExpired(planRecord)) {
+      throw new UsageError(
+        `计划已过期：${planRecord.planId} 已于 ${formatLocalDate(planRecord.expiresAt)} 失效，请重新执行 plan。`
+      );
+    }
+    const appWarnings = [];
+    const appGate = planTouchesAppData(planRecord)
+      ? checkRunningAppGate(normalizeAppRunningPolicy(cliArgs.whenAppRunning, 'refuse'), appWarnings)
+      : null;
+    if (appGate) {
+      return buildRunningAppApplyPayload(context, cliArgs, planRecord, appGate, appWarnings);
+    }
+    if (planRecord.kind === PLAN_BUNDLE_KIND) {
+      return applyPlanBundle(context, cliArgs, paths, planRecord, driftPolicy, appWarnings);
+    }
+    const {
+      preflightArgv,
+      preflight,
+      executeArgv,
+      execution,
+      drift,
+      targetRules,
+      excludedTargets,
+      scopeTargetKeys,
+    } = await executeFrozenPlanStep(context, planRecord, driftPolicy);
     const runRecord = await saveRunRecord(paths, {
       kind: planRecord.kind,
       action: planRecord.action,
@@ -7252,12 +9916,24 @@ async function runControllerCommand(controllerSpec, context, cliArgs) {
       executeSummary: execution.payload.summary,
       executeTaskCard: execution.payload.data?.taskCard || {},
       executeSelectionSignature: resolveControllerSelectionSignature(execution.payload),
+      executeTargets: resolveControllerExecutedTargets(execution.payload),
+      deleteMode: execution.payload.summary?.deleteMode || null,
+      batchIds: execution.payload.summary?.batchId ? [execution.payload.summary.batchId] : [],
+      drift: summarizePlanDrift(drift),
+      targetRules,
+      excludedTargets,
+      scopeTargetKeys,
     });
     execution.payload.summary = {
       ...(execution.payload.summary || {}),
       planId: planRecord.planId,
       runId: runRecord.runId,
+      excludedTargets: excludedTargets.length,
+      driftPolicy: runRecord.drift?.policy || driftPolicy.mode,
+      driftDroppedTargets: drift ? drift.droppedTargets.length : 0,
+      driftAddedTargets: drift ? drift.addedTargets.length : 0,
     };
+    execution.payload.warnings = uniqueStrings([...appWarnings, ...(execution.payload.warnings || [])]);
     execution.payload.data = {
       ...(execution.payload.data || {}),
       run: {
@@ -7265,6 +9941,14 @@ async function runControllerCommand(controllerSpec, context, cliArgs) {
         planId: runRecord.planId,
         kind: runRecord.kind,
       },
+      drift: drift
+        ? {
+            ...summarizePlanDrift(drift),
+            droppedTargets: drift.droppedTargets,
+            addedTargets: drift.addedTargets,
+            changedTargets: drift.changedTargets,
+          }
+        : null,
     };
     await saveLatestTaskForContext(context, context.config.latestTaskPath, execution.payload);
     return execution;
@@ -7275,21 +9959,43 @@ async function runControllerCommand(controllerSpec, context, cliArgs) {
     if (!runRecord) {
       throw new UsageError(`未找到运行记录: ${controllerSpec.runId}`);
     }
+    if (runRecord.kind === PLAN_BUNDLE_KIND) {
+      return verifyPlanBundleRun(context, cliArgs, paths, runRecord);
+    }
     const verifyArgv = withRunTaskModeArgv(runRecord.baseLegacyArgv || [], 'preview', {
       allowMissingTargets: true,
     });
-    const verification = await executeLegacyArgvPayload(context, verifyArgv);
+    const targetRules = normalizePlanTargetRules(runRecord.targetRules);
+    const verification = await executeLegacyArgvPayload(context, verifyArgv, {
+      targetFilter: buildPlanScopeFilter(targetRules, runRecord.scopeTargetKeys),
+    });
+    const exclusions = await inspectRunExclusions(runRecord);
+    const verifyDelta = resolveVerifyDelta(runRecord.executeTargets, [verification.payload]);
+    verification.payload.warnings = [
+      ...(verification.payload.warnings || []),
+      ...collectVerifyDeltaWarnings(verifyDelta),
+    ];
+    if (exclusions.length > 0) {
+      verification.payload.warnings = [
+        ...(verification.payload.warnings || []),
+        `计划排除的 ${exclusions.length} 项目标未纳入复核，其中 ${exclusions.filter((item) => item.stillPresent).length} 项仍保留在原位置。`,
+      ];
+    }
     await updateRunRecord(paths, controllerSpec.runId, {
       verifiedAt: Date.now(),
       verifyLegacyArgv: verifyArgv,
       verifySummary: verification.payload.summary,
       verifyTaskCard: verification.payload.data?.taskCard || {},
       verifySelectionSignature: resolveControllerSelectionSignature(verification.payload),
+      verifyDelta,
     });
     verification.payload.summary = {
       ...(verification.payload.summary || {}),
       runId: controllerSpec.runId,
       planId: runRecord.planId || null,
+      excludedTargets: exclusions.length,
+      excludedStillPresent: exclusions.filter((item) => item.stillPresent).length,
+      ...summarizeVerifyDelta(verifyDelta),
     };
     verification.payload.data = {
       ...(verification.payload.data || {}),
@@ -7298,11 +10004,438 @@ async function runControllerCommand(controllerSpec, context, cliArgs) {
         planId: runRecord.planId || null,
         kind: runRecord.kind,
       },
+      exclusions: {
+        rules: targetRules,
+        targets: exclusions,
+      },
+      verifyDelta,
     };
     await saveLatestTaskForContext(context, context.config.latestTaskPath, verification.payload);
     return verification;
   }
 
+  if (controllerSpec.kind === 'recover_run') {
+    const runRecord = await loadRunRecordOrThrow(paths, controllerSpec.runId);
+    const deleteMode = runRecord.deleteMode || runRecord.executeSummary?.deleteMode || null;
+    if (deleteMode === DELETE_MODES.DIRECT) {
+      throw new UsageError(`运行记录 ${controllerSpec.runId} 使用直接删除模式，没有可恢复的回收批次。`);
+    }
+    const batchIds = resolveRunBatchIds(runRecord);
+    if (batchIds.length === 0) {
+      throw new UsageError(`运行记录 ${controllerSpec.runId} 未产生回收批次，无需恢复。`);
+    }
+    const restoreArgv = [
+      '--restore-batch',
+      batchIds.join(','),
+      ...withRunScopeArgv(controllerSpec.legacyTailArgv, runRecord),
+    ];
+    const restoration = await executeLegacyArgvPayload(context, restoreArgv);
+    if (restoration.payload.dryRun === false) {
+      await updateRunRecord(paths, controllerSpec.runId, {
+        recoveredAt: Date.now(),
+        recoverLegacyArgv: restoreArgv,
+        recoverSummary: restoration.payload.summary,
+        recoverTaskCard: restoration.payload.data?.taskCard || {},
+      });
+    }
+    restoration.payload.summary = {
+      ...(restoration.payload.summary || {}),
+      runId: controllerSpec.runId,
+      planId: runRecord.planId || null,
+    };
+    restoration.payload.data = {
+      ...(restoration.payload.data || {}),
+      run: {
+        runId: controllerSpec.runId,
+        planId: runRecord.planId || null,
+        kind: runRecord.kind,
+        batchIds,
+      },
+    };
+    await saveLatestTaskForContext(context, context.config.latestTaskPath, restoration.payload);
+    return restoration;
+  }
+
+  if (controllerSpec.kind === 'plan_list') {
+    const filters = resolvePlanListFilters(controllerSpec.filters);
+    const [plans, runs] = await Promise.all([listPlanRecords(paths), listRunRecords(paths)]);
+    const appliedPlanIds = new Set(runs.map((run) => run.planId).filter(Boolean));
+    const matched = filterPlanRecords(plans, filters, { appliedPlanIds });
+    const rows = matched.map((plan) => summarizePlanRecord(plan, runs));
+    return buildControllerStatePayload(context, cliArgs, 'plan_list', {
+      summary: {
+        totalPlans: plans.length,
+        matchedPlans: rows.length,
+        appliedPlans: rows.filter((row) => row.applied).length,
+        pendingPlans: rows.filter((row) => !row.applied).length,
+      },
+      data: { filters, plans: rows },
+    });
+  }
+
+  if (controllerSpec.kind === 'plan_show') {
+    const planRecord = await loadPlanRecordOrThrow(paths, controllerSpec.planId);
+    const runs = await listRunRecords(paths);
+    const planSummary = summarizePlanRecord(planRecord, runs);
+    return buildControllerStatePayload(context, cliArgs, 'plan_show', {
+      summary: planSummary,
+      data: {
+        plan: planRecord,
+        runs: runs
+          .filter((run) => run.planId === planRecord.planId)
+          .map((run) => ({
+            runId: run.runId,
+            createdAt: run.createdAt || null,
+            verifiedAt: run.verifiedAt || null,
+            batchId: run.executeSummary?.batchId || null,
+            reclaimedBytes: Number(run.executeSummary?.reclaimedBytes || 0),
+            failedCount: Number(run.executeSummary?.failedCount || 0),
+          })),
+      },
+    });
+  }
+
+  if (controllerSpec.kind === 'plan_diff') {
+    const basePlan = await loadPlanRecordOrThrow(paths, controllerSpec.planId);
+    const otherPlan = await loadPlanRecordOrThrow(paths, controllerSpec.otherPlanId);
+    const diff = diffFrozenPlanTargets(basePlan, otherPlan);
+    const warnings = [];
+    if (!diff.sameAction) {
+      warnings.push('两个计划的动作类型不同，无法逐项比较目标集合。');
+    } else if (!diff.comparable) {
+      warnings.push('至少一个计划缺少冻结目标清单（旧版本计划），仅比较了选择签名。');
+    }
+    return buildControllerStatePayload(context, cliArgs, 'plan_diff', {
+      summary: {
+        basePlanId: basePlan.planId,
+        otherPlanId: otherPlan.planId,
+        comparable: diff.comparable,
+        signatureMatched: diff.signatureMatched,
+        addedCount: diff.added.length,
+        removedCount: diff.removed.length,
+        changedCount: diff.changed.length,
+        unchangedCount: diff.unchangedCount,
+        addedBytes: diff.addedBytes,
+        removedBytes: diff.removedBytes,
+        changedBytesDelta: diff.changedBytesDelta,
+      },
+      warnings,
+      data: {
+        basePlan: summarizePlanRecord(basePlan),
+        otherPlan: summarizePlanRecord(otherPlan),
+        diff,
+      },
+    });
+  }
+
+  if (controllerSpec.kind === 'state_gc') {
+    const policy = resolveStateGcPolicy(controllerSpec.policy, context.config.stateGc);
+    const dryRun = controllerSpec.ack !== STATE_GC_ACK;
+    const gcResult = await runControllerStateGc({
+      paths,
+      latestTaskPath: context.config.latestTaskPath,
+      policy,
+      dryRun,
+    });
+    return buildControllerStatePayload(context, cliArgs, 'state_gc', {
+      ok: gcResult.errors.length === 0,
+      dryRun,
+      summary: buildStateGcSummary(gcResult),
+      errors: gcResult.errors,
+      data: gcResult,
+    });
+  }
+
+  if (controllerSpec.kind === 'offload_return') {
+    const months = resolveOffloadReturnMonths(controllerSpec.months);
+    const dryRun = controllerSpec.ack !== OFFLOAD_RETURN_ACK;
+    const entries = await listOffloadedEntries(context.config.indexPath, {
+      months,
+      accounts: controllerSpec.accounts,
+    });
+    const result = await returnOffloadedEntries({
+      entries,
+      indexPath: context.config.indexPath,
+      dryRun,
+      allowedRoots: await resolveRecoverAllowedRoots(context.config),
+    });
+    if (!dryRun && result.successCount > 0) {
+      await appendControllerEvent(paths.eventsPath, {
+        type: 'offload_returned',
+        count: result.successCount,
+        bytes: result.returnedBytes,
+        time: Date.now(),
+      });
+    }
+    return buildControllerStatePayload(context, cliArgs, 'offload_return', {
+      ok: result.failedCount === 0,
+      dryRun,
+      summary: {
+        entryCount: entries.length,
+        months: sortMonthKeys([...new Set(entries.map((entry) => entry.monthKey).filter(Boolean))]),
+        successCount: result.successCount,
+        skippedCount: result.skippedCount,
+        failedCount: result.failedCount,
+        returnedBytes: result.returnedBytes,
+      },
+      warnings: entries.length === 0 ? ['未找到符合条件的外移记录，可检查 --months / --accounts。'] : [],
+      errors: result.errors.map((item) => toStructuredError(item)),
+      data: {
+        entries: entries.map((entry) => ({
+          batchId: entry.batchId || null,
+          accountId: entry.accountId || null,
+          monthKey: entry.monthKey || null,
+          categoryKey: entry.categoryKey || null,
+          categoryLabel: entry.categoryLabel || null,
+          sizeBytes: Number(entry.sizeBytes || 0),
+          sourcePath: entry.sourcePath,
+          offloadPath: entry.offloadPath,
+        })),
+        skippedTargets: result.skippedTargets,
+      },
+    });
+  }
+
+  if (controllerSpec.kind === 'batch_resume' || controllerSpec.kind === 'batch_rollback') {
+    return runBatchJournalCommand(controllerSpec, context, cliArgs, paths);
+  }
+
+  if (controllerSpec.kind === 'pins_list') {
+    const pins = await loadPins(context.config.pinsPath);
+    return buildControllerStatePayload(context, cliArgs, 'pins_list', {
+      summary: { pinCount: pins.length, pinsPath: context.config.pinsPath },
+      data: { pins },
+    });
+  }
+
+  if (controllerSpec.kind === 'pins_add') {
+    const pinInput = resolvePinInput(controllerSpec.pin);
+    const { pin, created } = await addPin(context.config.pinsPath, pinInput);
+    if (created) {
+      await appendControllerEvent(paths.eventsPath, {
+        type: 'pin_added',
+        pinId: pin.pinId,
+        time: Date.now(),
+      });
+    }
+    const pins = await loadPins(context.config.pinsPath);
+    return buildControllerStatePayload(context, cliArgs, 'pins_add', {
+      summary: { pinId: pin.pinId, created, pinCount: pins.length, pinsPath: context.config.pinsPath },
+      warnings: created ? [] : [`相同范围的固定条目已存在（${pin.pinId}），未重复添加。`],
+      data: { pin },
+    });
+  }
+
+  if (controllerSpec.kind === 'pins_remove') {
+    if (!controllerSpec.pinId) {
+      throw new UsageError('pins remove 需要提供 pin-id，可先执行 pins list 查看。');
+    }
+    const removed = await removePin(context.config.pinsPath, controllerSpec.pinId);
+    if (!removed) {
+      throw new UsageError(`未找到固定条目: ${controllerSpec.pinId}`);
+    }
+    await appendControllerEvent(paths.eventsPath, {
+      type: 'pin_removed',
+      pinId: removed.pinId,
+      time: Date.now(),
+    });
+    const pins = await loadPins(context.config.pinsPath);
+    return buildControllerStatePayload(context, cliArgs, 'pins_remove', {
+      summary: {
+        pinId: removed.pinId,
+        removed: true,
+        pinCount: pins.length,
+        pinsPath: context.config.pinsPath,
+      },
+      data: { pin: removed },
+    });
+  }
+
+  if (controllerSpec.kind === 'plan_discard') {
+    const planRecord = await loadPlanRecordOrThrow(paths, controllerSpec.planId);
+    await discardPlanRecord(paths, planRecord.planId);
+    return buildControllerStatePayload(context, cliArgs, 'plan_discard', {
+      summary: {
+        planId: planRecord.planId,
+        kind: planRecord.kind,
+        discarded: true,
+      },
+      data: { plan: summarizePlanRecord(planRecord) },
+    });
+  }
+
+  if (controllerSpec.kind === 'plan_edit') {
+    if (controllerSpec.exclude.length === 0 && controllerSpec.include.length === 0) {
+      throw new UsageError('plan edit 需要至少提供一个 --exclude 或 --include。');
+    }
+    const planRecord = await loadPlanRecordOrThrow(paths, controllerSpec.planId);
+    if (!Array.isArray(planRecord.previewTargets)) {
+      throw new UsageError(`计划 ${planRecord.planId} 未记录冻结目标清单，请重新执行 plan 后再编辑。`);
+    }
+    const edit = editPlanTargetRules(planRecord, controllerSpec);
+    if (edit.globIncludes.length > 0) {
+      throw new UsageError(`参数 --include 仅接受目标 ID 或路径，不支持通配: ${edit.globIncludes[0]}`);
+    }
+    if (edit.unknownTargets.length > 0) {
+      throw new UsageError(`计划 ${planRecord.planId} 中不存在目标: ${edit.unknownTargets[0]}`);
+    }
+    const updated = await updatePlanRecord(paths, planRecord.planId, {
+      targetRules: edit.rules,
+      effectiveSelectionSignature: edit.effectiveSelectionSignature,
+      editedAt: Date.now(),
+    });
+    return buildControllerStatePayload(context, cliArgs, 'plan_edit', {
+      summary: {
+        planId: updated.planId,
+        frozenTargetCount: updated.previewTargets.length,
+        keptTargetCount: edit.keptTargets.length,
+        excludedTargetCount: edit.excludedTargets.length,
+        keptBytes: edit.keptTargets.reduce((total, row) => total + Number(row.sizeBytes || 0), 0),
+        selectionSignature: edit.effectiveSelectionSignature,
+      },
+      warnings: edit.unmatchedExcludes.map((rule) => `排除规则未命中任何冻结目标: ${rule}`),
+      data: {
+        rules: edit.rules,
+        excludedTargets: edit.excludedTargets,
+        plan: summarizePlanRecord(updated),
+      },
+    });
+  }
+
+  if (controllerSpec.kind === 'plan_export') {
+    if (!controllerSpec.file) {
+      throw new UsageError('plan export 需要提供 --file <path>。');
+    }
+    const planRecord = await loadPlanRecordOrThrow(paths, controllerSpec.planId);
+    if (!Array.isArray(planRecord.previewTargets)) {
+      throw new UsageError(`计划 ${planRecord.planId} 未记录冻结目标清单，请重新执行 plan 后再导出。`);
+    }
+    const filePath = path.resolve(expandHome(controllerSpec.file));
+    const doc = buildPlanExportDocument(planRecord, { appVersion: context.appMeta?.version || null });
+    await writeJson(filePath, doc);
+    return buildControllerStatePayload(context, cliArgs, 'plan_export', {
+      summary: {
+        planId: planRecord.planId,
+        file: filePath,
+        targetCount: doc.plan.previewTargets.length,
+        expiresAt: doc.plan.expiresAt,
+        seal: doc.seal.value,
+      },
+      data: { file: filePath, seal: doc.seal, plan: summarizePlanRecord(planRecord) },
+    });
+  }
+
+  if (controllerSpec.kind === 'plan_import') {
+    const filePath = path.resolve(expandHome(controllerSpec.file));
+    const doc = await readJson(filePath, null);
+    if (!doc) {
+      throw new UsageError(`无法读取计划文件: ${filePath}`);
+    }
+    const verification = verifyPlanExportDocument(doc);
+    if (!verification.ok) {
+      const rejectedFlag =
+        verification.reason === 'unsupported_argv' ? `：${rebuildImportedPlanArgv(doc.plan).flag}` : '';
+      throw new UsageError(
+        `计划文件校验失败（${PLAN_IMPORT_REJECT_REASONS[verification.reason] || verification.reason}${rejectedFlag}），可能已被篡改: ${filePath}`
+      );
+    }
+    const importedArgv = rebuildImportedPlanArgv(doc.plan);
+    const referencedPaths = collectPlanReferencedPaths({ ...doc.plan, baseLegacyArgv: importedArgv.argv });
+    const allowedRoots = await resolveLocalPlanAllowedRoots(context, cliArgs);
+    const violations = await findPathsOutsideAllowedRoots(referencedPaths, allowedRoots);
+    if (violations.length > 0) {
+      throw new UsageError(
+        `计划文件包含 ${violations.length} 个不在本机允许根目录内的路径（首个：${violations[0].path}），已拒绝导入。`
+      );
+    }
+    const existing = await loadPlanRecord(paths, doc.plan.planId);
+    if (existing && existing.importedFrom?.seal !== doc.seal.value) {
+      throw new UsageError(`本机已存在计划 ${doc.plan.planId}，请先执行 plan discard 后再导入。`);
+    }
+    const planRecord =
+      existing ||
+      (await savePlanRecord(paths, {
+        ...doc.plan,
+        // 状态目录改用导入方本机的设置，apply 时回收区、锁与索引都落在导入方
+        baseLegacyArgv: [...importedArgv.argv, '--state-root', context.config.stateRoot],
+        importedAt: Date.now(),
+        importedFrom: {
+          file: filePath,
+          exportedAt: doc.exportedAt || null,
+          appVersion: doc.appVersion || null,
+          seal: doc.seal.value,
+          droppedFlags: importedArgv.droppedFlags,
+        },
+      }));
+    const expired = isPlanExpired(planRecord);
+    return buildControllerStatePayload(context, cliArgs, 'plan_import', {
+      summary: {
+        planId: planRecord.planId,
+        kind: planRecord.kind,
+        action: planRecord.action,
+        targetCount: planRecord.previewTargets.length,
+        checkedPathCount: referencedPaths.length,
+        expiresAt: planRecord.expiresAt || null,
+        expired,
+        alreadyImported: Boolean(existing),
+        droppedFlags: importedArgv.droppedFlags,
+        seal: doc.seal.value,
+      },
+      warnings: [
+        ...(expired ? ['导入的计划已过期，apply 会拒绝执行，请在本机重新 plan。'] : []),
+        ...(importedArgv.droppedFlags.length > 0
+          ? [`已忽略计划中的本机环境参数：${importedArgv.droppedFlags.join(', ')}，apply 时以本机设置为准。`]
+          : []),
+      ],
+      data: { file: filePath, allowedRoots, plan: summarizePlanRecord(planRecord) },
+    });
+  }
+
+  if (controllerSpec.kind === 'runs_list') {
+    const allRuns = await listRunRecords(paths);
+    const runs = controllerSpec.planId
+      ? allRuns.filter((run) => run.planId === controllerSpec.planId)
+      : allRuns;
+    const linkBatches = await resolveRunBatchLinks(context.config, runs);
+    const rows = runs.map((run) => ({ ...summarizeRunRecord(run), batches: linkBatches(run) }));
+    return buildControllerStatePayload(context, cliArgs, 'runs_list', {
+      summary: {
+        totalRuns: allRuns.length,
+        matchedRuns: rows.length,
+        verifiedRuns: rows.filter((row) => row.verifiedAt).length,
+        reclaimedBytes: rows.reduce((total, row) => total + row.reclaimedBytes, 0),
+        recoverableBatches: rows.reduce(
+          (total, row) => total + row.batches.filter((batch) => batch.status === 'recoverable').length,
+          0
+        ),
+      },
+      data: { filters: { planId: controllerSpec.planId || null }, runs: rows },
+    });
+  }
+
+  if (controllerSpec.kind === 'runs_show') {
+    const runRecord = await loadRunRecordOrThrow(paths, controllerSpec.runId);
+    const linkBatches = await resolveRunBatchLinks(context.config, [runRecord]);
+    const runSummary = summarizeRunRecord(runRecord);
+    const batches = linkBatches(runRecord);
+    return buildControllerStatePayload(context, cliArgs, 'runs_show', {
+      summary: {
+        ...runSummary,
+        recoverableBatches: batches.filter((batch) => batch.status === 'recoverable').length,
+      },
+      data: {
+        run: runSummary,
+        phases: buildRunPhaseComparison(runRecord),
+        batches,
+        taskCards: {
+          preflight: runRecord.preflightTaskCard || null,
+          execute: runRecord.executeTaskCard || null,
+          verify: runRecord.verifyTaskCard || null,
+        },
+      },
+    });
+  }
+
   if (controllerSpec.kind === 'skills_status') {
     return buildSkillsStatusPayload(context, cliArgs);
   }
@@ -7562,6 +10695,7 @@ async function runRecycleMaintainMode(context, options = {}) {
   const stats = await collectRecycleStats({
     indexPath: config.indexPath,
     recycleRoot: config.recycleRoot,
+    extraRecycleRoots: await listVolumeRecycleRoots(config.recycleRootsPath, config.recycleRoot),
   });
   const thresholdBytes = recycleThresholdBytes(config);
   const overThreshold = stats.totalBytes > thresholdBytes;
@@ -7606,6 +10740,7 @@ async function runRecycleMaintainMode(context, options = {}) {
   const result = await maintainRecycleBin({
     indexPath: config.indexPath,
     recycleRoot: config.recycleRoot,
+    extraRecycleRoots: await listVolumeRecycleRoots(config.recycleRootsPath, config.recycleRoot),
     policy,
     dryRun,
     onProgress: (current, total) => printProgress('清理批次', current, total),
@@ -8142,6 +11277,46 @@ async function runInteractiveLoop(context) {
   console.log('已退出。');
 }
 
+// 非交互任务第一次收到中断信号时停止开始新目标，输出部分结果后退出；再次中断则立即退出，
+// 立即退出会跳过 main 的 finally，由 onForceExit 同步释放执行锁
+function installCancellationHandlers(options = {}) {
+  const abortController = new AbortController();
+  const onSignal = (signalName) => {
+    if (abortController.signal.aborted) {
+      options.onForceExit?.();
+      process.exit(CANCELLED_EXIT_CODE);
+    }
+    process.stderr.write(`\n收到 ${signalName}，当前目标完成后停止，再次中断将立即退出。\n`);
+    abortController.abort(new TaskCancelledError(`收到 ${signalName}，任务已取消`));
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  return {
+    signal: abortController.signal,
+    dispose: () => {
+      process.off('SIGINT', onSignal);
+      process.off('SIGTERM', onSignal);
+    },
+  };
+}
+
+function buildCancelledTaskResult(action, error) {
+  return {
+    ok: false,
+    action,
+    dryRun: null,
+    // 只有扫描阶段抛出的取消能确定尚未改动任何文件；其他位置抛出时不做此结论
+    summary: { status: 'cancelled', cancelledDuringScan: error?.stage === 'scan' },
+    warnings: [],
+    errors: [{ code: 'E_CANCELLED', message: error.message, path: null }],
+    data: {},
+  };
+}
+
+function exitCodeForPayload(payload) {
+  return isCancelledResult(payload) ? CANCELLED_EXIT_CODE : 1;
+}
+
 async function main() {
   const rawArgv = process.argv.slice(2);
   const hasAnyArgs = rawArgv.length > 0;
@@ -8171,8 +11346,10 @@ async function main() {
 
   const controllerMode = controllerSpec.kind !== 'interactive' && controllerSpec.kind !== 'legacy';
   const controllerGlobalArgv = extractGlobalLegacyArgv(rawArgv);
+  const eventsMode = controllerSpec.kind === 'events_tail' || controllerSpec.kind === 'events_query';
   if (
     controllerMode &&
+    !eventsMode &&
     controllerSpec.kind !== 'mapped' &&
     controllerSpec.kind !== 'plan' &&
     !controllerGlobalArgv.includes('--output') &&
@@ -8186,6 +11363,9 @@ async function main() {
       : controllerGlobalArgv
     : rawArgv;
   const cliArgs = parseCliArgs(parsedArgv);
+  if (cliArgs.output === OUTPUT_NDJSON && !eventsMode) {
+    throw new CliArgError('参数 --output ndjson 仅适用于 events tail|query。');
+  }
 
   const forceInteractive = cliArgs.interactive === true;
   const hasNonInteractiveArgs = (hasAnyArgs && !forceInteractive) || controllerMode;
@@ -8200,7 +11380,15 @@ async function main() {
   const strictReadOnly =
     lockMode === MODES.DOCTOR ||
     controllerSpec.kind === 'inspect_footprint' ||
-    controllerSpec.kind === 'skills_status';
+    controllerSpec.kind === 'skills_status' ||
+    controllerSpec.kind === 'plan_list' ||
+    controllerSpec.kind === 'plan_show' ||
+    controllerSpec.kind === 'plan_diff' ||
+    controllerSpec.kind === 'plan_export' ||
+    controllerSpec.kind === 'runs_list' ||
+    controllerSpec.kind === 'runs_show' ||
+    controllerSpec.kind === 'pins_list' ||
+    eventsMode;
   const readOnlyConfig = strictReadOnly || controllerSpec.kind === 'verify';
 
   const config = await loadConfig(cliArgs, {
@@ -8226,23 +11414,49 @@ async function main() {
     projectRoot,
     readOnlyConfig,
     strictReadOnly,
+    whenAppRunning: cliArgs.whenAppRunning,
   };
 
   let lockHandle = null;
   if (!strictReadOnly) {
     lockHandle = await acquireExecutionLock(config.stateRoot, lockMode, { force: cliArgs.force });
   }
+  // events tail 自带中断处理，交互模式由提示框处理 Ctrl+C
+  const cancellation =
+    interactiveMode || eventsMode
+      ? null
+      : installCancellationHandlers({ onForceExit: () => lockHandle?.releaseSync?.() });
+  context.signal = cancellation?.signal;
 
   try {
     const startupUpdate = controllerMode
       ? null
       : await maybeRunStartupUpdateCheck(context, cliArgs, action, interactiveMode);
 
+    if (eventsMode) {
+      await runEventsCommand(controllerSpec, context, cliArgs);
+      return;
+    }
     if (controllerMode) {
-      const controllerResult = await runControllerCommand(controllerSpec, context, cliArgs);
-      emitNonInteractivePayload(controllerResult.payload, normalizeActionOutputMode(cliArgs));
-      if (!controllerResult.payload.ok) {
-        process.exitCode = 1;
+      let controllerPayload;
+      try {
+        controllerPayload = (await runControllerCommand(controllerSpec, context, cliArgs)).payload;
+      } catch (error) {
+        if (!isTaskCancelled(error)) {
+          throw error;
+        }
+        controllerPayload = (
+          await buildControllerStatePayload(
+            context,
+            cliArgs,
+            lockMode,
+            buildCancelledTaskResult(lockMode, error)
+          )
+        ).payload;
+      }
+      emitNonInteractivePayload(controllerPayload, normalizeActionOutputMode(cliArgs));
+      if (!controllerPayload.ok) {
+        process.exitCode = exitCodeForPayload(controllerPayload);
       }
       return;
     }
@@ -8252,6 +11466,7 @@ async function main() {
       if (upgraded) {
         return;
       }
+      await printUnfinishedJournalHint(context.config);
       if (interactiveStartMode !== MODES.START) {
         await runMode(interactiveStartMode, context, {
           jsonOutput: false,
@@ -8265,7 +11480,15 @@ async function main() {
     }
 
     const startedAt = Date.now();
-    let result = await runNonInteractiveTask(action, context, cliArgs);
+    let result;
+    try {
+      result = await runNonInteractiveTask(action, context, cliArgs);
+    } catch (error) {
+      if (!isTaskCancelled(error)) {
+        throw error;
+      }
+      result = buildCancelledTaskResult(action, error);
+    }
     if (action !== MODES.CHECK_UPDATE && action !== MODES.UPGRADE) {
       result = attachStartupUpdateToResult(result, startupUpdate, context.config.selfUpdate.skipVersion);
     }
@@ -8298,9 +11521,10 @@ async function main() {
     await saveLatestTaskForContext(context, config.latestTaskPath, payload);
     emitNonInteractivePayload(payload, outputMode);
     if (!payload.ok) {
-      process.exitCode = 1;
+      process.exitCode = exitCodeForPayload(payload);
     }
   } finally {
+    cancellation?.dispose();
     if (lockHandle && typeof lockHandle.release === 'function') {
       await lockHandle.release();
     }
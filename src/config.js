@@ -1,11 +1,28 @@
 import path from 'node:path';
-import { DEFAULT_PROFILE_ROOT, DEFAULT_STATE_ROOT, DELETE_MODES } from './constants.js';
-import { ensureDir, expandHome, readJson, writeJson } from './utils.js';
+import {
+  DEFAULT_CROSS_DEVICE_CONCURRENCY,
+  DEFAULT_PROFILE_ROOT,
+  DEFAULT_STATE_ROOT,
+  DELETE_MODES,
+  MAX_CLEANUP_CONCURRENCY,
+} from './constants.js';
+import {
+  ensureDir,
+  expandHome,
+  normalizeFileExtension,
+  parseAgeCutoffTime,
+  parseByteSize,
+  parseRelativeAge,
+  readJson,
+  writeJson,
+} from './utils.js';
 import { normalizeRecycleRetention } from './recycle-maintenance.js';
+import { normalizeStateGcPolicy } from './controller-gc.js';
+import { APP_RUNNING_POLICIES } from './app-process.js';
 import { normalizeSelfUpdateConfig } from './updater.js';
 
 const ALLOWED_THEMES = new Set(['auto', 'light', 'dark']);
-const ALLOWED_OUTPUTS = new Set(['json', 'text', 'agent-json']);
+const ALLOWED_OUTPUTS = new Set(['json', 'text', 'agent-json', 'ndjson']);
 const ALLOWED_CONFLICT_STRATEGIES = new Set(['skip', 'overwrite', 'rename']);
 const ALLOWED_EXTERNAL_ROOT_SOURCES = new Set(['preset', 'configured', 'auto', 'all']);
 const ALLOWED_GOVERNANCE_TIERS = new Set(['safe', 'caution', 'protected']);
@@ -14,12 +31,16 @@ const ALLOWED_UPGRADE_CHANNELS = new Set(['stable', 'pre']);
 const ALLOWED_SKILL_SYNC_METHODS = new Set(['npm', 'github-script']);
 const ALLOWED_RUN_TASK_MODES = new Set(['preview', 'execute', 'preview-execute-verify']);
 const ALLOWED_SCAN_DEBUG_LEVELS = new Set(['off', 'summary', 'full']);
+const ALLOWED_FILE_AGE_BASES = new Set(['mtime', 'atime']);
 const ALLOWED_DELETE_MODES = new Set([
   DELETE_MODES.DIRECT,
   DELETE_MODES.RECYCLE,
   DELETE_MODES.SERVICE_RECYCLE,
+  DELETE_MODES.ARCHIVE,
+  DELETE_MODES.OFFLOAD,
 ]);
 const ALLOWED_RECYCLE_SCOPES = new Set(['manual', 'service', 'all']);
+const ALLOWED_APP_RUNNING_POLICIES = new Set(APP_RUNNING_POLICIES);
 const ALLOWED_SERVICE_DELETE_MODES = new Set([DELETE_MODES.DIRECT, DELETE_MODES.SERVICE_RECYCLE]);
 const ACTION_FLAG_MAP = new Map([
   ['--cleanup-monthly', 'cleanup_monthly'],
@@ -94,6 +115,22 @@ function parsePositiveInteger(flag, rawValue) {
   return num;
 }
 
+function parseCategoryRetention(flag, rawValue) {
+  const retention = {};
+  for (const item of parseCsvList(rawValue)) {
+    const matched = item.match(/^([^=\s]+)\s*=\s*(\d+|off)$/i);
+    const days = matched && matched[2].toLowerCase() !== 'off' ? Number.parseInt(matched[2], 10) : null;
+    if (!matched || days === 0) {
+      throw new CliArgError(`参数 ${flag} 的值无效: ${item}（示例：images=90,videos=14,voices=off）`);
+    }
+    retention[matched[1]] = days ?? 'off';
+  }
+  if (Object.keys(retention).length === 0) {
+    throw new CliArgError(`参数 ${flag} 缺少值`);
+  }
+  return retention;
+}
+
 function parseEnumValue(flag, rawValue, allowedSet) {
   const normalized = String(rawValue || '')
     .trim()
@@ -128,8 +165,16 @@ export function defaultConfig() {
     plansRoot: path.join(stateRoot, 'plans'),
     runsRoot: path.join(stateRoot, 'runs'),
     eventsPath: path.join(stateRoot, 'events.jsonl'),
+    pinsPath: path.join(stateRoot, 'pins.json'),
+    recycleRootsPath: path.join(stateRoot, 'recycle-roots.json'),
+    journalsRoot: path.join(stateRoot, 'journals'),
+    offloadRoot: null,
+    verifyMoveHash: false,
+    crossDeviceConcurrency: DEFAULT_CROSS_DEVICE_CONCURRENCY,
     dryRunDefault: true,
     defaultCategories: [],
+    // 0 表示计划不过期，有效期按需通过 --ttl-hours 或此配置开启
+    planTtlHours: 0,
     spaceGovernance: {
       autoSuggest: {
         sizeThresholdMB: 512,
@@ -139,6 +184,7 @@ export function defaultConfig() {
       lastSelectedTargets: [],
     },
     recycleRetention,
+    stateGc: normalizeStateGcPolicy({}),
     selfUpdate: normalizeSelfUpdateConfig({
       enabled: true,
       channel: 'stable',
@@ -189,6 +235,7 @@ export function parseCliArgs(argv) {
     externalStorageRoots: null,
     externalStorageAutoDetect: null,
     stateRoot: null,
+    offloadRoot: null,
     dryRunDefault: null,
     mode: null,
     theme: null,
@@ -203,9 +250,19 @@ export function parseCliArgs(argv) {
     actionFromMode: false,
     actionFlagCount: 0,
     restoreBatchId: null,
+    restoreBatchIds: [],
     accounts: null,
     months: null,
     cutoffMonth: null,
+    olderThan: null,
+    keepLatestMonths: null,
+    fileOlderThan: null,
+    fileAgeBasis: null,
+    includeExt: null,
+    excludeExt: null,
+    minFileSize: null,
+    maxFileSize: null,
+    reclaimGoal: null,
     categories: null,
     includeNonMonthDirs: null,
     externalRoots: null,
@@ -230,9 +287,13 @@ export function parseCliArgs(argv) {
     scanDebug: 'off',
     deleteMode: null,
     directDeleteAck: null,
+    atomic: false,
+    concurrency: null,
+    whenAppRunning: null,
     recycleScope: null,
     serviceTriggerSource: null,
     serviceRetainDays: null,
+    serviceCategoryRetention: null,
     serviceDeleteMode: null,
     serviceDirectDeleteAck: null,
     serviceRecycleRetentionDays: null,
@@ -295,6 +356,11 @@ export function parseCliArgs(argv) {
       i += 1;
       continue;
     }
+    if (token === '--offload-root') {
+      parsed.offloadRoot = takeValue(token, i);
+      i += 1;
+      continue;
+    }
     if (token === '--external-storage-auto-detect') {
       parsed.externalStorageAutoDetect = parseBooleanFlag(token, takeValue(token, i));
       i += 1;
@@ -312,6 +378,7 @@ export function parseCliArgs(argv) {
     }
     if (token === '--restore-batch') {
       parsed.restoreBatchId = takeValue(token, i);
+      parsed.restoreBatchIds = parseCsvList(parsed.restoreBatchId);
       parsed.action = 'restore';
       parsed.actionFlagCount += 1;
       actionValues.push('restore');
@@ -398,6 +465,23 @@ export function parseCliArgs(argv) {
       parsed.yes = true;
       continue;
     }
+    if (token === '--concurrency') {
+      parsed.concurrency = parsePositiveInteger(token, takeValue(token, i));
+      if (parsed.concurrency > MAX_CLEANUP_CONCURRENCY) {
+        throw new CliArgError(`参数 ${token} 的值不能超过 ${MAX_CLEANUP_CONCURRENCY}: ${parsed.concurrency}`);
+      }
+      i += 1;
+      continue;
+    }
+    if (token === '--atomic') {
+      parsed.atomic = true;
+      continue;
+    }
+    if (token === '--when-app-running') {
+      parsed.whenAppRunning = parseEnumValue(token, takeValue(token, i), ALLOWED_APP_RUNNING_POLICIES);
+      i += 1;
+      continue;
+    }
     if (token === '--save-config') {
       parsed.saveConfig = true;
       continue;
@@ -429,6 +513,68 @@ export function parseCliArgs(argv) {
       i += 1;
       continue;
     }
+    if (token === '--older-than') {
+      const rawAge = takeValue(token, i);
+      const age = parseRelativeAge(rawAge);
+      if (!age) {
+        throw new CliArgError(`参数 ${token} 的值无效: ${rawAge}（示例：90d、6m）`);
+      }
+      parsed.olderThan = age.text;
+      i += 1;
+      continue;
+    }
+    if (token === '--keep-latest-months') {
+      parsed.keepLatestMonths = parsePositiveInteger(token, takeValue(token, i));
+      i += 1;
+      continue;
+    }
+    if (token === '--file-older-than') {
+      const rawAge = takeValue(token, i);
+      if (parseAgeCutoffTime(rawAge) === null) {
+        throw new CliArgError(`参数 ${token} 的值无效: ${rawAge}（示例：30d、6m）`);
+      }
+      parsed.fileOlderThan = String(rawAge).trim();
+      i += 1;
+      continue;
+    }
+    if (token === '--file-age-basis') {
+      parsed.fileAgeBasis = parseEnumValue(token, takeValue(token, i), ALLOWED_FILE_AGE_BASES);
+      i += 1;
+      continue;
+    }
+    if (token === '--include-ext' || token === '--exclude-ext') {
+      const rawList = parseCsvList(takeValue(token, i));
+      const extensions = rawList.map((item) => normalizeFileExtension(item));
+      const invalidIndex = extensions.indexOf(null);
+      if (rawList.length === 0 || invalidIndex >= 0) {
+        throw new CliArgError(
+          `参数 ${token} 的值无效: ${rawList[invalidIndex] ?? ''}（示例：mp4,mov,zip；多段扩展名只写最后一段，如 gz）`
+        );
+      }
+      parsed[token === '--include-ext' ? 'includeExt' : 'excludeExt'] = [...new Set(extensions)];
+      i += 1;
+      continue;
+    }
+    if (token === '--min-file-size' || token === '--max-file-size') {
+      const rawSize = takeValue(token, i);
+      const sizeBytes = parseByteSize(rawSize);
+      if (sizeBytes === null) {
+        throw new CliArgError(`参数 ${token} 的值无效: ${rawSize}（示例：100MB、1GB）`);
+      }
+      parsed[token === '--min-file-size' ? 'minFileSize' : 'maxFileSize'] = sizeBytes;
+      i += 1;
+      continue;
+    }
+    if (token === '--reclaim-goal') {
+      const rawGoal = takeValue(token, i);
+      const goalBytes = parseByteSize(rawGoal);
+      if (!goalBytes) {
+        throw new CliArgError(`参数 ${token} 的值无效: ${rawGoal}（示例：20GB、500MB）`);
+      }
+      parsed.reclaimGoal = goalBytes;
+      i += 1;
+      continue;
+    }
     if (token === '--categories') {
       parsed.categories = parseCsvList(takeValue(token, i));
       i += 1;
@@ -542,6 +688,11 @@ export function parseCliArgs(argv) {
       i += 1;
       continue;
     }
+    if (token === '--service-retain') {
+      parsed.serviceCategoryRetention = parseCategoryRetention(token, takeValue(token, i));
+      i += 1;
+      continue;
+    }
     if (token === '--service-delete-mode') {
       parsed.serviceDeleteMode = parseEnumValue(token, takeValue(token, i), ALLOWED_SERVICE_DELETE_MODES);
       i += 1;
@@ -596,6 +747,20 @@ export function parseCliArgs(argv) {
     throw new CliArgError('参数 --months 与 --cutoff-month 不能同时使用');
   }
 
+  if (parsed.minFileSize !== null && parsed.maxFileSize !== null && parsed.minFileSize > parsed.maxFileSize) {
+    throw new CliArgError('参数 --min-file-size 不能大于 --max-file-size');
+  }
+
+  const monthSelectors = [
+    ['--months', parsed.months],
+    ['--cutoff-month', parsed.cutoffMonth],
+    ['--older-than', parsed.olderThan],
+    ['--keep-latest-months', parsed.keepLatestMonths],
+  ].filter(([, value]) => value);
+  if (monthSelectors.length > 1) {
+    throw new CliArgError(`时间筛选参数 ${monthSelectors.map(([flag]) => flag).join(' 与 ')} 不能同时使用`);
+  }
+
   if (parsed.actionFlagCount > 1 || new Set(actionValues).size > 1) {
     throw new CliArgError('动作参数冲突：一次只能指定一个动作（如 --cleanup-monthly）');
   }
@@ -673,8 +838,10 @@ export async function loadConfig(cliArgs = {}, options = {}) {
     theme: normalizeTheme(cliArgs.theme || fileConfig.theme || base.theme) || base.theme,
   };
 
+  merged.planTtlHours = normalizePositiveInt(fileConfig.planTtlHours, base.planTtlHours, 0);
   merged.spaceGovernance = normalizeSpaceGovernance(fileConfig.spaceGovernance, base.spaceGovernance);
   merged.recycleRetention = normalizeRecycleRetention(fileConfig.recycleRetention, base.recycleRetention);
+  merged.stateGc = normalizeStateGcPolicy(fileConfig.stateGc, base.stateGc);
   merged.selfUpdate = normalizeSelfUpdateConfig(fileConfig.selfUpdate, base.selfUpdate);
 
   merged.recycleRoot = expandHome(fileConfig.recycleRoot || path.join(stateRoot, 'recycle-bin'));
@@ -693,6 +860,17 @@ export async function loadConfig(cliArgs = {}, options = {}) {
   merged.plansRoot = expandHome(fileConfig.plansRoot || path.join(stateRoot, 'plans'));
   merged.runsRoot = expandHome(fileConfig.runsRoot || path.join(stateRoot, 'runs'));
   merged.eventsPath = expandHome(fileConfig.eventsPath || path.join(stateRoot, 'events.jsonl'));
+  merged.pinsPath = expandHome(fileConfig.pinsPath || path.join(stateRoot, 'pins.json'));
+  merged.recycleRootsPath = expandHome(
+    fileConfig.recycleRootsPath || path.join(stateRoot, 'recycle-roots.json')
+  );
+  merged.journalsRoot = expandHome(fileConfig.journalsRoot || path.join(stateRoot, 'journals'));
+  merged.offloadRoot = expandHome(cliArgs.offloadRoot || fileConfig.offloadRoot || null);
+  merged.verifyMoveHash = fileConfig.verifyMoveHash === true;
+  merged.crossDeviceConcurrency = Math.min(
+    MAX_CLEANUP_CONCURRENCY,
+    normalizePositiveInt(fileConfig.crossDeviceConcurrency, base.crossDeviceConcurrency, 1)
+  );
   merged.configPath = configPath;
 
   if (!options.readOnly) {
@@ -723,10 +901,22 @@ export async function saveConfig(config) {
     plansRoot: config.plansRoot,
     runsRoot: config.runsRoot,
     eventsPath: config.eventsPath,
+    pinsPath: config.pinsPath,
+    recycleRootsPath: config.recycleRootsPath,
+    journalsRoot: config.journalsRoot,
+    offloadRoot: config.offloadRoot || null,
+    verifyMoveHash: config.verifyMoveHash === true,
+    crossDeviceConcurrency: normalizePositiveInt(
+      config.crossDeviceConcurrency,
+      defaultConfig().crossDeviceConcurrency,
+      1
+    ),
     dryRunDefault: Boolean(config.dryRunDefault),
     defaultCategories: Array.isArray(config.defaultCategories) ? config.defaultCategories : [],
+    planTtlHours: normalizePositiveInt(config.planTtlHours, defaultConfig().planTtlHours, 0),
     spaceGovernance: normalizeSpaceGovernance(config.spaceGovernance, defaultConfig().spaceGovernance),
     recycleRetention: normalizeRecycleRetention(config.recycleRetention, defaultConfig().recycleRetention),
+    stateGc: normalizeStateGcPolicy(config.stateGc, defaultConfig().stateGc),
     selfUpdate: normalizeSelfUpdateConfig(config.selfUpdate, defaultConfig().selfUpdate),
     theme: normalizeTheme(config.theme) || 'auto',
   };
@@ -98,6 +98,19 @@ export const CACHE_CATEGORIES = [
 
 export const CATEGORY_MAP = new Map(CACHE_CATEGORIES.map((item) => [item.key, item]));
 
+// 目标空间模式下同一月份内的清理先后：价值越低、越容易重新生成的缓存越靠前
+export const CLEANUP_GOAL_CATEGORY_PRIORITY = [
+  'link_thumbnails',
+  'video_thumbnails',
+  'emotion_thumbnails',
+  'emotions',
+  'videos',
+  'images',
+  'voices',
+  'files',
+  'wwsecurity',
+];
+
 export const MODES = {
   START: 'start',
   CLEANUP_MONTHLY: 'cleanup_monthly',
@@ -121,8 +134,14 @@ export const DELETE_MODES = {
   DIRECT: 'direct',
   RECYCLE: 'recycle',
   SERVICE_RECYCLE: 'service_recycle',
+  ARCHIVE: 'archive',
+  OFFLOAD: 'offload',
 };
 
+// 清理并发上限；跨卷移动需整目录复制，另设更低的默认上限
+export const MAX_CLEANUP_CONCURRENCY = 16;
+export const DEFAULT_CROSS_DEVICE_CONCURRENCY = 2;
+
 export const SPACE_GOVERNANCE_TIERS = {
   SAFE: 'safe',
   CAUTION: 'caution',
@@ -20,8 +20,14 @@ const GLOBAL_VALUE_FLAGS = new Set([
   '--theme',
   '--external-storage-root',
   '--external-storage-auto-detect',
+  '--when-app-running',
 ]);
 const GLOBAL_BOOL_FLAGS = new Set(['--json', '--force', '--interactive']);
+const PLAN_BUNDLE_STEP_FLAGS = new Map([
+  ['monthly-cleanup', '--cleanup-monthly'],
+  ['space-governance', '--space-governance'],
+  ['recycle', '--recycle-maintain'],
+]);
 
 function hasToken(argv, token) {
   return Array.isArray(argv) && argv.includes(token);
@@ -43,6 +49,28 @@ function consumeFlagValue(args, flag, fallback = '') {
   return idx + 1 < args.length ? String(args[idx + 1] || '') : fallback;
 }
 
+function consumeFlagValues(args, flag) {
+  const values = [];
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === flag && i + 1 < args.length) {
+      values.push(...String(args[i + 1] || '').split(','));
+      i += 1;
+    }
+  }
+  return values.map((item) => item.trim()).filter(Boolean);
+}
+
+function consumeRepeatedFlagValues(args, flag) {
+  const values = [];
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === flag && i + 1 < args.length) {
+      values.push(String(args[i + 1] || '').trim());
+      i += 1;
+    }
+  }
+  return values.filter(Boolean);
+}
+
 function stripFlag(args, flag) {
   const out = [];
   for (let i = 0; i < args.length; i += 1) {
@@ -78,12 +106,28 @@ export function renderV2Usage(appMeta = {}) {
     '用法：',
     '  wecom-cleaner inspect footprint [选项]',
     '  wecom-cleaner inspect doctor [选项]',
-    '  wecom-cleaner plan monthly-cleanup [选项]',
+    '  wecom-cleaner plan monthly-cleanup [--older-than <90d|6m>] [--keep-latest-months <n>] [--file-older-than <Nd|Nm>] [--include-ext|--exclude-ext <ext,...>] [--min-file-size|--max-file-size <size>] [--reclaim-goal <size>] [选项]',
     '  wecom-cleaner plan space-governance [选项]',
-    '  wecom-cleaner apply <plan-id> --ack APPLY [选项]',
+    '  wecom-cleaner plan bundle --step <步骤>[:参数] ... [--on-failure stop|continue] [选项]',
+    '  wecom-cleaner plan list|show|diff|discard [plan-id...] [选项]',
+    '  wecom-cleaner plan edit <plan-id> [--exclude <target-id|glob>] [--include <target-id>] [选项]',
+    '  wecom-cleaner plan export <plan-id> --file <path> [选项]',
+    '  wecom-cleaner plan import <path> [选项]',
+    '  wecom-cleaner apply <plan-id> --ack APPLY [--drift strict|shrink-only|tolerance=<pct>] [--when-app-running refuse|warn|defer] [选项]',
     '  wecom-cleaner verify <run-id> [选项]',
+    '  wecom-cleaner runs list|show [run-id] [选项]',
+    '  wecom-cleaner events tail [-n <条数>] [-f] [选项]',
+    '  wecom-cleaner events query [--type <t1,t2>] [--since <时间>] [--until <时间>] [--plan <id>] [--run <id>]',
+    '  wecom-cleaner state gc [--ack GC] [--plan-max-age-days <n>] [--run-max-age-days <n>] [--max-plans <n>] [--max-runs <n>]',
+    '  wecom-cleaner pins add [--path <path>] [--account <id>] [--month YYYY-MM] [--category <key>] [--note <text>]',
+    '  wecom-cleaner pins remove <pin-id> [选项]',
+    '  wecom-cleaner pins list [选项]',
     '  wecom-cleaner recover restore <batch-id> [选项]',
+    '  wecom-cleaner recover run <run-id> --ack RESTORE [选项]',
     '  wecom-cleaner recover recycle [选项]',
+    '  wecom-cleaner recover offload-return [--months YYYY-MM,...] [--accounts id1,id2] [--ack OFFLOAD_RETURN]',
+    '  wecom-cleaner recover resume <batch-id> [--ack RESUME]',
+    '  wecom-cleaner recover rollback <batch-id> [--ack ROLLBACK]',
     '  wecom-cleaner service install|status|run|uninstall [选项]',
     '  wecom-cleaner update check [选项]',
     '  wecom-cleaner update apply <npm|github-script> [选项]',
@@ -91,18 +135,20 @@ export function renderV2Usage(appMeta = {}) {
     '  wecom-cleaner skills sync [选项]',
     '',
     '通用选项：',
-    '  --output text|agent-json',
+    '  --output text|agent-json（events 另支持 ndjson，默认 ndjson）',
     '  --root <path>',
     '  --state-root <path>',
     '  --accounts all|current|id1,id2',
     '  --categories key1,key2',
     '  --months YYYY-MM,YYYY-MM',
     '  --cutoff-month YYYY-MM',
+    '  --ttl-hours <n>（plan 有效期，0 表示不过期）',
+    '  --when-app-running refuse|warn|defer（企业微信运行时的处理方式，apply 默认 refuse，service run 默认 defer）',
     '',
     '说明：',
     '  - v2 已移除旧顶层动作旗标，不再接受 --cleanup-monthly 等旧入口。',
     '  - 自动化调用统一使用 --output agent-json。',
-    '  - 破坏性执行统一通过 apply / recover / service run / skills sync / update apply 入口触发。',
+    '  - 破坏性执行统一通过 apply / recover / service run / skills sync / update apply / state gc 入口触发。',
   ].join('\n');
 }
 
@@ -122,6 +168,32 @@ export function extractGlobalLegacyArgv(argv = []) {
   return out;
 }
 
+function parsePlanBundleStep(text, globalArgv) {
+  const sepIdx = text.indexOf(':');
+  const step = (sepIdx >= 0 ? text.slice(0, sepIdx) : text).trim();
+  const stepArgv =
+    sepIdx >= 0
+      ? text
+          .slice(sepIdx + 1)
+          .split(/\s+/)
+          .filter(Boolean)
+      : [];
+  const actionFlag = PLAN_BUNDLE_STEP_FLAGS.get(step);
+  if (!actionFlag) {
+    return { step, legacyArgv: null };
+  }
+  return {
+    step,
+    legacyArgv: withDefaultOutput([
+      actionFlag,
+      ...stripFlag(stripFlag(stepArgv, '--run-task'), '--ack'),
+      ...globalArgv,
+      '--run-task',
+      'preview',
+    ]),
+  };
+}
+
 export function parseControllerCommandArgv(argv = []) {
   if (!Array.isArray(argv) || argv.length === 0) {
     return { kind: 'interactive' };
@@ -154,23 +226,79 @@ export function parseControllerCommandArgv(argv = []) {
     return {
       kind: 'plan',
       action: 'cleanup_monthly',
-      legacyArgv: withDefaultOutput(['--cleanup-monthly', ...argv.slice(2), '--run-task', 'preview']),
+      legacyArgv: withDefaultOutput([
+        '--cleanup-monthly',
+        ...stripFlag(argv.slice(2), '--ttl-hours'),
+        '--run-task',
+        'preview',
+      ]),
       controllerKind: 'plan_monthly_cleanup',
+      ttlHours: consumeFlagValue(argv, '--ttl-hours', ''),
     };
   }
   if (domain === 'plan' && subcommand === 'space-governance') {
     return {
       kind: 'plan',
       action: 'space_governance',
-      legacyArgv: withDefaultOutput(['--space-governance', ...argv.slice(2), '--run-task', 'preview']),
+      legacyArgv: withDefaultOutput([
+        '--space-governance',
+        ...stripFlag(argv.slice(2), '--ttl-hours'),
+        '--run-task',
+        'preview',
+      ]),
       controllerKind: 'plan_space_governance',
+      ttlHours: consumeFlagValue(argv, '--ttl-hours', ''),
+    };
+  }
+  if (domain === 'plan' && subcommand === 'bundle') {
+    const globalArgv = extractGlobalLegacyArgv(argv);
+    return {
+      kind: 'plan_bundle',
+      steps: consumeRepeatedFlagValues(argv, '--step').map((text) => parsePlanBundleStep(text, globalArgv)),
+      onFailure: consumeFlagValue(argv, '--on-failure', ''),
+      ttlHours: consumeFlagValue(argv, '--ttl-hours', ''),
     };
   }
+  if (domain === 'plan' && subcommand === 'list') {
+    return {
+      kind: 'plan_list',
+      filters: {
+        kind: consumeFlagValue(argv, '--kind', ''),
+        status: consumeFlagValue(argv, '--status', 'all'),
+        minAgeDays: consumeFlagValue(argv, '--min-age-days', ''),
+        maxAgeDays: consumeFlagValue(argv, '--max-age-days', ''),
+      },
+    };
+  }
+  if (domain === 'plan' && subcommand === 'show' && third) {
+    return { kind: 'plan_show', planId: third };
+  }
+  if (domain === 'plan' && subcommand === 'diff' && third && rest[0] && !rest[0].startsWith('-')) {
+    return { kind: 'plan_diff', planId: third, otherPlanId: rest[0] };
+  }
+  if (domain === 'plan' && subcommand === 'discard' && third) {
+    return { kind: 'plan_discard', planId: third };
+  }
+  if (domain === 'plan' && subcommand === 'edit' && third) {
+    return {
+      kind: 'plan_edit',
+      planId: third,
+      exclude: consumeFlagValues(argv, '--exclude'),
+      include: consumeFlagValues(argv, '--include'),
+    };
+  }
+  if (domain === 'plan' && subcommand === 'export' && third) {
+    return { kind: 'plan_export', planId: third, file: consumeFlagValue(argv, '--file', '') };
+  }
+  if (domain === 'plan' && subcommand === 'import' && third) {
+    return { kind: 'plan_import', file: third };
+  }
   if (domain === 'apply' && subcommand) {
     return {
       kind: 'apply',
       planId: subcommand,
       ack: consumeFlagValue(argv, '--ack', ''),
+      drift: consumeFlagValue(argv, '--drift', ''),
       output: consumeFlagValue(argv, '--output', ''),
     };
   }
@@ -181,6 +309,71 @@ export function parseControllerCommandArgv(argv = []) {
       output: consumeFlagValue(argv, '--output', ''),
     };
   }
+  if (domain === 'runs' && subcommand === 'list') {
+    return { kind: 'runs_list', planId: consumeFlagValue(argv, '--plan', '') };
+  }
+  if (domain === 'runs' && subcommand === 'show' && third) {
+    return { kind: 'runs_show', runId: third };
+  }
+  if (domain === 'events' && (subcommand === 'tail' || subcommand === 'query')) {
+    return {
+      kind: `events_${subcommand}`,
+      follow: subcommand === 'tail' && (hasToken(argv, '-f') || hasToken(argv, '--follow')),
+      lines: subcommand === 'tail' ? consumeFlagValue(argv, '-n', '') : '',
+      filters: {
+        types: consumeFlagValues(argv, '--type'),
+        since: consumeFlagValue(argv, '--since', ''),
+        until: consumeFlagValue(argv, '--until', ''),
+        planId: consumeFlagValue(argv, '--plan', ''),
+        runId: consumeFlagValue(argv, '--run', ''),
+        limit: consumeFlagValue(argv, '--limit', ''),
+      },
+    };
+  }
+  if (domain === 'state' && subcommand === 'gc') {
+    return {
+      kind: 'state_gc',
+      ack: consumeFlagValue(argv, '--ack', ''),
+      policy: {
+        planMaxAgeDays: consumeFlagValue(argv, '--plan-max-age-days', ''),
+        runMaxAgeDays: consumeFlagValue(argv, '--run-max-age-days', ''),
+        maxPlans: consumeFlagValue(argv, '--max-plans', ''),
+        maxRuns: consumeFlagValue(argv, '--max-runs', ''),
+        keepReferencedPlans: consumeFlagValue(argv, '--keep-referenced-plans', ''),
+        eventsMaxMB: consumeFlagValue(argv, '--events-max-mb', ''),
+        eventsKeepArchives: consumeFlagValue(argv, '--events-keep-archives', ''),
+        latestTaskMaxAgeDays: consumeFlagValue(argv, '--latest-task-max-age-days', ''),
+      },
+    };
+  }
+  if (domain === 'pins' && ['add', 'remove', 'list'].includes(subcommand)) {
+    return {
+      kind: `pins_${subcommand}`,
+      pinId: subcommand === 'remove' && third && !third.startsWith('-') ? third : '',
+      pin: {
+        path: consumeFlagValue(argv, '--path', ''),
+        accountId: consumeFlagValue(argv, '--account', ''),
+        monthKey: consumeFlagValue(argv, '--month', ''),
+        categoryKey: consumeFlagValue(argv, '--category', ''),
+        note: consumeFlagValue(argv, '--note', ''),
+      },
+    };
+  }
+  if (domain === 'recover' && subcommand === 'offload-return') {
+    return {
+      kind: 'offload_return',
+      ack: consumeFlagValue(argv, '--ack', ''),
+      months: consumeFlagValues(argv, '--months'),
+      accounts: consumeFlagValues(argv, '--accounts'),
+    };
+  }
+  if (domain === 'recover' && ['resume', 'rollback'].includes(subcommand) && third) {
+    return {
+      kind: `batch_${subcommand}`,
+      batchId: third,
+      ack: consumeFlagValue(argv, '--ack', ''),
+    };
+  }
   if (domain === 'recover' && subcommand === 'restore' && third) {
     const tail = argv.slice(3);
     const ack = consumeFlagValue(argv, '--ack', '');
@@ -195,6 +388,16 @@ export function parseControllerCommandArgv(argv = []) {
       controllerKind: 'recover_restore',
     };
   }
+  if (domain === 'recover' && subcommand === 'run' && third) {
+    const ack = consumeFlagValue(argv, '--ack', '');
+    return {
+      kind: 'recover_run',
+      action: 'restore',
+      runId: third,
+      legacyTailArgv: withDefaultOutput(withAckDrivenExecution(argv.slice(3), ack, 'RESTORE')),
+      controllerKind: 'recover_run',
+    };
+  }
   if (domain === 'recover' && subcommand === 'recycle') {
     const tail = argv.slice(2);
     const ack = consumeFlagValue(argv, '--ack', '');
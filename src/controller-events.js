@@ -0,0 +1,126 @@
+import { promises as fs } from 'node:fs';
+import { sleep } from './utils.js';
+
+const EVENT_TIME_KEYS = ['createdAt', 'updatedAt', 'discardedAt', 'time'];
+const RELATIVE_TIME_UNITS = {
+  m: 60 * 1000,
+  h: 3600 * 1000,
+  d: 24 * 3600 * 1000,
+};
+const NEWLINE_BYTE = 0x0a;
+
+function parseEventLines(buffer) {
+  const events = [];
+  for (const line of buffer.toString('utf-8').split(/\r?\n/)) {
+    const text = line.trim();
+    if (!text) {
+      continue;
+    }
+    try {
+      const event = JSON.parse(text);
+      if (event && typeof event === 'object') {
+        events.push(event);
+      }
+    } catch {
+      // 忽略损坏的 JSONL 行，保持读取过程不中断
+    }
+  }
+  return events;
+}
+
+function splitCompleteLines(buffer) {
+  const lastNewline = buffer.lastIndexOf(NEWLINE_BYTE);
+  if (lastNewline < 0) {
+    return { complete: Buffer.alloc(0), rest: buffer };
+  }
+  return { complete: buffer.subarray(0, lastNewline + 1), rest: buffer.subarray(lastNewline + 1) };
+}
+
+export function controllerEventTime(event = {}) {
+  for (const key of EVENT_TIME_KEYS) {
+    const value = Number(event?.[key] || 0);
+    if (value > 0) {
+      return value;
+    }
+  }
+  return 0;
+}
+
+export function parseControllerEventTime(rawValue, now = Date.now()) {
+  const text = String(rawValue || '').trim();
+  if (!text) {
+    return null;
+  }
+  const relative = text.match(/^(\d+)([mhd])$/i);
+  if (relative) {
+    return Number(now) - Number(relative[1]) * RELATIVE_TIME_UNITS[relative[2].toLowerCase()];
+  }
+  if (/^\d{10,}$/.test(text)) {
+    return Number(text);
+  }
+  const parsed = Date.parse(text);
+  return Number.isFinite(parsed) ? parsed : Number.NaN;
+}
+
+export function filterControllerEvents(events = [], filters = {}) {
+  const types = new Set((filters.types || []).map((item) => String(item || '').trim()).filter(Boolean));
+  const since = Number(filters.since || 0);
+  const until = Number(filters.until || 0);
+  return (Array.isArray(events) ? events : []).filter((event) => {
+    if (types.size > 0 && !types.has(event?.type)) {
+      return false;
+    }
+    if (filters.planId && event?.planId !== filters.planId) {
+      return false;
+    }
+    if (filters.runId && event?.runId !== filters.runId) {
+      return false;
+    }
+    const time = controllerEventTime(event);
+    if (since > 0 && time < since) {
+      return false;
+    }
+    if (until > 0 && time > until) {
+      return false;
+    }
+    return true;
+  });
+}
+
+export async function readControllerEventLog(eventsPath) {
+  const buffer = await fs.readFile(eventsPath).catch(() => Buffer.alloc(0));
+  const { complete } = splitCompleteLines(buffer);
+  return { events: parseEventLines(complete), offset: complete.length };
+}
+
+export async function followControllerEvents(eventsPath, options = {}) {
+  const { onEvent, signal, intervalMs = 500 } = options;
+  let offset = Number(options.offset || 0);
+  let pending = Buffer.alloc(0);
+  while (!signal?.aborted) {
+    const stat = await fs.stat(eventsPath).catch(() => null);
+    const size = stat ? stat.size : 0;
+    if (size < offset) {
+      // 事件日志被截断或重建，从头重新读取
+      offset = 0;
+      pending = Buffer.alloc(0);
+    }
+    if (size > offset) {
+      const handle = await fs.open(eventsPath, 'r');
+      try {
+        const chunk = Buffer.alloc(size - offset);
+        const { bytesRead } = await handle.read(chunk, 0, chunk.length, offset);
+        offset += bytesRead;
+        const { complete, rest } = splitCompleteLines(Buffer.concat([pending, chunk.subarray(0, bytesRead)]));
+        pending = rest;
+        for (const event of parseEventLines(complete)) {
+          await onEvent(event);
+        }
+      } finally {
+        await handle.close();
+      }
+    }
+    await sleep(intervalMs);
+  }
+  return offset;
+}
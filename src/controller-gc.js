@@ -0,0 +1,249 @@
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { promisify } from 'node:util';
+import { gzip } from 'node:zlib';
+import { appendControllerEvent, listPlanRecords, listRunRecords } from './controller-state.js';
+import { ensureDir } from './utils.js';
+
+const gzipAsync = promisify(gzip);
+
+const DAY_MS = 24 * 3600 * 1000;
+const MB = 1024 * 1024;
+const EVENTS_ARCHIVE_DIR = 'events-archive';
+const EVENTS_ARCHIVE_PATTERN = /^events-\d{14}(?:-\d+)?\.jsonl\.gz$/;
+
+function normalizeNonNegativeInt(rawValue, fallbackValue) {
+  const num = Number.parseInt(String(rawValue ?? ''), 10);
+  if (!Number.isFinite(num) || num < 0) {
+    return fallbackValue;
+  }
+  return num;
+}
+
+export function normalizeStateGcPolicy(input, fallback = {}) {
+  const source = input && typeof input === 'object' ? input : {};
+  const pick = (key, defaultValue) =>
+    normalizeNonNegativeInt(source[key], normalizeNonNegativeInt(fallback[key], defaultValue));
+  const pickBoolean = (key, defaultValue) =>
+    typeof source[key] === 'boolean'
+      ? source[key]
+      : typeof fallback[key] === 'boolean'
+        ? fallback[key]
+        : defaultValue;
+
+  return {
+    enabled: pickBoolean('enabled', false),
+    planMaxAgeDays: pick('planMaxAgeDays', 30),
+    runMaxAgeDays: pick('runMaxAgeDays', 90),
+    maxPlans: pick('maxPlans', 200),
+    maxRuns: pick('maxRuns', 500),
+    keepReferencedPlans: pickBoolean('keepReferencedPlans', true),
+    eventsMaxMB: pick('eventsMaxMB', 10),
+    eventsKeepArchives: pick('eventsKeepArchives', 5),
+    latestTaskMaxAgeDays: pick('latestTaskMaxAgeDays', 30),
+  };
+}
+
+function isOlderThanDays(timestamp, maxAgeDays, now) {
+  return maxAgeDays > 0 && Number(timestamp || 0) > 0 && now - Number(timestamp) > maxAgeDays * DAY_MS;
+}
+
+function selectExpiredRecords(records, { maxAgeDays, maxCount }, now) {
+  // records 已按 createdAt 倒序排列：先按数量截断，再按年龄淘汰
+  const selected = new Map();
+  records.forEach((record, index) => {
+    if (maxCount > 0 && index >= maxCount) {
+      selected.set(record, 'max_count');
+    } else if (isOlderThanDays(record.createdAt, maxAgeDays, now)) {
+      selected.set(record, 'max_age');
+    }
+  });
+  return selected;
+}
+
+export function selectStateGcRecords({ plans = [], runs = [] } = {}, policy = {}, now = Date.now()) {
+  const runSelection = selectExpiredRecords(
+    runs,
+    { maxAgeDays: policy.runMaxAgeDays, maxCount: policy.maxRuns },
+    now
+  );
+  const referencedPlanIds = new Set(
+    runs.filter((run) => !runSelection.has(run) && run.planId).map((run) => run.planId)
+  );
+  const planSelection = selectExpiredRecords(
+    plans,
+    { maxAgeDays: policy.planMaxAgeDays, maxCount: policy.maxPlans },
+    now
+  );
+
+  const keptReferencedPlans = [];
+  const expiredPlans = [];
+  for (const [plan, reason] of planSelection) {
+    if (policy.keepReferencedPlans !== false && referencedPlanIds.has(plan.planId)) {
+      keptReferencedPlans.push({ planId: plan.planId, reason: 'referenced_by_run' });
+      continue;
+    }
+    expiredPlans.push({ plan, reason });
+  }
+  return {
+    runs: [...runSelection].map(([run, reason]) => ({ run, reason })),
+    plans: expiredPlans,
+    keptReferencedPlans,
+  };
+}
+
+async function fileSize(filePath) {
+  const stat = await fs.stat(filePath).catch(() => null);
+  return stat?.isFile() ? stat.size : 0;
+}
+
+function archiveStamp(now) {
+  return new Date(now)
+    .toISOString()
+    .replace(/[-:TZ.]/g, '')
+    .slice(0, 14);
+}
+
+async function listEventArchives(archiveRoot) {
+  const entries = await fs.readdir(archiveRoot, { withFileTypes: true }).catch(() => []);
+  const archives = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || !EVENTS_ARCHIVE_PATTERN.test(entry.name)) {
+      continue;
+    }
+    const filePath = path.join(archiveRoot, entry.name);
+    archives.push({ file: filePath, name: entry.name, bytes: await fileSize(filePath) });
+  }
+  // 文件名内含时间戳，按名称倒序即新到旧
+  return archives.sort((a, b) => b.name.localeCompare(a.name));
+}
+
+async function removeRecordFile(filePath, dryRun, errors) {
+  const bytes = await fileSize(filePath);
+  if (!dryRun) {
+    try {
+      await fs.rm(filePath, { force: true });
+    } catch (error) {
+      errors.push({ code: 'E_STATE_GC_REMOVE_FAILED', message: error.message, path: filePath });
+      return 0;
+    }
+  }
+  return bytes;
+}
+
+async function rotateEventsLog(eventsPath, archiveRoot, { dryRun, now }) {
+  const raw = await fs.readFile(eventsPath);
+  const compressed = await gzipAsync(raw);
+  let archivePath = path.join(archiveRoot, `events-${archiveStamp(now)}.jsonl.gz`);
+  for (let suffix = 1; await fileSize(archivePath); suffix += 1) {
+    archivePath = path.join(archiveRoot, `events-${archiveStamp(now)}-${suffix}.jsonl.gz`);
+  }
+  if (!dryRun) {
+    await ensureDir(archiveRoot);
+    await fs.writeFile(archivePath, compressed);
+    await fs.writeFile(eventsPath, '', 'utf-8');
+  }
+  return {
+    archivePath,
+    originalBytes: raw.length,
+    compressedBytes: compressed.length,
+  };
+}
+
+export async function runControllerStateGc({ paths, latestTaskPath, policy, dryRun, now = Date.now() }) {
+  const normalizedPolicy = normalizeStateGcPolicy(policy);
+  const errors = [];
+  const selection = selectStateGcRecords(
+    { plans: await listPlanRecords(paths), runs: await listRunRecords(paths) },
+    normalizedPolicy,
+    now
+  );
+
+  const removedRuns = [];
+  for (const { run, reason } of selection.runs) {
+    const bytes = await removeRecordFile(path.join(paths.runsRoot, `${run.runId}.json`), dryRun, errors);
+    removedRuns.push({
+      runId: run.runId,
+      planId: run.planId || null,
+      createdAt: run.createdAt || 0,
+      reason,
+      bytes,
+    });
+  }
+  const removedPlans = [];
+  for (const { plan, reason } of selection.plans) {
+    const bytes = await removeRecordFile(path.join(paths.plansRoot, `${plan.planId}.json`), dryRun, errors);
+    removedPlans.push({
+      planId: plan.planId,
+      kind: plan.kind || null,
+      createdAt: plan.createdAt || 0,
+      reason,
+      bytes,
+    });
+  }
+
+  const archiveRoot = path.join(path.dirname(paths.eventsPath), EVENTS_ARCHIVE_DIR);
+  const eventsBytes = await fileSize(paths.eventsPath);
+  let eventsRotation = null;
+  if (normalizedPolicy.eventsMaxMB > 0 && eventsBytes > normalizedPolicy.eventsMaxMB * MB) {
+    try {
+      eventsRotation = await rotateEventsLog(paths.eventsPath, archiveRoot, { dryRun, now });
+    } catch (error) {
+      errors.push({ code: 'E_STATE_GC_ROTATE_FAILED', message: error.message, path: paths.eventsPath });
+    }
+  }
+
+  const archives = await listEventArchives(archiveRoot);
+  // 预演时本次轮转的归档尚未落盘，但同样占用一个保留名额
+  const keepArchives = Math.max(0, normalizedPolicy.eventsKeepArchives - (eventsRotation && dryRun ? 1 : 0));
+  const removedArchives = [];
+  if (normalizedPolicy.eventsKeepArchives > 0) {
+    for (const archive of archives.slice(keepArchives)) {
+      const bytes = await removeRecordFile(archive.file, dryRun, errors);
+      removedArchives.push({ file: archive.file, bytes });
+    }
+  }
+
+  let removedLatestTask = null;
+  const latestTaskStat = latestTaskPath ? await fs.stat(latestTaskPath).catch(() => null) : null;
+  if (latestTaskStat && isOlderThanDays(latestTaskStat.mtimeMs, normalizedPolicy.latestTaskMaxAgeDays, now)) {
+    const bytes = await removeRecordFile(latestTaskPath, dryRun, errors);
+    removedLatestTask = { file: latestTaskPath, updatedAt: latestTaskStat.mtimeMs, bytes };
+  }
+
+  const sumBytes = (rows) => rows.reduce((total, row) => total + Number(row.bytes || 0), 0);
+  const eventsReclaimedBytes = eventsRotation
+    ? Math.max(0, eventsRotation.originalBytes - eventsRotation.compressedBytes)
+    : 0;
+  const reclaimedBytes =
+    sumBytes(removedRuns) +
+    sumBytes(removedPlans) +
+    sumBytes(removedArchives) +
+    Number(removedLatestTask?.bytes || 0) +
+    eventsReclaimedBytes;
+
+  const result = {
+    dryRun: Boolean(dryRun),
+    policy: normalizedPolicy,
+    removedRuns,
+    removedPlans,
+    keptReferencedPlans: selection.keptReferencedPlans,
+    eventsBytes,
+    eventsRotation,
+    removedArchives,
+    removedLatestTask,
+    reclaimedBytes,
+    errors,
+  };
+  if (!dryRun) {
+    await appendControllerEvent(paths.eventsPath, {
+      type: 'state_gc',
+      removedRuns: removedRuns.length,
+      removedPlans: removedPlans.length,
+      rotatedEvents: Boolean(eventsRotation),
+      reclaimedBytes,
+      time: Date.now(),
+    });
+  }
+  return result;
+}
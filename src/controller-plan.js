@@ -1,4 +1,5 @@
 import { createHash } from 'node:crypto';
+import { isValidRecordId } from './controller-state.js';
 
 function stableHash(rows = []) {
   const hash = createHash('sha256');
@@ -39,9 +40,13 @@ function appendBooleanFlag(argv, flag, value) {
   return [...argv, flag, value ? 'true' : 'false'];
 }
 
-export function buildCleanupSelectionSignature(targets = []) {
-  const rows = (Array.isArray(targets) ? targets : [])
-    .map((item) => ({
+function sortSelectionRows(rows = []) {
+  return rows.sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+}
+
+export function buildCleanupFrozenTargets(targets = []) {
+  return sortSelectionRows(
+    (Array.isArray(targets) ? targets : []).map((item) => ({
       accountId: item?.accountId || '',
       categoryKey: item?.categoryKey || '',
       isExternalStorage: Boolean(item?.isExternalStorage),
@@ -49,13 +54,12 @@ export function buildCleanupSelectionSignature(targets = []) {
       path: item?.path || '',
       sizeBytes: Number(item?.sizeBytes || 0),
     }))
-    .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
-  return stableHash(rows);
+  );
 }
 
-export function buildGovernanceSelectionSignature(targets = []) {
-  const rows = (Array.isArray(targets) ? targets : [])
-    .map((item) => ({
+export function buildGovernanceFrozenTargets(targets = []) {
+  return sortSelectionRows(
+    (Array.isArray(targets) ? targets : []).map((item) => ({
       accountId: item?.accountId || '',
       id: item?.id || '',
       path: item?.path || '',
@@ -65,8 +69,15 @@ export function buildGovernanceSelectionSignature(targets = []) {
       targetKey: item?.targetKey || '',
       tier: item?.tier || '',
     }))
-    .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
-  return stableHash(rows);
+  );
+}
+
+export function buildCleanupSelectionSignature(targets = []) {
+  return stableHash(buildCleanupFrozenTargets(targets));
+}
+
+export function buildGovernanceSelectionSignature(targets = []) {
+  return stableHash(buildGovernanceFrozenTargets(targets));
 }
 
 export function buildFrozenPlanLegacyArgv(action, sourceArgv = [], payload = {}) {
@@ -78,6 +89,11 @@ export function buildFrozenPlanLegacyArgv(action, sourceArgv = [], payload = {})
       '--accounts',
       '--months',
       '--cutoff-month',
+      '--older-than',
+      '--keep-latest-months',
+      '--file-older-than',
+      '--file-age-basis',
+      '--reclaim-goal',
       '--categories',
       '--include-non-month-dirs',
       '--external-roots',
@@ -88,6 +104,16 @@ export function buildFrozenPlanLegacyArgv(action, sourceArgv = [], payload = {})
     next = appendCsvFlag(next, '--categories', data.selectedCategories);
     next = appendBooleanFlag(next, '--include-non-month-dirs', data.includeNonMonthDirs);
     next = appendCsvFlag(next, '--external-roots', data.selectedExternalRoots);
+    if (data.fileAge?.cutoffTime) {
+      // 相对文件年龄冻结为绝对时间，apply 延后执行时不会纳入计划之后才变旧的文件
+      next = [
+        ...next,
+        '--file-older-than',
+        new Date(data.fileAge.cutoffTime).toISOString(),
+        '--file-age-basis',
+        data.fileAge.basis,
+      ];
+    }
     return next;
   }
 
@@ -105,3 +131,698 @@ export function buildFrozenPlanLegacyArgv(action, sourceArgv = [], payload = {})
 
   return stripValueFlags(sourceArgv, ['--run-task']);
 }
+
+function frozenTargetKey(row = {}) {
+  return String(row?.path || row?.id || '');
+}
+
+function sumTargetBytes(rows = []) {
+  return rows.reduce((total, row) => total + Number(row?.sizeBytes || 0), 0);
+}
+
+function diffTargetRows(baseTargets = [], otherTargets = []) {
+  const diff = {
+    added: [],
+    removed: [],
+    changed: [],
+    unchangedCount: 0,
+    addedBytes: 0,
+    removedBytes: 0,
+    changedBytesDelta: 0,
+  };
+  const baseMap = new Map(baseTargets.map((row) => [frozenTargetKey(row), row]));
+  const otherMap = new Map(otherTargets.map((row) => [frozenTargetKey(row), row]));
+  for (const [key, row] of otherMap.entries()) {
+    const baseRow = baseMap.get(key);
+    if (!baseRow) {
+      diff.added.push(row);
+      continue;
+    }
+    const beforeBytes = Number(baseRow.sizeBytes || 0);
+    const afterBytes = Number(row.sizeBytes || 0);
+    if (beforeBytes !== afterBytes) {
+      diff.changed.push({ ...row, beforeBytes, afterBytes, deltaBytes: afterBytes - beforeBytes });
+      diff.changedBytesDelta += afterBytes - beforeBytes;
+      continue;
+    }
+    diff.unchangedCount += 1;
+  }
+  for (const [key, row] of baseMap.entries()) {
+    if (!otherMap.has(key)) {
+      diff.removed.push(row);
+    }
+  }
+  diff.addedBytes = sumTargetBytes(diff.added);
+  diff.removedBytes = sumTargetBytes(diff.removed);
+  return diff;
+}
+
+export const PLAN_BUNDLE_KIND = 'plan_bundle';
+
+export function planKindAlias(kind) {
+  const normalized = String(kind || '')
+    .trim()
+    .toLowerCase();
+  if (normalized === 'monthly-cleanup' || normalized === 'cleanup_monthly') {
+    return 'plan_monthly_cleanup';
+  }
+  if (normalized === 'space-governance' || normalized === 'space_governance') {
+    return 'plan_space_governance';
+  }
+  if (normalized === 'bundle') {
+    return PLAN_BUNDLE_KIND;
+  }
+  return normalized;
+}
+
+export function filterPlanRecords(plans = [], filters = {}, options = {}) {
+  const now = Number(options.now || Date.now());
+  const appliedPlanIds = options.appliedPlanIds instanceof Set ? options.appliedPlanIds : new Set();
+  const kind = planKindAlias(filters.kind);
+  const status = String(filters.status || 'all');
+  const minAgeMs = Number(filters.minAgeDays || 0) * 24 * 3600 * 1000;
+  const maxAgeMs = Number(filters.maxAgeDays || 0) * 24 * 3600 * 1000;
+
+  return (Array.isArray(plans) ? plans : [])
+    .filter((plan) => {
+      if (kind && plan?.kind !== kind) {
+        return false;
+      }
+      const applied = appliedPlanIds.has(plan?.planId);
+      if (status === 'applied' && !applied) {
+        return false;
+      }
+      if (status === 'pending' && applied) {
+        return false;
+      }
+      const ageMs = Math.max(0, now - Number(plan?.createdAt || 0));
+      if (minAgeMs > 0 && ageMs < minAgeMs) {
+        return false;
+      }
+      if (maxAgeMs > 0 && ageMs > maxAgeMs) {
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => Number(b?.createdAt || 0) - Number(a?.createdAt || 0));
+}
+
+export function diffFrozenPlanTargets(basePlan = {}, otherPlan = {}) {
+  const baseTargets = Array.isArray(basePlan?.previewTargets) ? basePlan.previewTargets : null;
+  const otherTargets = Array.isArray(otherPlan?.previewTargets) ? otherPlan.previewTargets : null;
+  const baseSignature = basePlan?.previewSelectionSignature || null;
+  const otherSignature = otherPlan?.previewSelectionSignature || null;
+  const result = {
+    comparable: Boolean(baseTargets && otherTargets) && basePlan?.action === otherPlan?.action,
+    sameAction: basePlan?.action === otherPlan?.action,
+    signatureMatched: Boolean(baseSignature) && baseSignature === otherSignature,
+    baseSignature,
+    otherSignature,
+    baseTargetCount: baseTargets ? baseTargets.length : null,
+    otherTargetCount: otherTargets ? otherTargets.length : null,
+    added: [],
+    removed: [],
+    changed: [],
+    unchangedCount: 0,
+    addedBytes: 0,
+    removedBytes: 0,
+    changedBytesDelta: 0,
+  };
+  if (!result.comparable) {
+    return result;
+  }
+  return { ...result, ...diffTargetRows(baseTargets, otherTargets) };
+}
+
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i += 1) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i += 1;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+export function isTargetGlobPattern(value) {
+  return /[*?]/.test(String(value || ''));
+}
+
+function buildTargetRuleMatcher(rule) {
+  if (!isTargetGlobPattern(rule)) {
+    return (row) => row?.path === rule || row?.id === rule;
+  }
+  const pattern = globToRegExp(rule);
+  return (row) => pattern.test(String(row?.path || '')) || pattern.test(String(row?.id || ''));
+}
+
+export function normalizePlanTargetRules(rules = {}) {
+  return {
+    exclude: normalizeStringList(Array.isArray(rules?.exclude) ? rules.exclude : []),
+    include: normalizeStringList(Array.isArray(rules?.include) ? rules.include : []),
+  };
+}
+
+export function buildPlanTargetFilter(rules = {}) {
+  const normalized = normalizePlanTargetRules(rules);
+  const excludeMatchers = normalized.exclude.map((rule) => buildTargetRuleMatcher(rule));
+  const includeMatchers = normalized.include.map((rule) => buildTargetRuleMatcher(rule));
+  return (row) =>
+    includeMatchers.some((matches) => matches(row)) || !excludeMatchers.some((matches) => matches(row));
+}
+
+export function splitPlanTargets(targets = [], rules = {}) {
+  const keep = buildPlanTargetFilter(rules);
+  const kept = [];
+  const excluded = [];
+  for (const row of Array.isArray(targets) ? targets : []) {
+    (keep(row) ? kept : excluded).push(row);
+  }
+  return { kept, excluded };
+}
+
+export function editPlanTargetRules(plan = {}, edits = {}) {
+  const targets = Array.isArray(plan?.previewTargets) ? plan.previewTargets : [];
+  const current = normalizePlanTargetRules(plan?.targetRules);
+  const excludes = normalizeStringList(Array.isArray(edits.exclude) ? edits.exclude : []);
+  const includes = normalizeStringList(Array.isArray(edits.include) ? edits.include : []);
+  const matchCount = (rule) => targets.filter(buildTargetRuleMatcher(rule)).length;
+
+  const unknownTargets = [...excludes, ...includes].filter(
+    (rule) => !isTargetGlobPattern(rule) && matchCount(rule) === 0
+  );
+  const globIncludes = includes.filter((rule) => isTargetGlobPattern(rule));
+  const unmatchedExcludes = excludes.filter((rule) => isTargetGlobPattern(rule) && matchCount(rule) === 0);
+
+  const excludeSet = new Set(current.exclude);
+  const includeSet = new Set(current.include);
+  for (const rule of excludes) {
+    excludeSet.add(rule);
+    includeSet.delete(rule);
+  }
+  for (const rule of includes) {
+    excludeSet.delete(rule);
+    includeSet.add(rule);
+  }
+  const rules = normalizePlanTargetRules({ exclude: [...excludeSet], include: [...includeSet] });
+  const { kept, excluded } = splitPlanTargets(targets, rules);
+  return {
+    rules,
+    keptTargets: kept,
+    excludedTargets: excluded,
+    unknownTargets,
+    globIncludes,
+    unmatchedExcludes,
+    effectiveSelectionSignature: recomputePlanSelectionSignature(plan?.action, kept),
+  };
+}
+
+export const PLAN_EXPORT_FORMAT = 'wecom-cleaner-plan';
+export const PLAN_EXPORT_FORMAT_VERSION = 1;
+
+function recomputePlanSelectionSignature(action, targets = []) {
+  if (action === 'cleanup_monthly') {
+    return buildCleanupSelectionSignature(targets);
+  }
+  if (action === 'space_governance') {
+    return buildGovernanceSelectionSignature(targets);
+  }
+  return null;
+}
+
+function buildPlanSealRows(plan = {}) {
+  return [
+    ['formatVersion', PLAN_EXPORT_FORMAT_VERSION],
+    ['planId', plan?.planId || ''],
+    ['kind', plan?.kind || ''],
+    ['action', plan?.action || ''],
+    ['createdAt', Number(plan?.createdAt || 0)],
+    ['expiresAt', Number(plan?.expiresAt || 0) || null],
+    ['baseLegacyArgv', Array.isArray(plan?.baseLegacyArgv) ? plan.baseLegacyArgv.map(String) : []],
+    ['previewSelectionSignature', plan?.previewSelectionSignature || null],
+    ['previewTargets', Array.isArray(plan?.previewTargets) ? plan.previewTargets : []],
+    ['targetRules', normalizePlanTargetRules(plan?.targetRules)],
+    ['effectiveSelectionSignature', plan?.effectiveSelectionSignature || null],
+    // 仅在目标空间、相对时间计划中追加，保持旧导出文件的封印不变
+    ...(plan?.reclaimGoal ? [['reclaimGoal', plan.reclaimGoal]] : []),
+    ...(plan?.monthSelection ? [['monthSelection', plan.monthSelection]] : []),
+  ];
+}
+
+export function computePlanSeal(plan = {}) {
+  return stableHash(buildPlanSealRows(plan));
+}
+
+export function buildPlanExportDocument(plan = {}, meta = {}) {
+  const body = {
+    planId: plan?.planId || null,
+    kind: plan?.kind || null,
+    action: plan?.action || null,
+    createdAt: Number(plan?.createdAt || 0) || null,
+    ttlHours: plan?.ttlHours ?? null,
+    expiresAt: Number(plan?.expiresAt || 0) || null,
+    baseLegacyArgv: Array.isArray(plan?.baseLegacyArgv) ? plan.baseLegacyArgv : [],
+    previewSummary: plan?.previewSummary || {},
+    previewSelectionSignature: plan?.previewSelectionSignature || null,
+    previewTargets: Array.isArray(plan?.previewTargets) ? plan.previewTargets : [],
+    targetRules: normalizePlanTargetRules(plan?.targetRules),
+    effectiveSelectionSignature: plan?.effectiveSelectionSignature || null,
+    reclaimGoal: plan?.reclaimGoal || null,
+    monthSelection: plan?.monthSelection || null,
+  };
+  return {
+    format: PLAN_EXPORT_FORMAT,
+    formatVersion: PLAN_EXPORT_FORMAT_VERSION,
+    exportedAt: Number(meta.exportedAt || Date.now()),
+    appVersion: meta.appVersion || null,
+    plan: body,
+    seal: {
+      algorithm: 'sha256',
+      value: computePlanSeal(body),
+    },
+  };
+}
+
+// 可导入的计划类型；组合计划不带顶层冻结目标，导出时即被拒绝
+const IMPORTABLE_PLAN_KINDS = new Map([
+  [
+    'plan_monthly_cleanup',
+    {
+      action: 'cleanup_monthly',
+      actionFlag: '--cleanup-monthly',
+      valueFlags: [
+        '--months',
+        '--cutoff-month',
+        '--older-than',
+        '--keep-latest-months',
+        '--file-older-than',
+        '--file-age-basis',
+        '--include-ext',
+        '--exclude-ext',
+        '--min-file-size',
+        '--max-file-size',
+        '--reclaim-goal',
+        '--categories',
+        '--include-non-month-dirs',
+      ],
+    },
+  ],
+  [
+    'plan_space_governance',
+    {
+      action: 'space_governance',
+      actionFlag: '--space-governance',
+      valueFlags: ['--targets', '--tiers', '--suggested-only', '--allow-recent-active'],
+    },
+  ],
+]);
+
+// 导入计划的执行参数按白名单重建：筛选类参数原样保留；状态目录、删除方式、确认类等本机环境参数丢弃，
+// 由导入方在 apply 时自行决定；其余参数一律拒绝导入
+const IMPORTED_PLAN_SHARED_VALUE_FLAGS = [
+  '--root',
+  '--external-storage-root',
+  '--external-storage-auto-detect',
+  '--external-roots',
+  '--external-roots-source',
+  '--accounts',
+  '--output',
+  '--concurrency',
+  '--allow-missing-targets',
+];
+const IMPORTED_PLAN_SHARED_BOOL_FLAGS = ['--json', '--atomic'];
+const IMPORTED_PLAN_LOCAL_VALUE_FLAGS = new Set([
+  '--state-root',
+  '--offload-root',
+  '--delete-mode',
+  '--direct-delete-ack',
+  '--when-app-running',
+  '--theme',
+  '--dry-run',
+  '--run-task',
+]);
+const IMPORTED_PLAN_LOCAL_BOOL_FLAGS = new Set(['--force', '--interactive', '--yes', '--save-config']);
+
+// 携带路径的参数：导入时逐个校验是否落在本机允许的根目录内
+const PLAN_PATH_VALUE_FLAGS = new Map([
+  ['--root', false],
+  ['--external-roots', true],
+  ['--external-storage-root', true],
+]);
+
+export function rebuildImportedPlanArgv(plan = {}) {
+  const shape = IMPORTABLE_PLAN_KINDS.get(plan?.kind);
+  const argv = Array.isArray(plan?.baseLegacyArgv) ? plan.baseLegacyArgv.map(String) : [];
+  if (!shape || argv[0] !== shape.actionFlag) {
+    return { ok: false, flag: argv[0] || null, argv: [], droppedFlags: [] };
+  }
+  const valueFlags = new Set([...IMPORTED_PLAN_SHARED_VALUE_FLAGS, ...shape.valueFlags]);
+  const boolFlags = new Set(IMPORTED_PLAN_SHARED_BOOL_FLAGS);
+  const out = [shape.actionFlag];
+  const droppedFlags = [];
+  for (let i = 1; i < argv.length; i += 1) {
+    const token = argv[i];
+    const hasValue = i + 1 < argv.length && !argv[i + 1].startsWith('-');
+    if (valueFlags.has(token) && hasValue) {
+      out.push(token, argv[i + 1]);
+      i += 1;
+      continue;
+    }
+    if (boolFlags.has(token)) {
+      out.push(token);
+      continue;
+    }
+    if (IMPORTED_PLAN_LOCAL_VALUE_FLAGS.has(token) && hasValue) {
+      droppedFlags.push(token);
+      i += 1;
+      continue;
+    }
+    if (IMPORTED_PLAN_LOCAL_BOOL_FLAGS.has(token)) {
+      droppedFlags.push(token);
+      continue;
+    }
+    return { ok: false, flag: token, argv: [], droppedFlags: [] };
+  }
+  return { ok: true, flag: null, argv: out, droppedFlags: normalizeStringList(droppedFlags) };
+}
+
+export function verifyPlanExportDocument(doc = {}) {
+  if (!doc || typeof doc !== 'object' || doc.format !== PLAN_EXPORT_FORMAT) {
+    return { ok: false, reason: 'invalid_format' };
+  }
+  if (Number(doc.formatVersion) !== PLAN_EXPORT_FORMAT_VERSION) {
+    return { ok: false, reason: 'unsupported_version' };
+  }
+  const plan = doc.plan && typeof doc.plan === 'object' ? doc.plan : null;
+  if (!plan || !plan.planId || !Array.isArray(plan.previewTargets) || !Array.isArray(plan.baseLegacyArgv)) {
+    return { ok: false, reason: 'invalid_format' };
+  }
+  // planId 会直接用作本机状态目录下的文件名，封印不带密钥，不能据此信任其内容
+  if (!isValidRecordId(plan.planId)) {
+    return { ok: false, reason: 'invalid_plan_id' };
+  }
+  if (IMPORTABLE_PLAN_KINDS.get(plan.kind)?.action !== plan.action) {
+    return { ok: false, reason: 'unsupported_kind' };
+  }
+  if (doc.seal?.algorithm !== 'sha256' || doc.seal?.value !== computePlanSeal(plan)) {
+    return { ok: false, reason: 'seal_mismatch' };
+  }
+  if (recomputePlanSelectionSignature(plan.action, plan.previewTargets) !== plan.previewSelectionSignature) {
+    return { ok: false, reason: 'signature_mismatch' };
+  }
+  if (
+    plan.effectiveSelectionSignature &&
+    recomputePlanSelectionSignature(
+      plan.action,
+      splitPlanTargets(plan.previewTargets, plan.targetRules).kept
+    ) !== plan.effectiveSelectionSignature
+  ) {
+    return { ok: false, reason: 'signature_mismatch' };
+  }
+  if (!rebuildImportedPlanArgv(plan).ok) {
+    return { ok: false, reason: 'unsupported_argv' };
+  }
+  return { ok: true, reason: null };
+}
+
+export function collectPlanReferencedPaths(plan = {}) {
+  const argv = Array.isArray(plan?.baseLegacyArgv) ? plan.baseLegacyArgv : [];
+  const argvRoots = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    if (PLAN_PATH_VALUE_FLAGS.has(argv[i]) && i + 1 < argv.length) {
+      const value = String(argv[i + 1]);
+      argvRoots.push(...(PLAN_PATH_VALUE_FLAGS.get(argv[i]) ? value.split(',') : [value]));
+      i += 1;
+    }
+  }
+  const targetPaths = (Array.isArray(plan?.previewTargets) ? plan.previewTargets : []).map(
+    (row) => row?.path
+  );
+  return normalizeStringList([...argvRoots, ...targetPaths]);
+}
+
+export function isPlanExpired(plan = {}, now = Date.now()) {
+  const expiresAt = Number(plan?.expiresAt || 0);
+  return expiresAt > 0 && Number(now) > expiresAt;
+}
+
+export function parsePlanDriftPolicy(rawValue) {
+  const text = String(rawValue || '')
+    .trim()
+    .toLowerCase();
+  if (!text || text === 'strict') {
+    return { mode: 'strict', tolerancePct: 0 };
+  }
+  if (text === 'shrink-only' || text === 'shrink_only') {
+    return { mode: 'shrink_only', tolerancePct: 0 };
+  }
+  const match = text.match(/^tolerance=(\d+(?:\.\d+)?)%?$/);
+  const tolerancePct = match ? Number(match[1]) : NaN;
+  if (Number.isFinite(tolerancePct)) {
+    return { mode: 'tolerance', tolerancePct };
+  }
+  return null;
+}
+
+export function parsePlanBundleFailurePolicy(rawValue) {
+  const text = String(rawValue || '')
+    .trim()
+    .toLowerCase();
+  if (!text || text === 'stop') {
+    return 'stop';
+  }
+  return text === 'continue' ? 'continue' : null;
+}
+
+export function evaluatePlanDrift(frozenTargets = [], currentTargets = [], policy = {}) {
+  const mode = policy?.mode || 'strict';
+  const tolerancePct = Number(policy?.tolerancePct || 0);
+  const diff = diffTargetRows(frozenTargets, currentTargets);
+  const grownTargets = diff.changed.filter((row) => row.deltaBytes > 0);
+  const frozenBytes = sumTargetBytes(frozenTargets);
+  const driftBytes =
+    diff.addedBytes +
+    diff.removedBytes +
+    diff.changed.reduce((total, row) => total + Math.abs(row.deltaBytes), 0);
+  const driftPct = frozenBytes > 0 ? (driftBytes / frozenBytes) * 100 : driftBytes > 0 ? 100 : 0;
+  const drifted = diff.added.length + diff.removed.length + diff.changed.length > 0;
+
+  let reason = null;
+  if (drifted && mode === 'strict') {
+    reason = 'strict';
+  } else if (drifted && mode === 'shrink_only' && grownTargets.length > 0) {
+    reason = 'targets_grown';
+  } else if (drifted && mode === 'tolerance' && driftPct > tolerancePct) {
+    reason = 'tolerance_exceeded';
+  }
+
+  const currentKeys = new Set(currentTargets.map((row) => frozenTargetKey(row)));
+  const keptTargetKeys = frozenTargets
+    .map((row) => frozenTargetKey(row))
+    .filter((key) => currentKeys.has(key));
+  return {
+    policy: { mode, tolerancePct },
+    drifted,
+    allowed: reason === null,
+    reason,
+    frozenTargetCount: frozenTargets.length,
+    currentTargetCount: currentTargets.length,
+    keptTargetCount: keptTargetKeys.length,
+    keptTargetKeys,
+    droppedTargets: diff.removed,
+    addedTargets: diff.added,
+    changedTargets: diff.changed,
+    grownTargetCount: grownTargets.length,
+    frozenBytes,
+    driftBytes,
+    driftPct: Number(driftPct.toFixed(2)),
+  };
+}
+
+export function summarizePlanRecord(plan = {}, runs = []) {
+  const planRuns = (Array.isArray(runs) ? runs : []).filter((run) => run?.planId === plan?.planId);
+  const lastRun = planRuns.reduce(
+    (latest, run) => (!latest || Number(run.createdAt || 0) > Number(latest.createdAt || 0) ? run : latest),
+    null
+  );
+  return {
+    planId: plan?.planId || null,
+    kind: plan?.kind || null,
+    action: plan?.action || null,
+    createdAt: Number(plan?.createdAt || 0) || null,
+    expiresAt: Number(plan?.expiresAt || 0) || null,
+    expired: isPlanExpired(plan),
+    applied: planRuns.length > 0,
+    runCount: planRuns.length,
+    runIds: planRuns.map((run) => run.runId),
+    lastRunId: lastRun?.runId || null,
+    lastRunAt: Number(lastRun?.createdAt || 0) || null,
+    matchedTargets: Number(plan?.previewSummary?.matchedTargets || 0),
+    matchedBytes: Number(plan?.previewSummary?.matchedBytes || 0),
+    frozenTargetCount: Array.isArray(plan?.previewTargets) ? plan.previewTargets.length : null,
+    stepCount: Array.isArray(plan?.steps) ? plan.steps.length : null,
+    excludedTargetCount: Array.isArray(plan?.previewTargets)
+      ? splitPlanTargets(plan.previewTargets, plan?.targetRules).excluded.length
+      : 0,
+    selectionSignature: plan?.effectiveSelectionSignature || plan?.previewSelectionSignature || null,
+  };
+}
+
+const RUN_PHASE_KEYS = ['preflight', 'execute', 'verify'];
+const RUN_PHASE_METRICS = [
+  'matchedTargets',
+  'matchedBytes',
+  'reclaimedBytes',
+  'successCount',
+  'skippedCount',
+  'failedCount',
+];
+
+export function resolveRunBatchIds(run = {}) {
+  const batchIds = Array.isArray(run?.batchIds) ? run.batchIds : [run?.executeSummary?.batchId];
+  return normalizeStringList(batchIds);
+}
+
+export function aggregatePlanBundleSummaries(summaries = []) {
+  const total = Object.fromEntries(RUN_PHASE_METRICS.map((metric) => [metric, 0]));
+  for (const summary of Array.isArray(summaries) ? summaries : []) {
+    for (const metric of RUN_PHASE_METRICS) {
+      total[metric] += Number(summary?.[metric] || 0);
+    }
+  }
+  return total;
+}
+
+export function classifyExecutedTargets(targets = [], outcome = {}) {
+  const failedPaths = new Set(normalizeStringList(outcome.failedPaths || []));
+  const skippedPaths = new Set(normalizeStringList(outcome.skippedPaths || []));
+  return (Array.isArray(targets) ? targets : []).map((row) => {
+    let status = 'success';
+    if (failedPaths.has(row?.path)) {
+      status = 'failed';
+    } else if (skippedPaths.has(row?.path)) {
+      status = 'skipped';
+    }
+    return { ...row, outcome: status };
+  });
+}
+
+const VERIFY_DELTA_GROUPS = ['gone', 'reappeared', 'failed', 'new'];
+
+function summarizeDeltaDimension(rows, resolveKey) {
+  const map = new Map();
+  for (const row of rows) {
+    const key = resolveKey(row);
+    const item = map.get(key) || { key, count: 0, bytes: 0 };
+    item.count += 1;
+    item.bytes += Number(row?.sizeBytes || 0);
+    map.set(key, item);
+  }
+  return [...map.values()].sort((a, b) => b.bytes - a.bytes || a.key.localeCompare(b.key));
+}
+
+function buildVerifyDeltaGroup(rows, targetLimit) {
+  return {
+    count: rows.length,
+    bytes: sumTargetBytes(rows),
+    byCategory: summarizeDeltaDimension(rows, (row) =>
+      String(row?.categoryKey || row?.targetKey || 'unknown')
+    ),
+    byMonth: summarizeDeltaDimension(rows, (row) => String(row?.monthKey || '非月份目录')),
+    targets: [...rows]
+      .sort((a, b) => Number(b?.sizeBytes || 0) - Number(a?.sizeBytes || 0))
+      .slice(0, targetLimit),
+  };
+}
+
+export function buildVerifyDeltaReport(executedTargets = [], currentTargets = [], options = {}) {
+  const targetLimit = Number(options.targetLimit || 50);
+  const currentMap = new Map(
+    (Array.isArray(currentTargets) ? currentTargets : []).map((row) => [frozenTargetKey(row), row])
+  );
+  const executedKeys = new Set();
+  const groups = { gone: [], reappeared: [], failed: [], new: [] };
+  let skippedTargets = 0;
+  for (const row of Array.isArray(executedTargets) ? executedTargets : []) {
+    const key = frozenTargetKey(row);
+    executedKeys.add(key);
+    const current = currentMap.get(key);
+    if (row?.outcome === 'failed') {
+      groups.failed.push({ ...row, stillPresent: Boolean(current) });
+    } else if (row?.outcome === 'skipped') {
+      skippedTargets += 1;
+    } else if (current) {
+      groups.reappeared.push({ ...current, executedSizeBytes: Number(row?.sizeBytes || 0) });
+    } else {
+      groups.gone.push(row);
+    }
+  }
+  for (const [key, row] of currentMap.entries()) {
+    if (!executedKeys.has(key)) {
+      groups.new.push(row);
+    }
+  }
+  return {
+    baselineTargets: executedKeys.size,
+    currentTargets: currentMap.size,
+    skippedTargets,
+    ...Object.fromEntries(
+      VERIFY_DELTA_GROUPS.map((name) => [name, buildVerifyDeltaGroup(groups[name], targetLimit)])
+    ),
+  };
+}
+
+export function summarizeVerifyDelta(delta) {
+  const out = {};
+  for (const name of VERIFY_DELTA_GROUPS) {
+    const label = `${name.slice(0, 1).toUpperCase()}${name.slice(1)}`;
+    out[`delta${label}Targets`] = delta ? delta[name].count : null;
+    out[`delta${label}Bytes`] = delta ? delta[name].bytes : null;
+  }
+  return out;
+}
+
+export function buildRunPhaseComparison(run = {}) {
+  const phases = {};
+  for (const phase of RUN_PHASE_KEYS) {
+    const summary = run?.[`${phase}Summary`];
+    phases[phase] =
+      summary && typeof summary === 'object'
+        ? Object.fromEntries(RUN_PHASE_METRICS.map((metric) => [metric, Number(summary[metric] || 0)]))
+        : null;
+  }
+  return {
+    phases,
+    rows: RUN_PHASE_METRICS.map((metric) => ({
+      metric,
+      ...Object.fromEntries(RUN_PHASE_KEYS.map((phase) => [phase, phases[phase]?.[metric] ?? null])),
+    })),
+  };
+}
+
+export function summarizeRunRecord(run = {}) {
+  const executeSummary = run?.executeSummary || {};
+  return {
+    runId: run?.runId || null,
+    planId: run?.planId || null,
+    kind: run?.kind || null,
+    action: run?.action || null,
+    createdAt: Number(run?.createdAt || 0) || null,
+    verifiedAt: Number(run?.verifiedAt || 0) || null,
+    deleteMode: run?.deleteMode || executeSummary.deleteMode || null,
+    batchIds: resolveRunBatchIds(run),
+    matchedTargets: Number(run?.preflightSummary?.matchedTargets || 0),
+    reclaimedBytes: Number(executeSummary.reclaimedBytes || 0),
+    successCount: Number(executeSummary.successCount || 0),
+    failedCount: Number(executeSummary.failedCount || 0),
+    verifyRemainingTargets: run?.verifySummary ? Number(run.verifySummary.matchedTargets || 0) : null,
+  };
+}
@@ -21,6 +21,20 @@ function makeRecordId(prefix) {
   return `${prefix}-${stamp}-${rand}`;
 }
 
+// 计划与运行记录 ID 直接用作文件名，只接受生成 ID 的字符集，拒绝路径分隔符与 ..
+const RECORD_ID_PATTERN = /^[a-z0-9_-]+$/;
+
+export function isValidRecordId(recordId) {
+  return typeof recordId === 'string' && RECORD_ID_PATTERN.test(recordId);
+}
+
+function recordFilePath(dirPath, recordId) {
+  if (!isValidRecordId(recordId)) {
+    throw new Error(`记录 ID 无效: ${recordId}`);
+  }
+  return path.join(dirPath, `${recordId}.json`);
+}
+
 export function defaultControllerStatePaths(stateRoot) {
   const root = path.resolve(String(stateRoot || '.'));
   return {
@@ -45,7 +59,7 @@ export async function savePlanRecord(paths, record) {
   await ensureControllerStateDirs(paths);
   const planId = record.planId || makeRecordId(safeId(record.kind || 'plan'));
   const next = { ...record, planId };
-  await writeJson(path.join(paths.plansRoot, `${planId}.json`), next);
+  await writeJson(recordFilePath(paths.plansRoot, planId), next);
   await appendControllerEvent(paths.eventsPath, {
     type: 'plan_saved',
     planId,
@@ -57,14 +71,66 @@ export async function savePlanRecord(paths, record) {
 }
 
 export async function loadPlanRecord(paths, planId) {
-  return readJson(path.join(paths.plansRoot, `${planId}.json`), null);
+  return readJson(recordFilePath(paths.plansRoot, planId), null);
+}
+
+export async function updatePlanRecord(paths, planId, patch) {
+  await ensureControllerStateDirs(paths);
+  const current = (await loadPlanRecord(paths, planId)) || { planId };
+  const next = { ...current, ...patch, planId };
+  await writeJson(recordFilePath(paths.plansRoot, planId), next);
+  await appendControllerEvent(paths.eventsPath, {
+    type: 'plan_updated',
+    planId,
+    kind: next.kind,
+    action: next.action,
+    updatedAt: Date.now(),
+  });
+  return next;
+}
+
+async function listRecordsInDir(dirPath, idKey) {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true }).catch(() => []);
+  const records = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || !entry.name.endsWith('.json')) {
+      continue;
+    }
+    const record = await readJson(path.join(dirPath, entry.name), null);
+    if (!record || typeof record !== 'object') {
+      continue;
+    }
+    // 以文件名为准，避免记录内容里的 ID 把后续读写引到目录之外
+    records.push({ ...record, [idKey]: entry.name.slice(0, -'.json'.length) });
+  }
+  return records.sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0));
+}
+
+export async function listPlanRecords(paths) {
+  return listRecordsInDir(paths.plansRoot, 'planId');
+}
+
+export async function discardPlanRecord(paths, planId) {
+  const current = await loadPlanRecord(paths, planId);
+  if (!current) {
+    return null;
+  }
+  await fs.rm(recordFilePath(paths.plansRoot, planId), { force: true });
+  await appendControllerEvent(paths.eventsPath, {
+    type: 'plan_discarded',
+    planId,
+    kind: current.kind,
+    action: current.action,
+    discardedAt: Date.now(),
+  });
+  return current;
 }
 
 export async function saveRunRecord(paths, record) {
   await ensureControllerStateDirs(paths);
   const runId = record.runId || makeRecordId(safeId(record.kind || 'run'));
   const next = { ...record, runId };
-  await writeJson(path.join(paths.runsRoot, `${runId}.json`), next);
+  await writeJson(recordFilePath(paths.runsRoot, runId), next);
   await appendControllerEvent(paths.eventsPath, {
     type: 'run_saved',
     runId,
@@ -79,7 +145,7 @@ export async function saveRunRecord(paths, record) {
 async function writeUpdatedRunRecord(paths, runId, record) {
   await ensureControllerStateDirs(paths);
   const next = { ...record, runId };
-  await writeJson(path.join(paths.runsRoot, `${runId}.json`), next);
+  await writeJson(recordFilePath(paths.runsRoot, runId), next);
   await appendControllerEvent(paths.eventsPath, {
     type: 'run_updated',
     runId,
@@ -92,7 +158,11 @@ async function writeUpdatedRunRecord(paths, runId, record) {
 }
 
 export async function loadRunRecord(paths, runId) {
-  return readJson(path.join(paths.runsRoot, `${runId}.json`), null);
+  return readJson(recordFilePath(paths.runsRoot, runId), null);
+}
+
+export async function listRunRecords(paths) {
+  return listRecordsInDir(paths.runsRoot, 'runId');
 }
 
 export async function updateRunRecord(paths, runId, patch) {
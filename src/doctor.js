@@ -3,6 +3,8 @@ import path from 'node:path';
 import { spawnSync } from 'node:child_process';
 import { SPACE_GOVERNANCE_TARGETS } from './constants.js';
 import { collectRecycleStats, normalizeRecycleRetention } from './recycle-maintenance.js';
+import { listUnfinishedJournals } from './batch-journal.js';
+import { listVolumeRecycleRoots } from './recycle-roots.js';
 import { detectExternalStorageRoots, discoverAccounts } from './scanner.js';
 import { computeNextTriggerAt, queryServiceStatus, readFilesystemUsage } from './service-manager.js';
 import { inspectSkillBinding, skillBindingStatusLabel } from './skill-installer.js';
@@ -105,6 +107,11 @@ function buildCheck(id, title, status, detail, suggestion = '') {
   };
 }
 
+function volumeRecycleNote(stats) {
+  const volumeCount = Math.max(0, (stats.recycleRoots || []).length - 1);
+  return volumeCount > 0 ? `（含 ${volumeCount} 个卷级回收目录）` : '';
+}
+
 function splitRelativePathSegments(relativePath) {
   return String(relativePath || '')
     .split(/[\\/]+/)
@@ -624,9 +631,11 @@ export async function runDoctor({ config, aliases, projectRoot, appVersion }) {
   );
 
   const retention = normalizeRecycleRetention(config.recycleRetention);
+  const recycleRootsPath = config.recycleRootsPath || path.join(stateRoot, 'recycle-roots.json');
   const recycleStats = await collectRecycleStats({
     indexPath: config.indexPath,
     recycleRoot: config.recycleRoot,
+    extraRecycleRoots: await listVolumeRecycleRoots(recycleRootsPath, config.recycleRoot),
     createIfMissing: false,
   });
   const thresholdBytes = Math.max(1, Number(retention.sizeThresholdGB || 20)) * 1024 * 1024 * 1024;
@@ -636,11 +645,28 @@ export async function runDoctor({ config, aliases, projectRoot, appVersion }) {
       'recycle_health',
       '回收区健康',
       recycleOverThreshold ? STATUS_WARN : STATUS_PASS,
-      `批次 ${recycleStats.totalBatches} 个，容量 ${recycleStats.totalBytes} bytes，阈值 ${thresholdBytes} bytes`,
+      `批次 ${recycleStats.totalBatches} 个，容量 ${recycleStats.totalBytes} bytes，阈值 ${thresholdBytes} bytes${volumeRecycleNote(recycleStats)}`,
       recycleOverThreshold ? '建议执行回收区治理（--recycle-maintain）。' : ''
     )
   );
 
+  const unfinishedJournals = await listUnfinishedJournals(
+    config.journalsRoot || path.join(stateRoot, 'journals')
+  );
+  checks.push(
+    buildCheck(
+      'unfinished_journals',
+      '中断批次日志',
+      unfinishedJournals.length > 0 ? STATUS_WARN : STATUS_PASS,
+      unfinishedJournals.length > 0
+        ? `未完成批次 ${unfinishedJournals.length} 个：${unfinishedJournals.map((item) => `${item.batchId}（${item.doneCount}/${item.totalTargets}）`).join('，')}`
+        : '无未完成批次',
+      unfinishedJournals.length > 0
+        ? '请执行 recover resume <batch-id> --ack RESUME 续做，或 recover rollback <batch-id> --ack ROLLBACK 回滚。'
+        : ''
+    )
+  );
+
   const serviceStatus = await queryServiceStatus({
     stateRoot,
     serviceConfigPath: config.serviceConfigPath,
@@ -652,6 +678,7 @@ export async function runDoctor({ config, aliases, projectRoot, appVersion }) {
   const serviceRecycleStats = await collectRecycleStats({
     indexPath: config.indexPath,
     recycleRoot: serviceRecycleRoot,
+    extraRecycleRoots: await listVolumeRecycleRoots(recycleRootsPath, serviceRecycleRoot),
     createIfMissing: false,
   });
   const serviceFilesystemUsage = readFilesystemUsage(serviceRecycleRoot);
@@ -673,7 +700,7 @@ export async function runDoctor({ config, aliases, projectRoot, appVersion }) {
       'service_recycle_health',
       '服务回收站健康',
       STATUS_PASS,
-      `批次 ${serviceRecycleStats.totalBatches} 个，容量 ${serviceRecycleStats.totalBytes} bytes`,
+      `批次 ${serviceRecycleStats.totalBatches} 个，容量 ${serviceRecycleStats.totalBytes} bytes${volumeRecycleNote(serviceRecycleStats)}`,
       ''
     )
   );
@@ -709,6 +736,7 @@ export async function runDoctor({ config, aliases, projectRoot, appVersion }) {
       weDriveBusinessDirCount: weDriveBusinessDirs.length,
       weDriveBusinessBytes,
       recycleBatchCount: recycleStats.totalBatches,
+      unfinishedJournalCount: unfinishedJournals.length,
       recycleBytes: recycleStats.totalBytes,
       recycleThresholdBytes: thresholdBytes,
       recycleOverThreshold,
@@ -8,6 +8,8 @@ export const ERROR_TYPES = {
   READ_ONLY: 'read_only',
   CONFLICT: 'conflict',
   POLICY_SKIPPED: 'policy_skipped',
+  PINNED: 'pinned',
+  CANCELLED: 'cancelled',
   UNKNOWN: 'unknown',
 };
 
@@ -21,9 +23,54 @@ const ERROR_TYPE_LABELS = {
   [ERROR_TYPES.READ_ONLY]: '只读目录',
   [ERROR_TYPES.CONFLICT]: '路径冲突',
   [ERROR_TYPES.POLICY_SKIPPED]: '策略跳过',
+  [ERROR_TYPES.PINNED]: '固定保护',
+  [ERROR_TYPES.CANCELLED]: '用户取消',
   [ERROR_TYPES.UNKNOWN]: '其他错误',
 };
 
+export class TaskCancelledError extends Error {
+  constructor(message = '任务已取消', options = {}) {
+    super(message);
+    this.name = 'TaskCancelledError';
+    this.errorType = ERROR_TYPES.CANCELLED;
+    // 取消实际被抛出的阶段（如 scan），未知时为 null
+    this.stage = options.stage || null;
+  }
+}
+
+export function isTaskCancelled(error) {
+  return error instanceof TaskCancelledError;
+}
+
+// 在目标之间检查取消信号：正在处理的目标总是完整结束，不会半途放弃
+export function throwIfCancelled(signal, stage = null) {
+  if (!signal?.aborted) {
+    return;
+  }
+  if (!isTaskCancelled(signal.reason)) {
+    throw new TaskCancelledError(undefined, { stage });
+  }
+  signal.reason.stage = signal.reason.stage || stage;
+  throw signal.reason;
+}
+
+export function cancelReasonMessage(signal) {
+  return isTaskCancelled(signal?.reason) ? signal.reason.message : '任务已取消';
+}
+
+// 取消时写入索引的收尾行，记录已处理与未处理的目标数量
+export function buildCancelledIndexRow({ operation, dryRun = false, ...fields }) {
+  return {
+    action: 'cancelled',
+    time: Date.now(),
+    operation,
+    status: 'cancelled',
+    error_type: ERROR_TYPES.CANCELLED,
+    dryRun: Boolean(dryRun),
+    ...fields,
+  };
+}
+
 export function errorTypeToLabel(errorType) {
   return ERROR_TYPE_LABELS[String(errorType || '')] || ERROR_TYPE_LABELS[ERROR_TYPES.UNKNOWN];
 }
@@ -69,5 +116,8 @@ export function classifyErrorType(message) {
   if (text.includes('read-only') || text.includes('readonly') || text.includes('erofs')) {
     return ERROR_TYPES.READ_ONLY;
   }
+  if (text.includes('eexist') || text.includes('already exists')) {
+    return ERROR_TYPES.CONFLICT;
+  }
   return ERROR_TYPES.UNKNOWN;
 }
@@ -1,4 +1,4 @@
-import { promises as fs } from 'node:fs';
+import { promises as fs, rmSync } from 'node:fs';
 import os from 'node:os';
 import path from 'node:path';
 
@@ -97,6 +97,14 @@ export async function acquireLock(stateRoot, mode, options = {}) {
         async release() {
           await fs.rm(lockPath, { force: true }).catch(() => {});
         },
+        // 供即将 process.exit 的信号处理使用，此时异步释放来不及执行
+        releaseSync() {
+          try {
+            rmSync(lockPath, { force: true });
+          } catch {
+            // 忽略：锁文件残留时下次运行按陈旧锁处理
+          }
+        },
       };
     } catch (error) {
       if (error && error.code !== 'EEXIST') {
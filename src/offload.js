@@ -0,0 +1,166 @@
+import path from 'node:path';
+import { appendJsonLine, pathExists, readJsonLines } from './utils.js';
+import { classifyErrorType, ERROR_TYPES } from './error-taxonomy.js';
+import { snapshotPathTree, verifiedMovePath } from './verified-move.js';
+
+export function resolveOffloadPath(offloadRoot, sourcePath) {
+  // 外移目录按源绝对路径镜像到外移根目录下，取回时可直接反推原位置
+  const resolved = path.resolve(sourcePath);
+  return path.join(path.resolve(offloadRoot), resolved.slice(path.parse(resolved).root.length));
+}
+
+function isPathWithinRoot(rootPath, targetPath) {
+  const rel = path.relative(path.resolve(rootPath), path.resolve(targetPath));
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+export async function offloadTarget(sourcePath, offloadRoot) {
+  const offloadPath = resolveOffloadPath(offloadRoot, sourcePath);
+  // 外移始终记录内容摘要，同卷改名时也需要用于取回前校验
+  const snapshot = await snapshotPathTree(sourcePath, { hash: true });
+  const moved = await verifiedMovePath(sourcePath, offloadPath, { snapshot });
+  return { offloadPath, ...moved };
+}
+
+export async function listOffloadedEntries(indexPath, { months = [], accounts = [] } = {}) {
+  const monthSet = new Set(months);
+  const accountSet = new Set(accounts);
+  const entries = new Map();
+  for (const row of await readJsonLines(indexPath)) {
+    if (!row || typeof row !== 'object' || typeof row.offloadPath !== 'string') {
+      continue;
+    }
+    if (row.action === 'offload_return' && row.status === 'success') {
+      entries.delete(row.offloadPath);
+      continue;
+    }
+    if (row.action === 'cleanup' && row.status === 'success' && row.dryRun !== true) {
+      entries.set(row.offloadPath, row);
+    }
+  }
+  return [...entries.values()].filter(
+    (row) =>
+      (monthSet.size === 0 || monthSet.has(row.monthKey)) &&
+      (accountSet.size === 0 || accountSet.has(row.accountId) || accountSet.has(row.accountShortId))
+  );
+}
+
+function validateOffloadEntry(entry, allowedRoots) {
+  if (typeof entry.sourcePath !== 'string' || !entry.sourcePath || !entry.offloadRoot) {
+    return 'invalid_path_record';
+  }
+  // 外移路径必须与记录的镜像位置一致，防止索引被篡改后移动任意目录
+  if (path.resolve(entry.offloadPath) !== resolveOffloadPath(entry.offloadRoot, entry.sourcePath)) {
+    return 'offload_path_mismatch';
+  }
+  if (!allowedRoots.some((rootPath) => isPathWithinRoot(rootPath, entry.sourcePath))) {
+    return 'source_outside_allowed_root';
+  }
+  return null;
+}
+
+export async function returnOffloadedEntries({
+  entries,
+  indexPath,
+  dryRun = false,
+  allowedRoots = [],
+  onProgress,
+}) {
+  const summary = {
+    successCount: 0,
+    skippedCount: 0,
+    failedCount: 0,
+    returnedBytes: 0,
+    skippedTargets: [],
+    errors: [],
+  };
+  const roots = allowedRoots.filter(Boolean);
+  const total = entries.length;
+
+  for (let i = 0; i < total; i += 1) {
+    const entry = entries[i];
+    if (typeof onProgress === 'function') {
+      onProgress(i + 1, total);
+    }
+    const baseRow = {
+      action: 'offload_return',
+      scope: entry.scope || 'cleanup_monthly',
+      batchId: entry.batchId || null,
+      sourcePath: entry.sourcePath,
+      offloadPath: entry.offloadPath,
+      accountId: entry.accountId || null,
+      accountShortId: entry.accountShortId || null,
+      userName: entry.userName || null,
+      categoryKey: entry.categoryKey || null,
+      categoryLabel: entry.categoryLabel || null,
+      monthKey: entry.monthKey || null,
+      sizeBytes: Number(entry.sizeBytes || 0),
+    };
+    const skip = async (status, errorType, extra = {}) => {
+      summary.skippedCount += 1;
+      summary.skippedTargets.push({ path: entry.sourcePath, reason: status });
+      await appendJsonLine(indexPath, {
+        ...baseRow,
+        time: Date.now(),
+        status,
+        error_type: errorType,
+        ...extra,
+        dryRun: Boolean(dryRun),
+      });
+    };
+
+    const invalidPathReason = validateOffloadEntry(entry, roots);
+    if (invalidPathReason) {
+      await skip('skipped_invalid_path', ERROR_TYPES.PATH_VALIDATION_FAILED, {
+        invalid_reason: invalidPathReason,
+      });
+      continue;
+    }
+    if (!(await pathExists(entry.offloadPath))) {
+      await skip('skipped_missing_offload', ERROR_TYPES.PATH_NOT_FOUND);
+      continue;
+    }
+    if (await pathExists(entry.sourcePath)) {
+      await skip('skipped_conflict', ERROR_TYPES.CONFLICT);
+      continue;
+    }
+
+    if (dryRun) {
+      summary.successCount += 1;
+      summary.returnedBytes += baseRow.sizeBytes;
+      await appendJsonLine(indexPath, { ...baseRow, time: Date.now(), status: 'dry_run', dryRun: true });
+      continue;
+    }
+
+    try {
+      const snapshot = await snapshotPathTree(entry.offloadPath, { hash: true });
+      if (entry.offloadDigest && snapshot.digest !== entry.offloadDigest) {
+        throw new Error(`offload copy digest mismatch, content changed since offload: ${entry.offloadPath}`);
+      }
+      const moved = await verifiedMovePath(entry.offloadPath, entry.sourcePath, { snapshot });
+      summary.successCount += 1;
+      summary.returnedBytes += baseRow.sizeBytes;
+      await appendJsonLine(indexPath, {
+        ...baseRow,
+        time: Date.now(),
+        status: 'success',
+        moveMethod: moved.method,
+        dryRun: false,
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      summary.failedCount += 1;
+      summary.errors.push({ path: entry.sourcePath, message });
+      await appendJsonLine(indexPath, {
+        ...baseRow,
+        time: Date.now(),
+        status: 'failed',
+        error_type: classifyErrorType(message),
+        error: message,
+        dryRun: false,
+      });
+    }
+  }
+
+  return summary;
+}
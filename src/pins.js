@@ -0,0 +1,93 @@
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { expandHome, normalizeMonthKey, readJson, writeJson } from './utils.js';
+
+export const PIN_SKIP_STATUS = 'skipped_pinned';
+
+function normalizePinPath(rawPath) {
+  const text = String(rawPath || '').trim();
+  return text ? path.resolve(expandHome(text)) : null;
+}
+
+function normalizePinRecord(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.pinId) {
+    return null;
+  }
+  return {
+    pinId: String(raw.pinId),
+    path: normalizePinPath(raw.path),
+    accountId: raw.accountId ? String(raw.accountId) : null,
+    monthKey: normalizeMonthKey(raw.monthKey) || null,
+    categoryKey: raw.categoryKey ? String(raw.categoryKey) : null,
+    note: raw.note ? String(raw.note) : '',
+    createdAt: Number(raw.createdAt || 0),
+  };
+}
+
+function pinMatchKey(pin) {
+  return [pin.path, pin.accountId, pin.monthKey, pin.categoryKey].map((item) => item || '').join('\u0000');
+}
+
+export async function loadPins(pinsPath) {
+  const raw = await readJson(pinsPath, { pins: [] });
+  const rows = Array.isArray(raw?.pins) ? raw.pins : [];
+  return rows.map(normalizePinRecord).filter(Boolean);
+}
+
+async function savePins(pinsPath, pins) {
+  await writeJson(pinsPath, { pins });
+}
+
+export async function addPin(pinsPath, input = {}) {
+  const pin = normalizePinRecord({
+    ...input,
+    pinId: `pin-${crypto.randomBytes(4).toString('hex')}`,
+    createdAt: Date.now(),
+  });
+  const pins = await loadPins(pinsPath);
+  const existing = pins.find((item) => pinMatchKey(item) === pinMatchKey(pin));
+  if (existing) {
+    return { pin: existing, created: false };
+  }
+  await savePins(pinsPath, [...pins, pin]);
+  return { pin, created: true };
+}
+
+export async function removePin(pinsPath, pinId) {
+  const pins = await loadPins(pinsPath);
+  const removed = pins.find((item) => item.pinId === pinId) || null;
+  if (removed) {
+    await savePins(
+      pinsPath,
+      pins.filter((item) => item !== removed)
+    );
+  }
+  return removed;
+}
+
+function isSameOrInside(childPath, parentPath) {
+  const rel = path.relative(parentPath, childPath);
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+function pinMatchesTarget(pin, target) {
+  if (pin.accountId && pin.accountId !== target.accountId && pin.accountId !== target.accountShortId) {
+    return false;
+  }
+  if (pin.monthKey && pin.monthKey !== target.monthKey) {
+    return false;
+  }
+  if (pin.categoryKey && pin.categoryKey !== target.categoryKey) {
+    return false;
+  }
+  if (pin.path) {
+    const targetPath = path.resolve(String(target.path || ''));
+    // 目标位于固定路径内，或目标目录包含固定路径，删除目标都会波及固定内容
+    return isSameOrInside(targetPath, pin.path) || isSameOrInside(pin.path, targetPath);
+  }
+  return true;
+}
+
+export function findMatchingPin(pins = [], target = {}) {
+  return (Array.isArray(pins) ? pins : []).find((pin) => pinMatchesTarget(pin, target)) || null;
+}
@@ -2,7 +2,7 @@ import { promises as fs } from 'node:fs';
 import path from 'node:path';
 import { listRestorableBatches } from './restore.js';
 import { appendJsonLine, calculateDirectorySize, ensureDir } from './utils.js';
-import { classifyErrorType, ERROR_TYPES } from './error-taxonomy.js';
+import { buildCancelledIndexRow, classifyErrorType, ERROR_TYPES } from './error-taxonomy.js';
 
 const GB = 1024 * 1024 * 1024;
 
@@ -59,10 +59,26 @@ async function safeRealpath(targetPath) {
   }
 }
 
-async function resolveBatchRootFromEntries(recycleRoot, batch) {
-  const recycleRootAbs = path.resolve(String(recycleRoot || ''));
-  const recycleRootReal = await safeRealpath(recycleRootAbs);
-  if (!recycleRootReal) {
+function normalizeRecycleRoots(recycleRoot, extraRecycleRoots = []) {
+  return [
+    ...new Set(
+      [recycleRoot, ...(Array.isArray(extraRecycleRoots) ? extraRecycleRoots : [])]
+        .map((item) => String(item || '').trim())
+        .filter(Boolean)
+        .map((item) => path.resolve(item))
+    ),
+  ];
+}
+
+async function resolveBatchRootsFromEntries(recycleRoots, batch) {
+  const roots = [];
+  for (const recycleRootAbs of recycleRoots) {
+    const recycleRootReal = await safeRealpath(recycleRootAbs);
+    if (recycleRootReal) {
+      roots.push({ recycleRootAbs, recycleRootReal });
+    }
+  }
+  if (roots.length === 0) {
     return {
       ok: false,
       invalidReason: 'missing_recycle_root',
@@ -76,7 +92,8 @@ async function resolveBatchRootFromEntries(recycleRoot, batch) {
     };
   }
 
-  const rootSet = new Set();
+  // 同一批次可能分布在多个卷级回收目录，但在每个回收目录下只能对应一个批次目录
+  const batchRootByRecycleRoot = new Map();
   for (const entry of entries) {
     const recyclePath = String(entry?.recyclePath || '').trim();
     if (!recyclePath) {
@@ -87,12 +104,14 @@ async function resolveBatchRootFromEntries(recycleRoot, batch) {
     }
 
     const recyclePathAbs = path.resolve(recyclePath);
-    if (!isPathWithinRoot(recycleRootAbs, recyclePathAbs)) {
+    const owner = roots.find((item) => isPathWithinRoot(item.recycleRootAbs, recyclePathAbs));
+    if (!owner) {
       return {
         ok: false,
         invalidReason: 'recycle_path_outside_recycle_root',
       };
     }
+    const { recycleRootAbs, recycleRootReal } = owner;
     const recyclePathReal = await safeRealpath(recyclePathAbs);
     if (!recyclePathReal) {
       return {
@@ -133,39 +152,55 @@ async function resolveBatchRootFromEntries(recycleRoot, batch) {
         invalidReason: 'batch_root_symlink_escape',
       };
     }
-    rootSet.add(batchRootReal);
-  }
-
-  if (rootSet.size !== 1) {
-    return {
-      ok: false,
-      invalidReason: 'inconsistent_batch_roots',
-    };
+    const knownBatchRoot = batchRootByRecycleRoot.get(recycleRootAbs);
+    if (knownBatchRoot && knownBatchRoot !== batchRootReal) {
+      return {
+        ok: false,
+        invalidReason: 'inconsistent_batch_roots',
+      };
+    }
+    batchRootByRecycleRoot.set(recycleRootAbs, batchRootReal);
   }
 
+  const batchRoots = [...batchRootByRecycleRoot.values()];
   return {
     ok: true,
-    batchRoot: [...rootSet][0],
+    batchRoot: batchRoots[0],
+    batchRoots,
   };
 }
 
-export async function deleteRecycleCandidates({ recycleRoot, candidates, dryRun, onProgress }) {
+export async function deleteRecycleCandidates({
+  recycleRoot,
+  extraRecycleRoots = [],
+  candidates,
+  dryRun,
+  onProgress,
+  signal,
+}) {
+  const recycleRoots = normalizeRecycleRoots(recycleRoot, extraRecycleRoots);
   const list = Array.isArray(candidates) ? candidates : [];
   const result = {
     deletedBatches: 0,
     deletedBytes: 0,
     failBatches: 0,
+    cancelledRemainingCount: 0,
     operations: [],
     errors: [],
   };
 
   for (let i = 0; i < list.length; i += 1) {
+    if (signal?.aborted) {
+      // 只在批次之间停止，正在删除的批次总是完整删除
+      result.cancelledRemainingCount = list.length - i;
+      break;
+    }
     const batch = list[i];
     if (typeof onProgress === 'function') {
       onProgress(i + 1, list.length);
     }
 
-    const resolvedBatchRoot = await resolveBatchRootFromEntries(recycleRoot, batch);
+    const resolvedBatchRoot = await resolveBatchRootsFromEntries(recycleRoots, batch);
     if (!resolvedBatchRoot.ok) {
       result.failBatches += 1;
       result.operations.push({
@@ -193,12 +228,15 @@ export async function deleteRecycleCandidates({ recycleRoot, candidates, dryRun,
         selectedBy: batch.selectedBy || 'unknown',
         totalBytes: Number(batch.totalBytes || 0),
         batchRoot: resolvedBatchRoot.batchRoot,
+        batchRoots: resolvedBatchRoot.batchRoots,
       });
       continue;
     }
 
     try {
-      await fs.rm(resolvedBatchRoot.batchRoot, { recursive: true, force: true });
+      for (const batchRoot of resolvedBatchRoot.batchRoots) {
+        await fs.rm(batchRoot, { recursive: true, force: true });
+      }
       result.deletedBatches += 1;
       result.deletedBytes += Number(batch.totalBytes || 0);
       result.operations.push({
@@ -207,6 +245,7 @@ export async function deleteRecycleCandidates({ recycleRoot, candidates, dryRun,
         selectedBy: batch.selectedBy || 'unknown',
         totalBytes: Number(batch.totalBytes || 0),
         batchRoot: resolvedBatchRoot.batchRoot,
+        batchRoots: resolvedBatchRoot.batchRoots,
       });
     } catch (error) {
       const message = error instanceof Error ? error.message : String(error);
@@ -217,6 +256,7 @@ export async function deleteRecycleCandidates({ recycleRoot, candidates, dryRun,
         selectedBy: batch.selectedBy || 'unknown',
         totalBytes: Number(batch.totalBytes || 0),
         batchRoot: resolvedBatchRoot.batchRoot,
+        batchRoots: resolvedBatchRoot.batchRoots,
         errorType: classifyErrorType(message),
       });
       result.errors.push({
@@ -230,29 +270,43 @@ export async function deleteRecycleCandidates({ recycleRoot, candidates, dryRun,
   return result;
 }
 
-export async function collectRecycleStats({ indexPath, recycleRoot, createIfMissing = true }) {
+export async function collectRecycleStats({
+  indexPath,
+  recycleRoot,
+  extraRecycleRoots = [],
+  createIfMissing = true,
+}) {
   if (createIfMissing) {
     await ensureDir(recycleRoot);
-  } else {
-    const recycleExists = await fs
-      .stat(recycleRoot)
+  }
+  const recycleRoots = [];
+  for (const rootPath of normalizeRecycleRoots(recycleRoot, extraRecycleRoots)) {
+    const exists = await fs
+      .stat(rootPath)
       .then((stat) => stat.isDirectory())
       .catch(() => false);
-    if (!recycleExists) {
-      return {
-        batches: [],
-        totalBatches: 0,
-        totalBytes: 0,
-        indexedBytes: 0,
-        oldestTime: null,
-      };
+    if (exists) {
+      recycleRoots.push(rootPath);
     }
   }
+  if (recycleRoots.length === 0) {
+    return {
+      batches: [],
+      totalBatches: 0,
+      totalBytes: 0,
+      indexedBytes: 0,
+      oldestTime: null,
+      recycleRoots: [],
+    };
+  }
 
-  const batches = await listRestorableBatches(indexPath, { recycleRoot });
+  const batches = await listRestorableBatches(indexPath, { recycleRoots });
   const totalBatches = batches.length;
   const indexedBytes = batches.reduce((acc, batch) => acc + Number(batch.totalBytes || 0), 0);
-  const totalBytes = await calculateDirectorySize(recycleRoot);
+  let totalBytes = 0;
+  for (const rootPath of recycleRoots) {
+    totalBytes += await calculateDirectorySize(rootPath);
+  }
   const oldestTime =
     totalBatches > 0 ? Math.min(...batches.map((item) => Number(item.firstTime || Date.now()))) : null;
 
@@ -262,6 +316,7 @@ export async function collectRecycleStats({ indexPath, recycleRoot, createIfMiss
     totalBytes,
     indexedBytes,
     oldestTime,
+    recycleRoots,
   };
 }
 
@@ -320,14 +375,24 @@ export function selectBatchesForMaintenance(batches, policy, now = Date.now()) {
   };
 }
 
-export async function maintainRecycleBin({ indexPath, recycleRoot, policy, dryRun, onProgress }) {
+export async function maintainRecycleBin({
+  indexPath,
+  recycleRoot,
+  extraRecycleRoots = [],
+  policy,
+  dryRun,
+  onProgress,
+  signal,
+}) {
   const normalizedPolicy = normalizeRecycleRetention(policy);
   const now = Date.now();
   const before = await collectRecycleStats({
     indexPath,
     recycleRoot,
+    extraRecycleRoots,
     createIfMissing: !dryRun,
   });
+  const volumeRecycleRoots = before.recycleRoots.filter((item) => item !== path.resolve(recycleRoot));
   const selected = selectBatchesForMaintenance(before.batches, normalizedPolicy, now);
   const thresholdBytes = selected.thresholdBytes;
 
@@ -361,6 +426,7 @@ export async function maintainRecycleBin({ indexPath, recycleRoot, policy, dryRu
       status: 'skipped_disabled',
       dryRun: Boolean(dryRun),
       recycle_root: recycleRoot,
+      volume_recycle_roots: volumeRecycleRoots,
       policy: normalizedPolicy,
       before_batches: before.totalBatches,
       before_bytes: before.totalBytes,
@@ -383,6 +449,7 @@ export async function maintainRecycleBin({ indexPath, recycleRoot, policy, dryRu
       status: 'skipped_no_candidate',
       dryRun: Boolean(dryRun),
       recycle_root: recycleRoot,
+      volume_recycle_roots: volumeRecycleRoots,
       policy: normalizedPolicy,
       before_batches: before.totalBatches,
       before_bytes: before.totalBytes,
@@ -400,9 +467,11 @@ export async function maintainRecycleBin({ indexPath, recycleRoot, policy, dryRu
 
   const deletion = await deleteRecycleCandidates({
     recycleRoot,
+    extraRecycleRoots,
     candidates: selected.candidates,
     dryRun,
     onProgress,
+    signal,
   });
   summary.deletedBatches = deletion.deletedBatches;
   summary.deletedBytes = deletion.deletedBytes;
@@ -410,8 +479,18 @@ export async function maintainRecycleBin({ indexPath, recycleRoot, policy, dryRu
   summary.operations = deletion.operations;
   summary.errors = deletion.errors;
 
-  const after = dryRun ? before : await collectRecycleStats({ indexPath, recycleRoot });
-  const status = summary.failBatches > 0 ? 'partial_failed' : dryRun ? 'dry_run' : 'success';
+  const after = dryRun ? before : await collectRecycleStats({ indexPath, recycleRoot, extraRecycleRoots });
+  const status =
+    deletion.cancelledRemainingCount > 0
+      ? 'cancelled'
+      : summary.failBatches > 0
+        ? 'partial_failed'
+        : dryRun
+          ? 'dry_run'
+          : 'success';
+  if (status === 'cancelled') {
+    summary.cancelledRemainingCount = deletion.cancelledRemainingCount;
+  }
 
   await appendJsonLine(indexPath, {
     action: 'recycle_maintain',
@@ -419,6 +498,7 @@ export async function maintainRecycleBin({ indexPath, recycleRoot, policy, dryRu
     status,
     dryRun: Boolean(dryRun),
     recycle_root: recycleRoot,
+    volume_recycle_roots: volumeRecycleRoots,
     policy: normalizedPolicy,
     threshold_bytes: thresholdBytes,
     over_threshold: summary.overThreshold,
@@ -433,6 +513,17 @@ export async function maintainRecycleBin({ indexPath, recycleRoot, policy, dryRu
     remaining_bytes: after.totalBytes,
     error_type: summary.failBatches > 0 ? summary.errors[0]?.errorType || ERROR_TYPES.UNKNOWN : null,
   });
+  if (status === 'cancelled') {
+    await appendJsonLine(
+      indexPath,
+      buildCancelledIndexRow({
+        operation: 'recycle_maintain',
+        processedCount: selected.candidates.length - deletion.cancelledRemainingCount,
+        remainingCount: deletion.cancelledRemainingCount,
+        dryRun,
+      })
+    );
+  }
 
   return {
     ...summary,
@@ -0,0 +1,133 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { ensureDir, readJson, writeJson } from './utils.js';
+
+export const VOLUME_RECYCLE_DIR_NAME = '.wecom-cleaner-recycle';
+
+function normalizeRecycleRootRecord(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.path || !raw.baseRoot) {
+    return null;
+  }
+  return {
+    path: path.resolve(String(raw.path)),
+    baseRoot: path.resolve(String(raw.baseRoot)),
+    volumeRoot: raw.volumeRoot ? path.resolve(String(raw.volumeRoot)) : null,
+    registeredAt: Number(raw.registeredAt || 0),
+  };
+}
+
+export async function loadVolumeRecycleRoots(registryPath) {
+  const raw = await readJson(registryPath, { roots: [] });
+  const rows = Array.isArray(raw?.roots) ? raw.roots : [];
+  return rows.map(normalizeRecycleRootRecord).filter(Boolean);
+}
+
+// 同一登记文件的读改写按顺序排队：并发清理在不同卷上同时登记时，后写入的不会覆盖先登记的卷
+const registryQueues = new Map();
+
+async function appendVolumeRecycleRoot(registryPath, input) {
+  const record = normalizeRecycleRootRecord({ ...input, registeredAt: Date.now() });
+  const roots = await loadVolumeRecycleRoots(registryPath);
+  const existing = roots.find((item) => item.path === record.path);
+  if (existing) {
+    return { root: existing, created: false };
+  }
+  await writeJson(registryPath, { roots: [...roots, record] });
+  return { root: record, created: true };
+}
+
+export async function registerVolumeRecycleRoot(registryPath, input = {}) {
+  const key = path.resolve(registryPath);
+  const previous = registryQueues.get(key) || Promise.resolve();
+  const current = previous.catch(() => {}).then(() => appendVolumeRecycleRoot(registryPath, input));
+  registryQueues.set(key, current);
+  try {
+    return await current;
+  } finally {
+    if (registryQueues.get(key) === current) {
+      registryQueues.delete(key);
+    }
+  }
+}
+
+export async function listVolumeRecycleRoots(registryPath, baseRoot) {
+  // 卷级回收目录按默认回收区登记，手动与服务回收区各自聚合
+  const base = path.resolve(String(baseRoot || ''));
+  return (await loadVolumeRecycleRoots(registryPath))
+    .filter((item) => item.baseRoot === base && item.path !== base)
+    .map((item) => item.path);
+}
+
+async function statDevice(targetPath) {
+  let current = path.resolve(targetPath);
+  while (true) {
+    const stat = await fs.stat(current).catch(() => null);
+    if (stat) {
+      return stat.dev;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+export async function findVolumeRoot(targetPath, deviceOf = statDevice) {
+  let current = path.resolve(targetPath);
+  const device = await deviceOf(current);
+  while (true) {
+    const parent = path.dirname(current);
+    if (parent === current || (await deviceOf(parent)) !== device) {
+      return current;
+    }
+    current = parent;
+  }
+}
+
+export function resolveVolumeRecycleRoot(volumeRoot, baseRoot) {
+  return path.join(path.resolve(volumeRoot), VOLUME_RECYCLE_DIR_NAME, path.basename(path.resolve(baseRoot)));
+}
+
+export function createVolumeRecycleResolver({ recycleRoot, registryPath, deviceOf = statDevice }) {
+  const baseRoot = path.resolve(recycleRoot);
+  const byDevice = new Map();
+  let baseDevice;
+
+  return async (targetPath) => {
+    if (baseDevice === undefined) {
+      baseDevice = await deviceOf(baseRoot);
+    }
+    const device = await deviceOf(targetPath);
+    if (device === null || device === baseDevice) {
+      return baseRoot;
+    }
+    if (!byDevice.has(device)) {
+      byDevice.set(
+        device,
+        (async () => {
+          const volumeRoot = await findVolumeRoot(targetPath, deviceOf);
+          const volumeRecycleRoot = resolveVolumeRecycleRoot(volumeRoot, baseRoot);
+          try {
+            await ensureDir(volumeRecycleRoot);
+            // 卷根不可写或目录被挂到别处时退回默认回收区，由跨卷校验移动兜底
+            if ((await deviceOf(volumeRecycleRoot)) !== device) {
+              return baseRoot;
+            }
+          } catch {
+            return baseRoot;
+          }
+          if (registryPath) {
+            await registerVolumeRecycleRoot(registryPath, {
+              path: volumeRecycleRoot,
+              baseRoot,
+              volumeRoot,
+            });
+          }
+          return volumeRecycleRoot;
+        })()
+      );
+    }
+    return byDevice.get(device);
+  };
+}
@@ -1,22 +1,10 @@
 import { promises as fs, createReadStream } from 'node:fs';
 import path from 'node:path';
 import readline from 'node:readline';
-import { appendJsonLine, ensureDir, pathExists } from './utils.js';
-import { classifyErrorType, ERROR_TYPES } from './error-taxonomy.js';
-
-async function movePath(src, dest) {
-  await ensureDir(path.dirname(dest));
-  try {
-    await fs.rename(src, dest);
-    return;
-  } catch (error) {
-    if (error?.code !== 'EXDEV') {
-      throw error;
-    }
-  }
-  await fs.cp(src, dest, { recursive: true, force: true });
-  await fs.rm(src, { recursive: true, force: true });
-}
+import { appendJsonLine, pathExists } from './utils.js';
+import { buildCancelledIndexRow, classifyErrorType, ERROR_TYPES } from './error-taxonomy.js';
+import { extractArchiveEntry } from './archive.js';
+import { verifiedMovePath } from './verified-move.js';
 
 async function removePath(targetPath) {
   await fs.rm(targetPath, { recursive: true, force: true });
@@ -262,6 +250,11 @@ async function validateRestoreEntryPath({ originalPath, recyclePath, scope, vali
   return null;
 }
 
+function recycleEntryKey(row = {}) {
+  // 归档模式下同一批次共用一个压缩包，需结合条目名区分
+  return row.archiveEntry ? `${row.recyclePath}#${row.archiveEntry}` : row.recyclePath;
+}
+
 function buildRestoreAuditMeta(entry = {}) {
   return {
     accountId: entry.accountId || null,
@@ -273,6 +266,8 @@ function buildRestoreAuditMeta(entry = {}) {
     monthKey: entry.monthKey || null,
     targetKey: entry.targetKey || null,
     tier: entry.tier || null,
+    containerPath: entry.containerPath || null,
+    ...(entry.archiveEntry ? { archiveEntry: entry.archiveEntry } : {}),
     sizeBytes: Number(entry.sizeBytes || 0),
   };
 }
@@ -458,8 +453,8 @@ export async function listRestorableBatches(indexPath, options = {}) {
       return;
     }
     if (row.action === 'restore' && row.status === 'success' && typeof row.recyclePath === 'string') {
-      restoredSet.add(row.recyclePath);
-      cleanupRows.delete(row.recyclePath);
+      restoredSet.add(recycleEntryKey(row));
+      cleanupRows.delete(recycleEntryKey(row));
       return;
     }
     if (
@@ -468,8 +463,8 @@ export async function listRestorableBatches(indexPath, options = {}) {
       row.recoverable !== false &&
       typeof row.recyclePath === 'string'
     ) {
-      if (!restoredSet.has(row.recyclePath)) {
-        cleanupRows.set(row.recyclePath, row);
+      if (!restoredSet.has(recycleEntryKey(row))) {
+        cleanupRows.set(recycleEntryKey(row), row);
       }
     }
   });
@@ -518,6 +513,9 @@ export async function restoreBatch({
   recycleRoots = [],
   governanceRoot = null,
   extraGovernanceRoots = [],
+  verifyHash = false,
+  onMoveProgress,
+  signal,
 }) {
   const summary = {
     batchId: batch.batchId,
@@ -541,6 +539,22 @@ export async function restoreBatch({
   const total = batch.entries.length;
 
   for (let i = 0; i < total; i += 1) {
+    if (signal?.aborted) {
+      // 已恢复的条目保持原样，剩余条目仍留在回收区，可再次按批次恢复
+      summary.status = 'cancelled';
+      summary.cancelledRemainingCount = total - i;
+      await appendJsonLine(
+        indexPath,
+        buildCancelledIndexRow({
+          operation: 'restore',
+          batchId: batch.batchId,
+          processedCount: i,
+          remainingCount: total - i,
+          dryRun,
+        })
+      );
+      break;
+    }
     const entry = batch.entries[i];
     if (typeof onProgress === 'function') {
       onProgress(i + 1, total);
@@ -564,7 +578,7 @@ export async function restoreBatch({
         action: 'restore',
         time: Date.now(),
         scope,
-        batchId: batch.batchId,
+        batchId: entry.batchId || batch.batchId,
         recyclePath,
         sourcePath: originalPath,
         ...auditMeta,
@@ -587,7 +601,7 @@ export async function restoreBatch({
         action: 'restore',
         time: Date.now(),
         scope,
-        batchId: batch.batchId,
+        batchId: entry.batchId || batch.batchId,
         recyclePath,
         sourcePath: originalPath,
         ...auditMeta,
@@ -634,7 +648,7 @@ export async function restoreBatch({
           action: 'restore',
           time: Date.now(),
           scope,
-          batchId: batch.batchId,
+          batchId: entry.batchId || batch.batchId,
           recyclePath,
           sourcePath: originalPath,
           ...auditMeta,
@@ -663,7 +677,7 @@ export async function restoreBatch({
         action: 'restore',
         time: Date.now(),
         scope,
-        batchId: batch.batchId,
+        batchId: entry.batchId || batch.batchId,
         recyclePath,
         sourcePath: originalPath,
         restoredPath: targetPath,
@@ -685,7 +699,21 @@ export async function restoreBatch({
       if (sourceExists && strategy === 'overwrite') {
         await removePath(originalPath);
       }
-      await movePath(recyclePath, targetPath);
+      if (entry.archiveEntry) {
+        await extractArchiveEntry({
+          archivePath: recyclePath,
+          entryName: entry.archiveEntry,
+          offset: entry.archiveOffset,
+          length: entry.archiveLength,
+          destPath: targetPath,
+        });
+      } else {
+        await verifiedMovePath(recyclePath, targetPath, {
+          hash: verifyHash,
+          onProgress:
+            typeof onMoveProgress === 'function' ? (progress) => onMoveProgress(entry, progress) : null,
+        });
+      }
       summary.successCount += 1;
       summary.restoredBytes += Number(entry.sizeBytes || 0);
       updateRestoreBreakdown(breakdownTracker, entry, 'success', 'success', targetPath);
@@ -694,7 +722,7 @@ export async function restoreBatch({
         action: 'restore',
         time: Date.now(),
         scope,
-        batchId: batch.batchId,
+        batchId: entry.batchId || batch.batchId,
         recyclePath,
         sourcePath: originalPath,
         restoredPath: targetPath,
@@ -720,7 +748,7 @@ export async function restoreBatch({
         action: 'restore',
         time: Date.now(),
         scope,
-        batchId: batch.batchId,
+        batchId: entry.batchId || batch.batchId,
         recyclePath,
         sourcePath: originalPath,
         ...auditMeta,
@@ -21,6 +21,7 @@ import {
   sortMonthKeys,
   inferDataRootFromProfilesRoot,
 } from './utils.js';
+import { isTaskCancelled, throwIfCancelled } from './error-taxonomy.js';
 
 const CATEGORY_BY_KEY = new Map(CACHE_CATEGORIES.map((item) => [item.key, item]));
 const WWSECURITY_KEY = 'wwsecurity';
@@ -621,6 +622,107 @@ async function collectCategoryDirectFileCandidates(rootPath) {
   }));
 }
 
+function cleanupFileExtension(filePath) {
+  return path.extname(String(filePath || '')).toLowerCase();
+}
+
+function matchCleanupFileFilter(filePath, sizeBytes, fileFilter) {
+  const extension = cleanupFileExtension(filePath);
+  if (fileFilter.includeExt.length > 0 && !fileFilter.includeExt.includes(extension)) {
+    return 'ext';
+  }
+  if (fileFilter.excludeExt.includes(extension)) {
+    return 'ext';
+  }
+  if (fileFilter.minSizeBytes !== null && sizeBytes < fileFilter.minSizeBytes) {
+    return 'size';
+  }
+  if (fileFilter.maxSizeBytes !== null && sizeBytes > fileFilter.maxSizeBytes) {
+    return 'size';
+  }
+  return null;
+}
+
+async function collectFilteredFileCandidates(candidate, { fileAge, fileFilter }, stats) {
+  const files = [];
+  async function visit(currentPath, relativeName) {
+    const stat = await fs.lstat(currentPath).catch(() => null);
+    if (!stat || stat.isSymbolicLink()) {
+      return;
+    }
+    if (stat.isDirectory()) {
+      for (const entry of await listDirectoryEntries(currentPath)) {
+        await visit(path.join(currentPath, entry.name), path.join(relativeName, entry.name));
+      }
+      return;
+    }
+    if (!stat.isFile()) {
+      return;
+    }
+    stats.scannedFileCount += 1;
+    const rejectedBy = fileFilter ? matchCleanupFileFilter(currentPath, stat.size, fileFilter) : null;
+    if (rejectedBy) {
+      stats[rejectedBy === 'ext' ? 'excludedByExtCount' : 'excludedBySizeCount'] += 1;
+      stats.excludedBytes += stat.size;
+      return;
+    }
+    const ageTime = fileAge?.basis === 'atime' ? stat.atimeMs : stat.mtimeMs;
+    if (fileAge && ageTime >= fileAge.cutoffTime) {
+      stats.keptFileCount += 1;
+      stats.keptBytes += stat.size;
+      return;
+    }
+    stats.matchedFileCount += 1;
+    files.push({
+      ...candidate,
+      directoryName: relativeName,
+      path: currentPath,
+      isDirectory: false,
+      containerPath: candidate.path,
+      mtimeMs: stat.mtimeMs,
+      atimeMs: stat.atimeMs,
+      sizeBytes: stat.size,
+    });
+  }
+  await visit(candidate.path, candidate.directoryName);
+  return files;
+}
+
+async function expandCleanupFileCandidates(candidates, options) {
+  const stats = {
+    scannedFileCount: 0,
+    matchedFileCount: 0,
+    keptFileCount: 0,
+    keptBytes: 0,
+    excludedByExtCount: 0,
+    excludedBySizeCount: 0,
+    excludedBytes: 0,
+  };
+  const files = [];
+  for (const candidate of candidates) {
+    throwIfCancelled(options.signal, 'scan');
+    files.push(...(await collectFilteredFileCandidates(candidate, options, stats)));
+  }
+  const { scannedFileCount, matchedFileCount, keptFileCount, keptBytes } = stats;
+  const { excludedByExtCount, excludedBySizeCount, excludedBytes } = stats;
+  return {
+    files,
+    fileAge: options.fileAge
+      ? { ...options.fileAge, scannedFileCount, matchedFileCount, keptFileCount, keptBytes }
+      : null,
+    fileFilter: options.fileFilter
+      ? {
+          ...options.fileFilter,
+          scannedFileCount,
+          matchedFileCount,
+          excludedByExtCount,
+          excludedBySizeCount,
+          excludedBytes,
+        }
+      : null,
+  };
+}
+
 function parseDuOutput(stdout) {
   const map = new Map();
   const lines = String(stdout || '').split(/\r?\n/);
@@ -643,11 +745,12 @@ function parseDuOutput(stdout) {
   return map;
 }
 
-async function calculateSizesByNative(candidates, nativeCorePath, onProgress) {
+async function calculateSizesByNative(candidates, nativeCorePath, onProgress, signal) {
   const chunkSize = 200;
   let done = 0;
 
   for (let i = 0; i < candidates.length; i += chunkSize) {
+    throwIfCancelled(signal, 'scan');
     const chunk = candidates.slice(i, i + chunkSize);
     const args = ['du', ...chunk.map((item) => item.path)];
     const result = spawnSync(nativeCorePath, args, {
@@ -670,9 +773,10 @@ async function calculateSizesByNative(candidates, nativeCorePath, onProgress) {
   }
 }
 
-async function calculateSizesByNode(candidates, sizeConcurrency, onProgress) {
+async function calculateSizesByNode(candidates, sizeConcurrency, onProgress, signal) {
   let progress = 0;
   await mapLimit(candidates, sizeConcurrency, async (item) => {
+    throwIfCancelled(signal, 'scan');
     const sizeBytes = await calculateDirectorySize(item.path);
     item.sizeBytes = sizeBytes;
     progress += 1;
@@ -682,15 +786,24 @@ async function calculateSizesByNode(candidates, sizeConcurrency, onProgress) {
   });
 }
 
-async function calculateSizesWithEngine({ candidates, nativeCorePath, sizeConcurrency = 4, onProgress }) {
+async function calculateSizesWithEngine({
+  candidates,
+  nativeCorePath,
+  sizeConcurrency = 4,
+  onProgress,
+  signal,
+}) {
   let engineUsed = nativeCorePath ? 'zig' : 'node';
   let nativeFallbackReason = null;
   let nativeFailed = false;
 
   if (nativeCorePath) {
     try {
-      await calculateSizesByNative(candidates, nativeCorePath, onProgress);
+      await calculateSizesByNative(candidates, nativeCorePath, onProgress, signal);
     } catch (error) {
+      if (isTaskCancelled(error)) {
+        throw error;
+      }
       nativeFailed = true;
       engineUsed = 'node';
       nativeFallbackReason =
@@ -702,7 +815,7 @@ async function calculateSizesWithEngine({ candidates, nativeCorePath, sizeConcur
 
   if (!nativeCorePath || nativeFailed) {
     engineUsed = 'node';
-    await calculateSizesByNode(candidates, sizeConcurrency, onProgress);
+    await calculateSizesByNode(candidates, sizeConcurrency, onProgress, signal);
   }
 
   return { engineUsed, nativeFallbackReason };
@@ -975,6 +1088,9 @@ export async function collectCleanupTargets({
   nativeCorePath,
   sizeConcurrency = 4,
   onProgress,
+  fileAge = null,
+  fileFilter = null,
+  signal,
 }) {
   const selectedSet = new Set(selectedAccountIds || []);
   const normalizedMonths = (monthFilters || []).map((x) => normalizeMonthKey(x)).filter(Boolean);
@@ -983,6 +1099,7 @@ export async function collectCleanupTargets({
   const candidates = [];
 
   for (const account of accounts) {
+    throwIfCancelled(signal, 'scan');
     if (selectedSet.size > 0 && !selectedSet.has(account.id)) {
       continue;
     }
@@ -1053,6 +1170,7 @@ export async function collectCleanupTargets({
   }
 
   for (const externalRoot of externalStorageRoots || []) {
+    throwIfCancelled(signal, 'scan');
     const externalLabel = `外部存储(${path.basename(externalRoot) || 'WXWork_Data'})`;
     const externalId = `external:${externalRoot}`;
 
@@ -1129,11 +1247,25 @@ export async function collectCleanupTargets({
     }
   }
 
+  if (fileAge || fileFilter) {
+    // 文件级筛选：逐个文件按扩展名、大小与修改/访问时间判断，文件大小直接取自 stat，无需再统计目录体积
+    const expanded = await expandCleanupFileCandidates(candidates, { fileAge, fileFilter, signal });
+    expanded.files.sort((a, b) => b.sizeBytes - a.sizeBytes);
+    return {
+      targets: expanded.files,
+      engineUsed: 'node',
+      nativeFallbackReason: null,
+      fileAge: expanded.fileAge,
+      fileFilter: expanded.fileFilter,
+    };
+  }
+
   const { engineUsed, nativeFallbackReason } = await calculateSizesWithEngine({
     candidates,
     nativeCorePath,
     sizeConcurrency,
     onProgress,
+    signal,
   });
 
   candidates.sort((a, b) => b.sizeBytes - a.sizeBytes);
@@ -1153,6 +1285,7 @@ export async function scanSpaceGovernanceTargets({
   autoSuggest = {},
   sizeConcurrency = 4,
   onProgress,
+  signal,
 }) {
   const dataRoot = inferDataRootFromProfilesRoot(rootDir);
   const selectedSet = new Set(selectedAccountIds || []);
@@ -1162,6 +1295,7 @@ export async function scanSpaceGovernanceTargets({
   const candidates = [];
 
   for (const target of SPACE_GOVERNANCE_TARGETS) {
+    throwIfCancelled(signal, 'scan');
     if (target.scope === 'profile') {
       for (const account of activeAccounts) {
         const matches = await resolveRelativePathMatches(account.profilePath, target.relativePath);
@@ -1304,6 +1438,7 @@ export async function scanSpaceGovernanceTargets({
     nativeCorePath,
     sizeConcurrency,
     onProgress,
+    signal,
   });
 
   const suggestSizeThresholdMB = Number(autoSuggest.sizeThresholdMB || 512);
@@ -1367,6 +1502,7 @@ export async function analyzeCacheFootprint({
   externalStorageRoots = [],
   nativeCorePath,
   onProgress,
+  signal,
 }) {
   const scan = await collectCleanupTargets({
     accounts,
@@ -1377,6 +1513,7 @@ export async function analyzeCacheFootprint({
     externalStorageRoots,
     nativeCorePath,
     onProgress,
+    signal,
   });
   const targets = scan.targets;
 
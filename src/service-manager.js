@@ -12,6 +12,7 @@ export const SERVICE_SCHEDULE_TRIGGER = 'service_schedule';
 export const SERVICE_LOW_SPACE_TRIGGER = 'service_low_space';
 export const SERVICE_MANUAL_TRIGGER = 'service_manual';
 export const SERVICE_DIRECT_DELETE_ACK = 'SERVICE_DIRECT_DELETE';
+export const SERVICE_RETAIN_OFF = 'off';
 const DEFAULT_TRIGGER_TIMES = ['09:30', '13:30', '18:30'];
 
 function normalizePositiveInt(rawValue, fallbackValue, minValue = 1) {
@@ -52,6 +53,42 @@ export function normalizeTriggerTimes(values, fallback = DEFAULT_TRIGGER_TIMES)
   return [...fallback];
 }
 
+// 按类别覆盖默认保留天数：正整数为天数，off 表示该类别不自动清理
+export function normalizeCategoryRetention(input = {}) {
+  const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const retention = {};
+  for (const [rawKey, rawValue] of Object.entries(source)) {
+    const categoryKey = String(rawKey || '').trim();
+    if (!categoryKey) {
+      continue;
+    }
+    if (
+      String(rawValue ?? '')
+        .trim()
+        .toLowerCase() === SERVICE_RETAIN_OFF
+    ) {
+      retention[categoryKey] = SERVICE_RETAIN_OFF;
+      continue;
+    }
+    const days = normalizePositiveInt(rawValue, 0);
+    if (days > 0) {
+      retention[categoryKey] = days;
+    }
+  }
+  return retention;
+}
+
+export function resolveServiceRetentionRule(serviceConfig, categoryKey) {
+  const override = serviceConfig?.categoryRetention?.[categoryKey];
+  if (override === SERVICE_RETAIN_OFF) {
+    return { retainDays: null, source: 'category' };
+  }
+  if (Number.isInteger(override) && override > 0) {
+    return { retainDays: override, source: 'category' };
+  }
+  return { retainDays: Math.max(1, Number(serviceConfig?.retainDays || 30)), source: 'default' };
+}
+
 export function defaultServiceConfig() {
   return {
     enabled: false,
@@ -60,6 +97,7 @@ export function defaultServiceConfig() {
     includeNonMonthDirs: false,
     externalRootsSource: ['all'],
     retainDays: 30,
+    categoryRetention: {},
     deleteMode: DELETE_MODES.SERVICE_RECYCLE,
     directDeleteApproved: false,
     recycleRetentionDays: 30,
@@ -95,6 +133,11 @@ export function normalizeServiceConfig(input = {}, fallback = defaultServiceConf
         ? [...new Set(source.externalRootsSource.map((item) => String(item || '').trim()).filter(Boolean))]
         : [...fallback.externalRootsSource],
     retainDays: normalizePositiveInt(source.retainDays, fallback.retainDays),
+    categoryRetention: normalizeCategoryRetention(
+      source.categoryRetention && typeof source.categoryRetention === 'object'
+        ? source.categoryRetention
+        : fallback.categoryRetention
+    ),
     deleteMode:
       source.deleteMode === DELETE_MODES.DIRECT ? DELETE_MODES.DIRECT : DELETE_MODES.SERVICE_RECYCLE,
     directDeleteApproved:
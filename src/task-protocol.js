@@ -6,7 +6,7 @@ import {
   SERVICE_SCHEDULE_TRIGGER,
 } from './service-manager.js';
 import { skillBindingStatusLabel } from './skill-installer.js';
-import { trimToWidth } from './utils.js';
+import { computeBytesPerSecond, formatBytes, formatLocalDate, trimToWidth } from './utils.js';
 
 export const TASK_PROTOCOL_VERSION = '1';
 
@@ -25,6 +25,40 @@ const ACTION_DISPLAY_NAMES = new Map([
   [MODES.SERVICE_UNINSTALL, '卸载自动服务'],
   [MODES.SERVICE_STATUS, '自动服务状态'],
   [MODES.SERVICE_RUN, '执行自动服务任务'],
+  ['plan_list', '计划列表'],
+  ['plan_show', '计划详情'],
+  ['plan_diff', '计划对比'],
+  ['plan_discard', '丢弃计划'],
+  ['plan_edit', '编辑计划'],
+  ['plan_export', '导出计划'],
+  ['plan_import', '导入计划'],
+  ['runs_list', '运行记录列表'],
+  ['runs_show', '运行记录详情'],
+  ['events_tail', '事件日志（最近）'],
+  ['events_query', '事件日志查询'],
+  ['bundle', '组合计划'],
+  ['state_gc', '状态目录清理'],
+  ['pins_list', '固定条目列表'],
+  ['pins_add', '添加固定条目'],
+  ['pins_remove', '移除固定条目'],
+  ['offload_return', '取回外移目录'],
+  ['batch_resume', '续做中断批次'],
+  ['batch_rollback', '回滚中断批次'],
+]);
+const INSPECT_ACTIONS = new Set([
+  MODES.DOCTOR,
+  MODES.CHECK_UPDATE,
+  MODES.ANALYSIS_ONLY,
+  MODES.SERVICE_STATUS,
+  'plan_list',
+  'plan_show',
+  'plan_diff',
+  'plan_export',
+  'runs_list',
+  'runs_show',
+  'pins_list',
+  'events_tail',
+  'events_query',
 ]);
 
 function uniqueStrings(values = []) {
@@ -130,6 +164,17 @@ function hasDisplayValue(value) {
   return !(value === undefined || value === null || value === '');
 }
 
+export function describeCleanupFileFilter(summary = {}) {
+  const parts = [];
+  if (summary.includeExt?.length > 0) parts.push(`仅处理 ${summary.includeExt.join('/')}`);
+  if (summary.excludeExt?.length > 0) parts.push(`排除 ${summary.excludeExt.join('/')}`);
+  if (hasDisplayValue(summary.minFileSizeBytes))
+    parts.push(`单文件 ≥ ${formatBytes(summary.minFileSizeBytes)}`);
+  if (hasDisplayValue(summary.maxFileSizeBytes))
+    parts.push(`单文件 ≤ ${formatBytes(summary.maxFileSizeBytes)}`);
+  return parts.join('，');
+}
+
 function buildActionScopeNotes(action, result) {
   const summary = result?.summary || {};
   const data = result?.data || {};
@@ -151,8 +196,30 @@ function buildActionScopeNotes(action, result) {
   }
   if (action === MODES.CLEANUP_MONTHLY) {
     if (summary.cutoffMonth) notes.push(`时间筛选使用“截至 ${summary.cutoffMonth}（含）”。`);
+    if (summary.olderThan)
+      notes.push(`按“早于 ${summary.olderThan}”换算为绝对月份，只纳入整月都早于该时间的月份。`);
+    if (summary.keepLatestMonths)
+      notes.push(`按账号与类别分别保留最近 ${summary.keepLatestMonths} 个月，其余月份纳入清理。`);
+    if (summary.fileAgeCutoffAt)
+      notes.push(
+        `文件级筛选：仅处理${summary.fileAgeBasis === 'atime' ? '最后访问时间' : '修改时间'}早于 ${formatLocalDate(summary.fileAgeCutoffAt)} 的文件，目录本身保留。`
+      );
+    if (describeCleanupFileFilter(summary))
+      notes.push(`按文件筛选：${describeCleanupFileFilter(summary)}，目录本身保留。`);
+    if (summary.reclaimGoalBytes)
+      notes.push(
+        summary.reclaimGoalReachable
+          ? '按释放目标最旧优先选择目标，仅纳入达成目标所需的部分。'
+          : '候选目标总量不足以达成释放目标，已纳入全部候选目标。'
+      );
     if (summary.deleteMode === DELETE_MODES.DIRECT)
       notes.push('本次为直接删除模式，不会进入回收区，也无法按批次恢复。');
+    if (summary.deleteMode === DELETE_MODES.ARCHIVE)
+      notes.push('本次为压缩归档模式：目标压缩写入回收批次的 archive.tar.gz 后删除源目录，可按批次恢复。');
+    if (summary.deleteMode === DELETE_MODES.OFFLOAD)
+      notes.push(
+        '本次为外移模式：目标校验后移动到外移根目录的镜像路径，可通过 recover offload-return 取回。'
+      );
     if (summary.noTarget) notes.push('当前筛选命中为 0，已按安全策略跳过真实删除。');
   }
   if (action === MODES.ANALYSIS_ONLY && Number(summary.targetCount || 0) === 0) {
@@ -164,6 +231,12 @@ function buildActionScopeNotes(action, result) {
   if (action === MODES.SPACE_GOVERNANCE && summary.deleteMode === DELETE_MODES.DIRECT) {
     notes.push('本次治理为直接删除模式，不会进入回收区。');
   }
+  if (action === MODES.SPACE_GOVERNANCE && summary.deleteMode === DELETE_MODES.ARCHIVE) {
+    notes.push('本次治理为压缩归档模式，目标压缩后保存在回收区，可按批次恢复。');
+  }
+  if (action === MODES.SPACE_GOVERNANCE && summary.deleteMode === DELETE_MODES.OFFLOAD) {
+    notes.push('本次治理为外移模式，目标移动到外移根目录，可通过 recover offload-return 取回。');
+  }
   if (action === MODES.RESTORE && result?.dryRun) {
     notes.push('本次为恢复预演，不会写回任何原路径。');
   }
@@ -453,6 +526,10 @@ export function buildTaskPhaseEntry(action, phaseName, result, durationMs) {
       skippedCount: Number(summary.skippedCount || 0),
       failedCount: Number(summary.failedCount || summary.failedBatches || 0),
       batchId: summary.batchId || null,
+      // 预演不产生真实读写，只统计执行阶段的吞吐
+      bytesPerSecond: result?.dryRun
+        ? null
+        : computeBytesPerSecond(phaseReclaimedBytes(action, result), durationMs),
     },
     userFacingSummary: buildUserFacingSummary(action, result),
   };
@@ -479,6 +556,7 @@ export function buildSkippedTaskPhase(phaseName, reason) {
       skippedCount: 0,
       failedCount: 0,
       batchId: null,
+      bytesPerSecond: null,
     },
     userFacingSummary: {},
   };
@@ -547,6 +625,23 @@ export function buildRunTaskCard(action, runTaskMode, taskDecision, phases, fina
         ? '已完成真实执行并通过复核，范围内无剩余目标。'
         : '已完成真实执行与复核。';
   else if (taskDecision === 'preview_failed') conclusion = '预演阶段失败，后续阶段未执行。';
+  else if (taskDecision === 'cancelled')
+    conclusion = '任务已被中断取消，已处理的目标保留结果，剩余目标未执行。';
+  else if (taskDecision === 'skipped_app_running')
+    conclusion = '检测到企业微信正在运行，本次未执行真实操作。';
+  else if (taskDecision === 'bundle_preview') conclusion = '已完成组合计划各步骤预演，本次未执行真实操作。';
+  else if (taskDecision === 'bundle_executed') conclusion = '组合计划各步骤已按顺序执行完成。';
+  else if (taskDecision === 'bundle_stopped') conclusion = '组合计划在失败步骤处停止，后续步骤未执行。';
+  else if (taskDecision === 'bundle_partial_failed') conclusion = '组合计划已执行全部步骤，但存在失败步骤。';
+  else if (taskDecision === 'bundle_verified') conclusion = '已完成组合计划复核，本次未执行任何改动。';
+  const atomicRollback = executePhase?.summary?.atomicRollback || null;
+  if (atomicRollback) {
+    const cause = taskDecision === 'cancelled' ? '任务被中断取消' : '目标执行失败';
+    conclusion =
+      atomicRollback.status === 'rolled_back'
+        ? `${cause}，已按 --atomic 放回本批次已移动的 ${atomicRollback.restoredCount} 项，范围内数据保持执行前状态。`
+        : `${cause}，按 --atomic 回滚时仍有目标未能放回，请按批次恢复剩余目标。`;
+  }
 
   return {
     action,
@@ -568,6 +663,7 @@ export function buildRunTaskCard(action, runTaskMode, taskDecision, phases, fina
       skippedCount: Number(item?.stats?.skippedCount || 0),
       failedCount: Number(item?.stats?.failedCount || 0),
       batchId: item?.stats?.batchId || null,
+      bytesPerSecond: item?.stats?.bytesPerSecond ?? null,
     })),
     scope: {
       accountCount: Number(finalResult?.summary?.accountCount || 0),
@@ -595,6 +691,7 @@ export function buildRunTaskCard(action, runTaskMode, taskDecision, phases, fina
           failedCount: Number(executePhase.stats.failedCount || 0),
           reclaimedBytes: Number(executePhase.stats.reclaimedBytes || 0),
           batchId: executePhase.stats.batchId || null,
+          atomicRollback,
         }
       : null,
     verify: verifyPhase
@@ -628,15 +725,13 @@ export function withRunTaskResult(baseResult, action, runTaskMode, taskDecision,
 }
 
 function singlePhaseName(action, result) {
-  if ([MODES.DOCTOR, MODES.CHECK_UPDATE, MODES.ANALYSIS_ONLY, MODES.SERVICE_STATUS].includes(action))
-    return 'inspect';
+  if (INSPECT_ACTIONS.has(action)) return 'inspect';
   if (result?.dryRun) return 'preview';
   return 'execute';
 }
 
 function singlePhaseDecision(action, result) {
-  if ([MODES.DOCTOR, MODES.CHECK_UPDATE, MODES.ANALYSIS_ONLY, MODES.SERVICE_STATUS].includes(action))
-    return 'single_phase_inspect';
+  if (INSPECT_ACTIONS.has(action)) return 'single_phase_inspect';
   if (result?.dryRun) return 'single_phase_preview';
   return 'single_phase_execute';
 }
@@ -89,6 +89,67 @@ export function formatBytes(bytes) {
   return `${value.toFixed(1)}${units[idx]}`;
 }
 
+const BYTE_SIZE_UNITS = new Map([
+  ['', 1],
+  ['b', 1],
+  ['k', 1024],
+  ['kb', 1024],
+  ['m', 1024 ** 2],
+  ['mb', 1024 ** 2],
+  ['g', 1024 ** 3],
+  ['gb', 1024 ** 3],
+  ['t', 1024 ** 4],
+  ['tb', 1024 ** 4],
+]);
+
+export function parseByteSize(input) {
+  const match = String(input ?? '')
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/);
+  if (!match || !BYTE_SIZE_UNITS.has(match[2])) {
+    return null;
+  }
+  return Math.round(Number(match[1]) * BYTE_SIZE_UNITS.get(match[2]));
+}
+
+export function parseRelativeAge(input) {
+  const match = String(input ?? '')
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+)([dm])$/);
+  const amount = match ? Number(match[1]) : 0;
+  if (!match || amount <= 0) {
+    return null;
+  }
+  return { amount, unit: match[2], text: `${amount}${match[2]}` };
+}
+
+export function parseAgeCutoffTime(input, now = Date.now()) {
+  const age = parseRelativeAge(input);
+  if (age) {
+    if (age.unit === 'd') {
+      return now - age.amount * 24 * 3600 * 1000;
+    }
+    const date = new Date(now);
+    date.setMonth(date.getMonth() - age.amount);
+    return date.getTime();
+  }
+  // 冻结后的计划写入绝对时间（ISO 8601），重放时不随执行日期漂移
+  const text = String(input ?? '').trim();
+  const parsed = /^\d{4}-\d{2}-\d{2}/.test(text) ? Date.parse(text) : Number.NaN;
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+export function normalizeFileExtension(input) {
+  const text = String(input ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/^\*?\.?/, '');
+  // 逐文件筛选按 path.extname 取最后一段扩展名比较，多段值（如 tar.gz）永远匹配不上，直接拒绝
+  return /^[a-z0-9_-]+$/.test(text) ? `.${text}` : null;
+}
+
 export function normalizeMonthKey(input) {
   if (!input || typeof input !== 'string') {
     return null;
@@ -126,6 +187,11 @@ export function monthByDaysBefore(days) {
   return `${past.getUTCFullYear()}-${String(past.getUTCMonth() + 1).padStart(2, '0')}`;
 }
 
+export function monthKeyFromTime(timeMs) {
+  const date = new Date(Number(timeMs || 0));
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
 export function compareMonthKey(a, b) {
   return monthToSortableNumber(a) - monthToSortableNumber(b);
 }
@@ -263,6 +329,38 @@ export async function mapLimit(items, limit, worker) {
   return results;
 }
 
+export function computeBytesPerSecond(bytes, elapsedMs) {
+  const ms = Number(elapsedMs || 0);
+  return ms > 0 ? Math.round((Number(bytes || 0) * 1000) / ms) : null;
+}
+
+export function createLimiter(limit) {
+  const actualLimit = Math.max(1, Number(limit || 1));
+  const queue = [];
+  let active = 0;
+
+  function next() {
+    if (active >= actualLimit || queue.length === 0) {
+      return;
+    }
+    active += 1;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  }
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
 export async function calculateDirectorySize(targetPath) {
   try {
     const stat = await fs.stat(targetPath);
@@ -0,0 +1,151 @@
+import { promises as fs, constants as fsConstants, createReadStream } from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { ensureDir, pathExists } from './utils.js';
+
+export const LARGE_MOVE_PROGRESS_BYTES = 256 * 1024 * 1024;
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+async function collectTreeEntries(rootPath, relPath, hash, out) {
+  const absPath = relPath ? path.join(rootPath, relPath) : rootPath;
+  const stat = await fs.lstat(absPath);
+  if (stat.isSymbolicLink()) {
+    out.push({ rel: relPath, type: 'symlink', size: 0, detail: await fs.readlink(absPath) });
+    return;
+  }
+  if (stat.isDirectory()) {
+    out.push({ rel: relPath, type: 'dir', size: 0, detail: '' });
+    const names = (await fs.readdir(absPath)).sort();
+    for (const name of names) {
+      await collectTreeEntries(rootPath, relPath ? path.join(relPath, name) : name, hash, out);
+    }
+    return;
+  }
+  if (stat.isFile()) {
+    out.push({
+      rel: relPath,
+      type: 'file',
+      size: stat.size,
+      detail: hash ? await hashFile(absPath) : '',
+    });
+  }
+}
+
+export async function snapshotPathTree(targetPath, { hash = true } = {}) {
+  const entries = [];
+  await collectTreeEntries(targetPath, '', hash, entries);
+  // 摘要覆盖相对路径、类型、大小与内容哈希，用于比对复制前后的完整性
+  const digest = crypto.createHash('sha256');
+  let fileCount = 0;
+  let totalBytes = 0;
+  for (const entry of entries) {
+    if (entry.type === 'file') {
+      fileCount += 1;
+      totalBytes += entry.size;
+    }
+    digest.update(`${entry.rel}\0${entry.type}\0${entry.size}\0${entry.detail}\n`);
+  }
+  return {
+    fileCount,
+    totalBytes,
+    hashed: Boolean(hash),
+    digest: digest.digest('hex'),
+  };
+}
+
+export function describeSnapshotMismatch(expected, actual) {
+  if (expected.fileCount !== actual.fileCount) {
+    return `file count mismatch: expected ${expected.fileCount}, got ${actual.fileCount}`;
+  }
+  if (expected.totalBytes !== actual.totalBytes) {
+    return `byte total mismatch: expected ${expected.totalBytes}, got ${actual.totalBytes}`;
+  }
+  if (expected.hashed === actual.hashed && expected.digest !== actual.digest) {
+    return 'content digest mismatch';
+  }
+  return null;
+}
+
+async function copyTreeWithProgress(src, dest, progress) {
+  const stat = await fs.lstat(src);
+  if (stat.isSymbolicLink()) {
+    await fs.symlink(await fs.readlink(src), dest);
+    return;
+  }
+  if (stat.isDirectory()) {
+    await fs.mkdir(dest);
+    for (const name of (await fs.readdir(src)).sort()) {
+      await copyTreeWithProgress(path.join(src, name), path.join(dest, name), progress);
+    }
+    await fs.chmod(dest, stat.mode & 0o7777);
+    await fs.utimes(dest, stat.atime, stat.mtime);
+    return;
+  }
+  if (!stat.isFile()) {
+    return;
+  }
+  await fs.copyFile(src, dest, fsConstants.COPYFILE_EXCL);
+  await fs.utimes(dest, stat.atime, stat.mtime);
+  progress.copiedFiles += 1;
+  progress.copiedBytes += stat.size;
+  if (typeof progress.onProgress === 'function') {
+    progress.onProgress({
+      copiedFiles: progress.copiedFiles,
+      totalFiles: progress.totalFiles,
+      copiedBytes: progress.copiedBytes,
+      totalBytes: progress.totalBytes,
+    });
+  }
+}
+
+export async function verifiedMovePath(src, dest, options = {}) {
+  const hash = options.hash === true;
+  if (await pathExists(dest)) {
+    throw new Error(`destination already exists: ${dest}`);
+  }
+  await ensureDir(path.dirname(dest));
+  try {
+    await fs.rename(src, dest);
+    return { ...(options.snapshot || {}), method: 'rename' };
+  } catch (error) {
+    if (error?.code !== 'EXDEV') {
+      throw error;
+    }
+  }
+
+  // 跨卷时先复制到临时名并校验，确认完整后再原子改名，最后才删除源路径
+  const snapshot = options.snapshot || (await snapshotPathTree(src, { hash }));
+  const tempPath = `${dest}.moving-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+  const progress = {
+    copiedFiles: 0,
+    copiedBytes: 0,
+    totalFiles: snapshot.fileCount,
+    totalBytes: snapshot.totalBytes,
+    // 小目录复制很快，只有超过阈值的大目录才回调进度
+    onProgress:
+      snapshot.totalBytes >= Number(options.progressThresholdBytes ?? LARGE_MOVE_PROGRESS_BYTES)
+        ? options.onProgress
+        : null,
+  };
+  try {
+    await copyTreeWithProgress(src, tempPath, progress);
+    const copied = await snapshotPathTree(tempPath, { hash: snapshot.hashed });
+    const mismatch = describeSnapshotMismatch(snapshot, copied);
+    if (mismatch) {
+      throw new Error(`copy verification failed (${mismatch}): ${src}`);
+    }
+    await fs.rename(tempPath, dest);
+  } catch (error) {
+    await fs.rm(tempPath, { recursive: true, force: true });
+    throw error;
+  }
+  await fs.rm(src, { recursive: true, force: true });
+  return { ...snapshot, method: 'copy' };
+}
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  describeRunningApp,
+  detectRunningApp,
+  normalizeAppRunningPolicy,
+  parseProcessList,
+} from '../src/app-process.js';
+
+test('parseProcessList 按可执行文件名匹配企业微信主进程', () => {
+  const stdout = [
+    '    1 /sbin/launchd',
+    '  812 /Applications/企业微信.app/Contents/MacOS/企业微信',
+    '  813 /Applications/企业微信.app/Contents/Frameworks/企业微信 Helper.app/Contents/MacOS/企业微信 Helper',
+    '  920 /Applications/WeWork.app/Contents/MacOS/WeWorkMac',
+    'garbage line',
+  ].join('\n');
+  assert.deepEqual(
+    parseProcessList(stdout).map((item) => [item.pid, item.name]),
+    [
+      [812, '企业微信'],
+      [920, 'WeWorkMac'],
+    ]
+  );
+});
+
+test('detectRunningApp 通过可替换的命令执行器读取进程列表', () => {
+  const calls = [];
+  const detection = detectRunningApp({
+    platform: 'darwin',
+    runCommand: (command, args) => {
+      calls.push([command, ...args]);
+      return { status: 0, stdout: ' 42 /Applications/企业微信.app/Contents/MacOS/企业微信\n', stderr: '' };
+    },
+  });
+  assert.deepEqual(calls, [['ps', '-axo', 'pid=,comm=']]);
+  assert.equal(detection.running, true);
+  assert.equal(describeRunningApp(detection), '企业微信正在运行（pid 42）');
+
+  const failed = detectRunningApp({
+    platform: 'darwin',
+    runCommand: () => ({ status: 1, stdout: '', stderr: 'ps: permission denied' }),
+  });
+  assert.equal(failed.running, false);
+  assert.equal(failed.error, 'ps: permission denied');
+
+  const unsupported = detectRunningApp({
+    platform: 'win32',
+    runCommand: () => assert.fail('win32 不应执行 ps'),
+  });
+  assert.equal(unsupported.supported, false);
+});
+
+test('normalizeAppRunningPolicy 未知取值回退到默认策略', () => {
+  assert.equal(normalizeAppRunningPolicy('DEFER'), 'defer');
+  assert.equal(normalizeAppRunningPolicy('', 'warn'), 'warn');
+  assert.equal(normalizeAppRunningPolicy('later'), 'refuse');
+});
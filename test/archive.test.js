@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import {
+  appendBatchArchiveEntry,
+  createBatchArchive,
+  extractArchiveEntry,
+  finalizeBatchArchive,
+} from '../src/archive.js';
+import { pathExists } from '../src/utils.js';
+import { ensureFile, makeTempDir, removeDir } from './helpers/temp.js';
+
+test('批次归档逐目标写入 gzip 成员并可按字节区间还原目录、长路径与符号链接', async (t) => {
+  const root = await makeTempDir('wecom-archive-');
+  t.after(async () => removeDir(root));
+
+  const source = path.join(root, 'source', '2024-01');
+  const longName = `${'长'.repeat(40)}.mp4`;
+  await ensureFile(path.join(source, 'a.txt'), 'hello');
+  await ensureFile(path.join(source, 'nested', longName), Buffer.alloc(1500, 7));
+  await fs.symlink('a.txt', path.join(source, 'link'));
+  const mtime = new Date('2024-01-05T00:00:00Z');
+  await fs.utimes(path.join(source, 'a.txt'), mtime, mtime);
+  const single = path.join(root, 'source', 'single.bin');
+  await ensureFile(single, 'single');
+
+  const archive = createBatchArchive(path.join(root, 'batch'), 'batch-1');
+  const first = await appendBatchArchiveEntry(archive, { entryName: '0001_2024-01', sourcePath: source });
+  const second = await appendBatchArchiveEntry(archive, { entryName: '0002_single.bin', sourcePath: single });
+  await finalizeBatchArchive(archive);
+  assert.equal(first.offset, 0);
+  assert.equal(second.offset, first.length);
+  assert.equal(first.fileCount, 2);
+  const manifest = JSON.parse(await fs.readFile(archive.manifestPath, 'utf-8'));
+  assert.equal(manifest.finalized, true);
+  assert.deepEqual(
+    manifest.entries.map((entry) => entry.entryName),
+    ['0001_2024-01', '0002_single.bin']
+  );
+
+  const restored = path.join(root, 'restored', '2024-01');
+  await extractArchiveEntry({
+    archivePath: archive.archivePath,
+    entryName: first.entryName,
+    offset: first.offset,
+    length: first.length,
+    destPath: restored,
+  });
+  assert.equal(await fs.readFile(path.join(restored, 'a.txt'), 'utf-8'), 'hello');
+  assert.deepEqual(await fs.readFile(path.join(restored, 'nested', longName)), Buffer.alloc(1500, 7));
+  assert.equal(await fs.readlink(path.join(restored, 'link')), 'a.txt');
+  assert.equal((await fs.stat(path.join(restored, 'a.txt'))).mtimeMs, mtime.getTime());
+
+  const restoredSingle = path.join(root, 'restored', 'single.bin');
+  await extractArchiveEntry({ archivePath: archive.archivePath, ...second, destPath: restoredSingle });
+  assert.equal(await fs.readFile(restoredSingle, 'utf-8'), 'single');
+});
+
+test('extractArchiveEntry 拒绝不属于目标的条目并清理临时目录', async (t) => {
+  const root = await makeTempDir('wecom-archive-reject-');
+  t.after(async () => removeDir(root));
+
+  const source = path.join(root, 'source');
+  await ensureFile(path.join(source, 'a.txt'), 'hello');
+  const archive = createBatchArchive(path.join(root, 'batch'), 'batch-1');
+  const entry = await appendBatchArchiveEntry(archive, { entryName: '0001_source', sourcePath: source });
+
+  const destPath = path.join(root, 'restored');
+  await assert.rejects(
+    extractArchiveEntry({ ...entry, archivePath: archive.archivePath, entryName: '0002_other', destPath }),
+    /不属于目标/
+  );
+  await assert.rejects(
+    extractArchiveEntry({ ...entry, archivePath: archive.archivePath, offset: 1, destPath }),
+    /incorrect header check|unknown compression method|invalid/i
+  );
+  assert.equal(await pathExists(destPath), false);
+  assert.deepEqual((await fs.readdir(root)).sort(), ['batch', 'source']);
+});
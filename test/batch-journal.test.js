@@ -0,0 +1,315 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { DELETE_MODES } from '../src/constants.js';
+import { executeCleanup, resumeCleanupBatch, rollbackCleanupBatch } from '../src/cleanup.js';
+import { resolveOffloadPath } from '../src/offload.js';
+import { listRestorableBatches, restoreBatch } from '../src/restore.js';
+import { loadBatchJournal, listUnfinishedJournals } from '../src/batch-journal.js';
+import { appendJsonLine, pathExists, readJsonLines } from '../src/utils.js';
+import { ensureFile, makeTempDir, removeDir } from './helpers/temp.js';
+
+async function prepareInterruptedBatch(root, deleteMode = DELETE_MODES.RECYCLE, offloadRoot = null) {
+  const profileRoot = path.join(root, 'Profiles');
+  const recycleRoot = path.join(root, 'recycle-bin');
+  const journalRoot = path.join(root, 'journals');
+  const indexPath = path.join(root, 'index.jsonl');
+  const targets = ['2024-01', '2024-02', '2024-03'].map((monthKey) => ({
+    path: path.join(profileRoot, 'acc001', 'Caches', 'Files', monthKey),
+    accountId: 'acc001',
+    categoryKey: 'files',
+    monthKey,
+    sizeBytes: 5,
+  }));
+  for (const target of targets) {
+    await ensureFile(path.join(target.path, 'payload.txt'), `data-${target.monthKey}`);
+  }
+
+  // 处理第二个目标前模拟进程中断：日志里只有第一个目标完成
+  await assert.rejects(
+    executeCleanup({
+      targets,
+      recycleRoot,
+      indexPath,
+      dryRun: false,
+      allowedRoots: [profileRoot],
+      deleteMode,
+      offloadRoot,
+      journalRoot,
+      onProgress: (current) => {
+        if (current === 2) {
+          throw new Error('simulated crash');
+        }
+      },
+    }),
+    /simulated crash/
+  );
+  const [unfinished] = await listUnfinishedJournals(journalRoot);
+  return { profileRoot, recycleRoot, journalRoot, indexPath, targets, batchId: unfinished.batchId };
+}
+
+test('executeCleanup 正常完成后删除批次日志', async (t) => {
+  const root = await makeTempDir('wecom-journal-done-');
+  t.after(async () => removeDir(root));
+  const journalRoot = path.join(root, 'journals');
+  const target = {
+    path: path.join(root, 'Profiles', 'acc001', 'Caches', 'Files', '2024-01'),
+    accountId: 'acc001',
+    monthKey: '2024-01',
+    sizeBytes: 1,
+  };
+  await ensureFile(path.join(target.path, 'a.txt'), 'a');
+
+  const result = await executeCleanup({
+    targets: [target],
+    recycleRoot: path.join(root, 'recycle-bin'),
+    indexPath: path.join(root, 'index.jsonl'),
+    dryRun: false,
+    allowedRoots: [path.join(root, 'Profiles')],
+    journalRoot,
+  });
+  assert.equal(result.successCount, 1);
+  assert.deepEqual(await listUnfinishedJournals(journalRoot), []);
+});
+
+test('executeCleanup 取消后写入 cancelled 行并保留日志供续做', async (t) => {
+  const root = await makeTempDir('wecom-journal-cancel-');
+  t.after(async () => removeDir(root));
+  const profileRoot = path.join(root, 'Profiles');
+  const journalRoot = path.join(root, 'journals');
+  const indexPath = path.join(root, 'index.jsonl');
+  const targets = ['2024-01', '2024-02', '2024-03'].map((monthKey) => ({
+    path: path.join(profileRoot, 'acc001', 'Caches', 'Files', monthKey),
+    accountId: 'acc001',
+    monthKey,
+    sizeBytes: 5,
+  }));
+  for (const target of targets) {
+    await ensureFile(path.join(target.path, 'payload.txt'), `data-${target.monthKey}`);
+  }
+
+  // 第二个目标开始处理时收到取消：它照常完成，第三个目标不再开始
+  const abortController = new AbortController();
+  const result = await executeCleanup({
+    targets,
+    recycleRoot: path.join(root, 'recycle-bin'),
+    indexPath,
+    dryRun: false,
+    allowedRoots: [profileRoot],
+    journalRoot,
+    signal: abortController.signal,
+    onProgress: (current) => {
+      if (current === 2) {
+        abortController.abort();
+      }
+    },
+  });
+  assert.equal(result.status, 'cancelled');
+  assert.equal(result.successCount, 2);
+  assert.equal(result.cancelledRemainingCount, 1);
+  assert.equal(await pathExists(targets[2].path), true);
+
+  const rows = await readJsonLines(indexPath);
+  const lastRow = rows[rows.length - 1];
+  assert.equal(lastRow.action, 'cancelled');
+  assert.equal(lastRow.operation, 'cleanup');
+  assert.equal(lastRow.batchId, result.batchId);
+  assert.equal(lastRow.processedCount, 2);
+  assert.equal(lastRow.remainingCount, 1);
+
+  const [unfinished] = await listUnfinishedJournals(journalRoot);
+  assert.equal(unfinished.batchId, result.batchId);
+  assert.equal(unfinished.remainingCount, 1);
+  const resumed = await resumeCleanupBatch({
+    journal: await loadBatchJournal(journalRoot, result.batchId),
+    indexPath,
+    allowedRoots: [profileRoot],
+  });
+  assert.equal(resumed.successCount, 1);
+  assert.equal(await pathExists(targets[2].path), false);
+  assert.deepEqual(await listUnfinishedJournals(journalRoot), []);
+});
+
+test('resumeCleanupBatch 补记已落盘的中断目标并完成剩余目标', async (t) => {
+  const root = await makeTempDir('wecom-journal-resume-');
+  t.after(async () => removeDir(root));
+  const { profileRoot, recycleRoot, journalRoot, indexPath, targets, batchId } =
+    await prepareInterruptedBatch(root);
+
+  // 第二个目标已写入意图并完成改名，但还没来得及写索引
+  const inflightDest = path.join(recycleRoot, batchId, '0002_2024-02');
+  await appendJsonLine(path.join(journalRoot, `${batchId}.journal.jsonl`), {
+    type: 'intent',
+    index: 1,
+    op: 'move',
+    sourcePath: targets[1].path,
+    destPath: inflightDest,
+  });
+  await fs.rename(targets[1].path, inflightDest);
+
+  const [unfinished] = await listUnfinishedJournals(journalRoot);
+  assert.equal(unfinished.totalTargets, 3);
+  assert.equal(unfinished.doneCount, 1);
+  assert.equal(unfinished.pendingCount, 1);
+  assert.deepEqual(unfinished.pendingPaths, [targets[1].path]);
+
+  const result = await resumeCleanupBatch({
+    journal: await loadBatchJournal(journalRoot, batchId),
+    indexPath,
+    allowedRoots: [profileRoot],
+  });
+  assert.equal(result.batchId, batchId);
+  assert.equal(result.resumedDoneCount, 1);
+  assert.equal(result.successCount, 2);
+  assert.deepEqual(await listUnfinishedJournals(journalRoot), []);
+  for (const target of targets) {
+    assert.equal(await pathExists(target.path), false);
+  }
+
+  const [batch] = await listRestorableBatches(indexPath, { recycleRoot });
+  assert.equal(batch.batchId, batchId);
+  assert.deepEqual(
+    batch.entries.map((entry) => [entry.monthKey, entry.moveMethod]),
+    [
+      ['2024-01', 'rename'],
+      ['2024-02', 'resumed'],
+      ['2024-03', 'rename'],
+    ]
+  );
+});
+
+test('resumeCleanupBatch 不把写意图前已存在的外移镜像当作本批次产物', async (t) => {
+  const root = await makeTempDir('wecom-journal-offload-existing-');
+  t.after(async () => removeDir(root));
+  const offloadRoot = path.join(root, 'offload');
+  const { profileRoot, journalRoot, indexPath, targets, batchId } = await prepareInterruptedBatch(
+    root,
+    DELETE_MODES.OFFLOAD,
+    offloadRoot
+  );
+
+  // 旧批次外移后未取回，镜像目录已存在；本批次写完意图、尚在计算摘要时进程被杀，源目录完好
+  const mirrorPath = resolveOffloadPath(offloadRoot, targets[1].path);
+  await ensureFile(path.join(mirrorPath, 'payload.txt'), 'older-batch');
+  await appendJsonLine(path.join(journalRoot, `${batchId}.journal.jsonl`), {
+    type: 'intent',
+    index: 1,
+    op: 'offload',
+    sourcePath: targets[1].path,
+    destPath: mirrorPath,
+    destExisted: true,
+  });
+
+  const result = await resumeCleanupBatch({
+    journal: await loadBatchJournal(journalRoot, batchId),
+    indexPath,
+    allowedRoots: [profileRoot],
+  });
+  assert.equal(result.failedCount, 1);
+  assert.equal(await fs.readFile(path.join(targets[1].path, 'payload.txt'), 'utf-8'), 'data-2024-02');
+  assert.equal(await fs.readFile(path.join(mirrorPath, 'payload.txt'), 'utf-8'), 'older-batch');
+});
+
+test('resumeCleanupBatch 忽略与批次目标不一致或越出允许根目录的意图路径', async (t) => {
+  const root = await makeTempDir('wecom-journal-intent-mismatch-');
+  t.after(async () => removeDir(root));
+  const { profileRoot, recycleRoot, journalRoot, indexPath, targets, batchId } =
+    await prepareInterruptedBatch(root);
+
+  // 日志被改写为指向批次外的路径，且目标位置看似已落盘
+  const outsidePath = path.join(root, 'outside', 'keep-me');
+  await ensureFile(path.join(outsidePath, 'payload.txt'), 'outside');
+  const inflightDest = path.join(recycleRoot, batchId, '0002_2024-02');
+  await ensureFile(path.join(inflightDest, 'payload.txt'), 'outside');
+  await appendJsonLine(path.join(journalRoot, `${batchId}.journal.jsonl`), {
+    type: 'intent',
+    index: 1,
+    op: 'move',
+    sourcePath: outsidePath,
+    destPath: inflightDest,
+    destExisted: false,
+  });
+
+  await resumeCleanupBatch({
+    journal: await loadBatchJournal(journalRoot, batchId),
+    indexPath,
+    allowedRoots: [profileRoot],
+  });
+  assert.equal(await fs.readFile(path.join(outsidePath, 'payload.txt'), 'utf-8'), 'outside');
+  assert.equal(await fs.readFile(path.join(targets[1].path, 'payload.txt'), 'utf-8'), 'data-2024-02');
+});
+
+test('rollbackCleanupBatch 放回已移动目标并清理中断残留', async (t) => {
+  const root = await makeTempDir('wecom-journal-rollback-');
+  t.after(async () => removeDir(root));
+  const { profileRoot, recycleRoot, journalRoot, indexPath, targets, batchId } =
+    await prepareInterruptedBatch(root);
+
+  // 第二个目标跨卷复制到一半中断，只留下临时副本，源目录完好
+  const inflightDest = path.join(recycleRoot, batchId, '0002_2024-02');
+  await appendJsonLine(path.join(journalRoot, `${batchId}.journal.jsonl`), {
+    type: 'intent',
+    index: 1,
+    op: 'move',
+    sourcePath: targets[1].path,
+    destPath: inflightDest,
+  });
+  await ensureFile(path.join(`${inflightDest}.moving-1-abc`, 'payload.txt'), 'partial');
+
+  const journal = await loadBatchJournal(journalRoot, batchId);
+  const restoreOptions = { profileRoot, recycleRoots: [recycleRoot] };
+  const preview = await rollbackCleanupBatch({ journal, indexPath, dryRun: true, restoreOptions });
+  assert.equal(preview.restoredCount, 1);
+  assert.equal(preview.pendingCount, 1);
+  assert.equal(await pathExists(targets[0].path), false);
+
+  const result = await rollbackCleanupBatch({ journal, indexPath, restoreOptions });
+  assert.equal(result.status, 'rolled_back');
+  assert.equal(result.restoredCount, 1);
+  for (const target of targets) {
+    assert.equal(
+      await fs.readFile(path.join(target.path, 'payload.txt'), 'utf-8'),
+      `data-${target.monthKey}`
+    );
+  }
+  assert.equal(await pathExists(`${inflightDest}.moving-1-abc`), false);
+  assert.deepEqual(await listUnfinishedJournals(journalRoot), []);
+  const rows = await readJsonLines(indexPath);
+  assert.deepEqual(
+    rows.filter((row) => row.action === 'cleanup_rollback').map((row) => [row.batchId, row.status]),
+    [[batchId, 'rolled_back']]
+  );
+});
+
+test('resumeCleanupBatch 在归档模式下丢弃未写完的压缩成员后续写', async (t) => {
+  const root = await makeTempDir('wecom-journal-archive-');
+  t.after(async () => removeDir(root));
+  const { profileRoot, recycleRoot, journalRoot, indexPath, targets, batchId } =
+    await prepareInterruptedBatch(root, DELETE_MODES.ARCHIVE);
+
+  const archivePath = path.join(recycleRoot, batchId, 'archive.tar.gz');
+  await fs.appendFile(archivePath, Buffer.from('partial gzip member'));
+  const result = await resumeCleanupBatch({
+    journal: await loadBatchJournal(journalRoot, batchId),
+    indexPath,
+    allowedRoots: [profileRoot],
+  });
+  assert.equal(result.successCount, 2);
+
+  const [batch] = await listRestorableBatches(indexPath, { recycleRoot });
+  assert.equal(batch.entries.length, 3);
+  const restored = await restoreBatch({
+    batch,
+    indexPath,
+    profileRoot,
+    recycleRoots: [recycleRoot],
+  });
+  assert.equal(restored.successCount, 3);
+  for (const target of targets) {
+    assert.equal(
+      await fs.readFile(path.join(target.path, 'payload.txt'), 'utf-8'),
+      `data-${target.monthKey}`
+    );
+  }
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanupTargetAgeMonth, selectCleanupTargetsForGoal } from '../src/cleanup-goal.js';
+
+function target(accountId, categoryKey, monthKey, sizeBytes) {
+  return {
+    accountId,
+    categoryKey,
+    monthKey,
+    sizeBytes,
+    path: `/${accountId}/${categoryKey}/${monthKey}`,
+  };
+}
+
+test('cleanupTargetAgeMonth 非年月目录按修改时间归入月份', () => {
+  assert.equal(cleanupTargetAgeMonth({ monthKey: '2024-03' }), '2024-03');
+  assert.equal(
+    cleanupTargetAgeMonth({ monthKey: null, mtimeMs: new Date(2023, 10, 5).getTime() }),
+    '2023-11'
+  );
+});
+
+test('selectCleanupTargetsForGoal 最旧优先、按类别优先级并在账号间轮换', () => {
+  const targets = [
+    target('acc001', 'files', '2024-01', 40),
+    target('acc001', 'images', '2024-01', 40),
+    target('acc001', 'files', '2024-02', 40),
+    target('acc002', 'files', '2024-01', 40),
+    target('acc002', 'files', '2024-03', 40),
+  ];
+
+  const result = selectCleanupTargetsForGoal(targets, 100);
+  assert.equal(result.reachable, true);
+  assert.equal(result.selectedBytes, 120);
+  assert.equal(result.shortfallBytes, 0);
+  assert.deepEqual(
+    result.selected.map((item) => `${item.accountId}:${item.categoryKey}:${item.monthKey}`),
+    ['acc001:images:2024-01', 'acc002:files:2024-01', 'acc001:files:2024-01']
+  );
+  assert.deepEqual(
+    result.cutoffs.map((row) => [row.accountId, row.categoryKey, row.cutoffMonth, row.partialMonth]),
+    [
+      ['acc001', 'images', '2024-01', false],
+      ['acc001', 'files', '2024-01', false],
+      ['acc002', 'files', '2024-01', false],
+    ]
+  );
+});
+
+test('selectCleanupTargetsForGoal 目标不可达时选中全部候选并标记部分月份', () => {
+  const unreachable = selectCleanupTargetsForGoal([target('acc001', 'files', '2024-01', 10)], 50);
+  assert.equal(unreachable.reachable, false);
+  assert.equal(unreachable.selectedCount, 1);
+  assert.equal(unreachable.shortfallBytes, 40);
+
+  const partial = selectCleanupTargetsForGoal(
+    [
+      { ...target('acc001', 'files', '2024-01', 30), path: '/a' },
+      { ...target('acc001', 'files', '2024-01', 20), path: '/b' },
+    ],
+    25
+  );
+  assert.deepEqual(
+    partial.selected.map((item) => item.path),
+    ['/a']
+  );
+  assert.equal(partial.cutoffs[0].partialMonth, true);
+});
@@ -4,6 +4,7 @@ import path from 'node:path';
 import { promises as fs } from 'node:fs';
 import { DELETE_MODES } from '../src/constants.js';
 import { executeCleanup } from '../src/cleanup.js';
+import { listRestorableBatches, restoreBatch } from '../src/restore.js';
 import { pathExists, readJsonLines } from '../src/utils.js';
 import { ERROR_TYPES } from '../src/error-taxonomy.js';
 import { ensureFile, makeTempDir, removeDir } from './helpers/temp.js';
@@ -46,6 +47,10 @@ test('executeCleanup dry-run 不移动文件但记录审计', async (t) => {
   assert.equal(rows[0].status, 'dry_run');
   assert.equal(rows[0].recyclePath, null);
   assert.equal(rows[0].error_type, undefined);
+  assert.deepEqual(
+    result.breakdown.byExtension.map((row) => [row.extension, row.dryRunCount]),
+    [['(目录)', 1]]
+  );
 });
 
 test('executeCleanup 真删模式支持策略跳过、缺失跳过和移动回收', async (t) => {
@@ -109,6 +114,10 @@ test('executeCleanup 真删模式支持策略跳过、缺失跳过和移动回
 
   assert.equal(result.successCount, 1);
   assert.equal(result.skippedCount, 2);
+  assert.deepEqual(result.skippedTargets, [
+    { path: sourceSkip, reason: 'skipped_policy_protected' },
+    { path: sourceMissing, reason: 'skipped_missing_source' },
+  ]);
   assert.equal(result.failedCount, 0);
   assert.equal(result.reclaimedBytes, 4);
 
@@ -188,6 +197,57 @@ test('executeCleanup 支持 direct 直接删除且不生成 recyclePath', async
   assert.equal(rows[0].recyclePath, null);
 });
 
+test('executeCleanup archive 模式压缩写入批次归档并可由 restoreBatch 还原', async (t) => {
+  const root = await makeTempDir('wecom-cleanup-archive-');
+  t.after(async () => removeDir(root));
+
+  const profileRoot = path.join(root, 'Profiles');
+  const recycleRoot = path.join(root, 'recycle-bin');
+  const indexPath = path.join(root, 'index.jsonl');
+  const targets = ['2024-01', '2024-02'].map((monthKey) => ({
+    path: path.join(profileRoot, 'acc001', 'Caches', 'Files', monthKey),
+    accountId: 'acc001',
+    accountShortId: 'acc001',
+    categoryKey: 'files',
+    categoryLabel: '聊天文件',
+    monthKey,
+    sizeBytes: 4096,
+  }));
+  for (const target of targets) {
+    await ensureFile(path.join(target.path, 'video.mp4'), Buffer.alloc(4096, 1));
+  }
+
+  const result = await executeCleanup({
+    targets,
+    recycleRoot,
+    indexPath,
+    dryRun: false,
+    allowedRoots: [profileRoot],
+    deleteMode: DELETE_MODES.ARCHIVE,
+  });
+  assert.equal(result.successCount, 2);
+  assert.equal(result.recoverable, true);
+  assert.equal(result.archivePath, path.join(recycleRoot, result.batchId, 'archive.tar.gz'));
+  assert.ok(result.archivedBytes > 0 && result.archivedBytes < 8192);
+  assert.equal(await pathExists(targets[0].path), false);
+
+  const rows = await readJsonLines(indexPath);
+  assert.deepEqual(
+    rows.map((row) => [row.recyclePath, row.archiveEntry, row.deleteMode]),
+    [
+      [result.archivePath, '0001_2024-01', DELETE_MODES.ARCHIVE],
+      [result.archivePath, '0002_2024-02', DELETE_MODES.ARCHIVE],
+    ]
+  );
+
+  const [batch] = await listRestorableBatches(indexPath, { recycleRoot });
+  assert.equal(batch.entries.length, 2);
+  const restored = await restoreBatch({ batch, indexPath, profileRoot, recycleRoot });
+  assert.equal(restored.successCount, 2);
+  assert.deepEqual(await fs.readFile(path.join(targets[1].path, 'video.mp4')), Buffer.alloc(4096, 1));
+  assert.deepEqual(await listRestorableBatches(indexPath, { recycleRoot }), []);
+});
+
 test('executeCleanup 在移动失败时写入 failed 与 error_type', async (t) => {
   const root = await makeTempDir('wecom-cleanup-failed-');
   t.after(async () => removeDir(root));
@@ -227,6 +287,181 @@ test('executeCleanup 在移动失败时写入 failed 与 error_type', async (t)
   assert.equal(typeof rows[0].error, 'string');
 });
 
+test('executeCleanup atomic 模式在目标失败时整批放回并记录回滚', async (t) => {
+  const root = await makeTempDir('wecom-cleanup-atomic-');
+  t.after(async () => removeDir(root));
+
+  const profileRoot = path.join(root, 'Profiles');
+  const recycleRoot = path.join(root, 'recycle-bin');
+  const indexPath = path.join(root, 'index.jsonl');
+  const targets = ['2024-01', '2024-02', '2024-03'].map((monthKey) => ({
+    path: path.join(profileRoot, 'acc001', 'Caches', 'Files', monthKey),
+    accountId: 'acc001',
+    categoryKey: 'files',
+    monthKey,
+    sizeBytes: 5,
+  }));
+  for (const target of targets) {
+    await ensureFile(path.join(target.path, 'payload.txt'), `data-${target.monthKey}`);
+  }
+
+  // 第二个目标的回收目录位于自身内部，移动必然失败
+  const result = await executeCleanup({
+    targets,
+    recycleRoot,
+    indexPath,
+    dryRun: false,
+    allowedRoots: [profileRoot],
+    atomic: true,
+    resolveRecycleRoot: async (targetPath) =>
+      targetPath === targets[1].path ? path.join(targetPath, 'nested-recycle') : recycleRoot,
+  });
+
+  assert.equal(result.successCount, 1);
+  assert.equal(result.failedCount, 1);
+  assert.equal(result.reclaimedBytes, 0);
+  assert.equal(result.atomicRollback.status, 'rolled_back');
+  assert.equal(result.atomicRollback.restoredCount, 1);
+  assert.equal(result.atomicRollback.abortedCount, 1);
+  assert.equal(result.atomicRollback.trigger.path, targets[1].path);
+  for (const target of targets) {
+    assert.equal(
+      await fs.readFile(path.join(target.path, 'payload.txt'), 'utf-8'),
+      `data-${target.monthKey}`
+    );
+  }
+  assert.equal(await pathExists(path.join(recycleRoot, result.batchId)), false);
+  assert.deepEqual(await listRestorableBatches(indexPath, { recycleRoot }), []);
+
+  const rows = await readJsonLines(indexPath);
+  assert.equal(rows.filter((row) => row.action === 'cleanup').length, 2);
+  const rollbackRow = rows.find((row) => row.action === 'cleanup_rollback');
+  assert.equal(rollbackRow.batchId, result.batchId);
+  assert.equal(rollbackRow.status, 'rolled_back');
+  assert.equal(rollbackRow.reason, 'atomic');
+
+  await assert.rejects(
+    executeCleanup({
+      targets,
+      recycleRoot,
+      indexPath,
+      dryRun: false,
+      allowedRoots: [profileRoot],
+      deleteMode: DELETE_MODES.DIRECT,
+      atomic: true,
+    }),
+    /atomic/
+  );
+});
+
+test('executeCleanup atomic 模式收到取消后整批放回', async (t) => {
+  const root = await makeTempDir('wecom-cleanup-atomic-cancel-');
+  t.after(async () => removeDir(root));
+
+  const profileRoot = path.join(root, 'Profiles');
+  const recycleRoot = path.join(root, 'recycle-bin');
+  const indexPath = path.join(root, 'index.jsonl');
+  const targets = ['2024-01', '2024-02', '2024-03'].map((monthKey) => ({
+    path: path.join(profileRoot, 'acc001', 'Caches', 'Files', monthKey),
+    accountId: 'acc001',
+    monthKey,
+    sizeBytes: 5,
+  }));
+  for (const target of targets) {
+    await ensureFile(path.join(target.path, 'payload.txt'), `data-${target.monthKey}`);
+  }
+
+  const abortController = new AbortController();
+  const result = await executeCleanup({
+    targets,
+    recycleRoot,
+    indexPath,
+    dryRun: false,
+    allowedRoots: [profileRoot],
+    atomic: true,
+    signal: abortController.signal,
+    onProgress: (current) => {
+      if (current === 2) {
+        abortController.abort();
+      }
+    },
+  });
+
+  assert.equal(result.status, 'cancelled');
+  assert.equal(result.atomicRollback.status, 'rolled_back');
+  assert.equal(result.atomicRollback.restoredCount, 2);
+  assert.equal(result.atomicRollback.abortedCount, 1);
+  assert.equal(result.atomicRollback.trigger.path, null);
+  assert.equal(result.reclaimedBytes, 0);
+  for (const target of targets) {
+    assert.equal(
+      await fs.readFile(path.join(target.path, 'payload.txt'), 'utf-8'),
+      `data-${target.monthKey}`
+    );
+  }
+  const rows = await readJsonLines(indexPath);
+  assert.deepEqual(
+    rows.map((row) => row.action),
+    ['cleanup', 'cleanup', 'restore', 'restore', 'cleanup_rollback', 'cancelled']
+  );
+});
+
+test('executeCleanup 并发执行时按目标顺序写入索引并统计吞吐', async (t) => {
+  const root = await makeTempDir('wecom-cleanup-concurrency-');
+  t.after(async () => removeDir(root));
+
+  const profileRoot = path.join(root, 'Profiles');
+  const recycleRoot = path.join(root, 'recycle-bin');
+  const indexPath = path.join(root, 'index.jsonl');
+  const targets = Array.from({ length: 8 }, (_, idx) => {
+    const monthKey = `2024-${String(idx + 1).padStart(2, '0')}`;
+    return {
+      path: path.join(profileRoot, 'acc001', 'Caches', 'Files', monthKey),
+      accountId: 'acc001',
+      categoryKey: 'files',
+      monthKey,
+      sizeBytes: 10,
+    };
+  });
+  for (const target of targets.slice(0, 7)) {
+    await ensureFile(path.join(target.path, 'payload.txt'), target.monthKey);
+  }
+
+  const result = await executeCleanup({
+    targets,
+    recycleRoot,
+    indexPath,
+    dryRun: false,
+    allowedRoots: [profileRoot],
+    concurrency: 4,
+    shouldSkip: (target) => (target.monthKey === '2024-03' ? 'skipped_policy_protected' : null),
+  });
+
+  assert.equal(result.concurrency, 4);
+  assert.equal(result.crossDeviceCount, 0);
+  assert.equal(result.successCount, 6);
+  assert.equal(result.skippedCount, 2);
+  assert.equal(result.reclaimedBytes, 60);
+  assert.equal(typeof result.elapsedMs, 'number');
+  assert.ok(result.bytesPerSecond === null || result.bytesPerSecond > 0);
+  assert.equal(result.breakdown.byMonth.length, 8);
+
+  const rows = await readJsonLines(indexPath);
+  assert.deepEqual(
+    rows.map((row) => [row.monthKey, row.status]),
+    targets.map((target) => [
+      target.monthKey,
+      target.monthKey === '2024-03'
+        ? 'skipped_policy_protected'
+        : target.monthKey === '2024-08'
+          ? 'skipped_missing_source'
+          : 'success',
+    ])
+  );
+  const [batch] = await listRestorableBatches(indexPath, { recycleRoot });
+  assert.equal(batch.entries.length, 6);
+});
+
 test('executeCleanup 会拦截白名单根目录之外的目标路径', async (t) => {
   const root = await makeTempDir('wecom-cleanup-invalid-path-');
   t.after(async () => removeDir(root));
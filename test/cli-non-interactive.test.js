@@ -6,7 +6,9 @@ import os from 'node:os';
 import { promises as fs } from 'node:fs';
 import { spawn, spawnSync } from 'node:child_process';
 import { fileURLToPath } from 'node:url';
-import { makeTempDir, removeDir } from './helpers/temp.js';
+import { ensureFile, makeTempDir, removeDir } from './helpers/temp.js';
+import { pathExists } from '../src/utils.js';
+import { computePlanSeal } from '../src/controller-plan.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const REPO_ROOT = path.resolve(path.dirname(__filename), '..');
@@ -239,6 +241,23 @@ exit 0
   return binDir;
 }
 
+async function createMockPsBin(root) {
+  const binDir = path.join(root, 'fake-ps-bin');
+  await fs.mkdir(binDir, { recursive: true });
+  const psPath = path.join(binDir, 'ps');
+  await fs.writeFile(
+    psPath,
+    `#!/usr/bin/env bash
+echo "    1 /sbin/launchd"
+echo " 4321 /Applications/企业微信.app/Contents/MacOS/企业微信"
+exit 0
+`,
+    'utf-8'
+  );
+  await fs.chmod(psPath, 0o755);
+  return binDir;
+}
+
 function assertCommonPayloadEnvelope(payload, action, expectedDryRun) {
   assert.equal(typeof payload, 'object');
   assert.equal(payload.action, action);
@@ -1567,6 +1586,73 @@ test('v2 CLI plan/apply/verify 可完成年月清理闭环', async (t) => {
   assert.match(planRecord.baseLegacyArgv.join(' '), /--accounts acc001/);
 });
 
+test('v2 CLI verify 输出相对执行目标集的结构化差异报告', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-verify-delta-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  await addFixtureAccount(profilesRoot, 'acc002');
+  const stateRoot = path.join(root, 'state');
+  const planResult = runCliV2([
+    'plan',
+    'monthly-cleanup',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--categories',
+    'files,images',
+    '--months',
+    '2024-01',
+    '--external-storage-auto-detect',
+    'false',
+  ]);
+  assert.equal(planResult.status, 0);
+  const planId = JSON.parse(String(planResult.stdout || '{}')).summary.planId;
+  const applyResult = runCliV2(['apply', planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0);
+  const runId = JSON.parse(String(applyResult.stdout || '{}')).summary.runId;
+
+  const filesMonthDir = path.join(profilesRoot, 'acc001', 'Caches', 'Files', '2024-01');
+  await fs.mkdir(filesMonthDir, { recursive: true });
+  await fs.writeFile(path.join(filesMonthDir, 'payload.txt'), 'again!', 'utf-8');
+  const imagesMonthDir = path.join(profilesRoot, 'acc001', 'Caches', 'Images', '2024-01');
+  await fs.mkdir(imagesMonthDir, { recursive: true });
+  await fs.writeFile(path.join(imagesMonthDir, 'new.jpg'), 'img', 'utf-8');
+
+  const verifyResult = runCliV2(['verify', runId, '--state-root', stateRoot]);
+  assert.equal(verifyResult.status, 0);
+  const verifyPayload = JSON.parse(String(verifyResult.stdout || '{}'));
+  const delta = verifyPayload.data.verifyDelta;
+  assert.equal(delta.baselineTargets, 2);
+  assert.equal(delta.gone.count, 1);
+  assert.equal(delta.gone.bytes, 11);
+  assert.equal(delta.reappeared.count, 1);
+  assert.equal(delta.reappeared.targets[0].path, filesMonthDir);
+  assert.deepEqual(delta.reappeared.byMonth, [{ key: '2024-01', count: 1, bytes: 6 }]);
+  assert.equal(delta.failed.count, 0);
+  assert.equal(delta.new.count, 1);
+  assert.deepEqual(
+    delta.new.byCategory.map((row) => row.key),
+    ['images']
+  );
+  assert.equal(verifyPayload.summary.deltaReappearedTargets, 1);
+  assert.equal(verifyPayload.summary.deltaNewBytes, 3);
+  assert.ok(verifyPayload.warnings.some((item) => item.includes('重新出现')));
+
+  const runRecord = JSON.parse(await fs.readFile(path.join(stateRoot, 'runs', `${runId}.json`), 'utf-8'));
+  assert.equal(runRecord.executeTargets.length, 2);
+  assert.equal(runRecord.verifyDelta.reappeared.count, 1);
+
+  const textResult = runCliV2(['verify', runId, '--state-root', stateRoot, '--output', 'text']);
+  assert.equal(textResult.status, 0);
+  assert.match(textResult.stdout, /=== 复核差异 ===/);
+  assert.match(textResult.stdout, /重新出现：1 项/);
+  assert.match(textResult.stdout, /=== 新增目标的目标 ===/);
+});
+
 test('v2 CLI apply 在计划目标漂移时拒绝执行', async (t) => {
   const root = await makeTempDir('wecom-cli-v2-plan-drift-');
   t.after(async () => removeDir(root));
@@ -1614,106 +1700,283 @@ test('v2 CLI apply 在计划目标漂移时拒绝执行', async (t) => {
   assert.match(String(applyResult.stderr || ''), /计划已漂移/);
 });
 
-test('v2 CLI space-governance 显式 targets 在 verify 阶段按已清理处理', async (t) => {
-  const root = await makeTempDir('wecom-cli-v2-governance-targets-');
+test('v2 CLI apply 按 --drift 策略执行冻结目标交集并报告漂移', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-plan-drift-policy-');
   t.after(async () => removeDir(root));
 
   const profilesRoot = await prepareFixture(root);
-  const externalRoot = await prepareConfiguredExternalRoot(root);
   const stateRoot = path.join(root, 'state');
-
-  const previewPlanResult = runCliV2([
+  const planResult = runCliV2([
     'plan',
-    'space-governance',
+    'monthly-cleanup',
     '--root',
     profilesRoot,
     '--state-root',
     stateRoot,
     '--accounts',
     'all',
-    '--external-roots',
-    externalRoot,
-    '--allow-recent-active',
-    'true',
-    '--output',
-    'agent-json',
+    '--categories',
+    'files',
+    '--months',
+    '2024-01',
+    '--external-storage-auto-detect',
+    'false',
   ]);
-  assert.equal(previewPlanResult.status, 0);
-  const previewPlanPayload = JSON.parse(String(previewPlanResult.stdout || '{}'));
-  const targetId = previewPlanPayload.data.selectedTargetIds[0];
-  assert.equal(typeof targetId, 'string');
+  assert.equal(planResult.status, 0);
+  const planId = JSON.parse(String(planResult.stdout || '{}')).summary.planId;
+
+  await fs.writeFile(
+    path.join(profilesRoot, 'acc001', 'Caches', 'Files', '2024-01', 'new.txt'),
+    'changed',
+    'utf-8'
+  );
+
+  const shrinkOnly = runCliV2([
+    'apply',
+    planId,
+    '--state-root',
+    stateRoot,
+    '--ack',
+    'APPLY',
+    '--drift',
+    'shrink-only',
+  ]);
+  assert.equal(shrinkOnly.status, 2);
+  assert.match(String(shrinkOnly.stderr || ''), /shrink-only/);
+
+  const invalid = runCliV2([
+    'apply',
+    planId,
+    '--state-root',
+    stateRoot,
+    '--ack',
+    'APPLY',
+    '--drift',
+    'loose',
+  ]);
+  assert.equal(invalid.status, 2);
+
+  const tolerated = runCliV2([
+    'apply',
+    planId,
+    '--state-root',
+    stateRoot,
+    '--ack',
+    'APPLY',
+    '--drift',
+    'tolerance=200',
+  ]);
+  assert.equal(tolerated.status, 0);
+  const payload = JSON.parse(String(tolerated.stdout || '{}'));
+  assert.equal(payload.summary.driftPolicy, 'tolerance=200');
+  assert.equal(payload.summary.successCount, 1);
+  assert.equal(payload.data.drift.drifted, true);
+  assert.equal(payload.data.drift.changedTargetCount, 1);
+  assert.equal(payload.data.drift.keptTargetCount, 1);
+  assert.equal(
+    payload.warnings.some((item) => /交集/.test(item)),
+    true
+  );
+});
+
+test('v2 CLI apply 拒绝执行已过期计划', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-plan-ttl-');
+  t.after(async () => removeDir(root));
 
+  const profilesRoot = await prepareFixture(root);
+  const stateRoot = path.join(root, 'state');
   const planResult = runCliV2([
     'plan',
-    'space-governance',
+    'monthly-cleanup',
     '--root',
     profilesRoot,
     '--state-root',
     stateRoot,
     '--accounts',
     'all',
-    '--external-roots',
-    externalRoot,
-    '--allow-recent-active',
-    'true',
-    '--targets',
-    targetId,
-    '--output',
-    'agent-json',
+    '--categories',
+    'files',
+    '--months',
+    '2024-01',
+    '--external-storage-auto-detect',
+    'false',
+    '--ttl-hours',
+    '2',
   ]);
   assert.equal(planResult.status, 0);
   const planPayload = JSON.parse(String(planResult.stdout || '{}'));
   const planId = planPayload.summary.planId;
+  const planPath = path.join(stateRoot, 'plans', `${planId}.json`);
+  const planRecord = JSON.parse(await fs.readFile(planPath, 'utf-8'));
+  assert.equal(planRecord.ttlHours, 2);
+  assert.equal(planRecord.expiresAt, planRecord.createdAt + 2 * 3600 * 1000);
+  assert.equal(planPayload.summary.planExpiresAt, planRecord.expiresAt);
 
-  const applyResult = runCliV2([
-    'apply',
-    planId,
-    '--state-root',
-    stateRoot,
-    '--ack',
-    'APPLY',
-    '--output',
-    'agent-json',
-  ]);
-  assert.equal(applyResult.status, 0);
-  const applyPayload = JSON.parse(String(applyResult.stdout || '{}'));
-  const runId = applyPayload.summary.runId;
+  await fs.writeFile(planPath, JSON.stringify({ ...planRecord, expiresAt: Date.now() - 1000 }), 'utf-8');
+  const listResult = runCliV2(['plan', 'list', '--state-root', stateRoot]);
+  assert.equal(JSON.parse(String(listResult.stdout || '{}')).data.plans[0].expired, true);
 
-  const verifyResult = runCliV2(['verify', runId, '--state-root', stateRoot, '--output', 'agent-json']);
-  assert.equal(verifyResult.status, 0);
-  const verifyPayload = JSON.parse(String(verifyResult.stdout || '{}'));
-  assert.equal(verifyPayload.summary.matchedTargets, 0);
+  const applyResult = runCliV2(['apply', planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 2);
+  assert.match(String(applyResult.stderr || ''), /计划已过期/);
 });
 
-test('非破坏性动作仅支持 --run-task preview', async (t) => {
-  const root = await makeTempDir('wecom-cli-ni-run-task-analysis-');
+test('v2 CLI plan list/show/diff/discard 可管理已保存计划', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-plan-manage-');
   t.after(async () => removeDir(root));
 
   const profilesRoot = await prepareFixture(root);
+  await fs.mkdir(path.join(profilesRoot, 'acc001', 'Caches', 'Files', '2024-02'), { recursive: true });
+  await fs.writeFile(
+    path.join(profilesRoot, 'acc001', 'Caches', 'Files', '2024-02', 'later.txt'),
+    'later',
+    'utf-8'
+  );
   const stateRoot = path.join(root, 'state');
+  const planWith = (monthArgs) => {
+    const result = runCliV2([
+      'plan',
+      'monthly-cleanup',
+      '--root',
+      profilesRoot,
+      '--state-root',
+      stateRoot,
+      '--accounts',
+      'all',
+      '--categories',
+      'files',
+      ...monthArgs,
+      '--external-storage-auto-detect',
+      'false',
+      '--output',
+      'agent-json',
+    ]);
+    assert.equal(result.status, 0);
+    return JSON.parse(String(result.stdout || '{}')).summary.planId;
+  };
+  const januaryPlanId = planWith(['--months', '2024-01']);
+  const cutoffPlanId = planWith(['--cutoff-month', '2024-02']);
 
-  const result = runCli([
-    '--analysis-only',
+  const applyResult = runCliV2(['apply', januaryPlanId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0);
+
+  const listResult = runCliV2(['plan', 'list', '--state-root', stateRoot, '--status', 'pending']);
+  assert.equal(listResult.status, 0);
+  const listPayload = JSON.parse(String(listResult.stdout || '{}'));
+  assert.equal(listPayload.action, 'plan_list');
+  assert.equal(listPayload.summary.totalPlans, 2);
+  assert.deepEqual(
+    listPayload.data.plans.map((item) => item.planId),
+    [cutoffPlanId]
+  );
+
+  const showResult = runCliV2(['plan', 'show', januaryPlanId, '--state-root', stateRoot]);
+  assert.equal(showResult.status, 0);
+  const showPayload = JSON.parse(String(showResult.stdout || '{}'));
+  assert.equal(showPayload.summary.applied, true);
+  assert.equal(showPayload.summary.frozenTargetCount, 1);
+  assert.equal(showPayload.data.runs.length, 1);
+
+  const diffResult = runCliV2(['plan', 'diff', januaryPlanId, cutoffPlanId, '--state-root', stateRoot]);
+  assert.equal(diffResult.status, 0);
+  const diffPayload = JSON.parse(String(diffResult.stdout || '{}'));
+  assert.equal(diffPayload.summary.comparable, true);
+  assert.equal(diffPayload.summary.signatureMatched, false);
+  assert.equal(diffPayload.summary.addedCount, 1);
+  assert.equal(diffPayload.summary.unchangedCount, 1);
+  assert.equal(diffPayload.data.diff.added[0].monthKey, '2024-02');
+
+  const textResult = runCliV2(['plan', 'list', '--state-root', stateRoot, '--output', 'text']);
+  assert.equal(textResult.status, 0);
+  assert.match(String(textResult.stdout || ''), /计划列表/);
+
+  const discardResult = runCliV2(['plan', 'discard', cutoffPlanId, '--state-root', stateRoot]);
+  assert.equal(discardResult.status, 0);
+  assert.equal(
+    await fs
+      .stat(path.join(stateRoot, 'plans', `${cutoffPlanId}.json`))
+      .then(() => true)
+      .catch(() => false),
+    false
+  );
+
+  const missingResult = runCliV2(['plan', 'show', cutoffPlanId, '--state-root', stateRoot]);
+  assert.equal(missingResult.status, 2);
+  assert.match(String(missingResult.stderr || ''), /未找到计划/);
+});
+
+test('v2 CLI plan edit 排除目标后 apply 跳过并由 verify 报告', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-plan-edit-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const keptAccountRoot = await addFixtureAccount(profilesRoot, 'acc002');
+  const stateRoot = path.join(root, 'state');
+  const planResult = runCliV2([
+    'plan',
+    'monthly-cleanup',
     '--root',
     profilesRoot,
     '--state-root',
     stateRoot,
-    '--run-task',
-    'execute',
+    '--accounts',
+    'all',
+    '--categories',
+    'files',
+    '--months',
+    '2024-01',
+    '--external-storage-auto-detect',
+    'false',
   ]);
-  assert.equal(result.status, 2);
-  assert.match(String(result.stderr || ''), /仅支持 --run-task preview/);
+  assert.equal(planResult.status, 0);
+  const planPayload = JSON.parse(String(planResult.stdout || '{}'));
+  const planId = planPayload.summary.planId;
+  assert.equal(planPayload.summary.matchedTargets, 2);
+
+  const unknownResult = runCliV2(['plan', 'edit', planId, '--state-root', stateRoot, '--exclude', '/nope']);
+  assert.equal(unknownResult.status, 2);
+
+  const editResult = runCliV2([
+    'plan',
+    'edit',
+    planId,
+    '--state-root',
+    stateRoot,
+    '--exclude',
+    '**/acc002/**',
+  ]);
+  assert.equal(editResult.status, 0);
+  const editPayload = JSON.parse(String(editResult.stdout || '{}'));
+  assert.equal(editPayload.summary.keptTargetCount, 1);
+  assert.equal(editPayload.summary.excludedTargetCount, 1);
+  assert.notEqual(editPayload.summary.selectionSignature, planPayload.data.controller.selectionSignature);
+
+  const applyResult = runCliV2(['apply', planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0);
+  const applyPayload = JSON.parse(String(applyResult.stdout || '{}'));
+  assert.equal(applyPayload.summary.successCount, 1);
+  assert.equal(applyPayload.summary.excludedTargets, 1);
+  await fs.access(path.join(keptAccountRoot, 'Caches', 'Files', '2024-01', 'payload.txt'));
+
+  const verifyResult = runCliV2(['verify', applyPayload.summary.runId, '--state-root', stateRoot]);
+  assert.equal(verifyResult.status, 0);
+  const verifyPayload = JSON.parse(String(verifyResult.stdout || '{}'));
+  assert.equal(verifyPayload.summary.matchedTargets, 0);
+  assert.equal(verifyPayload.summary.excludedTargets, 1);
+  assert.equal(verifyPayload.summary.excludedStillPresent, 1);
+  assert.deepEqual(verifyPayload.data.exclusions.rules, { exclude: ['**/acc002/**'], include: [] });
 });
 
-test('无交互支持 --scan-debug summary/full 输出扫描诊断', async (t) => {
-  const root = await makeTempDir('wecom-cli-ni-scan-debug-');
+test('v2 CLI plan export/import 携带封印并在导入时校验路径', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-plan-export-');
   t.after(async () => removeDir(root));
 
   const profilesRoot = await prepareFixture(root);
   const stateRoot = path.join(root, 'state');
-
-  const summaryResult = runCli([
-    '--cleanup-monthly',
+  const exportFile = path.join(root, 'review', 'plan.json');
+  const planResult = runCliV2([
+    'plan',
+    'monthly-cleanup',
     '--root',
     profilesRoot,
     '--state-root',
@@ -1724,19 +1987,99 @@ test('无交互支持 --scan-debug summary/full 输出扫描诊断', async (t) =
     'files',
     '--months',
     '2024-01',
-    '--scan-debug',
-    'summary',
     '--external-storage-auto-detect',
     'false',
   ]);
-  assert.equal(summaryResult.status, 0);
-  const summaryPayload = JSON.parse(String(summaryResult.stdout || '{}'));
-  assert.equal(summaryPayload.data?.scanDebug?.level, 'summary');
-  assert.equal(typeof summaryPayload.data?.scanDebug?.summary?.matchedTargets, 'number');
-  assert.equal(summaryPayload.data?.scanDebug?.full, undefined);
+  assert.equal(planResult.status, 0);
+  const planId = JSON.parse(String(planResult.stdout || '{}')).summary.planId;
 
-  const fullResult = runCli([
-    '--cleanup-monthly',
+  const exportResult = runCliV2(['plan', 'export', planId, '--file', exportFile, '--state-root', stateRoot]);
+  assert.equal(exportResult.status, 0);
+  const exportPayload = JSON.parse(String(exportResult.stdout || '{}'));
+  const doc = JSON.parse(await fs.readFile(exportFile, 'utf-8'));
+  assert.equal(doc.seal.value, exportPayload.summary.seal);
+  assert.equal(doc.plan.previewTargets.length, 1);
+  assert.deepEqual(doc.plan.baseLegacyArgv.slice(0, 1), ['--cleanup-monthly']);
+
+  const importArgs = [
+    '--state-root',
+    path.join(root, 'teammate-state'),
+    '--root',
+    profilesRoot,
+    '--external-storage-auto-detect',
+    'false',
+  ];
+  const tamperedFile = path.join(root, 'review', 'tampered.json');
+  const tampered = structuredClone(doc);
+  tampered.plan.previewTargets[0].sizeBytes += 1;
+  await fs.writeFile(tamperedFile, JSON.stringify(tampered), 'utf-8');
+  const tamperedResult = runCliV2(['plan', 'import', tamperedFile, ...importArgs]);
+  assert.equal(tamperedResult.status, 2);
+  assert.match(String(tamperedResult.stderr || ''), /封印不匹配/);
+
+  const escapingFile = path.join(root, 'review', 'escaping.json');
+  const escapingDoc = structuredClone(doc);
+  escapingDoc.plan.planId = '../runs/escaped';
+  escapingDoc.seal.value = computePlanSeal(escapingDoc.plan);
+  await fs.writeFile(escapingFile, JSON.stringify(escapingDoc), 'utf-8');
+  const escapingResult = runCliV2(['plan', 'import', escapingFile, ...importArgs]);
+  assert.equal(escapingResult.status, 2);
+  assert.match(String(escapingResult.stderr || ''), /计划 ID 无效/);
+  assert.equal(await pathExists(path.join(root, 'teammate-state', 'runs', 'escaped.json')), false);
+
+  const foreignRoot = path.join(root, 'foreign-profiles');
+  await fs.mkdir(foreignRoot, { recursive: true });
+  const foreignResult = runCliV2([
+    'plan',
+    'import',
+    exportFile,
+    '--state-root',
+    path.join(root, 'teammate-state'),
+    '--root',
+    foreignRoot,
+    '--external-storage-auto-detect',
+    'false',
+  ]);
+  assert.equal(foreignResult.status, 2);
+  assert.match(String(foreignResult.stderr || ''), /允许根目录/);
+
+  const importResult = runCliV2(['plan', 'import', exportFile, ...importArgs]);
+  assert.equal(importResult.status, 0);
+  const importPayload = JSON.parse(String(importResult.stdout || '{}'));
+  assert.equal(importPayload.summary.planId, planId);
+  assert.equal(importPayload.summary.alreadyImported, false);
+  assert.deepEqual(importPayload.summary.droppedFlags, ['--state-root']);
+  const importedRecord = JSON.parse(
+    await fs.readFile(path.join(root, 'teammate-state', 'plans', `${planId}.json`), 'utf-8')
+  );
+  assert.equal(importedRecord.baseLegacyArgv.includes(stateRoot), false);
+  assert.deepEqual(importedRecord.baseLegacyArgv.slice(-2), [
+    '--state-root',
+    path.join(root, 'teammate-state'),
+  ]);
+  assert.equal(runCliV2(['plan', 'import', exportFile, ...importArgs]).status, 0);
+
+  const applyResult = runCliV2([
+    'apply',
+    planId,
+    '--state-root',
+    path.join(root, 'teammate-state'),
+    '--ack',
+    'APPLY',
+  ]);
+  assert.equal(applyResult.status, 0);
+  assert.equal(JSON.parse(String(applyResult.stdout || '{}')).summary.successCount, 1);
+});
+
+test('v2 CLI runs list/show 展示阶段对比与回收批次', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-runs-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const stateRoot = path.join(root, 'state');
+  const planResult = runCliV2([
+    'plan',
+    'monthly-cleanup',
     '--root',
     profilesRoot,
     '--state-root',
@@ -1747,8 +2090,1125 @@ test('无交互支持 --scan-debug summary/full 输出扫描诊断', async (t) =
     'files',
     '--months',
     '2024-01',
-    '--scan-debug',
-    'full',
+    '--external-storage-auto-detect',
+    'false',
+  ]);
+  assert.equal(planResult.status, 0);
+  const planId = JSON.parse(String(planResult.stdout || '{}')).summary.planId;
+  const applyResult = runCliV2(['apply', planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0);
+  const applyPayload = JSON.parse(String(applyResult.stdout || '{}'));
+  const runId = applyPayload.summary.runId;
+  const batchId = applyPayload.summary.batchId;
+  assert.equal(runCliV2(['verify', runId, '--state-root', stateRoot]).status, 0);
+
+  const listResult = runCliV2(['runs', 'list', '--state-root', stateRoot, '--plan', planId]);
+  assert.equal(listResult.status, 0);
+  const listPayload = JSON.parse(String(listResult.stdout || '{}'));
+  assert.equal(listPayload.summary.matchedRuns, 1);
+  assert.equal(listPayload.data.runs[0].runId, runId);
+  assert.deepEqual(listPayload.data.runs[0].batches[0], {
+    batchId,
+    status: 'recoverable',
+    recycleScope: 'manual',
+    entryCount: 1,
+    totalBytes: 5,
+  });
+
+  const showResult = runCliV2(['runs', 'show', runId, '--state-root', stateRoot]);
+  assert.equal(showResult.status, 0);
+  const showPayload = JSON.parse(String(showResult.stdout || '{}'));
+  const matchedRow = showPayload.data.phases.rows.find((row) => row.metric === 'matchedTargets');
+  assert.deepEqual(matchedRow, { metric: 'matchedTargets', preflight: 1, execute: 1, verify: 0 });
+  assert.equal(showPayload.summary.recoverableBatches, 1);
+
+  const textResult = runCliV2(['runs', 'show', runId, '--state-root', stateRoot, '--output', 'text']);
+  assert.equal(textResult.status, 0);
+  assert.match(String(textResult.stdout || ''), /阶段对比/);
+  assert.match(String(textResult.stdout || ''), new RegExp(batchId));
+});
+
+test('v2 CLI events tail/query 读取控制器事件日志并支持 -f 跟随', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-events-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const stateRoot = path.join(root, 'state');
+  const planResult = runCliV2([
+    'plan',
+    'monthly-cleanup',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--categories',
+    'files',
+    '--months',
+    '2024-01',
+    '--external-storage-auto-detect',
+    'false',
+  ]);
+  assert.equal(planResult.status, 0);
+  const planId = JSON.parse(String(planResult.stdout || '{}')).summary.planId;
+  const applyResult = runCliV2(['apply', planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0);
+  const runId = JSON.parse(String(applyResult.stdout || '{}')).summary.runId;
+
+  const tailResult = runCliV2(['events', 'tail', '-n', '1', '--state-root', stateRoot]);
+  assert.equal(tailResult.status, 0);
+  const tailLines = tailResult.stdout.trim().split('\n');
+  assert.equal(tailLines.length, 1);
+  assert.deepEqual(JSON.parse(tailLines[0]), {
+    ...JSON.parse(tailLines[0]),
+    type: 'run_saved',
+    runId,
+    planId,
+  });
+
+  const queryResult = runCliV2([
+    'events',
+    'query',
+    '--type',
+    'plan_saved,run_saved',
+    '--since',
+    '1h',
+    '--plan',
+    planId,
+    '--state-root',
+    stateRoot,
+    '--output',
+    'text',
+  ]);
+  assert.equal(queryResult.status, 0);
+  const queryLines = queryResult.stdout.trim().split('\n');
+  assert.equal(queryLines.length, 2);
+  assert.match(queryLines[0], new RegExp(`plan_saved｜计划 ${planId}`));
+  assert.match(queryLines[1], new RegExp(`run_saved｜计划 ${planId}｜运行 ${runId}`));
+
+  const payloadResult = runCliV2([
+    'events',
+    'query',
+    '--run',
+    runId,
+    '--state-root',
+    stateRoot,
+    '--output',
+    'agent-json',
+  ]);
+  assert.equal(payloadResult.status, 0);
+  const payload = JSON.parse(payloadResult.stdout);
+  assert.equal(payload.action, 'events_query');
+  assert.equal(payload.summary.matchedEvents, 1);
+
+  assert.equal(runCliV2(['events', 'query', '--until', 'soon', '--state-root', stateRoot]).status, 2);
+  assert.equal(runCliV2(['runs', 'list', '--state-root', stateRoot, '--output', 'ndjson']).status, 2);
+
+  const follower = spawn(
+    process.execPath,
+    [CLI_PATH, 'events', 'tail', '-n', '0', '-f', '--state-root', stateRoot],
+    {
+      cwd: REPO_ROOT,
+      env: { ...process.env, WECOM_CLEANER_NATIVE_AUTO_REPAIR: 'false', WECOM_CLEANER_AUTO_UPDATE: 'false' },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    }
+  );
+  t.after(() => follower.kill());
+  let followed = '';
+  const firstLine = new Promise((resolve) => {
+    follower.stdout.on('data', (chunk) => {
+      followed += String(chunk);
+      if (followed.includes('\n')) {
+        resolve();
+      }
+    });
+  });
+  await new Promise((resolve) => setTimeout(resolve, 800));
+  const verifyResult = runCliV2(['verify', runId, '--state-root', stateRoot]);
+  assert.equal(verifyResult.status, 0);
+  await firstLine;
+  const exited = new Promise((resolve) => follower.on('close', (code) => resolve(code)));
+  follower.kill('SIGINT');
+  assert.equal(await exited, 0);
+  assert.equal(JSON.parse(followed.trim().split('\n')[0]).type, 'run_updated');
+});
+
+test('v2 CLI state gc 默认预演，--ack GC 后按保留规则清理状态目录', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-state-gc-');
+  t.after(async () => removeDir(root));
+
+  const stateRoot = path.join(root, 'state');
+  await ensureFile(
+    path.join(stateRoot, 'plans', 'plan-old.json'),
+    JSON.stringify({ planId: 'plan-old', kind: 'plan_monthly_cleanup', createdAt: 1 })
+  );
+  await ensureFile(
+    path.join(stateRoot, 'plans', 'plan-ref.json'),
+    JSON.stringify({ planId: 'plan-ref', kind: 'plan_monthly_cleanup', createdAt: 2 })
+  );
+  await ensureFile(
+    path.join(stateRoot, 'runs', 'run-new.json'),
+    JSON.stringify({ runId: 'run-new', planId: 'plan-ref', createdAt: Date.now() })
+  );
+
+  const previewResult = runCliV2(['state', 'gc', '--state-root', stateRoot]);
+  assert.equal(previewResult.status, 0);
+  const preview = JSON.parse(previewResult.stdout);
+  assert.equal(preview.action, 'state_gc');
+  assert.equal(preview.dryRun, true);
+  assert.equal(preview.summary.removedPlans, 1);
+  assert.equal(preview.summary.keptReferencedPlans, 1);
+  assert.ok(preview.summary.reclaimedBytes > 0);
+  await fs.access(path.join(stateRoot, 'plans', 'plan-old.json'));
+
+  const applyResult = runCliV2([
+    'state',
+    'gc',
+    '--state-root',
+    stateRoot,
+    '--keep-referenced-plans',
+    'false',
+    '--ack',
+    'GC',
+  ]);
+  assert.equal(applyResult.status, 0);
+  const applied = JSON.parse(applyResult.stdout);
+  assert.equal(applied.dryRun, false);
+  assert.deepEqual(applied.data.removedPlans.map((item) => item.planId).sort(), ['plan-old', 'plan-ref']);
+  assert.deepEqual(await fs.readdir(path.join(stateRoot, 'plans')), []);
+  assert.deepEqual(await fs.readdir(path.join(stateRoot, 'runs')), ['run-new.json']);
+
+  const badResult = runCliV2(['state', 'gc', '--state-root', stateRoot, '--max-runs', 'many']);
+  assert.equal(badResult.status, 2);
+});
+
+test('v2 CLI plan monthly-cleanup --reclaim-goal 最旧优先选择刚好达成目标的目标', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-reclaim-goal-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const acc001 = path.join(profilesRoot, 'acc001', 'Caches');
+  await ensureFile(path.join(acc001, 'Images', '2024-01', 'pic.bin'), 'i'.repeat(50));
+  await ensureFile(path.join(acc001, 'Files', '2024-02', 'doc.bin'), 'f'.repeat(100));
+  const acc002 = await addFixtureAccount(profilesRoot, 'acc002');
+  await ensureFile(path.join(acc002, 'Caches', 'Files', '2024-03', 'big.bin'), 'b'.repeat(200));
+  const stateRoot = path.join(root, 'state');
+  const planArgs = [
+    'plan',
+    'monthly-cleanup',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--categories',
+    'files,images',
+    '--external-storage-auto-detect',
+    'false',
+  ];
+
+  const planResult = runCliV2([...planArgs, '--reclaim-goal', '60']);
+  assert.equal(planResult.status, 0, planResult.stderr);
+  const plan = JSON.parse(planResult.stdout);
+  assert.equal(plan.summary.reclaimGoalBytes, 60);
+  assert.equal(plan.summary.reclaimGoalReachable, true);
+  assert.equal(plan.summary.matchedBytes, 61);
+  assert.deepEqual(
+    plan.data.reclaimGoal.cutoffs.map((row) => [row.accountId, row.categoryKey, row.cutoffMonth]),
+    [
+      ['acc001', 'images', '2024-01'],
+      ['acc002', 'files', '2024-01'],
+    ]
+  );
+  assert.deepEqual(plan.data.selectedMonths, ['2024-01']);
+
+  const applyResult = runCliV2(['apply', plan.summary.planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0, applyResult.stderr);
+  const applied = JSON.parse(applyResult.stdout);
+  assert.equal(applied.summary.successCount, 2);
+  assert.equal(applied.summary.driftAddedTargets, 0);
+  await fs.access(path.join(acc001, 'Files', '2024-01', 'payload.txt'));
+
+  const verifyResult = runCliV2(['verify', applied.summary.runId, '--state-root', stateRoot]);
+  assert.equal(verifyResult.status, 0);
+  const verified = JSON.parse(verifyResult.stdout);
+  assert.equal(verified.summary.deltaGoneTargets, 2);
+  assert.equal(verified.summary.deltaNewTargets, 0);
+
+  const unreachable = JSON.parse(runCliV2([...planArgs, '--reclaim-goal', '1GB', '--output', 'json']).stdout);
+  assert.equal(unreachable.summary.reclaimGoalReachable, false);
+  assert.equal(unreachable.summary.matchedTargets, 3);
+  assert.ok(unreachable.warnings.some((item) => item.includes('不足以达成释放目标')));
+
+  assert.equal(runCliV2([...planArgs, '--reclaim-goal', 'lots']).status, 2);
+});
+
+test('v2 CLI plan monthly-cleanup --keep-latest-months 按账号/类别保留最近月份并冻结绝对月份', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-keep-latest-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const acc001 = path.join(profilesRoot, 'acc001', 'Caches');
+  await ensureFile(path.join(acc001, 'Files', '2024-02', 'doc.bin'), 'f'.repeat(10));
+  await ensureFile(path.join(acc001, 'Files', '2024-03', 'doc.bin'), 'f'.repeat(10));
+  await ensureFile(path.join(acc001, 'Images', '2024-02', 'pic.bin'), 'i'.repeat(10));
+  const acc002 = await addFixtureAccount(profilesRoot, 'acc002');
+  await ensureFile(path.join(acc002, 'Caches', 'Files', '2024-02', 'doc.bin'), 'b'.repeat(10));
+  const stateRoot = path.join(root, 'state');
+  const planArgs = [
+    'plan',
+    'monthly-cleanup',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--categories',
+    'files,images',
+    '--external-storage-auto-detect',
+    'false',
+  ];
+
+  const planResult = runCliV2([...planArgs, '--keep-latest-months', '1']);
+  assert.equal(planResult.status, 0, planResult.stderr);
+  const plan = JSON.parse(planResult.stdout);
+  assert.equal(plan.summary.keepLatestMonths, 1);
+  assert.deepEqual(
+    plan.data.controller.targets.map((row) => `${row.accountId}:${row.categoryKey}:${row.monthKey}`).sort(),
+    ['acc001:files:2024-01', 'acc001:files:2024-02', 'acc002:files:2024-01']
+  );
+  assert.deepEqual(plan.data.selectedMonths, ['2024-01', '2024-02']);
+  assert.deepEqual(
+    plan.data.monthSelection.scopes.map((row) => [
+      row.accountId,
+      row.categoryKey,
+      row.keptMonths,
+      row.cutoffMonth,
+    ]),
+    [
+      ['acc001', 'files', ['2024-03'], '2024-02'],
+      ['acc001', 'images', ['2024-02'], null],
+      ['acc002', 'files', ['2024-02'], '2024-01'],
+    ]
+  );
+
+  const planRecord = JSON.parse(
+    await fs.readFile(path.join(stateRoot, 'plans', `${plan.summary.planId}.json`), 'utf-8')
+  );
+  assert.equal(planRecord.monthSelection.keepLatestMonths, 1);
+  assert.ok(!planRecord.baseLegacyArgv.includes('--keep-latest-months'));
+  assert.equal(
+    planRecord.baseLegacyArgv[planRecord.baseLegacyArgv.indexOf('--months') + 1],
+    '2024-01,2024-02'
+  );
+
+  // 计划生成后出现更新的月份，apply 仍按冻结的目标执行，不会顺延保留窗口
+  await ensureFile(path.join(acc001, 'Files', '2024-04', 'doc.bin'), 'n'.repeat(10));
+  const applyResult = runCliV2(['apply', plan.summary.planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0, applyResult.stderr);
+  const applied = JSON.parse(applyResult.stdout);
+  assert.equal(applied.summary.successCount, 3);
+  assert.equal(applied.summary.driftAddedTargets, 0);
+  await fs.access(path.join(acc001, 'Files', '2024-03', 'doc.bin'));
+  await fs.access(path.join(acc002, 'Caches', 'Files', '2024-02', 'doc.bin'));
+
+  const olderThan = JSON.parse(runCliV2([...planArgs, '--older-than', '6m']).stdout);
+  assert.equal(olderThan.summary.olderThan, '6m');
+  const now = new Date();
+  const expectedCutoff = new Date(now.getFullYear(), now.getMonth() - 7, 1);
+  assert.equal(
+    olderThan.data.monthSelection.cutoffMonth,
+    `${expectedCutoff.getFullYear()}-${String(expectedCutoff.getMonth() + 1).padStart(2, '0')}`
+  );
+
+  assert.equal(runCliV2([...planArgs, '--older-than', '2w']).status, 2);
+  assert.equal(runCliV2([...planArgs, '--older-than', '90d', '--cutoff-month', '2024-01']).status, 2);
+});
+
+test('v2 CLI plan monthly-cleanup --file-older-than 按文件时间清理并按批次恢复', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-file-age-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const filesRoot = path.join(profilesRoot, 'acc001', 'Caches', 'Files');
+  const oldFile = path.join(filesRoot, '2024-01', 'payload.txt');
+  const freshFile = path.join(filesRoot, '2024-01', 'fresh.txt');
+  const tempFile = path.join(filesRoot, 'temp', 'old.tmp');
+  await ensureFile(freshFile, 'fresh');
+  await ensureFile(tempFile, 'temp-old');
+  const oldTime = new Date(Date.now() - 60 * 24 * 3600 * 1000);
+  await fs.utimes(oldFile, oldTime, oldTime);
+  await fs.utimes(tempFile, oldTime, oldTime);
+  const stateRoot = path.join(root, 'state');
+
+  const planResult = runCliV2([
+    'plan',
+    'monthly-cleanup',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--categories',
+    'files',
+    '--file-older-than',
+    '30d',
+    '--external-storage-auto-detect',
+    'false',
+  ]);
+  assert.equal(planResult.status, 0, planResult.stderr);
+  const plan = JSON.parse(planResult.stdout);
+  assert.equal(plan.summary.fileAgeBasis, 'mtime');
+  assert.equal(plan.data.fileAge.matchedFileCount, 2);
+  assert.equal(plan.data.fileAge.keptFileCount, 1);
+  assert.deepEqual(plan.data.controller.targets.map((row) => row.path).sort(), [oldFile, tempFile].sort());
+
+  const planRecord = JSON.parse(
+    await fs.readFile(path.join(stateRoot, 'plans', `${plan.summary.planId}.json`), 'utf-8')
+  );
+  const frozenCutoff = planRecord.baseLegacyArgv[planRecord.baseLegacyArgv.indexOf('--file-older-than') + 1];
+  assert.equal(Date.parse(frozenCutoff), plan.summary.fileAgeCutoffAt);
+
+  const applyResult = runCliV2(['apply', plan.summary.planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0, applyResult.stderr);
+  const applied = JSON.parse(applyResult.stdout);
+  assert.equal(applied.summary.successCount, 2);
+  await assert.rejects(fs.access(oldFile));
+  assert.equal(await fs.readFile(freshFile, 'utf-8'), 'fresh');
+
+  const indexRows = (await fs.readFile(path.join(stateRoot, 'index.jsonl'), 'utf-8'))
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line))
+    .filter((row) => row.batchId === applied.summary.batchId && row.status === 'success');
+  assert.deepEqual(indexRows.map((row) => row.sourcePath).sort(), [oldFile, tempFile].sort());
+  assert.ok(indexRows.every((row) => row.containerPath));
+
+  const restoreResult = runCliV2([
+    'recover',
+    'run',
+    applied.summary.runId,
+    '--state-root',
+    stateRoot,
+    '--ack',
+    'RESTORE',
+  ]);
+  assert.equal(restoreResult.status, 0, restoreResult.stderr);
+  assert.equal(JSON.parse(restoreResult.stdout).summary.successCount, 2);
+  assert.equal(await fs.readFile(oldFile, 'utf-8'), 'hello');
+  assert.equal(await fs.readFile(tempFile, 'utf-8'), 'temp-old');
+});
+
+test('v2 CLI plan monthly-cleanup 按扩展名与文件大小逐文件筛选', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-ext-filter-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const monthRoot = path.join(profilesRoot, 'acc001', 'Caches', 'Files', '2024-01');
+  await ensureFile(path.join(monthRoot, 'movie.mp4'), 'm'.repeat(2048));
+  await ensureFile(path.join(monthRoot, 'clip.mp4'), 'c'.repeat(10));
+  await ensureFile(path.join(monthRoot, 'report.pdf'), 'p'.repeat(4096));
+  const stateRoot = path.join(root, 'state');
+  const planArgs = [
+    'plan',
+    'monthly-cleanup',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--categories',
+    'files',
+    '--months',
+    '2024-01',
+    '--include-ext',
+    'mp4,mov,zip',
+    '--min-file-size',
+    '1KB',
+    '--external-storage-auto-detect',
+    'false',
+  ];
+
+  const planResult = runCliV2(planArgs);
+  assert.equal(planResult.status, 0, planResult.stderr);
+  const plan = JSON.parse(planResult.stdout);
+  assert.deepEqual(plan.summary.includeExt, ['.mp4', '.mov', '.zip']);
+  assert.deepEqual(
+    plan.data.controller.targets.map((row) => row.path),
+    [path.join(monthRoot, 'movie.mp4')]
+  );
+  assert.equal(plan.data.fileFilter.excludedByExtCount, 2);
+  assert.equal(plan.data.fileFilter.excludedBySizeCount, 1);
+  assert.deepEqual(
+    plan.data.report.executed.byExtension.map((row) => [row.extension, row.totalBytes]),
+    [['.mp4', 2048]]
+  );
+
+  const textResult = runCliV2([...planArgs, '--output', 'text']);
+  assert.match(textResult.stdout, /预演分布（按扩展名）/);
+  assert.match(textResult.stdout, /仅处理 \.mp4\/\.mov\/\.zip/);
+
+  const applyResult = runCliV2(['apply', plan.summary.planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0, applyResult.stderr);
+  await assert.rejects(fs.access(path.join(monthRoot, 'movie.mp4')));
+  await fs.access(path.join(monthRoot, 'report.pdf'));
+  await fs.access(path.join(monthRoot, 'clip.mp4'));
+});
+
+test('v2 CLI pins 固定条目使清理跳过匹配目标并在索引中记录原因', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-pins-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const filesRoot = path.join(profilesRoot, 'acc001', 'Caches', 'Files');
+  await ensureFile(path.join(filesRoot, '2024-02', 'doc.bin'), 'doc');
+  const stateRoot = path.join(root, 'state');
+
+  const addResult = runCliV2([
+    'pins',
+    'add',
+    '--state-root',
+    stateRoot,
+    '--account',
+    'acc001',
+    '--month',
+    '2024-01',
+    '--category',
+    'files',
+    '--note',
+    '合同附件',
+  ]);
+  assert.equal(addResult.status, 0, addResult.stderr);
+  const added = JSON.parse(addResult.stdout);
+  assert.equal(added.action, 'pins_add');
+  assert.equal(added.summary.created, true);
+  const pinId = added.summary.pinId;
+
+  const listed = JSON.parse(runCliV2(['pins', 'list', '--state-root', stateRoot]).stdout);
+  assert.deepEqual(
+    listed.data.pins.map((pin) => [pin.pinId, pin.monthKey, pin.note]),
+    [[pinId, '2024-01', '合同附件']]
+  );
+  const listText = runCliV2(['pins', 'list', '--state-root', stateRoot, '--output', 'text']);
+  assert.match(listText.stdout, new RegExp(`${pinId}｜账号 acc001｜类别 .+｜月份 2024-01`));
+
+  const planResult = runCliV2([
+    'plan',
+    'monthly-cleanup',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--categories',
+    'files',
+    '--external-storage-auto-detect',
+    'false',
+  ]);
+  assert.equal(planResult.status, 0, planResult.stderr);
+  const plan = JSON.parse(planResult.stdout);
+  const applyResult = runCliV2(['apply', plan.summary.planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0, applyResult.stderr);
+  const applied = JSON.parse(applyResult.stdout);
+  assert.equal(applied.summary.successCount, 1);
+  assert.equal(applied.summary.pinnedSkippedCount, 1);
+  await fs.access(path.join(filesRoot, '2024-01', 'payload.txt'));
+  await assert.rejects(fs.access(path.join(filesRoot, '2024-02', 'doc.bin')));
+
+  const indexRows = String(await fs.readFile(path.join(stateRoot, 'index.jsonl'), 'utf-8'))
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line))
+    .filter((row) => row.action === 'cleanup' && !row.dryRun);
+  const pinnedRow = indexRows.find((row) => row.status === 'skipped_pinned');
+  assert.equal(pinnedRow.error_type, 'pinned');
+  assert.equal(pinnedRow.pinId, pinId);
+  assert.equal(pinnedRow.monthKey, '2024-01');
+
+  const removed = JSON.parse(runCliV2(['pins', 'remove', pinId, '--state-root', stateRoot]).stdout);
+  assert.equal(removed.summary.pinCount, 0);
+  assert.equal(runCliV2(['pins', 'remove', pinId, '--state-root', stateRoot]).status, 2);
+  assert.equal(runCliV2(['pins', 'add', '--state-root', stateRoot, '--month', '2024-13']).status, 2);
+  assert.equal(runCliV2(['pins', 'add', '--state-root', stateRoot, '--note', '无范围']).status, 2);
+});
+
+test('v2 CLI offload 外移目录并通过 recover offload-return 按月份取回', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-offload-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const filesRoot = path.join(profilesRoot, 'acc001', 'Caches', 'Files');
+  await ensureFile(path.join(filesRoot, '2024-02', 'doc.bin'), 'doc');
+  const stateRoot = path.join(root, 'state');
+  const offloadRoot = path.join(root, 'offload');
+  const planArgv = [
+    'plan',
+    'monthly-cleanup',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--categories',
+    'files',
+    '--external-storage-auto-detect',
+    'false',
+    '--delete-mode',
+    'offload',
+  ];
+
+  const missingRoot = runCliV2(planArgv);
+  assert.equal(missingRoot.status, 2);
+  assert.match(missingRoot.stderr, /--offload-root/);
+  assert.equal(runCliV2([...planArgv, '--offload-root', path.join(profilesRoot, 'offload')]).status, 2);
+
+  const planResult = runCliV2([...planArgv, '--offload-root', offloadRoot]);
+  assert.equal(planResult.status, 0, planResult.stderr);
+  const plan = JSON.parse(planResult.stdout);
+  const applyResult = runCliV2(['apply', plan.summary.planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0, applyResult.stderr);
+  const applied = JSON.parse(applyResult.stdout);
+  assert.equal(applied.summary.successCount, 2);
+  assert.equal(applied.summary.offloadRoot, offloadRoot);
+  const mirroredPayload = path.join(offloadRoot, filesRoot.slice(1), '2024-01', 'payload.txt');
+  assert.equal(await fs.readFile(mirroredPayload, 'utf-8'), 'hello');
+  await assert.rejects(fs.access(path.join(filesRoot, '2024-01')));
+
+  const returnArgv = ['recover', 'offload-return', '--root', profilesRoot, '--state-root', stateRoot];
+  const preview = JSON.parse(runCliV2([...returnArgv, '--months', '2024-01']).stdout);
+  assert.equal(preview.action, 'offload_return');
+  assert.equal(preview.dryRun, true);
+  assert.equal(preview.summary.entryCount, 1);
+  assert.deepEqual(preview.summary.months, ['2024-01']);
+  await assert.rejects(fs.access(path.join(filesRoot, '2024-01')));
+
+  const previewText = runCliV2([...returnArgv, '--months', '2024-01', '--output', 'text']);
+  assert.match(previewText.stdout, /取回外移目录/);
+  assert.match(previewText.stdout, /--ack OFFLOAD_RETURN/);
+
+  const returnResult = runCliV2([...returnArgv, '--months', '2024-01', '--ack', 'OFFLOAD_RETURN']);
+  assert.equal(returnResult.status, 0, returnResult.stderr);
+  const returned = JSON.parse(returnResult.stdout);
+  assert.equal(returned.dryRun, false);
+  assert.equal(returned.summary.successCount, 1);
+  assert.equal(await fs.readFile(path.join(filesRoot, '2024-01', 'payload.txt'), 'utf-8'), 'hello');
+  await assert.rejects(fs.access(mirroredPayload));
+
+  const remaining = JSON.parse(runCliV2(returnArgv).stdout);
+  assert.deepEqual(remaining.summary.months, ['2024-02']);
+  assert.equal(runCliV2([...returnArgv, '--months', '2024-13']).status, 2);
+});
+
+test('v2 CLI --atomic 仅接受回收区删除方式并由 apply 沿用', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-atomic-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const stateRoot = path.join(root, 'state');
+  const planArgv = [
+    'plan',
+    'monthly-cleanup',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--categories',
+    'files',
+    '--external-storage-auto-detect',
+    'false',
+    '--atomic',
+  ];
+
+  const archiveResult = runCliV2([...planArgv, '--delete-mode', 'archive']);
+  assert.equal(archiveResult.status, 2);
+  assert.match(archiveResult.stderr, /--atomic/);
+
+  const planResult = runCliV2(planArgv);
+  assert.equal(planResult.status, 0, planResult.stderr);
+  const plan = JSON.parse(planResult.stdout);
+  const applyResult = runCliV2(['apply', plan.summary.planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0, applyResult.stderr);
+  const applied = JSON.parse(applyResult.stdout);
+  assert.equal(applied.summary.successCount, 1);
+  assert.equal(applied.summary.atomicRollback, undefined);
+});
+
+test('v2 CLI --concurrency 并发执行并报告阶段吞吐', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-concurrency-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const filesRoot = path.join(profilesRoot, 'acc001', 'Caches', 'Files');
+  for (const monthKey of ['2024-02', '2024-03', '2024-04']) {
+    await ensureFile(path.join(filesRoot, monthKey, 'doc.bin'), monthKey);
+  }
+  const stateRoot = path.join(root, 'state');
+  const planArgv = [
+    'plan',
+    'monthly-cleanup',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--categories',
+    'files',
+    '--external-storage-auto-detect',
+    'false',
+  ];
+  assert.equal(runCliV2([...planArgv, '--concurrency', '0']).status, 2);
+  assert.equal(runCliV2([...planArgv, '--concurrency', '99']).status, 2);
+
+  const plan = JSON.parse(runCliV2([...planArgv, '--concurrency', '3']).stdout);
+  const applyResult = runCliV2(['apply', plan.summary.planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0, applyResult.stderr);
+  const applied = JSON.parse(applyResult.stdout);
+  assert.equal(applied.summary.successCount, 4);
+  assert.equal(applied.summary.concurrency, 3);
+  assert.equal(typeof applied.summary.elapsedMs, 'number');
+  const executePhase = applied.data.taskPhases.find((phase) => phase.name === 'execute');
+  assert.ok('bytesPerSecond' in executePhase.stats);
+});
+
+test('v2 CLI recover resume/rollback 读取中断日志续做剩余目标', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-journal-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const filesRoot = path.join(profilesRoot, 'acc001', 'Caches', 'Files');
+  await ensureFile(path.join(filesRoot, '2024-02', 'doc.bin'), 'doc');
+  const stateRoot = path.join(root, 'state');
+  const recycleRoot = path.join(stateRoot, 'recycle-bin');
+  const batchId = '20240301-000000-abcdef';
+  const targets = ['2024-01', '2024-02'].map((monthKey) => ({
+    path: path.join(filesRoot, monthKey),
+    accountId: 'acc001',
+    categoryKey: 'files',
+    monthKey,
+    sizeBytes: 5,
+  }));
+  // 模拟第一个目标已改名进回收区、尚未写索引时进程中断
+  const inflightDest = path.join(recycleRoot, batchId, '0001_2024-01');
+  await fs.mkdir(path.dirname(inflightDest), { recursive: true });
+  await fs.rename(targets[0].path, inflightDest);
+  const journalRows = [
+    {
+      type: 'begin',
+      time: Date.now(),
+      batchId,
+      deleteMode: 'recycle',
+      scope: 'cleanup_monthly',
+      recycleRoot,
+      allowedRoots: [profilesRoot],
+      targets,
+    },
+    { type: 'intent', index: 0, op: 'move', sourcePath: targets[0].path, destPath: inflightDest },
+  ];
+  await ensureFile(
+    path.join(stateRoot, 'journals', `${batchId}.journal.jsonl`),
+    journalRows.map((row) => `${JSON.stringify(row)}\n`).join('')
+  );
+
+  const baseArgv = [
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--external-storage-auto-detect',
+    'false',
+  ];
+  const rollbackPreview = JSON.parse(runCliV2(['recover', 'rollback', batchId, ...baseArgv]).stdout);
+  assert.equal(rollbackPreview.action, 'batch_rollback');
+  assert.equal(rollbackPreview.dryRun, true);
+  assert.equal(rollbackPreview.summary.pendingCount, 1);
+  assert.deepEqual(rollbackPreview.data.pendingPaths, [targets[0].path]);
+
+  const previewText = runCliV2(['recover', 'resume', batchId, ...baseArgv, '--output', 'text']);
+  assert.match(previewText.stdout, /续做中断批次/);
+  assert.match(previewText.stdout, /--ack RESUME/);
+  assert.equal(await fs.readFile(path.join(filesRoot, '2024-02', 'doc.bin'), 'utf-8'), 'doc');
+
+  const resumeResult = runCliV2(['recover', 'resume', batchId, ...baseArgv, '--ack', 'RESUME']);
+  assert.equal(resumeResult.status, 0, resumeResult.stderr);
+  const resumed = JSON.parse(resumeResult.stdout);
+  assert.equal(resumed.dryRun, false);
+  assert.equal(resumed.summary.successCount, 2);
+  await assert.rejects(fs.access(path.join(filesRoot, '2024-02')));
+  await assert.rejects(fs.access(path.join(stateRoot, 'journals', `${batchId}.journal.jsonl`)));
+
+  const restorePreview = JSON.parse(runCliV2(['recover', 'restore', batchId, ...baseArgv]).stdout);
+  assert.equal(restorePreview.summary.entryCount, 2);
+  assert.equal(runCliV2(['recover', 'resume', batchId, ...baseArgv]).status, 2);
+});
+
+test('v2 CLI recover run 按运行记录合并恢复全部批次', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-recover-run-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const stateRoot = path.join(root, 'state');
+  const planResult = runCliV2([
+    'plan',
+    'monthly-cleanup',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--categories',
+    'files',
+    '--months',
+    '2024-01',
+    '--external-storage-auto-detect',
+    'false',
+  ]);
+  assert.equal(planResult.status, 0);
+  const planId = JSON.parse(String(planResult.stdout || '{}')).summary.planId;
+  const applyResult = runCliV2(['apply', planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0);
+  const applyPayload = JSON.parse(String(applyResult.stdout || '{}'));
+  const runId = applyPayload.summary.runId;
+  const batchId = applyPayload.summary.batchId;
+
+  const previewResult = runCliV2(['recover', 'run', runId, '--state-root', stateRoot]);
+  assert.equal(previewResult.status, 0);
+  const previewPayload = JSON.parse(String(previewResult.stdout || '{}'));
+  assert.equal(previewPayload.action, 'restore');
+  assert.equal(previewPayload.dryRun, true);
+  assert.deepEqual(previewPayload.summary.batchIds, [batchId]);
+
+  const restoreResult = runCliV2(['recover', 'run', runId, '--state-root', stateRoot, '--ack', 'RESTORE']);
+  assert.equal(restoreResult.status, 0);
+  const restorePayload = JSON.parse(String(restoreResult.stdout || '{}'));
+  assert.equal(restorePayload.dryRun, false);
+  assert.equal(restorePayload.summary.runId, runId);
+  assert.equal(restorePayload.summary.planId, planId);
+  assert.equal(restorePayload.summary.successCount, 1);
+  assert.equal(restorePayload.data.taskCard.action, 'restore');
+
+  const runRecord = JSON.parse(await fs.readFile(path.join(stateRoot, 'runs', `${runId}.json`), 'utf-8'));
+  assert.equal(runRecord.recoverSummary.successCount, 1);
+  assert.equal(typeof runRecord.recoveredAt, 'number');
+
+  const againResult = runCliV2(['recover', 'run', runId, '--state-root', stateRoot, '--ack', 'RESTORE']);
+  assert.equal(againResult.status, 2);
+});
+
+test('v2 CLI recover run 拒绝恢复直接删除模式的运行记录', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-recover-run-direct-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const stateRoot = path.join(root, 'state');
+  const planResult = runCliV2([
+    'plan',
+    'monthly-cleanup',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--categories',
+    'files',
+    '--months',
+    '2024-01',
+    '--external-storage-auto-detect',
+    'false',
+    '--delete-mode',
+    'direct',
+    '--direct-delete-ack',
+    'DIRECT_DELETE',
+  ]);
+  assert.equal(planResult.status, 0);
+  const planId = JSON.parse(String(planResult.stdout || '{}')).summary.planId;
+  const applyResult = runCliV2(['apply', planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0);
+  const runId = JSON.parse(String(applyResult.stdout || '{}')).summary.runId;
+
+  const recoverResult = runCliV2(['recover', 'run', runId, '--state-root', stateRoot, '--ack', 'RESTORE']);
+  assert.equal(recoverResult.status, 2);
+  assert.match(String(recoverResult.stderr || recoverResult.stdout || ''), /直接删除模式/);
+});
+
+test('v2 CLI plan bundle 在同一运行记录内按顺序执行各步骤', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-bundle-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const stateRoot = path.join(root, 'state');
+  const planResult = runCliV2([
+    'plan',
+    'bundle',
+    '--step',
+    'monthly-cleanup:--accounts all --categories files --months 2024-01',
+    '--step',
+    'recycle',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--external-storage-auto-detect',
+    'false',
+  ]);
+  assert.equal(planResult.status, 0, planResult.stderr);
+  const planPayload = JSON.parse(String(planResult.stdout || '{}'));
+  assert.equal(planPayload.action, 'bundle');
+  assert.equal(planPayload.dryRun, true);
+  assert.equal(planPayload.summary.stepCount, 2);
+  assert.equal(planPayload.summary.onFailure, 'stop');
+  assert.deepEqual(
+    planPayload.data.taskPhases.map((phase) => phase.name),
+    ['step1:monthly-cleanup', 'step2:recycle']
+  );
+  assert.equal(planPayload.data.taskPhases[0].stats.matchedTargets, 1);
+  const planId = planPayload.summary.planId;
+
+  const applyResult = runCliV2(['apply', planId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(applyResult.status, 0, applyResult.stderr);
+  const applyPayload = JSON.parse(String(applyResult.stdout || '{}'));
+  assert.equal(applyPayload.action, 'bundle');
+  assert.equal(applyPayload.data.taskCard.decision, 'bundle_executed');
+  assert.equal(applyPayload.summary.completedSteps, 2);
+  assert.equal(applyPayload.summary.successCount, 1);
+  assert.equal(applyPayload.summary.batchIds.length, 1);
+  assert.deepEqual(
+    applyPayload.data.taskPhases.map((phase) => [phase.name, phase.status, phase.dryRun]),
+    [
+      ['step1:monthly-cleanup', 'completed', false],
+      ['step2:recycle', 'completed', false],
+    ]
+  );
+  const runId = applyPayload.summary.runId;
+  const runRecord = JSON.parse(await fs.readFile(path.join(stateRoot, 'runs', `${runId}.json`), 'utf-8'));
+  assert.equal(runRecord.kind, 'plan_bundle');
+  assert.equal(runRecord.steps.length, 2);
+  assert.deepEqual(runRecord.batchIds, applyPayload.summary.batchIds);
+
+  const verifyResult = runCliV2(['verify', runId, '--state-root', stateRoot]);
+  assert.equal(verifyResult.status, 0, verifyResult.stderr);
+  const verifyPayload = JSON.parse(String(verifyResult.stdout || '{}'));
+  assert.equal(verifyPayload.summary.verifiedSteps, 1);
+  assert.equal(verifyPayload.summary.matchedTargets, 0);
+  assert.equal(verifyPayload.data.taskPhases[1].reason, 'not_verifiable');
+
+  const recoverResult = runCliV2(['recover', 'run', runId, '--state-root', stateRoot, '--ack', 'RESTORE']);
+  assert.equal(recoverResult.status, 0, recoverResult.stderr);
+  assert.equal(JSON.parse(String(recoverResult.stdout || '{}')).summary.successCount, 1);
+});
+
+test('v2 CLI plan bundle 按 --on-failure 策略处理失败步骤', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-bundle-failure-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const stateRoot = path.join(root, 'state');
+  const planBundle = (onFailure) => {
+    const result = runCliV2([
+      'plan',
+      'bundle',
+      '--step',
+      'monthly-cleanup:--accounts all --categories files --months 2024-01',
+      '--step',
+      'recycle',
+      '--on-failure',
+      onFailure,
+      '--root',
+      profilesRoot,
+      '--state-root',
+      stateRoot,
+      '--external-storage-auto-detect',
+      'false',
+    ]);
+    assert.equal(result.status, 0, result.stderr);
+    return JSON.parse(String(result.stdout || '{}')).summary.planId;
+  };
+  const stopPlanId = planBundle('stop');
+  const continuePlanId = planBundle('continue');
+  await fs.writeFile(
+    path.join(profilesRoot, 'acc001', 'Caches', 'Files', '2024-01', 'new.txt'),
+    'changed',
+    'utf-8'
+  );
+
+  const stopResult = runCliV2(['apply', stopPlanId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(stopResult.status, 1);
+  const stopPayload = JSON.parse(String(stopResult.stdout || '{}'));
+  assert.equal(stopPayload.ok, false);
+  assert.equal(stopPayload.data.taskCard.decision, 'bundle_stopped');
+  assert.deepEqual(
+    stopPayload.data.taskPhases.map((phase) => [phase.name, phase.status, phase.reason || null]),
+    [
+      ['step1:monthly-cleanup', 'completed', null],
+      ['step2:recycle', 'skipped', 'previous_step_failed'],
+    ]
+  );
+  assert.match(stopPayload.errors[0].message, /计划已漂移/);
+  assert.equal(stopPayload.errors[0].step, 'step1:monthly-cleanup');
+
+  const continueResult = runCliV2(['apply', continuePlanId, '--state-root', stateRoot, '--ack', 'APPLY']);
+  assert.equal(continueResult.status, 1);
+  const continuePayload = JSON.parse(String(continueResult.stdout || '{}'));
+  assert.equal(continuePayload.data.taskCard.decision, 'bundle_partial_failed');
+  assert.deepEqual(
+    continuePayload.data.taskPhases.map((phase) => [phase.name, phase.ok]),
+    [
+      ['step1:monthly-cleanup', false],
+      ['step2:recycle', true],
+    ]
+  );
+
+  const invalidResult = runCliV2(['plan', 'bundle', '--step', 'unknown', '--state-root', stateRoot]);
+  assert.equal(invalidResult.status, 2);
+  assert.match(String(invalidResult.stderr || ''), /无法识别的组合计划步骤/);
+});
+
+test('v2 CLI space-governance 显式 targets 在 verify 阶段按已清理处理', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-governance-targets-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const externalRoot = await prepareConfiguredExternalRoot(root);
+  const stateRoot = path.join(root, 'state');
+
+  const previewPlanResult = runCliV2([
+    'plan',
+    'space-governance',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--external-roots',
+    externalRoot,
+    '--allow-recent-active',
+    'true',
+    '--output',
+    'agent-json',
+  ]);
+  assert.equal(previewPlanResult.status, 0);
+  const previewPlanPayload = JSON.parse(String(previewPlanResult.stdout || '{}'));
+  const targetId = previewPlanPayload.data.selectedTargetIds[0];
+  assert.equal(typeof targetId, 'string');
+
+  const planResult = runCliV2([
+    'plan',
+    'space-governance',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--external-roots',
+    externalRoot,
+    '--allow-recent-active',
+    'true',
+    '--targets',
+    targetId,
+    '--output',
+    'agent-json',
+  ]);
+  assert.equal(planResult.status, 0);
+  const planPayload = JSON.parse(String(planResult.stdout || '{}'));
+  const planId = planPayload.summary.planId;
+
+  const applyResult = runCliV2([
+    'apply',
+    planId,
+    '--state-root',
+    stateRoot,
+    '--ack',
+    'APPLY',
+    '--output',
+    'agent-json',
+  ]);
+  assert.equal(applyResult.status, 0);
+  const applyPayload = JSON.parse(String(applyResult.stdout || '{}'));
+  const runId = applyPayload.summary.runId;
+
+  const verifyResult = runCliV2(['verify', runId, '--state-root', stateRoot, '--output', 'agent-json']);
+  assert.equal(verifyResult.status, 0);
+  const verifyPayload = JSON.parse(String(verifyResult.stdout || '{}'));
+  assert.equal(verifyPayload.summary.matchedTargets, 0);
+});
+
+test('非破坏性动作仅支持 --run-task preview', async (t) => {
+  const root = await makeTempDir('wecom-cli-ni-run-task-analysis-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const stateRoot = path.join(root, 'state');
+
+  const result = runCli([
+    '--analysis-only',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--run-task',
+    'execute',
+  ]);
+  assert.equal(result.status, 2);
+  assert.match(String(result.stderr || ''), /仅支持 --run-task preview/);
+});
+
+test('无交互支持 --scan-debug summary/full 输出扫描诊断', async (t) => {
+  const root = await makeTempDir('wecom-cli-ni-scan-debug-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const stateRoot = path.join(root, 'state');
+
+  const summaryResult = runCli([
+    '--cleanup-monthly',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--categories',
+    'files',
+    '--months',
+    '2024-01',
+    '--scan-debug',
+    'summary',
+    '--external-storage-auto-detect',
+    'false',
+  ]);
+  assert.equal(summaryResult.status, 0);
+  const summaryPayload = JSON.parse(String(summaryResult.stdout || '{}'));
+  assert.equal(summaryPayload.data?.scanDebug?.level, 'summary');
+  assert.equal(typeof summaryPayload.data?.scanDebug?.summary?.matchedTargets, 'number');
+  assert.equal(summaryPayload.data?.scanDebug?.full, undefined);
+
+  const fullResult = runCli([
+    '--cleanup-monthly',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--accounts',
+    'all',
+    '--categories',
+    'files',
+    '--months',
+    '2024-01',
+    '--scan-debug',
+    'full',
     '--external-storage-auto-detect',
     'false',
   ]);
@@ -1757,3 +3217,170 @@ test('无交互支持 --scan-debug summary/full 输出扫描诊断', async (t) =
   assert.equal(fullPayload.data?.scanDebug?.level, 'full');
   assert.equal(Array.isArray(fullPayload.data?.scanDebug?.full?.selectedAccounts), true);
 });
+
+test('v2 CLI apply 在企业微信运行时按 --when-app-running 拒绝、推迟或警告', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-app-running-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const stateRoot = path.join(root, 'state');
+  const fakeBin = await createMockPsBin(root);
+  const env = { PATH: `${fakeBin}:${process.env.PATH || ''}` };
+  const targetPath = path.join(profilesRoot, 'acc001', 'Caches', 'Files', '2024-01');
+  const plan = JSON.parse(
+    runCliV2([
+      'plan',
+      'monthly-cleanup',
+      '--root',
+      profilesRoot,
+      '--state-root',
+      stateRoot,
+      '--accounts',
+      'all',
+      '--categories',
+      'files',
+      '--external-storage-auto-detect',
+      'false',
+    ]).stdout
+  );
+  const applyArgv = ['apply', plan.summary.planId, '--state-root', stateRoot, '--ack', 'APPLY'];
+
+  const refused = runCliV2(applyArgv, env);
+  assert.equal(refused.status, 1);
+  const refusedPayload = JSON.parse(refused.stdout);
+  assert.equal(refusedPayload.ok, false);
+  assert.equal(refusedPayload.summary.status, 'skipped_app_running');
+  assert.deepEqual(refusedPayload.summary.appProcessIds, [4321]);
+  assert.equal(refusedPayload.errors[0].code, 'E_APP_RUNNING');
+  assert.equal(refusedPayload.data.taskCard.decision, 'skipped_app_running');
+  assert.equal(await pathExists(targetPath), true);
+
+  const deferred = runCliV2([...applyArgv, '--when-app-running', 'defer'], env);
+  assert.equal(deferred.status, 0, deferred.stderr);
+  const deferredPayload = JSON.parse(deferred.stdout);
+  assert.equal(deferredPayload.summary.status, 'skipped_app_running');
+  assert.equal(deferredPayload.summary.appRunningPolicy, 'defer');
+  assert.equal(await pathExists(targetPath), true);
+
+  assert.equal(runCliV2([...applyArgv, '--when-app-running', 'later'], env).status, 2);
+
+  const warned = runCliV2([...applyArgv, '--when-app-running', 'warn'], env);
+  assert.equal(warned.status, 0, warned.stderr);
+  const warnedPayload = JSON.parse(warned.stdout);
+  assert.equal(warnedPayload.summary.successCount, 1);
+  assert.equal(
+    warnedPayload.warnings.some((item) => item.includes('企业微信正在运行')),
+    true
+  );
+  assert.equal(await pathExists(targetPath), false);
+});
+
+test('v2 CLI service run 在企业微信运行时推迟且不占用冷却窗口', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-service-app-running-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  const stateRoot = path.join(root, 'state');
+  const launchctlBin = await createMockLaunchctlBin(root);
+  const psBin = await createMockPsBin(root);
+  const env = { HOME: root, PATH: `${launchctlBin}:${process.env.PATH || ''}` };
+
+  const install = runCliV2(
+    [
+      'service',
+      'install',
+      '--root',
+      profilesRoot,
+      '--state-root',
+      stateRoot,
+      '--categories',
+      'files',
+      '--service-retain-days',
+      '180',
+    ],
+    env
+  );
+  assert.equal(install.status, 0, install.stderr);
+
+  const runArgv = [
+    'service',
+    'run',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--service-trigger-source',
+    'service_schedule',
+    '--ack',
+    'SERVICE_RUN',
+  ];
+  const deferred = runCliV2(runArgv, { ...env, PATH: `${psBin}:${env.PATH}` });
+  assert.equal(deferred.status, 0, deferred.stderr);
+  const payload = JSON.parse(deferred.stdout);
+  assert.equal(payload.dryRun, false);
+  assert.equal(payload.summary.status, 'skipped_app_running');
+  assert.equal(await pathExists(path.join(profilesRoot, 'acc001', 'Caches', 'Files', '2024-01')), true);
+  const state = JSON.parse(await fs.readFile(path.join(stateRoot, 'service-state.json'), 'utf-8'));
+  assert.equal(state.lastStatus, 'skipped_app_running');
+  assert.equal(state.lastRunAt, 0);
+
+  // 企业微信退出后的下一次触发不受冷却窗口限制，正常执行
+  const retried = runCliV2(runArgv, env);
+  assert.equal(retried.status, 0, retried.stderr);
+  assert.equal(JSON.parse(retried.stdout).summary.status, 'success');
+});
+
+test('v2 CLI service 按类别保留规则判定到期并按规则汇总', async (t) => {
+  const root = await makeTempDir('wecom-cli-v2-service-retain-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = await prepareFixture(root);
+  for (const dirName of ['Images', 'Voices']) {
+    await ensureFile(path.join(profilesRoot, 'acc001', 'Caches', dirName, '2024-01', 'payload.bin'), dirName);
+  }
+  const stateRoot = path.join(root, 'state');
+  const fakeBin = await createMockLaunchctlBin(root);
+  const env = { HOME: root, PATH: `${fakeBin}:${process.env.PATH || ''}` };
+  const installArgv = [
+    'service',
+    'install',
+    '--root',
+    profilesRoot,
+    '--state-root',
+    stateRoot,
+    '--categories',
+    'files,images,voices',
+    '--service-retain-days',
+    '180',
+  ];
+
+  const unknown = runCliV2([...installArgv, '--service-retain', 'photos=30'], env);
+  assert.equal(unknown.status, 2);
+  assert.match(unknown.stderr, /未知类别: photos/);
+
+  const install = runCliV2([...installArgv, '--service-retain', 'images=5000,voices=off'], env);
+  assert.equal(install.status, 0, install.stderr);
+  assert.deepEqual(JSON.parse(install.stdout).summary.categoryRetention, { images: 5000, voices: 'off' });
+
+  const status = runCliV2(['service', 'status', '--root', profilesRoot, '--state-root', stateRoot], env);
+  assert.equal(status.status, 0, status.stderr);
+  const rules = JSON.parse(status.stdout).data.categoryRules;
+  assert.deepEqual(
+    Object.fromEntries(rules.map((rule) => [rule.categoryKey, [rule.retainDays, rule.source]])),
+    { files: [180, 'default'], images: [5000, 'category'], voices: [null, 'category'] }
+  );
+
+  const run = runCliV2(['service', 'run', '--root', profilesRoot, '--state-root', stateRoot], env);
+  assert.equal(run.status, 0, run.stderr);
+  const payload = JSON.parse(run.stdout);
+  assert.equal(payload.dryRun, true);
+  assert.equal(payload.summary.matchedTargets, 1);
+  assert.deepEqual(
+    payload.data.report.expiredByRule.map((row) => [row.retainDays, row.categoryKeys, row.targetCount]),
+    [
+      [180, ['files'], 1],
+      [5000, ['images'], 0],
+      [null, ['voices'], 0],
+    ]
+  );
+});
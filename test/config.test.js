@@ -127,6 +127,28 @@ test('parseCliArgs 对非法参数会抛出 CliArgError', () => {
   assert.throws(() => parseCliArgs(['--upgrade', 'script']), CliArgError);
   assert.throws(() => parseCliArgs(['--run-task', 'dryrun']), CliArgError);
   assert.throws(() => parseCliArgs(['--scan-debug', 'detail']), CliArgError);
+  assert.throws(() => parseCliArgs(['--include-ext', 'mp4,*']), CliArgError);
+  assert.throws(() => parseCliArgs(['--include-ext', 'tar.gz']), CliArgError);
+  assert.throws(() => parseCliArgs(['--exclude-ext', '.tar.gz']), CliArgError);
+  assert.throws(() => parseCliArgs(['--min-file-size', '2GB', '--max-file-size', '1GB']), /不能大于/);
+  assert.throws(() => parseCliArgs(['--service-retain', 'images=0']), CliArgError);
+  assert.throws(() => parseCliArgs(['--service-retain', 'images=forever']), CliArgError);
+});
+
+test('parseCliArgs 可解析扩展名与文件大小筛选', () => {
+  const parsed = parseCliArgs([
+    '--cleanup-monthly',
+    '--include-ext',
+    'MP4,.mov,*.zip,mp4',
+    '--exclude-ext',
+    'pdf',
+    '--min-file-size',
+    '100MB',
+  ]);
+  assert.deepEqual(parsed.includeExt, ['.mp4', '.mov', '.zip']);
+  assert.deepEqual(parsed.excludeExt, ['.pdf']);
+  assert.equal(parsed.minFileSize, 100 * 1024 ** 2);
+  assert.equal(parsed.maxFileSize, null);
 });
 
 test('parseCliArgs 可解析升级动作参数', () => {
@@ -183,6 +205,8 @@ test('parseCliArgs 可解析删除模式与自动服务参数', () => {
     'DIRECT_DELETE',
     '--service-retain-days',
     '180',
+    '--service-retain',
+    'images=90,videos=14,voices=OFF',
     '--service-delete-mode',
     'service_recycle',
     '--service-recycle-retention-days',
@@ -207,6 +231,7 @@ test('parseCliArgs 可解析删除模式与自动服务参数', () => {
   assert.equal(parsed.deleteMode, 'direct');
   assert.equal(parsed.directDeleteAck, 'DIRECT_DELETE');
   assert.equal(parsed.serviceRetainDays, 180);
+  assert.deepEqual(parsed.serviceCategoryRetention, { images: 90, videos: 14, voices: 'off' });
   assert.equal(parsed.serviceDeleteMode, 'service_recycle');
   assert.equal(parsed.serviceRecycleRetentionDays, 30);
   assert.equal(parsed.serviceRecycleMinKeepBatches, 3);
@@ -277,6 +302,9 @@ test('defaultConfig 输出基础字段完整', () => {
   assert.equal(cfg.theme, 'auto');
   assert.equal(typeof cfg.recycleRetention, 'object');
   assert.equal(cfg.recycleRetention.enabled, true);
+  assert.equal(cfg.stateGc.enabled, false);
+  assert.equal(cfg.stateGc.keepReferencedPlans, true);
+  assert.equal(cfg.planTtlHours, 0);
   assert.equal(typeof cfg.selfUpdate, 'object');
   assert.equal(cfg.selfUpdate.channel, 'stable');
 });
@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import {
+  controllerEventTime,
+  filterControllerEvents,
+  followControllerEvents,
+  parseControllerEventTime,
+  readControllerEventLog,
+} from '../src/controller-events.js';
+import { makeTempDir, removeDir } from './helpers/temp.js';
+
+test('parseControllerEventTime 支持相对时间、时间戳与 ISO 时间', () => {
+  const now = Date.parse('2026-01-02T00:00:00Z');
+  assert.equal(parseControllerEventTime('', now), null);
+  assert.equal(parseControllerEventTime('24h', now), Date.parse('2026-01-01T00:00:00Z'));
+  assert.equal(parseControllerEventTime('30m', now), now - 30 * 60 * 1000);
+  assert.equal(parseControllerEventTime('1767225600000', now), 1767225600000);
+  assert.equal(parseControllerEventTime('2026-01-01T08:00:00Z', now), Date.parse('2026-01-01T08:00:00Z'));
+  assert.ok(Number.isNaN(parseControllerEventTime('yesterday', now)));
+});
+
+test('filterControllerEvents 按类型、时间窗口、计划与运行过滤', () => {
+  const events = [
+    { type: 'plan_saved', planId: 'p1', createdAt: 100 },
+    { type: 'run_saved', planId: 'p1', runId: 'r1', createdAt: 200 },
+    { type: 'run_updated', planId: 'p1', runId: 'r1', updatedAt: 300 },
+    { type: 'plan_discarded', planId: 'p2', discardedAt: 400 },
+  ];
+  const pick = (filters) =>
+    filterControllerEvents(events, filters).map((event) => controllerEventTime(event));
+
+  assert.deepEqual(pick({}), [100, 200, 300, 400]);
+  assert.deepEqual(pick({ types: ['run_saved', 'run_updated'] }), [200, 300]);
+  assert.deepEqual(pick({ since: 200, until: 300 }), [200, 300]);
+  assert.deepEqual(pick({ planId: 'p2' }), [400]);
+  assert.deepEqual(pick({ runId: 'r1', types: ['run_updated'] }), [300]);
+});
+
+test('followControllerEvents 从偏移量开始流式读取新增事件并容忍半行写入', async (t) => {
+  const root = await makeTempDir('wecom-controller-events-');
+  t.after(async () => removeDir(root));
+  const eventsPath = path.join(root, 'events.jsonl');
+  await fs.writeFile(
+    eventsPath,
+    `${JSON.stringify({ type: 'plan_saved', planId: 'p0' })}\nnot-json\n`,
+    'utf-8'
+  );
+
+  const log = await readControllerEventLog(eventsPath);
+  assert.deepEqual(
+    log.events.map((event) => event.planId),
+    ['p0']
+  );
+
+  const abortController = new AbortController();
+  const received = [];
+  const following = followControllerEvents(eventsPath, {
+    offset: log.offset,
+    intervalMs: 20,
+    signal: abortController.signal,
+    onEvent: (event) => {
+      received.push(event.planId);
+      if (received.length === 2) {
+        abortController.abort();
+      }
+    },
+  });
+  const line = JSON.stringify({ type: 'plan_saved', planId: 'p1' });
+  await fs.appendFile(eventsPath, line.slice(0, 10), 'utf-8');
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  await fs.appendFile(
+    eventsPath,
+    `${line.slice(10)}\n${JSON.stringify({ type: 'plan_saved', planId: 'p2' })}\n`
+  );
+  await following;
+
+  assert.deepEqual(received, ['p1', 'p2']);
+  assert.deepEqual((await readControllerEventLog(path.join(root, 'missing.jsonl'))).events, []);
+});
@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { normalizeStateGcPolicy, runControllerStateGc, selectStateGcRecords } from '../src/controller-gc.js';
+import { defaultControllerStatePaths } from '../src/controller-state.js';
+import { ensureFile, makeTempDir, removeDir } from './helpers/temp.js';
+
+const DAY_MS = 24 * 3600 * 1000;
+
+test('normalizeStateGcPolicy 支持 0 关闭规则并回退默认值', () => {
+  const policy = normalizeStateGcPolicy({ maxPlans: 0, runMaxAgeDays: -1, enabled: true }, { maxRuns: 7 });
+  assert.equal(policy.enabled, true);
+  assert.equal(policy.maxPlans, 0);
+  assert.equal(policy.runMaxAgeDays, 90);
+  assert.equal(policy.maxRuns, 7);
+  assert.equal(policy.keepReferencedPlans, true);
+});
+
+test('selectStateGcRecords 按年龄与数量淘汰并保留被运行引用的计划', () => {
+  const now = 100 * DAY_MS;
+  const plans = [
+    { planId: 'p3', createdAt: now - DAY_MS },
+    { planId: 'p2', createdAt: now - 40 * DAY_MS },
+    { planId: 'p1', createdAt: now - 50 * DAY_MS },
+  ];
+  const runs = [
+    { runId: 'r2', planId: 'p2', createdAt: now - DAY_MS },
+    { runId: 'r1', planId: 'p1', createdAt: now - 95 * DAY_MS },
+  ];
+  const policy = normalizeStateGcPolicy({ planMaxAgeDays: 30, runMaxAgeDays: 90, maxRuns: 0, maxPlans: 0 });
+
+  const selection = selectStateGcRecords({ plans, runs }, policy, now);
+  assert.deepEqual(
+    selection.runs.map((item) => [item.run.runId, item.reason]),
+    [['r1', 'max_age']]
+  );
+  assert.deepEqual(
+    selection.plans.map((item) => [item.plan.planId, item.reason]),
+    [['p1', 'max_age']]
+  );
+  assert.deepEqual(selection.keptReferencedPlans, [{ planId: 'p2', reason: 'referenced_by_run' }]);
+
+  const countOnly = selectStateGcRecords(
+    { plans, runs },
+    { ...policy, planMaxAgeDays: 0, maxPlans: 1, keepReferencedPlans: false },
+    now
+  );
+  assert.deepEqual(
+    countOnly.plans.map((item) => [item.plan.planId, item.reason]),
+    [
+      ['p2', 'max_count'],
+      ['p1', 'max_count'],
+    ]
+  );
+});
+
+test('runControllerStateGc 预演不落盘，执行后删除记录并压缩轮转事件日志', async (t) => {
+  const root = await makeTempDir('wecom-controller-gc-');
+  t.after(async () => removeDir(root));
+
+  const now = Date.now();
+  const paths = defaultControllerStatePaths(root);
+  const latestTaskPath = path.join(root, 'latest-task.json');
+  await ensureFile(
+    path.join(paths.plansRoot, 'p-old.json'),
+    JSON.stringify({ planId: 'p-old', createdAt: 1 })
+  );
+  await ensureFile(path.join(paths.runsRoot, 'r-old.json'), JSON.stringify({ runId: 'r-old', createdAt: 1 }));
+  await ensureFile(
+    path.join(paths.runsRoot, 'r-new.json'),
+    JSON.stringify({ runId: 'r-new', createdAt: now })
+  );
+  await ensureFile(
+    paths.eventsPath,
+    `${JSON.stringify({ type: 'plan_saved', planId: 'p-old' })}\n`.repeat(2000)
+  );
+  await ensureFile(latestTaskPath, '{}');
+  const staleTime = new Date(now - 60 * DAY_MS);
+  await fs.utimes(latestTaskPath, staleTime, staleTime);
+  const archiveRoot = path.join(root, 'events-archive');
+  await ensureFile(path.join(archiveRoot, 'events-20240101000000.jsonl.gz'), 'old-archive');
+  await ensureFile(path.join(archiveRoot, 'events-20250101000000.jsonl.gz'), 'newer-archive');
+  const policy = { eventsMaxMB: 0, eventsKeepArchives: 2, latestTaskMaxAgeDays: 30 };
+
+  const preview = await runControllerStateGc({ paths, latestTaskPath, policy, dryRun: true, now });
+  assert.equal(preview.dryRun, true);
+  assert.deepEqual(
+    preview.removedRuns.map((item) => item.runId),
+    ['r-old']
+  );
+  assert.deepEqual(
+    preview.removedPlans.map((item) => item.planId),
+    ['p-old']
+  );
+  assert.equal(preview.eventsRotation, null);
+  assert.equal(preview.removedArchives.length, 0);
+  assert.ok(preview.removedLatestTask);
+  assert.ok(preview.reclaimedBytes > 0);
+  await fs.access(path.join(paths.runsRoot, 'r-old.json'));
+
+  await fs.appendFile(paths.eventsPath, 'x'.repeat(1024 * 1024));
+  const applied = await runControllerStateGc({
+    paths,
+    latestTaskPath,
+    policy: { ...policy, eventsMaxMB: 1 },
+    dryRun: false,
+    now,
+  });
+  assert.equal(applied.errors.length, 0);
+  assert.ok(applied.eventsRotation.compressedBytes < applied.eventsRotation.originalBytes);
+  assert.deepEqual(
+    applied.removedArchives.map((item) => path.basename(item.file)),
+    ['events-20240101000000.jsonl.gz']
+  );
+  assert.deepEqual(await fs.readdir(paths.runsRoot), ['r-new.json']);
+  assert.deepEqual(await fs.readdir(paths.plansRoot), []);
+  assert.deepEqual((await fs.readdir(archiveRoot)).length, 2);
+  await assert.rejects(fs.access(latestTaskPath));
+
+  const events = String(await fs.readFile(paths.eventsPath, 'utf-8'))
+    .trim()
+    .split('\n');
+  assert.equal(events.length, 1);
+  assert.equal(JSON.parse(events[0]).type, 'state_gc');
+  assert.equal(JSON.parse(events[0]).reclaimedBytes, applied.reclaimedBytes);
+});
@@ -0,0 +1,325 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PLAN_BUNDLE_KIND,
+  aggregatePlanBundleSummaries,
+  buildCleanupSelectionSignature,
+  buildPlanExportDocument,
+  buildRunPhaseComparison,
+  buildVerifyDeltaReport,
+  classifyExecutedTargets,
+  collectPlanReferencedPaths,
+  diffFrozenPlanTargets,
+  editPlanTargetRules,
+  evaluatePlanDrift,
+  filterPlanRecords,
+  isPlanExpired,
+  parsePlanBundleFailurePolicy,
+  parsePlanDriftPolicy,
+  rebuildImportedPlanArgv,
+  resolveRunBatchIds,
+  summarizePlanRecord,
+  summarizeVerifyDelta,
+  verifyPlanExportDocument,
+} from '../src/controller-plan.js';
+
+function cleanupTarget(monthKey, sizeBytes) {
+  return {
+    accountId: 'acc001',
+    categoryKey: 'files',
+    monthKey,
+    path: `/profiles/acc001/Caches/Files/${monthKey}`,
+    sizeBytes,
+  };
+}
+
+test('diffFrozenPlanTargets 按路径比较冻结目标集合', () => {
+  const baseTargets = [cleanupTarget('2024-01', 10), cleanupTarget('2024-02', 20)];
+  const otherTargets = [cleanupTarget('2024-02', 25), cleanupTarget('2024-03', 30)];
+  const diff = diffFrozenPlanTargets(
+    {
+      action: 'cleanup_monthly',
+      previewTargets: baseTargets,
+      previewSelectionSignature: buildCleanupSelectionSignature(baseTargets),
+    },
+    {
+      action: 'cleanup_monthly',
+      previewTargets: otherTargets,
+      previewSelectionSignature: buildCleanupSelectionSignature(otherTargets),
+    }
+  );
+
+  assert.equal(diff.comparable, true);
+  assert.equal(diff.signatureMatched, false);
+  assert.deepEqual(
+    diff.added.map((row) => row.monthKey),
+    ['2024-03']
+  );
+  assert.deepEqual(
+    diff.removed.map((row) => row.monthKey),
+    ['2024-01']
+  );
+  assert.equal(diff.changed[0].deltaBytes, 5);
+  assert.equal(diff.addedBytes, 30);
+  assert.equal(diff.removedBytes, 10);
+
+  const legacy = diffFrozenPlanTargets({ action: 'cleanup_monthly' }, { action: 'cleanup_monthly' });
+  assert.equal(legacy.comparable, false);
+});
+
+test('parsePlanDriftPolicy 与 evaluatePlanDrift 按漂移策略裁决并保留交集', () => {
+  assert.deepEqual(parsePlanDriftPolicy(''), { mode: 'strict', tolerancePct: 0 });
+  assert.deepEqual(parsePlanDriftPolicy('shrink-only'), { mode: 'shrink_only', tolerancePct: 0 });
+  assert.deepEqual(parsePlanDriftPolicy('tolerance=5'), { mode: 'tolerance', tolerancePct: 5 });
+  assert.equal(parsePlanDriftPolicy('tolerance=abc'), null);
+  assert.equal(parsePlanDriftPolicy('loose'), null);
+
+  const frozen = [cleanupTarget('2024-01', 100), cleanupTarget('2024-02', 100)];
+  const shrunk = [cleanupTarget('2024-02', 90)];
+  const shrinkOnly = evaluatePlanDrift(frozen, shrunk, parsePlanDriftPolicy('shrink-only'));
+  assert.equal(shrinkOnly.allowed, true);
+  assert.deepEqual(shrinkOnly.keptTargetKeys, [cleanupTarget('2024-02', 0).path]);
+  assert.deepEqual(
+    shrinkOnly.droppedTargets.map((row) => row.monthKey),
+    ['2024-01']
+  );
+  assert.equal(evaluatePlanDrift(frozen, shrunk, parsePlanDriftPolicy('strict')).reason, 'strict');
+
+  const grown = [cleanupTarget('2024-01', 100), cleanupTarget('2024-02', 104), cleanupTarget('2024-03', 4)];
+  assert.equal(evaluatePlanDrift(frozen, grown, parsePlanDriftPolicy('shrink-only')).reason, 'targets_grown');
+  const tolerated = evaluatePlanDrift(frozen, grown, parsePlanDriftPolicy('tolerance=5'));
+  assert.equal(tolerated.allowed, true);
+  assert.equal(tolerated.driftPct, 4);
+  assert.equal(tolerated.keptTargetCount, 2);
+  assert.deepEqual(
+    tolerated.addedTargets.map((row) => row.monthKey),
+    ['2024-03']
+  );
+  assert.equal(
+    evaluatePlanDrift(frozen, grown, parsePlanDriftPolicy('tolerance=3')).reason,
+    'tolerance_exceeded'
+  );
+  assert.equal(evaluatePlanDrift(frozen, frozen, parsePlanDriftPolicy('strict')).allowed, true);
+});
+
+test('buildVerifyDeltaReport 区分已消失、重新出现、失败与新增目标', () => {
+  const executed = classifyExecutedTargets(
+    [
+      cleanupTarget('2024-01', 10),
+      cleanupTarget('2024-02', 20),
+      cleanupTarget('2024-03', 30),
+      cleanupTarget('2024-04', 40),
+    ],
+    {
+      failedPaths: ['/profiles/acc001/Caches/Files/2024-03'],
+      skippedPaths: ['/profiles/acc001/Caches/Files/2024-04'],
+    }
+  );
+  assert.deepEqual(
+    executed.map((row) => row.outcome),
+    ['success', 'success', 'failed', 'skipped']
+  );
+
+  const delta = buildVerifyDeltaReport(executed, [
+    cleanupTarget('2024-02', 25),
+    cleanupTarget('2024-03', 30),
+    cleanupTarget('2024-04', 40),
+    cleanupTarget('2024-05', 7),
+  ]);
+  assert.equal(delta.baselineTargets, 4);
+  assert.equal(delta.skippedTargets, 1);
+  assert.deepEqual(delta.gone.byMonth, [{ key: '2024-01', count: 1, bytes: 10 }]);
+  assert.equal(delta.reappeared.bytes, 25);
+  assert.equal(delta.reappeared.targets[0].executedSizeBytes, 20);
+  assert.equal(delta.failed.targets[0].stillPresent, true);
+  assert.deepEqual(delta.new.byCategory, [{ key: 'files', count: 1, bytes: 7 }]);
+
+  const summary = summarizeVerifyDelta(delta);
+  assert.equal(summary.deltaGoneTargets, 1);
+  assert.equal(summary.deltaNewBytes, 7);
+  assert.equal(summarizeVerifyDelta(null).deltaReappearedTargets, null);
+});
+
+test('isPlanExpired 仅对带 expiresAt 的计划生效', () => {
+  assert.equal(isPlanExpired({ createdAt: 1 }, Date.now()), false);
+  assert.equal(isPlanExpired({ expiresAt: 1000 }, 999), false);
+  assert.equal(isPlanExpired({ expiresAt: 1000 }, 1001), true);
+});
+
+test('组合计划辅助函数解析失败策略并汇总各步骤统计', () => {
+  assert.equal(parsePlanBundleFailurePolicy(''), 'stop');
+  assert.equal(parsePlanBundleFailurePolicy('Continue'), 'continue');
+  assert.equal(parsePlanBundleFailurePolicy('retry'), null);
+
+  const total = aggregatePlanBundleSummaries([
+    { matchedTargets: 2, reclaimedBytes: 10, successCount: 2 },
+    null,
+    { matchedTargets: 1, reclaimedBytes: 5, failedCount: 1 },
+  ]);
+  assert.equal(total.matchedTargets, 3);
+  assert.equal(total.reclaimedBytes, 15);
+  assert.equal(total.successCount, 2);
+  assert.equal(total.failedCount, 1);
+
+  const summary = summarizePlanRecord({ planId: 'b1', kind: PLAN_BUNDLE_KIND, steps: [{}, {}] });
+  assert.equal(summary.stepCount, 2);
+  assert.equal(summary.frozenTargetCount, null);
+});
+
+test('filterPlanRecords 支持类型、状态与天数筛选', () => {
+  const day = 24 * 3600 * 1000;
+  const now = 100 * day;
+  const plans = [
+    { planId: 'p1', kind: 'plan_monthly_cleanup', createdAt: now - 10 * day },
+    { planId: 'p2', kind: 'plan_space_governance', createdAt: now - 2 * day },
+    { planId: 'p3', kind: 'plan_monthly_cleanup', createdAt: now - day / 2 },
+  ];
+  const appliedPlanIds = new Set(['p1']);
+  const pick = (filters) =>
+    filterPlanRecords(plans, filters, { now, appliedPlanIds }).map((plan) => plan.planId);
+
+  assert.deepEqual(pick({}), ['p3', 'p2', 'p1']);
+  assert.deepEqual(pick({ kind: 'monthly-cleanup' }), ['p3', 'p1']);
+  assert.deepEqual(pick({ kind: 'bundle' }), []);
+  assert.deepEqual(pick({ status: 'pending' }), ['p3', 'p2']);
+  assert.deepEqual(pick({ status: 'applied' }), ['p1']);
+  assert.deepEqual(pick({ minAgeDays: 1 }), ['p2', 'p1']);
+  assert.deepEqual(pick({ maxAgeDays: 3 }), ['p3', 'p2']);
+});
+
+test('summarizePlanRecord 与运行记录辅助函数输出稳定结构', () => {
+  const plan = { planId: 'p1', kind: 'plan_monthly_cleanup', previewSummary: { matchedTargets: 2 } };
+  const runs = [
+    { runId: 'r1', planId: 'p1', createdAt: 1 },
+    { runId: 'r2', planId: 'p1', createdAt: 2 },
+    { runId: 'r3', planId: 'p2', createdAt: 3 },
+  ];
+  const summary = summarizePlanRecord(plan, runs);
+  assert.equal(summary.applied, true);
+  assert.equal(summary.runCount, 2);
+  assert.equal(summary.lastRunId, 'r2');
+  assert.equal(summary.frozenTargetCount, null);
+
+  assert.deepEqual(resolveRunBatchIds({ executeSummary: { batchId: 'b1' } }), ['b1']);
+  assert.deepEqual(resolveRunBatchIds({ batchIds: ['b1', 'b2', 'b1'] }), ['b1', 'b2']);
+
+  const comparison = buildRunPhaseComparison({
+    preflightSummary: { matchedTargets: 3 },
+    executeSummary: { matchedTargets: 3, reclaimedBytes: 42 },
+  });
+  const matchedRow = comparison.rows.find((row) => row.metric === 'matchedTargets');
+  assert.deepEqual(matchedRow, { metric: 'matchedTargets', preflight: 3, execute: 3, verify: null });
+  assert.equal(comparison.phases.verify, null);
+});
+
+test('buildPlanExportDocument 生成 SHA-256 封印并可识别篡改', () => {
+  const targets = [cleanupTarget('2024-01', 10)];
+  const plan = {
+    planId: 'plan-1',
+    kind: 'plan_monthly_cleanup',
+    action: 'cleanup_monthly',
+    createdAt: 1000,
+    expiresAt: 2000,
+    baseLegacyArgv: ['--cleanup-monthly', '--root', '/profiles', '--external-roots', '/ext/a,/ext/b'],
+    previewSelectionSignature: buildCleanupSelectionSignature(targets),
+    previewTargets: targets,
+  };
+  const doc = buildPlanExportDocument(plan, { exportedAt: 3000, appVersion: '1.0.0' });
+  assert.equal(doc.seal.algorithm, 'sha256');
+  assert.match(doc.seal.value, /^[0-9a-f]{64}$/);
+  assert.deepEqual(verifyPlanExportDocument(doc), { ok: true, reason: null });
+  assert.deepEqual(collectPlanReferencedPaths(doc.plan), ['/profiles', '/ext/a', '/ext/b', targets[0].path]);
+
+  const tamperedTarget = structuredClone(doc);
+  tamperedTarget.plan.previewTargets[0].path = '/etc';
+  assert.equal(verifyPlanExportDocument(tamperedTarget).reason, 'seal_mismatch');
+
+  const tamperedExpiry = structuredClone(doc);
+  tamperedExpiry.plan.expiresAt = 9999;
+  assert.equal(verifyPlanExportDocument(tamperedExpiry).reason, 'seal_mismatch');
+
+  const resealed = buildPlanExportDocument({ ...plan, previewTargets: [cleanupTarget('2024-02', 10)] });
+  assert.equal(verifyPlanExportDocument(resealed).reason, 'signature_mismatch');
+  assert.equal(verifyPlanExportDocument({ format: 'other' }).reason, 'invalid_format');
+});
+
+test('verifyPlanExportDocument 拒绝无效 ID、未知类型与白名单外参数', () => {
+  const targets = [cleanupTarget('2024-01', 10)];
+  const plan = {
+    planId: 'plan-1',
+    kind: 'plan_monthly_cleanup',
+    action: 'cleanup_monthly',
+    baseLegacyArgv: ['--cleanup-monthly', '--root', '/profiles'],
+    previewSelectionSignature: buildCleanupSelectionSignature(targets),
+    previewTargets: targets,
+  };
+  const reasonOf = (overrides) =>
+    verifyPlanExportDocument(buildPlanExportDocument({ ...plan, ...overrides })).reason;
+  assert.equal(reasonOf({ planId: '../../runs/x' }), 'invalid_plan_id');
+  assert.equal(reasonOf({ kind: 'plan_bundle', action: 'bundle' }), 'unsupported_kind');
+  assert.equal(reasonOf({ action: 'space_governance' }), 'unsupported_kind');
+  assert.equal(
+    reasonOf({ baseLegacyArgv: ['--cleanup-monthly', '--recycle-root', '/tmp/x'] }),
+    'unsupported_argv'
+  );
+  assert.equal(reasonOf({ baseLegacyArgv: ['--restore', '--root', '/profiles'] }), 'unsupported_argv');
+
+  const rebuilt = rebuildImportedPlanArgv({
+    ...plan,
+    baseLegacyArgv: [
+      '--cleanup-monthly',
+      '--root',
+      '/profiles',
+      '--state-root',
+      '/sender/state',
+      '--delete-mode',
+      'direct',
+      '--direct-delete-ack',
+      'DIRECT_DELETE',
+      '--external-storage-root',
+      '/ext/c,/ext/d',
+      '--months',
+      '2024-01',
+      '--force',
+    ],
+  });
+  assert.equal(rebuilt.ok, true);
+  assert.deepEqual(rebuilt.argv, [
+    '--cleanup-monthly',
+    '--root',
+    '/profiles',
+    '--external-storage-root',
+    '/ext/c,/ext/d',
+    '--months',
+    '2024-01',
+  ]);
+  assert.deepEqual(rebuilt.droppedFlags, ['--state-root', '--delete-mode', '--direct-delete-ack', '--force']);
+  assert.deepEqual(collectPlanReferencedPaths({ baseLegacyArgv: rebuilt.argv, previewTargets: [] }), [
+    '/profiles',
+    '/ext/c',
+    '/ext/d',
+  ]);
+});
+
+test('editPlanTargetRules 维护排除/保留规则并生成新的选择签名', () => {
+  const targets = [cleanupTarget('2024-01', 10), cleanupTarget('2024-02', 20), cleanupTarget('2024-03', 30)];
+  const plan = { action: 'cleanup_monthly', previewTargets: targets };
+  const excluded = editPlanTargetRules(plan, { exclude: ['/profiles/acc001/Caches/Files/2024-0*'] });
+  assert.equal(excluded.keptTargets.length, 0);
+  assert.equal(excluded.excludedTargets.length, 3);
+
+  const reincluded = editPlanTargetRules(
+    { ...plan, targetRules: excluded.rules },
+    { include: [targets[1].path], exclude: ['/profiles/**/2099-*'] }
+  );
+  assert.deepEqual(
+    reincluded.keptTargets.map((row) => row.monthKey),
+    ['2024-02']
+  );
+  assert.deepEqual(reincluded.unmatchedExcludes, ['/profiles/**/2099-*']);
+  assert.equal(reincluded.effectiveSelectionSignature, buildCleanupSelectionSignature([targets[1]]));
+
+  const unknown = editPlanTargetRules(plan, { exclude: ['/not/in/plan'], include: ['*'] });
+  assert.deepEqual(unknown.unknownTargets, ['/not/in/plan']);
+  assert.deepEqual(unknown.globIncludes, ['*']);
+});
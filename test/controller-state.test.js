@@ -4,10 +4,15 @@ import path from 'node:path';
 import { promises as fs } from 'node:fs';
 import {
   defaultControllerStatePaths,
+  discardPlanRecord,
+  isValidRecordId,
+  listPlanRecords,
+  listRunRecords,
   loadPlanRecord,
   loadRunRecord,
   savePlanRecord,
   saveRunRecord,
+  updatePlanRecord,
   updateRunRecord,
 } from '../src/controller-state.js';
 import { makeTempDir, removeDir } from './helpers/temp.js';
@@ -49,3 +54,63 @@ test('controller-state 可保存计划、运行和事件日志', async (t) => {
   assert.equal(JSON.parse(events[1]).type, 'run_saved');
   assert.equal(JSON.parse(events[2]).type, 'run_updated');
 });
+
+test('controller-state 可列出计划与运行记录并丢弃计划', async (t) => {
+  const root = await makeTempDir('wecom-controller-state-list-');
+  t.after(async () => removeDir(root));
+
+  const paths = defaultControllerStatePaths(root);
+  assert.deepEqual(await listPlanRecords(paths), []);
+
+  const older = await savePlanRecord(paths, { kind: 'plan_monthly_cleanup', createdAt: 10 });
+  const newer = await savePlanRecord(paths, { kind: 'plan_space_governance', createdAt: 20 });
+  await saveRunRecord(paths, { kind: 'plan_monthly_cleanup', planId: older.planId, createdAt: 30 });
+  await fs.writeFile(path.join(paths.plansRoot, 'broken.json'), '{', 'utf-8');
+
+  const plans = await listPlanRecords(paths);
+  const runs = await listRunRecords(paths);
+  assert.deepEqual(
+    plans.map((item) => item.planId),
+    [newer.planId, older.planId]
+  );
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].planId, older.planId);
+
+  const updated = await updatePlanRecord(paths, older.planId, {
+    targetRules: { exclude: ['/a'], include: [] },
+  });
+  assert.equal(updated.kind, 'plan_monthly_cleanup');
+  assert.deepEqual((await loadPlanRecord(paths, older.planId)).targetRules.exclude, ['/a']);
+
+  const discarded = await discardPlanRecord(paths, newer.planId);
+  assert.equal(discarded.planId, newer.planId);
+  assert.equal(await loadPlanRecord(paths, newer.planId), null);
+  assert.equal(await discardPlanRecord(paths, 'missing-plan'), null);
+
+  const events = String(await fs.readFile(paths.eventsPath, 'utf-8'))
+    .trim()
+    .split(/\r?\n/)
+    .map((line) => JSON.parse(line));
+  assert.equal(events.at(-2).type, 'plan_updated');
+  assert.equal(events.at(-1).type, 'plan_discarded');
+  assert.equal(events.at(-1).planId, newer.planId);
+});
+
+test('controller-state 拒绝带路径分隔符或 .. 的记录 ID', async (t) => {
+  const root = await makeTempDir('wecom-controller-state-id-');
+  t.after(async () => removeDir(root));
+
+  const paths = defaultControllerStatePaths(root);
+  const run = await saveRunRecord(paths, { kind: 'plan_monthly_cleanup', createdAt: 1 });
+  assert.equal(isValidRecordId(run.runId), true);
+  for (const badId of [`../runs/${run.runId}`, '..', 'a/b', 'A-1', '']) {
+    assert.equal(isValidRecordId(badId), false);
+  }
+  await assert.rejects(discardPlanRecord(paths, `../runs/${run.runId}`), /记录 ID 无效/);
+  await assert.rejects(loadPlanRecord(paths, '../runs/x'), /记录 ID 无效/);
+  await assert.rejects(
+    savePlanRecord(paths, { planId: '../../x', kind: 'plan_monthly_cleanup' }),
+    /记录 ID 无效/
+  );
+  assert.equal((await loadRunRecord(paths, run.runId)).runId, run.runId);
+});
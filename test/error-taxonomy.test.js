@@ -1,6 +1,13 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { classifyErrorType, errorTypeToLabel, ERROR_TYPES } from '../src/error-taxonomy.js';
+import {
+  cancelReasonMessage,
+  classifyErrorType,
+  errorTypeToLabel,
+  ERROR_TYPES,
+  TaskCancelledError,
+  throwIfCancelled,
+} from '../src/error-taxonomy.js';
 
 test('classifyErrorType 能识别常见错误类型', () => {
   assert.equal(classifyErrorType('EACCES: permission denied'), ERROR_TYPES.PERMISSION_DENIED);
@@ -21,3 +28,24 @@ test('errorTypeToLabel 返回可读中文标签', () => {
   assert.equal(errorTypeToLabel('not-exists'), '其他错误');
   assert.equal(errorTypeToLabel(null), '其他错误');
 });
+
+test('throwIfCancelled 在信号中止后抛出 TaskCancelledError', () => {
+  assert.doesNotThrow(() => throwIfCancelled(undefined));
+  const abortController = new AbortController();
+  assert.doesNotThrow(() => throwIfCancelled(abortController.signal));
+
+  abortController.abort();
+  assert.throws(() => throwIfCancelled(abortController.signal), TaskCancelledError);
+  assert.equal(cancelReasonMessage(abortController.signal), '任务已取消');
+
+  const reason = new TaskCancelledError('收到 SIGTERM，任务已取消');
+  const withReason = new AbortController();
+  withReason.abort(reason);
+  assert.throws(
+    () => throwIfCancelled(withReason.signal, 'scan'),
+    (error) => error === reason && error.stage === 'scan'
+  );
+  assert.equal(new TaskCancelledError().stage, null);
+  assert.equal(cancelReasonMessage(withReason.signal), reason.message);
+  assert.equal(errorTypeToLabel(ERROR_TYPES.CANCELLED), '用户取消');
+});
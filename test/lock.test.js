@@ -24,6 +24,13 @@ test('resolveLockPath 与 acquireLock/release 链路正常', async (t) => {
     .then(() => true)
     .catch(() => false);
   assert.equal(existsAfterRelease, false);
+
+  const forced = await acquireLock(root, 'cleanup_monthly');
+  forced.releaseSync();
+  await assert.rejects(fs.stat(lockPath), { code: 'ENOENT' });
+  const reacquired = await acquireLock(root, 'cleanup_monthly');
+  assert.equal(reacquired.lockInfo.recoveredFromStale, undefined);
+  await reacquired.release();
 });
 
 test('acquireLock 能识别运行中锁并自动恢复陈旧锁', async (t) => {
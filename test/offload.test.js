@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { DELETE_MODES } from '../src/constants.js';
+import { executeCleanup } from '../src/cleanup.js';
+import { listRestorableBatches } from '../src/restore.js';
+import { listOffloadedEntries, resolveOffloadPath, returnOffloadedEntries } from '../src/offload.js';
+import { pathExists, readJsonLines } from '../src/utils.js';
+import { ensureFile, makeTempDir, removeDir } from './helpers/temp.js';
+
+test('executeCleanup offload 模式镜像外移并可按月份取回', async (t) => {
+  const root = await makeTempDir('wecom-offload-');
+  t.after(async () => removeDir(root));
+
+  const profileRoot = path.join(root, 'Profiles');
+  const offloadRoot = path.join(root, 'offload');
+  const indexPath = path.join(root, 'index.jsonl');
+  const targets = ['2024-01', '2024-02'].map((monthKey) => ({
+    path: path.join(profileRoot, 'acc001', 'Caches', 'Files', monthKey),
+    accountId: 'acc001-full',
+    accountShortId: 'acc001',
+    categoryKey: 'files',
+    categoryLabel: '聊天文件',
+    monthKey,
+    sizeBytes: 4096,
+  }));
+  for (const target of targets) {
+    await ensureFile(path.join(target.path, 'video.mp4'), Buffer.alloc(4096, 7));
+  }
+
+  const result = await executeCleanup({
+    targets,
+    recycleRoot: path.join(root, 'recycle-bin'),
+    indexPath,
+    dryRun: false,
+    allowedRoots: [profileRoot],
+    deleteMode: DELETE_MODES.OFFLOAD,
+    offloadRoot,
+  });
+  assert.equal(result.successCount, 2);
+  assert.equal(result.recoverable, false);
+  assert.equal(result.offloadRoot, offloadRoot);
+  const mirrored = resolveOffloadPath(offloadRoot, targets[0].path);
+  assert.equal(mirrored, path.join(offloadRoot, targets[0].path.slice(1)));
+  assert.equal(await pathExists(targets[0].path), false);
+  assert.deepEqual(await fs.readFile(path.join(mirrored, 'video.mp4')), Buffer.alloc(4096, 7));
+
+  const rows = await readJsonLines(indexPath);
+  assert.deepEqual(
+    rows.map((row) => [row.deleteMode, row.recyclePath, row.offloadPath, row.offloadFileCount]),
+    [
+      [DELETE_MODES.OFFLOAD, null, mirrored, 1],
+      [DELETE_MODES.OFFLOAD, null, resolveOffloadPath(offloadRoot, targets[1].path), 1],
+    ]
+  );
+  assert.match(rows[0].offloadDigest, /^[0-9a-f]{64}$/);
+  assert.deepEqual(await listRestorableBatches(indexPath, {}), []);
+
+  const entries = await listOffloadedEntries(indexPath, { months: ['2024-01'], accounts: ['acc001'] });
+  assert.deepEqual(
+    entries.map((entry) => entry.monthKey),
+    ['2024-01']
+  );
+  const preview = await returnOffloadedEntries({
+    entries,
+    indexPath,
+    dryRun: true,
+    allowedRoots: [profileRoot],
+  });
+  assert.equal(preview.successCount, 1);
+  assert.equal(await pathExists(targets[0].path), false);
+
+  const outside = await returnOffloadedEntries({
+    entries,
+    indexPath,
+    allowedRoots: [path.join(root, 'other')],
+  });
+  assert.deepEqual(outside.skippedTargets, [{ path: targets[0].path, reason: 'skipped_invalid_path' }]);
+
+  const returned = await returnOffloadedEntries({ entries, indexPath, allowedRoots: [profileRoot] });
+  assert.equal(returned.successCount, 1);
+  assert.equal(returned.returnedBytes, 4096);
+  assert.deepEqual(await fs.readFile(path.join(targets[0].path, 'video.mp4')), Buffer.alloc(4096, 7));
+  assert.equal(await pathExists(mirrored), false);
+  assert.deepEqual(
+    (await listOffloadedEntries(indexPath)).map((entry) => entry.monthKey),
+    ['2024-02']
+  );
+});
+
+test('returnOffloadedEntries 在外移副本被改动时拒绝取回', async (t) => {
+  const root = await makeTempDir('wecom-offload-digest-');
+  t.after(async () => removeDir(root));
+
+  const profileRoot = path.join(root, 'Profiles');
+  const offloadRoot = path.join(root, 'offload');
+  const indexPath = path.join(root, 'index.jsonl');
+  const target = {
+    path: path.join(profileRoot, 'acc001', 'Caches', 'Images', '2024-05'),
+    accountId: 'acc001',
+    categoryKey: 'images',
+    monthKey: '2024-05',
+    sizeBytes: 5,
+  };
+  await ensureFile(path.join(target.path, 'a.jpg'), 'hello');
+  await executeCleanup({
+    targets: [target],
+    recycleRoot: path.join(root, 'recycle-bin'),
+    indexPath,
+    dryRun: false,
+    allowedRoots: [profileRoot],
+    deleteMode: DELETE_MODES.OFFLOAD,
+    offloadRoot,
+  });
+  const offloadPath = resolveOffloadPath(offloadRoot, target.path);
+  await fs.writeFile(path.join(offloadPath, 'a.jpg'), 'HELLO');
+
+  const result = await returnOffloadedEntries({
+    entries: await listOffloadedEntries(indexPath),
+    indexPath,
+    allowedRoots: [profileRoot],
+  });
+  assert.equal(result.failedCount, 1);
+  assert.match(result.errors[0].message, /digest mismatch/);
+  assert.equal(await pathExists(target.path), false);
+  assert.equal(await pathExists(path.join(offloadPath, 'a.jpg')), true);
+
+  await ensureFile(path.join(target.path, 'new.jpg'), 'new');
+  const conflict = await returnOffloadedEntries({
+    entries: await listOffloadedEntries(indexPath),
+    indexPath,
+    allowedRoots: [profileRoot],
+  });
+  assert.deepEqual(conflict.skippedTargets, [{ path: target.path, reason: 'skipped_conflict' }]);
+});
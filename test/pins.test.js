@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { addPin, findMatchingPin, loadPins, removePin } from '../src/pins.js';
+import { makeTempDir, removeDir } from './helpers/temp.js';
+
+test('addPin/removePin 持久化固定条目并对相同范围去重', async (t) => {
+  const root = await makeTempDir('wecom-pins-');
+  t.after(async () => removeDir(root));
+  const pinsPath = path.join(root, 'pins.json');
+
+  const first = await addPin(pinsPath, { accountId: 'acc001', monthKey: '2024-03', categoryKey: 'files' });
+  assert.equal(first.created, true);
+  assert.match(first.pin.pinId, /^pin-[0-9a-f]{8}$/);
+  const duplicate = await addPin(pinsPath, { accountId: 'acc001', monthKey: '2024-3', categoryKey: 'files' });
+  assert.equal(duplicate.created, false);
+  assert.equal(duplicate.pin.pinId, first.pin.pinId);
+  await addPin(pinsPath, { path: path.join(root, 'external'), note: '外部归档' });
+  assert.equal((await loadPins(pinsPath)).length, 2);
+
+  assert.equal((await removePin(pinsPath, first.pin.pinId)).pinId, first.pin.pinId);
+  assert.equal(await removePin(pinsPath, first.pin.pinId), null);
+  assert.deepEqual(
+    (await loadPins(pinsPath)).map((pin) => pin.note),
+    ['外部归档']
+  );
+  assert.deepEqual(await loadPins(path.join(root, 'missing.json')), []);
+});
+
+test('findMatchingPin 要求范围字段全部匹配，路径双向包含即命中', () => {
+  const pins = [
+    { pinId: 'pin-scope', path: null, accountId: 'acc001', monthKey: '2024-03', categoryKey: 'files' },
+    { pinId: 'pin-path', path: '/data/external/keep', accountId: null, monthKey: null, categoryKey: null },
+  ];
+  const target = {
+    accountId: 'acc001-full',
+    accountShortId: 'acc001',
+    categoryKey: 'files',
+    monthKey: '2024-03',
+  };
+
+  assert.equal(findMatchingPin(pins, { ...target, path: '/p/a' })?.pinId, 'pin-scope');
+  assert.equal(findMatchingPin(pins, { ...target, monthKey: '2024-04', path: '/p/a' }), null);
+  assert.equal(findMatchingPin(pins, { ...target, categoryKey: 'images', path: '/p/a' }), null);
+  assert.equal(findMatchingPin(pins, { path: '/data/external/keep/2024-01' })?.pinId, 'pin-path');
+  assert.equal(findMatchingPin(pins, { path: '/data/external' })?.pinId, 'pin-path');
+  assert.equal(findMatchingPin(pins, { path: '/data/external/keeper' }), null);
+});
@@ -259,6 +259,65 @@ test('collectRecycleStats 在只读模式下不会创建缺失回收目录', asy
   assert.equal(await pathExists(recycleRoot), false);
 });
 
+test('collectRecycleStats/maintainRecycleBin 聚合卷级回收目录中的批次', async (t) => {
+  const root = await makeTempDir('wecom-recycle-volume-roots-');
+  t.after(async () => removeDir(root));
+
+  const recycleRoot = path.join(root, 'recycle-bin');
+  const volumeRecycleRoot = path.join(root, 'Ext', '.wecom-cleaner-recycle', 'recycle-bin');
+  const indexPath = path.join(root, 'index.jsonl');
+  await createBatch({ recycleRoot, indexPath, batchId: 'split-batch', ageDays: 60, sizeBytes: 1024 });
+  await createBatch({
+    recycleRoot: volumeRecycleRoot,
+    indexPath,
+    batchId: 'split-batch',
+    ageDays: 60,
+    sizeBytes: 2048,
+  });
+  await createBatch({
+    recycleRoot: volumeRecycleRoot,
+    indexPath,
+    batchId: 'volume-only',
+    ageDays: 1,
+    sizeBytes: 512,
+  });
+
+  const defaultOnly = await collectRecycleStats({ indexPath, recycleRoot });
+  assert.equal(defaultOnly.totalBatches, 1);
+  assert.equal(defaultOnly.totalBytes, 1024);
+
+  const stats = await collectRecycleStats({
+    indexPath,
+    recycleRoot,
+    extraRecycleRoots: [volumeRecycleRoot],
+  });
+  assert.equal(stats.totalBatches, 2);
+  assert.equal(stats.indexedBytes, 1024 + 2048 + 512);
+  assert.equal(stats.totalBytes, 1024 + 2048 + 512);
+  assert.deepEqual(stats.recycleRoots, [recycleRoot, volumeRecycleRoot]);
+
+  const result = await maintainRecycleBin({
+    indexPath,
+    recycleRoot,
+    extraRecycleRoots: [volumeRecycleRoot],
+    policy: { enabled: true, maxAgeDays: 30, minKeepBatches: 1, sizeThresholdGB: 20 },
+    dryRun: false,
+  });
+  assert.equal(result.status, 'success');
+  assert.equal(result.deletedBatches, 1);
+  assert.deepEqual(result.operations[0].batchRoots, [
+    path.join(recycleRoot, 'split-batch'),
+    path.join(volumeRecycleRoot, 'split-batch'),
+  ]);
+  assert.equal(await pathExists(path.join(recycleRoot, 'split-batch')), false);
+  assert.equal(await pathExists(path.join(volumeRecycleRoot, 'split-batch')), false);
+  assert.equal(await pathExists(path.join(volumeRecycleRoot, 'volume-only')), true);
+  assert.equal(result.after.totalBatches, 1);
+
+  const rows = await readJsonLines(indexPath);
+  assert.deepEqual(rows.at(-1).volume_recycle_roots, [volumeRecycleRoot]);
+});
+
 test('maintainRecycleBin 的 dry-run 在回收区缺失时保持只读', async (t) => {
   const root = await makeTempDir('wecom-recycle-maintain-dryrun-readonly-');
   t.after(async () => removeDir(root));
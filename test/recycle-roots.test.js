@@ -0,0 +1,195 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { DELETE_MODES } from '../src/constants.js';
+import { executeCleanup } from '../src/cleanup.js';
+import { listRestorableBatches } from '../src/restore.js';
+import {
+  createVolumeRecycleResolver,
+  findVolumeRoot,
+  listVolumeRecycleRoots,
+  loadVolumeRecycleRoots,
+  registerVolumeRecycleRoot,
+  resolveVolumeRecycleRoot,
+  VOLUME_RECYCLE_DIR_NAME,
+} from '../src/recycle-roots.js';
+import { pathExists } from '../src/utils.js';
+import { ensureFile, makeTempDir, removeDir } from './helpers/temp.js';
+
+const SHM_ROOT = '/dev/shm';
+
+async function crossDeviceScratchRoot() {
+  // 需要一个与系统临时目录不同设备号的可写目录才能覆盖跨卷分支
+  const [tmpStat, shmStat] = await Promise.all([
+    fs.stat(os.tmpdir()).catch(() => null),
+    fs.stat(SHM_ROOT).catch(() => null),
+  ]);
+  return tmpStat && shmStat && tmpStat.dev !== shmStat.dev ? SHM_ROOT : null;
+}
+
+test('registerVolumeRecycleRoot 去重登记并按默认回收区筛选', async (t) => {
+  const root = await makeTempDir('wecom-recycle-roots-');
+  t.after(async () => removeDir(root));
+  const registryPath = path.join(root, 'recycle-roots.json');
+  const recycleRoot = path.join(root, 'state', 'recycle-bin');
+  const serviceRecycleRoot = path.join(root, 'state', 'service-recycle-bin');
+  const volumeRoot = path.join(root, 'Volumes', 'Ext');
+
+  const manualVolumeRoot = resolveVolumeRecycleRoot(volumeRoot, recycleRoot);
+  assert.equal(manualVolumeRoot, path.join(volumeRoot, VOLUME_RECYCLE_DIR_NAME, 'recycle-bin'));
+  const first = await registerVolumeRecycleRoot(registryPath, {
+    path: manualVolumeRoot,
+    baseRoot: recycleRoot,
+    volumeRoot,
+  });
+  assert.equal(first.created, true);
+  assert.equal(
+    (await registerVolumeRecycleRoot(registryPath, { path: manualVolumeRoot, baseRoot: recycleRoot }))
+      .created,
+    false
+  );
+  await registerVolumeRecycleRoot(registryPath, {
+    path: resolveVolumeRecycleRoot(volumeRoot, serviceRecycleRoot),
+    baseRoot: serviceRecycleRoot,
+    volumeRoot,
+  });
+
+  assert.equal((await loadVolumeRecycleRoots(registryPath)).length, 2);
+  assert.deepEqual(await listVolumeRecycleRoots(registryPath, recycleRoot), [manualVolumeRoot]);
+  assert.deepEqual(await listVolumeRecycleRoots(registryPath, serviceRecycleRoot), [
+    path.join(volumeRoot, VOLUME_RECYCLE_DIR_NAME, 'service-recycle-bin'),
+  ]);
+  assert.deepEqual(await listVolumeRecycleRoots(path.join(root, 'missing.json'), recycleRoot), []);
+});
+
+test('registerVolumeRecycleRoot 并发登记多个卷时全部保留', async (t) => {
+  const root = await makeTempDir('wecom-recycle-roots-concurrent-');
+  t.after(async () => removeDir(root));
+  const registryPath = path.join(root, 'recycle-roots.json');
+  const recycleRoot = path.join(root, 'state', 'recycle-bin');
+  // 并发清理在不同卷上同时解析回收目录时，各卷的登记同时发生
+  const volumeRecycleRoots = ['ExtA', 'ExtB', 'ExtC', 'ExtD'].map((name) =>
+    resolveVolumeRecycleRoot(path.join(root, 'Volumes', name), recycleRoot)
+  );
+
+  const results = await Promise.all(
+    volumeRecycleRoots.map((item) =>
+      registerVolumeRecycleRoot(registryPath, { path: item, baseRoot: recycleRoot })
+    )
+  );
+  assert.deepEqual(
+    results.map((item) => item.created),
+    [true, true, true, true]
+  );
+  assert.deepEqual(
+    (await listVolumeRecycleRoots(registryPath, recycleRoot)).sort(),
+    [...volumeRecycleRoots].sort()
+  );
+});
+
+test('createVolumeRecycleResolver 同时解析两个卷时都写入登记', async (t) => {
+  const root = await makeTempDir('wecom-recycle-roots-two-devices-');
+  t.after(async () => removeDir(root));
+  const registryPath = path.join(root, 'recycle-roots.json');
+  const recycleRoot = path.join(root, 'state', 'recycle-bin');
+  const volumeRoots = [path.join(root, 'VolA'), path.join(root, 'VolB')];
+  // 用路径前缀模拟设备号，覆盖两个外部卷上的目标被并发处理的情形
+  const deviceOf = async (targetPath) => {
+    const resolved = path.resolve(targetPath);
+    const index = volumeRoots.findIndex(
+      (item) => resolved === item || resolved.startsWith(`${item}${path.sep}`)
+    );
+    return index >= 0 ? `volume-${index}` : 'base';
+  };
+
+  const resolve = createVolumeRecycleResolver({ recycleRoot, registryPath, deviceOf });
+  const resolved = await Promise.all(
+    volumeRoots.map((item) => resolve(path.join(item, 'WXWork', 'acc001', 'Files', '2024-01')))
+  );
+  const expected = volumeRoots.map((item) => resolveVolumeRecycleRoot(item, recycleRoot));
+  assert.deepEqual(resolved, expected);
+  assert.deepEqual((await listVolumeRecycleRoots(registryPath, recycleRoot)).sort(), [...expected].sort());
+});
+
+test('createVolumeRecycleResolver 同卷目标沿用默认回收区且不登记', async (t) => {
+  const root = await makeTempDir('wecom-recycle-roots-same-');
+  t.after(async () => removeDir(root));
+  const registryPath = path.join(root, 'recycle-roots.json');
+  const recycleRoot = path.join(root, 'state', 'recycle-bin');
+  const targetPath = path.join(root, 'Profiles', 'acc001', 'Caches', 'Files', '2024-01');
+  await ensureFile(path.join(targetPath, 'a.txt'), 'a');
+
+  const resolve = createVolumeRecycleResolver({ recycleRoot, registryPath });
+  assert.equal(await resolve(targetPath), path.resolve(recycleRoot));
+  assert.equal(await pathExists(registryPath), false);
+});
+
+test('executeCleanup 跨卷目标写入所在卷的回收目录并可聚合恢复', async (t) => {
+  const scratchRoot = await crossDeviceScratchRoot();
+  if (!scratchRoot) {
+    t.skip('no writable directory on another device');
+    return;
+  }
+  const root = await makeTempDir('wecom-recycle-roots-cross-');
+  const volumeRoot = await fs.mkdtemp(path.join(scratchRoot, 'wecom-volume-'));
+  t.after(async () => {
+    await removeDir(root);
+    await removeDir(volumeRoot);
+  });
+
+  const registryPath = path.join(root, 'recycle-roots.json');
+  const recycleRoot = path.join(root, 'recycle-bin');
+  const indexPath = path.join(root, 'index.jsonl');
+  const profileRoot = path.join(root, 'Profiles');
+  const externalRoot = path.join(volumeRoot, 'WXWork');
+  const targets = [
+    { path: path.join(profileRoot, 'acc001', 'Caches', 'Files', '2024-01'), monthKey: '2024-01' },
+    { path: path.join(externalRoot, 'acc001', 'Files', '2024-01'), monthKey: '2024-01' },
+  ].map((item) => ({
+    ...item,
+    accountId: 'acc001',
+    categoryKey: 'files',
+    sizeBytes: 5,
+  }));
+  for (const target of targets) {
+    await ensureFile(path.join(target.path, 'payload.txt'), 'hello');
+  }
+  assert.equal(await findVolumeRoot(targets[1].path), scratchRoot);
+
+  const resolveRecycleRoot = createVolumeRecycleResolver({ recycleRoot, registryPath });
+  const result = await executeCleanup({
+    targets,
+    recycleRoot,
+    indexPath,
+    dryRun: false,
+    allowedRoots: [profileRoot, externalRoot],
+    deleteMode: DELETE_MODES.RECYCLE,
+    resolveRecycleRoot,
+  });
+  assert.equal(result.successCount, 2);
+
+  const [volumeRecycleRoot] = await listVolumeRecycleRoots(registryPath, recycleRoot);
+  assert.equal(path.basename(volumeRecycleRoot), 'recycle-bin');
+  assert.equal(path.basename(path.dirname(volumeRecycleRoot)), VOLUME_RECYCLE_DIR_NAME);
+  t.after(async () => {
+    await removeDir(path.join(volumeRecycleRoot, result.batchId));
+    await fs.rmdir(volumeRecycleRoot).catch(() => {});
+    await fs.rmdir(path.dirname(volumeRecycleRoot)).catch(() => {});
+  });
+
+  const batches = await listRestorableBatches(indexPath, { recycleRoots: [recycleRoot, volumeRecycleRoot] });
+  assert.equal(batches.length, 1);
+  const recyclePaths = batches[0].entries.map((entry) => entry.recyclePath).sort();
+  assert.ok(recyclePaths.some((item) => item.startsWith(`${path.resolve(recycleRoot)}${path.sep}`)));
+  assert.ok(recyclePaths.some((item) => item.startsWith(`${volumeRecycleRoot}${path.sep}`)));
+  assert.deepEqual(
+    batches[0].entries.map((entry) => entry.moveMethod),
+    ['rename', 'rename']
+  );
+  assert.equal(
+    (await listRestorableBatches(indexPath, { recycleRoots: [recycleRoot] }))[0].entries.length,
+    1
+  );
+});
@@ -283,6 +283,36 @@ test('restoreBatch 支持 dry-run 并写入审计', async (t) => {
   assert.equal(dryRunRow.categoryKey, 'files');
 });
 
+test('restoreBatch 收到取消后保留剩余条目并写入 cancelled 行', async (t) => {
+  const root = await makeTempDir('wecom-restore-cancel-');
+  t.after(async () => removeDir(root));
+
+  const fixture = await buildBatchFixture(root, 'cancel');
+  const abortController = new AbortController();
+  abortController.abort();
+  const summary = await restoreBatch({
+    batch: fixture.batch,
+    indexPath: fixture.indexPath,
+    profileRoot: fixture.profileRoot,
+    recycleRoot: fixture.recycleRoot,
+    signal: abortController.signal,
+  });
+
+  assert.equal(summary.status, 'cancelled');
+  assert.equal(summary.successCount, 0);
+  assert.equal(summary.cancelledRemainingCount, 1);
+  assert.equal(await pathExists(fixture.recyclePath), true);
+
+  const rows = await readJsonLines(fixture.indexPath);
+  const cancelledRow = rows.find((row) => row.action === 'cancelled');
+  assert.equal(cancelledRow.operation, 'restore');
+  assert.equal(cancelledRow.batchId, fixture.batch.batchId);
+  assert.equal(cancelledRow.error_type, ERROR_TYPES.CANCELLED);
+  assert.equal(cancelledRow.remainingCount, 1);
+  const [batch] = await listRestorableBatches(fixture.indexPath, { recycleRoot: fixture.recycleRoot });
+  assert.equal(batch.batchId, fixture.batch.batchId);
+});
+
 test('restoreBatch 在移动失败时写入 failed 与 error_type', async (t) => {
   const root = await makeTempDir('wecom-restore-failed-');
   t.after(async () => removeDir(root));
@@ -10,6 +10,7 @@ import {
   discoverAccounts,
   scanSpaceGovernanceTargets,
 } from '../src/scanner.js';
+import { TaskCancelledError } from '../src/error-taxonomy.js';
 import { ensureFile, makeTempDir, removeDir, toBase64Utf8 } from './helpers/temp.js';
 
 async function createAccount(profilesRoot, id, options = {}) {
@@ -374,3 +375,81 @@ test('月份扫描、清理目标扫描、分析汇总与全量治理可工作',
   assert.equal(weDriveBusinessRoot.deletable, false);
   assert.equal(weDriveBusinessRoot.tier, 'protected');
 });
+
+test('collectCleanupTargets 文件级筛选按修改/访问时间选择月份与非月份目录内的文件', async (t) => {
+  const root = await makeTempDir('wecom-scanner-file-age-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = path.join(root, 'Profiles');
+  const profilePath = await createAccount(profilesRoot, 'acc001', { fileMonths: ['2024-01'] });
+  const filesRoot = path.join(profilePath, 'Caches', 'Files');
+  await ensureFile(path.join(filesRoot, '2024-01', 'nested', 'old.bin'), 'old-nested');
+  const oldTime = new Date(Date.now() - 40 * 24 * 3600 * 1000);
+  for (const relativePath of ['2024-01/payload.txt', '2024-01/nested/old.bin', 'root.bin']) {
+    await fs.utimes(path.join(filesRoot, relativePath), oldTime, oldTime);
+  }
+  await fs.utimes(path.join(filesRoot, 'not-a-month', 'payload.txt'), new Date(), oldTime);
+
+  const accounts = await discoverAccounts(profilesRoot, {});
+  const scanWith = (basis) =>
+    collectCleanupTargets({
+      accounts,
+      selectedAccountIds: ['acc001'],
+      categoryKeys: ['files'],
+      monthFilters: [],
+      includeNonMonthDirs: true,
+      nativeCorePath: null,
+      fileAge: { olderThan: '30d', basis, cutoffTime: Date.now() - 30 * 24 * 3600 * 1000 },
+    });
+
+  const byMtime = await scanWith('mtime');
+  assert.deepEqual(byMtime.targets.map((item) => path.relative(filesRoot, item.path)).sort(), [
+    path.join('2024-01', 'nested', 'old.bin'),
+    path.join('2024-01', 'payload.txt'),
+    path.join('not-a-month', 'payload.txt'),
+    'root.bin',
+  ]);
+  const nested = byMtime.targets.find((item) => item.path.endsWith('old.bin'));
+  assert.equal(nested.monthKey, '2024-01');
+  assert.equal(nested.isDirectory, false);
+  assert.equal(nested.containerPath, path.join(filesRoot, '2024-01'));
+  assert.equal(nested.sizeBytes, 'old-nested'.length);
+  assert.equal(byMtime.fileAge.matchedFileCount, 4);
+
+  const byAtime = await scanWith('atime');
+  assert.equal(
+    byAtime.targets.some((item) => item.path.endsWith(path.join('not-a-month', 'payload.txt'))),
+    false
+  );
+  assert.equal(byAtime.fileAge.keptFileCount, 1);
+});
+
+test('collectCleanupTargets 收到取消信号后停止统计体积', async (t) => {
+  const root = await makeTempDir('wecom-scanner-cancel-');
+  t.after(async () => removeDir(root));
+
+  const profilesRoot = path.join(root, 'Profiles');
+  await createAccount(profilesRoot, 'acc001', { fileMonths: ['2024-01', '2024-02'] });
+  const accounts = await discoverAccounts(profilesRoot, {});
+  const abortController = new AbortController();
+  let progressCount = 0;
+
+  await assert.rejects(
+    collectCleanupTargets({
+      accounts,
+      selectedAccountIds: ['acc001'],
+      categoryKeys: ['files'],
+      monthFilters: [],
+      includeNonMonthDirs: true,
+      nativeCorePath: null,
+      sizeConcurrency: 1,
+      signal: abortController.signal,
+      onProgress: () => {
+        progressCount += 1;
+        abortController.abort();
+      },
+    }),
+    TaskCancelledError
+  );
+  assert.equal(progressCount, 1);
+});
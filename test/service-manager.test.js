@@ -14,6 +14,7 @@ import {
   normalizeTriggerTimes,
   parseFilesystemUsage,
   resolveServicePlistPaths,
+  resolveServiceRetentionRule,
   uninstallServiceLaunchAgents,
 } from '../src/service-manager.js';
 import { makeTempDir, removeDir } from './helpers/temp.js';
@@ -34,6 +35,18 @@ test('normalizeServiceConfig 使用默认值并规范触发时间', () => {
   assert.equal(config.directDeleteApproved, true);
 });
 
+test('categoryRetention 按类别覆盖保留天数并支持 off', () => {
+  const config = normalizeServiceConfig({
+    retainDays: 45,
+    categoryRetention: { images: '90', videos: 14, voices: 'OFF', files: 0, ' ': 7 },
+  });
+  assert.deepEqual(config.categoryRetention, { images: 90, videos: 14, voices: 'off' });
+  assert.deepEqual(resolveServiceRetentionRule(config, 'images'), { retainDays: 90, source: 'category' });
+  assert.deepEqual(resolveServiceRetentionRule(config, 'voices'), { retainDays: null, source: 'category' });
+  assert.deepEqual(resolveServiceRetentionRule(config, 'files'), { retainDays: 45, source: 'default' });
+  assert.deepEqual(normalizeServiceConfig({}, config).categoryRetention, config.categoryRetention);
+});
+
 test('normalizeTriggerTimes 会回退到默认时间', () => {
   assert.deepEqual(normalizeTriggerTimes(['xx', '']), defaultServiceConfig().triggerTimes);
 });
@@ -7,6 +7,7 @@ import {
   appendJsonLine,
   calculateDirectorySize,
   compareMonthKey,
+  createLimiter,
   decodeBase64Utf8,
   expandHome,
   formatBytes,
@@ -14,6 +15,9 @@ import {
   mapLimit,
   normalizeMonthKey,
   padToWidth,
+  parseAgeCutoffTime,
+  parseByteSize,
+  parseRelativeAge,
   readJsonLines,
   renderTable,
   shortId,
@@ -44,6 +48,19 @@ test('月份与字节格式工具可用', () => {
 
   assert.equal(formatBytes(1023), '1023B');
   assert.equal(formatBytes(1024), '1.0KB');
+  assert.equal(parseByteSize('20GB'), 20 * 1024 ** 3);
+  assert.equal(parseByteSize('1.5 m'), 1.5 * 1024 ** 2);
+  assert.equal(parseByteSize('4096'), 4096);
+  assert.equal(parseByteSize('20 PB'), null);
+  assert.equal(parseByteSize('-1GB'), null);
+  assert.deepEqual(parseRelativeAge('90D'), { amount: 90, unit: 'd', text: '90d' });
+  assert.deepEqual(parseRelativeAge('6m'), { amount: 6, unit: 'm', text: '6m' });
+  assert.equal(parseRelativeAge('0d'), null);
+  assert.equal(parseRelativeAge('2w'), null);
+  const now = Date.parse('2026-03-31T00:00:00Z');
+  assert.equal(parseAgeCutoffTime('30d', now), now - 30 * 24 * 3600 * 1000);
+  assert.equal(parseAgeCutoffTime('2026-01-01T00:00:00.000Z', now), Date.parse('2026-01-01T00:00:00Z'));
+  assert.equal(parseAgeCutoffTime('later', now), null);
   assert.equal(shortId('1234567890'), '12345678');
 });
 
@@ -71,6 +88,31 @@ test('mapLimit 可以并发执行并保持结果顺序', async () => {
   assert.deepEqual(out, [1, 4, 9, 16]);
 });
 
+test('createLimiter 限制同时运行的任务数', async () => {
+  const run = createLimiter(2);
+  let active = 0;
+  let peak = 0;
+  const out = await Promise.all(
+    [1, 2, 3, 4, 5].map((item) =>
+      run(async () => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        active -= 1;
+        return item * 10;
+      })
+    )
+  );
+  assert.deepEqual(out, [10, 20, 30, 40, 50]);
+  assert.equal(peak, 2);
+  await assert.rejects(
+    run(async () => {
+      throw new Error('boom');
+    }),
+    /boom/
+  );
+});
+
 test('calculateDirectorySize 统计目录并忽略软链接', async (t) => {
   const root = await makeTempDir('wecom-utils-size-');
   t.after(async () => removeDir(root));
@@ -0,0 +1,100 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { describeSnapshotMismatch, snapshotPathTree, verifiedMovePath } from '../src/verified-move.js';
+import { pathExists } from '../src/utils.js';
+import { ensureFile, makeTempDir, removeDir } from './helpers/temp.js';
+
+test('snapshotPathTree 按文件数、字节数与内容摘要比对目录', async (t) => {
+  const root = await makeTempDir('wecom-verified-move-');
+  t.after(async () => removeDir(root));
+
+  await ensureFile(path.join(root, 'a', 'one.bin'), Buffer.alloc(10, 1));
+  await ensureFile(path.join(root, 'a', 'sub', 'two.bin'), Buffer.alloc(20, 2));
+  await ensureFile(path.join(root, 'b', 'one.bin'), Buffer.alloc(10, 1));
+  await ensureFile(path.join(root, 'b', 'sub', 'two.bin'), Buffer.alloc(20, 3));
+
+  const first = await snapshotPathTree(path.join(root, 'a'));
+  const second = await snapshotPathTree(path.join(root, 'b'));
+  assert.equal(first.fileCount, 2);
+  assert.equal(first.totalBytes, 30);
+  assert.equal(describeSnapshotMismatch(first, second), 'content digest mismatch');
+  assert.equal(
+    describeSnapshotMismatch(
+      await snapshotPathTree(path.join(root, 'a'), { hash: false }),
+      await snapshotPathTree(path.join(root, 'b'), { hash: false })
+    ),
+    null
+  );
+
+  await fs.rm(path.join(root, 'b', 'one.bin'));
+  assert.match(
+    describeSnapshotMismatch(first, await snapshotPathTree(path.join(root, 'b'))),
+    /^file count mismatch/
+  );
+  assert.equal((await snapshotPathTree(path.join(root, 'a', 'one.bin'))).totalBytes, 10);
+});
+
+function simulateCrossDevice(t, srcPath) {
+  const rename = fs.rename.bind(fs);
+  const renameMock = mock.method(fs, 'rename', async (from, to) => {
+    if (from === srcPath) {
+      throw Object.assign(new Error('EXDEV: cross-device link not permitted'), { code: 'EXDEV' });
+    }
+    return rename(from, to);
+  });
+  t.after(() => renameMock.mock.restore());
+}
+
+test('verifiedMovePath 跨卷时复制到临时名、校验后改名并报告进度', async (t) => {
+  const root = await makeTempDir('wecom-verified-move-exdev-');
+  t.after(async () => removeDir(root));
+
+  const src = path.join(root, 'src', '2024-01');
+  const dest = path.join(root, 'recycle', '0001_2024-01');
+  await ensureFile(path.join(src, 'a.bin'), Buffer.alloc(100, 1));
+  await ensureFile(path.join(src, 'sub', 'b.bin'), Buffer.alloc(50, 2));
+  await fs.symlink('a.bin', path.join(src, 'link'));
+  simulateCrossDevice(t, src);
+
+  const progress = [];
+  const moved = await verifiedMovePath(src, dest, {
+    hash: true,
+    progressThresholdBytes: 0,
+    onProgress: (item) => progress.push(item.copiedBytes),
+  });
+  assert.equal(moved.method, 'copy');
+  assert.equal(moved.fileCount, 2);
+  assert.equal(moved.totalBytes, 150);
+  assert.deepEqual(progress, [100, 150]);
+  assert.equal(await pathExists(src), false);
+  assert.equal(await fs.readlink(path.join(dest, 'link')), 'a.bin');
+  assert.deepEqual(await fs.readdir(path.dirname(dest)), ['0001_2024-01']);
+});
+
+test('verifiedMovePath 复制失败时清理临时副本并保留源目录', async (t) => {
+  const root = await makeTempDir('wecom-verified-move-fail-');
+  t.after(async () => removeDir(root));
+
+  const src = path.join(root, 'src', '2024-02');
+  const dest = path.join(root, 'recycle', '0001_2024-02');
+  await ensureFile(path.join(src, 'a.bin'), 'aaaa');
+  await ensureFile(path.join(src, 'b.bin'), 'bbbb');
+  simulateCrossDevice(t, src);
+  const copyFile = fs.copyFile.bind(fs);
+  let copied = 0;
+  const copyMock = mock.method(fs, 'copyFile', async (from, to, mode) => {
+    copied += 1;
+    if (copied > 1) {
+      throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+    }
+    return copyFile(from, to, mode);
+  });
+  t.after(() => copyMock.mock.restore());
+
+  await assert.rejects(verifiedMovePath(src, dest), /ENOSPC/);
+  assert.deepEqual((await fs.readdir(src)).sort(), ['a.bin', 'b.bin']);
+  assert.deepEqual(await fs.readdir(path.dirname(dest)), []);
+  await assert.rejects(verifiedMovePath(path.join(root, 'src'), path.join(root, 'src')), /already exists/);
+});